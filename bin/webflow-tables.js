@@ -0,0 +1,302 @@
+#!/usr/bin/env node
+// CLI wrapper around the same builder the UI uses (src/lib/xscp.js).
+//
+//   webflow-tables build data.csv --header --table-class wf-table -o table.json
+//   webflow-tables build ./csvs -o ./out
+import fs from "node:fs";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { DEFAULT_OPTIONS, buildXscpTable, parseCSV } from "../src/lib/xscp.js";
+import { DEFAULT_DIALECT, decodeText } from "../src/lib/csv.js";
+import { BUILT_IN_PRESETS, parsePresets } from "../src/lib/presets.js";
+import { COLUMN_TYPES } from "../src/lib/column-types.js";
+import { RESPONSIVE_MODES, STACK_BREAKPOINTS } from "../src/lib/responsive.js";
+
+// flag → builder option. Every boolean also accepts a `--no-` prefix.
+const BOOLEAN_FLAGS = {
+  header: "includeHead", // alias of --head
+  head: "includeHead",
+  foot: "includeFoot",
+  th: "useThInHead",
+  "aria-role": "addAriaRole",
+  "span-fallback": "useSpanFallback",
+  "wrap-section": "wrapInSection",
+  "row-headers": "rowHeaders",
+  scope: "addScope",
+  "align-numeric": "alignNumeric",
+  cms: "cms",
+  interactive: "interactive",
+  sortable: "sortable",
+  searchable: "searchable",
+  "sticky-header": "stickyHeader",
+  "sticky-column": "stickyColumn",
+};
+
+// flag → free-text builder option
+const TEXT_FLAGS = {
+  caption: "caption",
+  summary: "summary",
+  "table-class": "tableClass",
+  "thead-class": "theadClass",
+  "tbody-class": "tbodyClass",
+  "tfoot-class": "tfootClass",
+  "row-class": "rowClass",
+  "cell-class": "cellClass",
+  "numeric-class": "numericClass",
+  locale: "locale",
+  currency: "currency",
+  "cms-empty-text": "cmsEmptyText",
+};
+
+// flag → builder option with a fixed set of values
+const CHOICE_FLAGS = {
+  responsive: ["responsive", RESPONSIVE_MODES.map(([id]) => id)],
+  "stack-breakpoint": ["stackBreakpoint", STACK_BREAKPOINTS.map(([id]) => id)],
+};
+
+// flag → whole-number builder option
+const NUMBER_FLAGS = {
+  "header-rows": "headerRows",
+  "footer-rows": "footerRows",
+  "page-size": "pageSize",
+};
+
+// flag → CSS length option; the value applies at every breakpoint (`main`)
+const LENGTH_FLAGS = {
+  "sticky-top": "stickyTop",
+  "max-height": "maxHeight",
+};
+
+// flag → per-column option, comma-separated by column
+const LIST_FLAGS = {
+  "column-types": "columnTypes",
+  "cms-fields": "cmsFields",
+};
+
+// flag → CSV dialect option (see DEFAULT_DIALECT)
+const DIALECT_FLAGS = {
+  delimiter: "delimiter",
+  encoding: "encoding",
+  comment: "commentPrefix",
+};
+
+const USAGE = `Usage: webflow-tables build <file.csv | directory> [options]
+
+Converts CSV into Webflow clipboard JSON (@webflow/XscpData). When the input
+is a directory every *.csv inside it is converted and -o names the output
+directory (defaults to the input directory).
+
+Options:
+  -o, --out <path>          Output file or directory (default: stdout)
+      --[no-]head           Include <thead> (default: on; alias --header)
+      --[no-]foot           Include <tfoot> (default: off)
+      --header-rows <n>     Leading rows that go into <thead> (default: 1)
+      --footer-rows <n>     Trailing rows that go into <tfoot> (default: 1)
+      --[no-]th             Use <th> cells in the head (default: on)
+      --[no-]aria-role      Add role="table" (default: on)
+      --[no-]span-fallback  Wrap cell text in <span> (default: off)
+      --[no-]wrap-section   Wrap the table in the preset's wrapper chain (default: off)
+      --preset <id|file>    Wrapper preset: client-first | lumos | mast, or a
+                            preset JSON file (default: client-first)
+      --[no-]row-headers    First column of body rows as <th scope="row"> (default: off)
+      --[no-]scope          Add scope to header cells (default: on)
+      --column-types <list> Comma-separated type per column: text | number |
+                            currency | percent | date | boolean (default: text)
+      --locale <tag>        Locale for typed columns (default: en-US)
+      --currency <code>     Currency for currency columns (default: USD)
+      --[no-]align-numeric  Add --numeric-class to numeric cells (default: off)
+      --numeric-class <cls> Class for numeric cells (default: text-right)
+      --responsive <mode>   none | scroll | stack | pin (default: none)
+      --stack-breakpoint <bp>
+                            Stack from medium | small | tiny down (default: small)
+      --[no-]interactive    Add the sort / search / paging script (default: off)
+      --[no-]sortable       Sortable headers (default: on)
+      --[no-]searchable     Search box (default: on)
+      --page-size <n>       Rows per page, 0 for all (default: 10)
+      --[no-]sticky-header  Sticky <thead> (default: off)
+      --[no-]sticky-column  Sticky first column (default: off)
+      --sticky-top <len>    Offset of the sticky header (default: 0px)
+      --max-height <len>    Scroll the table inside a wrapper this tall
+      --[no-]cms            Body as a Webflow Collection List (default: off)
+      --cms-fields <list>   Comma-separated CMS field slugs per column
+      --cms-empty-text <t>  Empty state text (default: "No items found.")
+      --caption <text>      Emit a <caption>
+      --summary <text>      Emit a summary paragraph linked via aria-describedby
+      --table-class <cls>   Classes for <table>
+      --thead-class <cls>   Classes for <thead>
+      --tbody-class <cls>   Classes for <tbody>
+      --tfoot-class <cls>   Classes for <tfoot>
+      --row-class <cls>     Classes for every <tr>
+      --cell-class <cls>    Classes for every <td>/<th>
+      --delimiter <d>       auto | , | ; | tab | "|" (default: auto)
+      --encoding <enc>      auto | utf-8 | windows-1252 | … (default: auto)
+      --comment <prefix>    Skip lines starting with <prefix>
+      --trim                Trim whitespace around every field
+      --skip-empty-lines    Drop blank lines
+  -h, --help                Show this help
+`;
+
+function fail(message) {
+  process.stderr.write(`webflow-tables: ${message}\n`);
+  process.exit(1);
+}
+
+function parseCli(argv) {
+  const negated = {};
+  const rest = [];
+  for (const arg of argv) {
+    const m = arg.match(/^--no-(.+)$/);
+    if (m && BOOLEAN_FLAGS[m[1]]) negated[m[1]] = true;
+    else rest.push(arg);
+  }
+
+  const optionSpec = {
+    out: { type: "string", short: "o" },
+    help: { type: "boolean", short: "h" },
+    trim: { type: "boolean" },
+    "skip-empty-lines": { type: "boolean" },
+    preset: { type: "string" },
+  };
+  for (const flag of Object.keys(BOOLEAN_FLAGS)) {
+    optionSpec[flag] = { type: "boolean" };
+  }
+  const stringFlags = [
+    ...Object.keys(TEXT_FLAGS),
+    ...Object.keys(CHOICE_FLAGS),
+    ...Object.keys(NUMBER_FLAGS),
+    ...Object.keys(LENGTH_FLAGS),
+    ...Object.keys(LIST_FLAGS),
+    ...Object.keys(DIALECT_FLAGS),
+  ];
+  for (const flag of stringFlags) {
+    optionSpec[flag] = { type: "string" };
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: rest,
+      options: optionSpec,
+      allowPositionals: true,
+    });
+  } catch (err) {
+    fail(err.message);
+  }
+  const { values, positionals } = parsed;
+
+  const options = { ...DEFAULT_OPTIONS };
+  for (const [flag, key] of Object.entries(BOOLEAN_FLAGS)) {
+    if (values[flag]) options[key] = true;
+    if (negated[flag]) options[key] = false;
+  }
+  for (const [flag, key] of Object.entries(TEXT_FLAGS)) {
+    if (values[flag] !== undefined) options[key] = values[flag];
+  }
+  for (const [flag, [key, choices]] of Object.entries(CHOICE_FLAGS)) {
+    if (values[flag] === undefined) continue;
+    if (!choices.includes(values[flag])) {
+      fail(`--${flag} expects one of ${choices.join(", ")}`);
+    }
+    options[key] = values[flag];
+  }
+  for (const [flag, key] of Object.entries(NUMBER_FLAGS)) {
+    if (values[flag] === undefined) continue;
+    if (!/^\d+$/.test(values[flag])) fail(`--${flag} expects a number`);
+    options[key] = parseInt(values[flag], 10);
+  }
+  for (const [flag, key] of Object.entries(LENGTH_FLAGS)) {
+    if (values[flag] !== undefined) options[key] = { main: values[flag] };
+  }
+  for (const [flag, key] of Object.entries(LIST_FLAGS)) {
+    if (values[flag] === undefined) continue;
+    options[key] = values[flag].split(",").map((v) => v.trim());
+  }
+  const types = COLUMN_TYPES.map(([id]) => id);
+  if (values["column-types"] !== undefined) {
+    options.columnTypes = options.columnTypes.map((type) => {
+      if (type && !types.includes(type)) {
+        fail(`--column-types: unknown type "${type}"`);
+      }
+      return type ? { type } : null;
+    });
+  }
+
+  if (values.preset !== undefined) options.preset = readPreset(values.preset);
+
+  const dialect = { ...DEFAULT_DIALECT };
+  for (const [flag, key] of Object.entries(DIALECT_FLAGS)) {
+    if (values[flag] !== undefined) dialect[key] = values[flag];
+  }
+  if (dialect.delimiter === "tab") dialect.delimiter = "\t";
+  if (values.trim) dialect.trim = true;
+  if (values["skip-empty-lines"]) dialect.skipEmptyLines = true;
+
+  return {
+    command: positionals[0],
+    inputs: positionals.slice(1),
+    values,
+    options,
+    dialect,
+  };
+}
+
+// Built-in preset id, or the first preset in an exported preset JSON file
+function readPreset(value) {
+  if (BUILT_IN_PRESETS.some((p) => p.id === value)) return value;
+  if (!fs.existsSync(value)) fail(`--preset: unknown preset "${value}"`);
+  try {
+    return parsePresets(fs.readFileSync(value, "utf8"))[0];
+  } catch (err) {
+    fail(`${value}: ${err.message}`);
+  }
+}
+
+function buildFile(file, options, dialect) {
+  let text;
+  try {
+    text = decodeText(fs.readFileSync(file), dialect.encoding);
+  } catch (err) {
+    fail(`${file}: ${err.message}`);
+  }
+  const data = parseCSV(text, dialect);
+  if (data.length === 0) fail(`${file}: no rows found`);
+  return buildXscpTable(options, data).json;
+}
+
+function run(argv) {
+  const { command, inputs, values, options, dialect } = parseCli(argv);
+  if (values.help || !command) {
+    process.stdout.write(USAGE);
+    return;
+  }
+  if (command !== "build") fail(`unknown command "${command}"\n\n${USAGE}`);
+  if (inputs.length !== 1) fail("expected exactly one CSV file or directory");
+
+  const input = inputs[0];
+  if (!fs.existsSync(input)) fail(`${input}: no such file or directory`);
+
+  if (fs.statSync(input).isDirectory()) {
+    const files = fs
+      .readdirSync(input)
+      .filter((f) => f.toLowerCase().endsWith(".csv"))
+      .sort();
+    if (files.length === 0) fail(`${input}: no .csv files found`);
+    const outDir = values.out || input;
+    fs.mkdirSync(outDir, { recursive: true });
+    for (const f of files) {
+      const target = path.join(outDir, f.replace(/\.csv$/i, ".json"));
+      fs.writeFileSync(
+        target,
+        buildFile(path.join(input, f), options, dialect)
+      );
+      process.stderr.write(`${path.join(input, f)} → ${target}\n`);
+    }
+    return;
+  }
+
+  const json = buildFile(input, options, dialect);
+  if (values.out) fs.writeFileSync(values.out, json);
+  else process.stdout.write(json + "\n");
+}
+
+run(process.argv.slice(2));
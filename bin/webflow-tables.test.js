@@ -0,0 +1,146 @@
+import { execFileSync, spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+
+const CLI = path.join(__dirname, "webflow-tables.js");
+const run = (...args) =>
+  spawnSync(process.execPath, [CLI, ...args], { encoding: "utf8" });
+const tags = (json) => JSON.parse(json).payload.nodes.map((n) => n.data?.tag);
+
+describe("webflow-tables CLI", () => {
+  let dir;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "webflow-tables-"));
+    fs.writeFileSync(path.join(dir, "a.csv"), "Name,Price\nBasic,9\n");
+    fs.writeFileSync(path.join(dir, "b.csv"), "x;y\n1;2\n");
+  });
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it("writes clipboard JSON for a CSV file to stdout", () => {
+    const out = execFileSync(process.execPath, [
+      CLI,
+      "build",
+      path.join(dir, "a.csv"),
+    ]).toString();
+    expect(JSON.parse(out).type).toBe("@webflow/XscpData");
+    expect(tags(out)).toContain("thead");
+  });
+
+  it("maps flags onto builder options", () => {
+    const { stdout } = run(
+      "build",
+      path.join(dir, "a.csv"),
+      "--no-head",
+      "--caption",
+      "Plans"
+    );
+    expect(tags(stdout)).not.toContain("thead");
+    expect(tags(stdout)).toContain("caption");
+  });
+
+  it("maps the responsive, sticky and typed-column flags", () => {
+    const { stdout } = run(
+      "build",
+      path.join(dir, "a.csv"),
+      "--responsive",
+      "stack",
+      "--stack-breakpoint",
+      "tiny",
+      "--column-types",
+      ",currency",
+      "--currency",
+      "EUR",
+      "--locale",
+      "de-DE"
+    );
+    const { payload } = JSON.parse(stdout);
+    const names = payload.styles.map((s) => s.name);
+    expect(names).toContain("table_stack");
+    expect(payload.nodes.find((n) => n.type === "HtmlEmbed").v).toContain(
+      "max-width: 478px"
+    );
+    const texts = payload.nodes.filter((n) => n.text).map((n) => n.v);
+    expect(texts).toContain("9,00\u00a0€");
+
+    const sticky = JSON.parse(
+      run(
+        "build",
+        path.join(dir, "a.csv"),
+        "--sticky-header",
+        "--sticky-column",
+        "--max-height",
+        "20rem"
+      ).stdout
+    ).payload.styles;
+    expect(sticky.map((s) => s.name)).toEqual(
+      expect.arrayContaining([
+        "table_sticky-head",
+        "table_sticky-col",
+        "table_sticky-wrap",
+      ])
+    );
+    expect(
+      sticky.find((s) => s.name === "table_sticky-wrap").styleLess
+    ).toContain("max-height: 20rem;");
+  });
+
+  it("maps the interactive and CMS flags", () => {
+    const interactive = run(
+      "build",
+      path.join(dir, "a.csv"),
+      "--interactive",
+      "--no-searchable",
+      "--page-size",
+      "5"
+    ).stdout;
+    const table = JSON.parse(interactive).payload.nodes.find(
+      (n) => n.data?.tag === "table"
+    );
+    expect(table.data.attributes).toEqual(
+      expect.arrayContaining([{ name: "data-wt-page-size", value: "5" }])
+    );
+    expect(table.data.attributes.map((a) => a.name)).not.toContain(
+      "data-wt-search"
+    );
+
+    const cms = JSON.parse(
+      run("build", path.join(dir, "a.csv"), "--cms", "--cms-fields", ",cost")
+        .stdout
+    ).payload.nodes;
+    expect(cms.some((n) => n.type === "DynamoList")).toBe(true);
+    const fields = cms
+      .flatMap((n) => n.data?.attributes || [])
+      .filter((a) => a.name === "data-field")
+      .map((a) => a.value);
+    expect(fields).toEqual(["name", "cost"]);
+  });
+
+  it("converts every CSV in a directory", () => {
+    const out = path.join(dir, "out");
+    const { status } = run("build", dir, "-o", out);
+    expect(status).toBe(0);
+    expect(fs.readdirSync(out).sort()).toEqual(["a.json", "b.json"]);
+    // b.csv is semicolon-separated: the delimiter is sniffed
+    const b = fs.readFileSync(path.join(out, "b.json"), "utf8");
+    expect(tags(b).filter((t) => t === "th")).toHaveLength(2);
+  });
+
+  it("fails with a message on bad input", () => {
+    const bad = run("build", path.join(dir, "a.csv"), "--header-rows", "x");
+    expect(bad.status).toBe(1);
+    expect(bad.stderr).toMatch(/--header-rows expects a number/);
+    expect(run("build", path.join(dir, "missing.csv")).status).toBe(1);
+    const mode = run("build", path.join(dir, "a.csv"), "--responsive", "wide");
+    expect(mode.status).toBe(1);
+    expect(mode.stderr).toMatch(/--responsive expects one of none, scroll/);
+    const type = run(
+      "build",
+      path.join(dir, "a.csv"),
+      "--column-types",
+      "money"
+    );
+    expect(type.stderr).toMatch(/unknown type "money"/);
+  });
+});
@@ -1,4 +1,4 @@
-import React, { useMemo, useState, useEffect } from "react";
+import React, { useMemo, useState, useEffect, useRef } from "react";
 import { Input } from "./components/ui/input";
 import { Button } from "./components/ui/button";
 import { ButtonGroup } from "./components/ui/button-group";
@@ -19,9 +19,58 @@ import {
   TooltipProvider,
   TooltipTrigger,
 } from "./components/ui/tooltip";
-import { InfoIcon } from "lucide-react";
+import { InfoIcon, Redo2Icon, Undo2Icon, XIcon } from "lucide-react";
 import TablePreview from "./components/table-preview";
 import WebflowIcon from "./components/webflow-icon";
+import StyleEditor from "./components/style-editor";
+import PresetLibrary from "./components/preset-library";
+import ProjectList from "./components/project-list";
+import IconMap from "./components/icon-map";
+import ColumnTypesEditor from "./components/column-types-editor";
+import ExportMenu from "./components/export-menu";
+import {
+  DEFAULT_OPTIONS,
+  buildXscpTable,
+  parseCSV,
+  stringifyCSV,
+} from "./lib/xscp";
+import {
+  DEFAULT_DIALECT,
+  decodeText,
+  detectDelimiter,
+  findRaggedRows,
+} from "./lib/csv";
+import { lintTable } from "./lib/a11y-lint";
+import { CLASS_RULE_SECTIONS, CLASS_RULE_TARGETS } from "./lib/class-rules";
+import { resolveIcons } from "./lib/icons";
+import {
+  PREVIEW_WIDTHS,
+  RESPONSIVE_CLASSES,
+  RESPONSIVE_MODES,
+} from "./lib/responsive";
+import { STICKY_CLASSES } from "./lib/sticky";
+import { breakpointPrefixOf } from "./lib/tailwind";
+import { BREAKPOINTS } from "./lib/styles";
+import { findPreset, parsePresets } from "./lib/presets";
+import {
+  describeChange,
+  hasNativeUndo,
+  recordChange,
+  redoChange,
+  undoChange,
+} from "./lib/history";
+import { exportTable } from "./lib/export";
+import { columnLabel } from "./lib/grid";
+import { importXscp } from "./lib/xscp-import";
+import { rowsFromClipboardData } from "./lib/clipboard";
+import {
+  SPREADSHEET_ACCEPT,
+  isSpreadsheetFile,
+  isValidRange,
+  readWorkbook,
+  sheetToRows,
+  usedRange,
+} from "./lib/spreadsheet";
 
 // --- Tree preview components -------------------------------------------------
 // --- Tree preview components -------------------------------------------------
@@ -29,6 +78,7 @@ function DomNodeItem({
   node,
   indexById,
   classNameById,
+  effectsById,
   matchSet,
   ancestorSet,
   depth = 0,
@@ -42,6 +92,11 @@ function DomNodeItem({
   const classNames = (node.classes || [])
     .map((id) => classNameById.get(id))
     .filter(Boolean);
+  const effects = [
+    ...new Set(
+      (node.classes || []).flatMap((id) => effectsById?.get(id) || [])
+    ),
+  ];
   const [open, setOpen] = useState(depth < 1); // open roots by default
   // Simple type color coding
   const tagColor =
@@ -104,6 +159,14 @@ function DomNodeItem({
         {classNames.length > 0 && (
           <span className="ml-2 opacity-70">.{classNames.join(".")}</span>
         )}
+        {effects.map((effect) => (
+          <span
+            key={effect}
+            className="ml-2 rounded bg-amber-50 px-1 text-amber-700"
+          >
+            {effect}
+          </span>
+        ))}
         {isText && textPreview && (
           <span className="ml-2 opacity-60">“{textPreview}”</span>
         )}
@@ -114,6 +177,7 @@ function DomNodeItem({
           node={indexById.get(cid)}
           indexById={indexById}
           classNameById={classNameById}
+          effectsById={effectsById}
           matchSet={matchSet}
           ancestorSet={ancestorSet}
           depth={depth + 1}
@@ -146,6 +210,24 @@ function DomTreePreview({
     return m;
   }, [styles]);
 
+  // Layout effects worth flagging in the tree, at any breakpoint
+  const effectsById = React.useMemo(() => {
+    const m = new Map();
+    (styles || []).forEach((s) => {
+      const css = [
+        s.styleLess,
+        ...Object.values(s.variants || {}).map((v) => v?.styleLess),
+      ].join(" ");
+      const effects = [];
+      if (/position:\s*sticky/.test(css)) effects.push("sticky");
+      if (/max-height:/.test(css) && /overflow-y:\s*(auto|scroll)/.test(css)) {
+        effects.push("scrolls");
+      }
+      if (effects.length) m.set(s._id, effects);
+    });
+    return m;
+  }, [styles]);
+
   const parentById = React.useMemo(() => {
     const p = new Map();
     (nodes || []).forEach((n) =>
@@ -180,10 +262,10 @@ function DomTreePreview({
     return set;
   }, [nodes, classNameById, q]);
 
-  // Ancestors of matches should open too
+  // Ancestors of matches (and of the selected node) should open too
   const ancestorSet = React.useMemo(() => {
     const set = new Set();
-    for (const id of matchSet) {
+    for (const id of [...matchSet, ...(selectedId ? [selectedId] : [])]) {
       let cur = parentById.get(id);
       while (cur && !set.has(cur)) {
         set.add(cur);
@@ -191,7 +273,7 @@ function DomTreePreview({
       }
     }
     return set;
-  }, [matchSet, parentById]);
+  }, [matchSet, parentById, selectedId]);
 
   if (!nodes || nodes.length === 0) {
     return <div className="text-xs text-gray-500">No nodes to preview</div>;
@@ -205,6 +287,7 @@ function DomTreePreview({
           node={r}
           indexById={indexById}
           classNameById={classNameById}
+          effectsById={effectsById}
           matchSet={matchSet}
           ancestorSet={ancestorSet}
           expandMode={expandMode}
@@ -216,119 +299,53 @@ function DomTreePreview({
   );
 }
 
-// --- ID + Node helpers ------------------------------------------------------
-function uid(prefix = "") {
-  return `${prefix}${Math.random().toString(36).slice(2, 10)}${Date.now()
-    .toString(36)
-    .slice(-4)}`;
-}
-
-function makeDomNode({
-  tag,
-  type = "DOM",
-  classes = [],
-  attributes = [],
-  text = false,
-}) {
-  const id = uid("n_");
-  return {
-    _id: id,
-    type: type,
-    tag: "div",
-    classes,
-    children: [],
-    data: { tag, attributes, slot: "", text },
-  };
-}
-
-// --- Text node helper --------------------------------------------------------
-// Webflow text nodes are standalone objects with `{ text: true, v: string }`.
-// Parent element's `children` should include the text node's `_id`.
-// Text node: Webflow expects standalone nodes with { text: true, v: "..." }
-function makeTextNode(textValue) {
-  return {
-    _id: uid("t_"),
-    text: true,
-    v: String(textValue ?? ""),
-  };
+const DELIMITER_OPTIONS = [
+  ["auto", "Auto-detect"],
+  [",", "Comma ,"],
+  [";", "Semicolon ;"],
+  ["\t", "Tab"],
+  ["|", "Pipe |"],
+];
+
+const ENCODING_OPTIONS = [
+  ["auto", "Auto (UTF-8 / BOM)"],
+  ["utf-8", "UTF-8"],
+  ["windows-1252", "Windows-1252"],
+  ["iso-8859-1", "ISO-8859-1"],
+  ["utf-16le", "UTF-16 LE"],
+];
+
+// Custom wrapper presets are kept in the browser between sessions
+const CUSTOM_PRESETS_KEY = "webflow-tables:presets";
+// Autosaved builder state and the project it was last opened from
+const SESSION_KEY = "webflow-tables:session";
+const PROJECT_ID_KEY = "webflow-tables:project";
+
+// localStorage can be disabled or full; the builder keeps working without it
+function readStorage(key) {
+  try {
+    return localStorage.getItem(key);
+  } catch {
+    return null;
+  }
 }
 
-// --- CSV parsing -------------------------------------------------------------
-// RFC4180-ish CSV parser (handles quotes, escaped quotes, commas, newlines)
-function parseCSV(input) {
-  const rows = [];
-  let row = [];
-  let field = "";
-  let i = 0;
-  let inQuotes = false;
-
-  while (i < input.length) {
-    const ch = input[i];
-    if (inQuotes) {
-      if (ch === '"') {
-        if (input[i + 1] === '"') {
-          // escaped quote
-          field += '"';
-          i += 2;
-          continue;
-        } else {
-          inQuotes = false;
-          i++;
-          continue;
-        }
-      } else {
-        field += ch;
-        i++;
-        continue;
-      }
-    } else {
-      if (ch === '"') {
-        inQuotes = true;
-        i++;
-        continue;
-      }
-      if (ch === ",") {
-        row.push(field);
-        field = "";
-        i++;
-        continue;
-      }
-      if (ch === "\n") {
-        row.push(field);
-        rows.push(row);
-        row = [];
-        field = "";
-        i++;
-        continue;
-      }
-      if (ch === "\r") {
-        // handle CRLF (\r\n)
-        i++;
-        continue;
-      }
-      field += ch;
-      i++;
-    }
+function writeStorage(key, value) {
+  try {
+    if (value == null) localStorage.removeItem(key);
+    else localStorage.setItem(key, value);
+  } catch {
+    // Quota exceeded / storage disabled
   }
-  // flush last field
-  row.push(field);
-  // flush last row if not empty (or if there was at least one comma)
-  if (row.length > 1 || row[0] !== "") rows.push(row);
-  return rows;
 }
 
-function stringifyCSV(rows) {
-  return rows
-    .map((r) =>
-      r
-        .map((cell = "") => {
-          const needsQuote = /[",\n\r]/.test(cell);
-          const escaped = String(cell).replace(/"/g, '""');
-          return needsQuote ? `"${escaped}"` : escaped;
-        })
-        .join(",")
-    )
-    .join("\n");
+function loadCustomPresets() {
+  try {
+    const raw = readStorage(CUSTOM_PRESETS_KEY);
+    return raw ? parsePresets(raw) : [];
+  } catch {
+    return [];
+  }
 }
 
 export default function WebflowTableJsonBuilder() {
@@ -337,9 +354,23 @@ export default function WebflowTableJsonBuilder() {
   const [rows, setRows] = useState(3);
   const [includeHead, setIncludeHead] = useState(true);
   const [includeFoot, setIncludeFoot] = useState(false);
+  const [headerRows, setHeaderRows] = useState(1); // leading rows → thead
+  const [footerRows, setFooterRows] = useState(1); // trailing rows → tfoot
 
-  // Section template wrapper toggle state
+  // Section template wrapper toggle state + the preset providing the chain
   const [wrapInSection, setWrapInSection] = useState(false);
+  const [presetId, setPresetId] = useState("client-first");
+  const [customPresets, setCustomPresets] = useState(loadCustomPresets);
+  const preset = useMemo(
+    () => findPreset(presetId, customPresets),
+    [presetId, customPresets]
+  );
+  useEffect(() => {
+    writeStorage(
+      CUSTOM_PRESETS_KEY,
+      JSON.stringify({ presets: customPresets })
+    );
+  }, [customPresets]);
 
   // Classes / attrs
   const [tableClass, setTableClass] = useState("");
@@ -350,13 +381,92 @@ export default function WebflowTableJsonBuilder() {
   const [rowClass, setRowClass] = useState("");
   const [useThInHead, setUseThInHead] = useState(true);
   const [addAriaRole, setAddAriaRole] = useState(true);
+  const [rowHeaders, setRowHeaders] = useState(false);
+  const [addScope, setAddScope] = useState(true);
+  const [caption, setCaption] = useState("");
+  const [summary, setSummary] = useState("");
+  const [summaryId, setSummaryId] = useState("table-summary");
+  const [tableAttributes, setTableAttributes] = useState([]);
+  const [rowAttributes, setRowAttributes] = useState([]);
+  const [cellAttributes, setCellAttributes] = useState([]);
+
+  // Style editor: per-class, per-breakpoint overrides (see lib/styles.js)
+  const [classStyles, setClassStyles] = useState({});
+  const [styleClass, setStyleClass] = useState(""); // class open in the editor
+
+  // Column / row / value class rules (see lib/class-rules.js)
+  const [classRules, setClassRules] = useState([]);
+
+  // Custom `:name:` icons on top of the built-in ones (see lib/icons.js)
+  const [icons, setIcons] = useState([]);
+  const iconMap = useMemo(() => resolveIcons(icons), [icons]);
+
+  // Typed columns (see lib/column-types.js); entries are null until edited
+  const [columnTypes, setColumnTypes] = useState([]);
+  const [locale, setLocale] = useState("en-US");
+  const [currency, setCurrency] = useState("USD");
+  const [alignNumeric, setAlignNumeric] = useState(false);
+  const [numericClass, setNumericClass] = useState("text-right");
+
+  // Small-screen behaviour (see lib/responsive.js); the preview width is
+  // only for looking at it
+  const [responsive, setResponsive] = useState("none");
+  const [stackBreakpoint, setStackBreakpoint] = useState("small");
+  const [previewWidth, setPreviewWidth] = useState(0);
+
+  // Body rows as a CMS Collection List (see lib/cms.js)
+  const [cms, setCms] = useState(false);
+  const [cmsFields, setCmsFields] = useState([]); // field slug per column
+  const [cmsEmptyText, setCmsEmptyText] = useState("No items found.");
+
+  // Sort / search / pagination script (see lib/interactivity.js)
+  const [interactive, setInteractive] = useState(false);
+  const [sortable, setSortable] = useState(true);
+  const [searchable, setSearchable] = useState(true);
+  const [pageSize, setPageSize] = useState(10);
+
+  // Sticky header / first column (see lib/sticky.js); lengths by breakpoint
+  const [stickyHeader, setStickyHeader] = useState(false);
+  const [stickyColumn, setStickyColumn] = useState(false);
+  const [stickyTop, setStickyTop] = useState({ main: "0px" });
+  const [maxHeight, setMaxHeight] = useState({});
+  const updateCmsField = (c, slug) =>
+    setCmsFields((list) =>
+      Array.from({ length: Math.max(list.length, c + 1) }, (_, i) =>
+        i === c ? slug : list[i] ?? ""
+      )
+    );
+  const updateColumnType = (c, patch) =>
+    setColumnTypes((list) =>
+      Array.from({ length: Math.max(list.length, c + 1) }, (_, i) =>
+        i === c ? { ...list[i], ...patch } : list[i] ?? null
+      )
+    );
+  const updateClassRule = (i, patch) =>
+    setClassRules((list) =>
+      list.map((rule, j) => (j === i ? { ...rule, ...patch } : rule))
+    );
+
+  // Nodes / styles kept from a table imported from Webflow (see xscp-import)
+  const [passthrough, setPassthrough] = useState(null);
+  const [webflowJsonText, setWebflowJsonText] = useState("");
 
   // CSV state
   const [csvText, setCsvText] = useState("");
   const [csvData, setCsvData] = useState(null); // 2D array or null
-  const [csvHasHeaderRow, setCsvHasHeaderRow] = useState(true);
   const [useSpanFallback, setUseSpanFallback] = useState(false); // for text nodes
 
+  // CSV dialect (delimiter, encoding, trimming…) — see DEFAULT_DIALECT
+  const [dialect, setDialect] = useState(DEFAULT_DIALECT);
+  const [csvFileBuffer, setCsvFileBuffer] = useState(null); // raw bytes of the uploaded CSV
+  const [detectedDelimiter, setDetectedDelimiter] = useState("");
+  const updateDialect = (patch) => setDialect((d) => ({ ...d, ...patch }));
+
+  // Spreadsheet state (.xlsx / .ods uploads)
+  const [workbook, setWorkbook] = useState(null);
+  const [sheetName, setSheetName] = useState("");
+  const [sheetRange, setSheetRange] = useState(""); // "" = used range
+
   const [status, setStatus] = useState("");
 
   // Tree UI state
@@ -364,30 +474,135 @@ export default function WebflowTableJsonBuilder() {
   const [expandMode, setExpandMode] = useState("auto"); // "auto" | "all" | "collapse"
   const [selectedId, setSelectedId] = useState(null);
 
-  // When CSV is present, override rows/cols from its dimensions
-  const effectiveCols = csvData
-    ? Math.max(...csvData.map((r) => r.length))
-    : cols;
-  const effectiveRows = csvData
-    ? csvHasHeaderRow
-      ? Math.max(csvData.length - 1, 0)
-      : csvData.length
-    : rows;
+  function loadSheet(wb, name, range) {
+    const data = sheetToRows(wb, name, range);
+    setCsvData(data.length ? data : null);
+    setCsvText(stringifyCSV(data));
+  }
+
+  function handleSpreadsheetFile(file) {
+    const reader = new FileReader();
+    reader.onload = async () => {
+      try {
+        const wb = await readWorkbook(reader.result);
+        const first = wb.SheetNames[0] || "";
+        setWorkbook(wb);
+        setSheetName(first);
+        setSheetRange("");
+        setCsvFileBuffer(null);
+        loadSheet(wb, first, "");
+      } catch (err) {
+        console.error(err);
+        toast.error(`Could not read ${file.name}`);
+      }
+    };
+    reader.readAsArrayBuffer(file);
+  }
+
+  function clearWorkbook() {
+    setWorkbook(null);
+    setSheetName("");
+    setSheetRange("");
+  }
 
   function handleCsvFile(file) {
+    if (isSpreadsheetFile(file)) {
+      handleSpreadsheetFile(file);
+      return;
+    }
+    clearWorkbook();
     const reader = new FileReader();
     reader.onload = () => {
-      const text = String(reader.result || "");
-      setCsvText(text);
-      const data = parseCSV(text);
+      setCsvFileBuffer(reader.result);
+      loadCsvBuffer(reader.result, dialect);
+    };
+    reader.readAsArrayBuffer(file);
+  }
+
+  function parseWithDialect(text, d = dialect) {
+    const delimiter =
+      d.delimiter === "auto" ? detectDelimiter(text, d.quote) : d.delimiter;
+    setDetectedDelimiter(d.delimiter === "auto" ? delimiter : "");
+    return parseCSV(text, { ...d, delimiter });
+  }
+
+  function loadCsvBuffer(buffer, d) {
+    const text = decodeText(buffer, d.encoding);
+    setCsvText(text.replace(/^\uFEFF/, ""));
+    const data = parseWithDialect(text, d);
+    setCsvData(data.length ? data : null);
+  }
+
+  // Re-read the uploaded file when the dialect (e.g. encoding) changes
+  useEffect(() => {
+    if (csvFileBuffer) loadCsvBuffer(csvFileBuffer, dialect);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [dialect]);
+
+  const raggedRows = useMemo(() => findRaggedRows(csvData), [csvData]);
+
+  // Paste a copied Sheets / Excel range anywhere on the page. Pastes into
+  // form fields keep their normal behaviour.
+  useEffect(() => {
+    const onPaste = (e) => {
+      const target = e.target;
+      if (
+        target instanceof HTMLElement &&
+        (target.isContentEditable ||
+          ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName))
+      ) {
+        return;
+      }
+      const webflowJson =
+        e.clipboardData?.getData("application/json") ||
+        e.clipboardData?.getData("text/plain");
+      if (
+        webflowJson?.includes("@webflow/XscpData") &&
+        importWebflowJson(webflowJson)
+      ) {
+        e.preventDefault();
+        return;
+      }
+      const data = rowsFromClipboardData(e.clipboardData);
+      if (!data) return;
+      e.preventDefault();
+      clearWorkbook();
+      setCsvFileBuffer(null);
       setCsvData(data);
+      setCsvText(stringifyCSV(data));
+      toast.success(
+        `Pasted ${data.length} rows × ${Math.max(
+          ...data.map((r) => r.length)
+        )} cols`
+      );
     };
-    reader.readAsText(file);
+    document.addEventListener("paste", onPaste);
+    return () => document.removeEventListener("paste", onPaste);
+  }, []);
+
+  // Load a table copied from Webflow back into the builder
+  function importWebflowJson(json) {
+    const result = importXscp(json);
+    if (!result) return false;
+    nextChangeLabel.current = "Import Webflow table";
+    applyOptions(result.options);
+    clearWorkbook();
+    setCsvFileBuffer(null);
+    setCsvData(result.data);
+    setCsvText(result.data ? stringifyCSV(result.data) : "");
+    setPassthrough(result.passthrough);
+    toast.success(
+      `Imported Webflow table (${result.data?.length ?? 0} rows, ${
+        result.passthrough.nodes.length
+      } preserved nodes)`
+    );
+    return true;
   }
 
   function handleCsvTextPaste() {
-    const data = parseCSV(csvText);
-    setCsvData(data);
+    setCsvFileBuffer(null);
+    const data = parseWithDialect(csvText);
+    setCsvData(data.length ? data : null);
   }
 
   async function asClipboardItem(jsonString) {
@@ -464,330 +679,300 @@ export default function WebflowTableJsonBuilder() {
     });
   }
 
+  // Every generator option; also what autosave and projects store
+  const builderOptions = useMemo(
+    () => ({
+      cols,
+      rows,
+      includeHead,
+      includeFoot,
+      wrapInSection,
+      preset,
+      tableClass,
+      theadClass,
+      tbodyClass,
+      tfootClass,
+      rowClass,
+      cellClass,
+      useThInHead,
+      addAriaRole,
+      headerRows,
+      footerRows,
+      useSpanFallback,
+      rowHeaders,
+      addScope,
+      caption,
+      summary,
+      summaryId,
+      tableAttributes,
+      rowAttributes,
+      cellAttributes,
+      classStyles,
+      classRules,
+      icons,
+      columnTypes,
+      locale,
+      currency,
+      alignNumeric,
+      numericClass,
+      responsive,
+      stackBreakpoint,
+      cms,
+      cmsFields,
+      cmsEmptyText,
+      interactive,
+      sortable,
+      searchable,
+      pageSize,
+      stickyHeader,
+      stickyColumn,
+      stickyTop,
+      maxHeight,
+      passthrough,
+    }),
+    [
+      cols,
+      rows,
+      includeHead,
+      includeFoot,
+      wrapInSection,
+      preset,
+      tableClass,
+      theadClass,
+      tbodyClass,
+      tfootClass,
+      rowClass,
+      cellClass,
+      useThInHead,
+      addAriaRole,
+      headerRows,
+      footerRows,
+      useSpanFallback,
+      rowHeaders,
+      addScope,
+      caption,
+      summary,
+      summaryId,
+      tableAttributes,
+      rowAttributes,
+      cellAttributes,
+      classStyles,
+      classRules,
+      icons,
+      columnTypes,
+      locale,
+      currency,
+      alignNumeric,
+      numericClass,
+      responsive,
+      stackBreakpoint,
+      cms,
+      cmsFields,
+      cmsEmptyText,
+      interactive,
+      sortable,
+      searchable,
+      pageSize,
+      stickyHeader,
+      stickyColumn,
+      stickyTop,
+      maxHeight,
+      passthrough,
+    ]
+  );
+
   // Build JSON & preview payload (uses CSV if provided)
-  const built = useMemo(() => {
-    const nodes = [];
-    const push = (node) => {
-      nodes.push(node);
-      return node;
-    };
+  const built = useMemo(
+    () => buildXscpTable(builderOptions, csvData),
+    [builderOptions, csvData]
+  );
 
-    // --- Tailwind → CSS mapping (very small curated map; extend as needed) ---
-    const twScaleRem = {
-      0: "0rem",
-      1: "0.25rem",
-      2: "0.5rem",
-      3: "0.75rem",
-      4: "1rem",
-      5: "1.25rem",
-      6: "1.5rem",
-      8: "2rem",
-      10: "2.5rem",
-      12: "3rem",
-      16: "4rem",
-      20: "5rem",
-      24: "6rem",
-      32: "8rem",
-    };
+  // Classes with breakpoint prefixes, which Webflow reads desktop-first
+  const breakpointClasses = useMemo(
+    () =>
+      [...new Set(built.payload.styles.map((s) => s.name))].filter(
+        breakpointPrefixOf
+      ),
+    [built]
+  );
 
-    function tokenCss(token) {
-      const m = token.match(/^(p|px|py|pt|pr|pb|pl)-(\d+)$/);
-      if (m) {
-        const dir = m[1];
-        const val = twScaleRem[m[2]];
-        if (!val) return "";
-        switch (dir) {
-          case "p":
-            return `padding: ${val};`;
-          case "px":
-            return `padding-left: ${val}; padding-right: ${val};`;
-          case "py":
-            return `padding-top: ${val}; padding-bottom: ${val};`;
-          case "pt":
-            return `padding-top: ${val};`;
-          case "pr":
-            return `padding-right: ${val};`;
-          case "pb":
-            return `padding-bottom: ${val};`;
-          case "pl":
-            return `padding-left: ${val};`;
-        }
-      }
-      if (token === "w-full") return "width: 100%;";
-      if (token === "max-w-7xl") return "max-width: 80rem;";
-      if (token === "mx-auto") return "margin-left: auto; margin-right: auto;";
-      if (token === "flex") return "display: flex;";
-      if (token === "grid") return "display: grid;";
-      if (token === "items-center") return "align-items: center;";
-      if (token === "justify-center") return "justify-content: center;";
-      const gap = token.match(/^gap-(\d+)$/);
-      if (gap) {
-        const val = twScaleRem[gap[1]];
-        if (val) return `grid-row-gap: ${val}; grid-column-gap: ${val};`;
-      }
-      if (token === "text-center") return "text-align: center;";
-      if (token === "border") return "border-style: solid; border-width: 1px;";
-      if (token === "rounded-md")
-        return "border-top-left-radius: 6px; border-top-right-radius: 6px; border-bottom-left-radius: 6px; border-bottom-right-radius: 6px;";
-      if (token === "bg-blue-500") return "background-color: #3B82F6;";
-      if (token === "border-blue-500")
-        return "border-top-color: #3B82F6; border-right-color: #3B82F6; border-bottom-color: #3B82F6; border-left-color: #3B82F6;";
-      if (token === "text-white") return "color: #fff;";
-      if (token === "transition-colors")
-        return "transition-property: border-color, background-color;";
-      if (token === "duration-200") return "transition-duration: 200ms;";
-      if (token === "ease-in-out") return "transition-timing-function: ease;";
-      return "";
-    }
+  const lintIssues = useMemo(
+    () => lintTable(built.payload, { headerRows }),
+    [built, headerRows]
+  );
 
-    function tailwindToStyleLess(className) {
-      if (!className) return "";
-      return className
-        .trim()
-        .split(/\s+/)
-        .map(tokenCss)
-        .filter(Boolean)
-        .join(" ");
+  // Builder option → state setter, for linter fixes and Webflow imports
+  const optionSetters = {
+    cols: setCols,
+    rows: setRows,
+    includeHead: setIncludeHead,
+    includeFoot: setIncludeFoot,
+    headerRows: setHeaderRows,
+    footerRows: setFooterRows,
+    wrapInSection: setWrapInSection,
+    tableClass: setTableClass,
+    theadClass: setTheadClass,
+    tbodyClass: setTbodyClass,
+    tfootClass: setTfootClass,
+    rowClass: setRowClass,
+    cellClass: setCellClass,
+    useThInHead: setUseThInHead,
+    addAriaRole: setAddAriaRole,
+    useSpanFallback: setUseSpanFallback,
+    rowHeaders: setRowHeaders,
+    addScope: setAddScope,
+    caption: setCaption,
+    summary: setSummary,
+    summaryId: setSummaryId,
+    tableAttributes: setTableAttributes,
+    rowAttributes: setRowAttributes,
+    cellAttributes: setCellAttributes,
+    classStyles: setClassStyles,
+    classRules: setClassRules,
+    icons: setIcons,
+    columnTypes: setColumnTypes,
+    locale: setLocale,
+    currency: setCurrency,
+    alignNumeric: setAlignNumeric,
+    numericClass: setNumericClass,
+    responsive: setResponsive,
+    stackBreakpoint: setStackBreakpoint,
+    cms: setCms,
+    cmsFields: setCmsFields,
+    cmsEmptyText: setCmsEmptyText,
+    interactive: setInteractive,
+    sortable: setSortable,
+    searchable: setSearchable,
+    pageSize: setPageSize,
+    stickyHeader: setStickyHeader,
+    stickyColumn: setStickyColumn,
+    stickyTop: setStickyTop,
+    maxHeight: setMaxHeight,
+    passthrough: setPassthrough,
+  };
+  function applyOptions(patch) {
+    for (const [key, value] of Object.entries(patch)) {
+      optionSetters[key]?.(value);
     }
+  }
 
-    const SECTION_PRESETS = {
-      section_table: { styleLess: "" },
-      "padding-global": { styleLess: "padding-right: 5%; padding-left: 5%;" },
-      "container-large": {
-        styleLess:
-          "width: 100%; max-width: 80rem; margin-right: auto; margin-left: auto;",
-      },
-      "padding-section-medium": {
-        styleLess: "padding-top: 5rem; padding-bottom: 5rem;",
-        variants: {
-          medium: { styleLess: "padding-top: 4rem; padding-bottom: 4rem;" },
-          small: { styleLess: "padding-top: 3rem; padding-bottom: 3rem;" },
-        },
-      },
-      table_component: { styleLess: "" },
-    };
+  // --- Autosave + projects ---------------------------------------------------
+  const snapshot = useMemo(
+    () => ({ options: builderOptions, csvData, csvText, dialect }),
+    [builderOptions, csvData, csvText, dialect]
+  );
 
-    const styles = [];
-    const styleIndex = new Map();
-
-    function ensureStyle(name) {
-      if (!name || !name.trim()) return null;
-      if (styleIndex.has(name)) return styleIndex.get(name);
-      const id = uid("cls_");
-      let styleLess = "";
-      let variants = {};
-      if (SECTION_PRESETS[name]) {
-        styleLess = SECTION_PRESETS[name].styleLess || "";
-        variants = SECTION_PRESETS[name].variants || {};
-      } else {
-        styleLess = tailwindToStyleLess(name);
-      }
-      styles.push({
-        _id: id,
-        fake: false,
-        type: "class",
-        name,
-        namespace: "",
-        comb: "",
-        styleLess,
-        variants,
-        children: [],
-        createdBy: null,
-        origin: null,
-        selector: null,
-      });
-      styleIndex.set(name, id);
-      return id;
-    }
+  // Bumped whenever a snapshot is restored without becoming a history step
+  const [restoreSeq, setRestoreSeq] = useState(0);
 
-    function classIds(list) {
-      const names = (list || []).flatMap((n) =>
-        n ? String(n).trim().split(/\s+/) : []
+  // Load a saved snapshot (session or project); missing options get defaults.
+  // Undo/redo pass `fromHistory` so the restore isn't recorded as a new step
+  // and a loaded workbook stays selectable.
+  function restoreSnapshot(state, { fromHistory = false } = {}) {
+    const { preset: savedPreset, ...options } = {
+      ...DEFAULT_OPTIONS,
+      ...(state?.options || {}),
+    };
+    applyOptions(options);
+    if (savedPreset && typeof savedPreset === "object") {
+      // Custom presets travel with the project
+      setCustomPresets((list) =>
+        findPreset(savedPreset.id, list).id === savedPreset.id
+          ? list
+          : [...list, savedPreset]
       );
-      return names
-        .filter(Boolean)
-        .map((n) => ensureStyle(n))
-        .filter(Boolean);
+      setPresetId(savedPreset.id);
+    } else {
+      setPresetId(savedPreset || DEFAULT_OPTIONS.preset);
     }
+    if (fromHistory) setRestoreSeq((n) => n + 1);
+    else clearWorkbook();
+    setCsvFileBuffer(null);
+    setDialect({ ...DEFAULT_DIALECT, ...(state?.dialect || {}) });
+    setCsvData(state?.csvData ?? null);
+    setCsvText(state?.csvText ?? "");
+    setSelectedId(null);
+  }
 
-    const tableAttrs = [];
-    if (addAriaRole) tableAttrs.push({ name: "role", value: "table" });
-
-    const table = push(
-      makeDomNode({
-        tag: "table",
-        classes: classIds(tableClass ? [tableClass] : []),
-        attributes: tableAttrs,
-      })
-    );
-
-    const makeRow = (sectionTag, rIndex) => {
-      const tr = push(
-        makeDomNode({
-          tag: "tr",
-          classes: classIds(rowClass ? [rowClass] : []),
-        })
-      );
-      const cellTag = sectionTag === "thead" && useThInHead ? "th" : "td";
-      const sourceRow = csvData
-        ? csvHasHeaderRow && sectionTag === "tbody"
-          ? csvData[rIndex + 1]
-          : csvData[rIndex]
-        : null;
-
-      const cellCount = csvData ? effectiveCols : cols;
-
-      for (let c = 0; c < cellCount; c++) {
-        const cell = push(
-          makeDomNode({
-            tag: cellTag,
-            classes: classIds(cellClass ? [cellClass] : []),
-          })
-        );
-
-        let textValue = "";
-        if (csvData && sourceRow) {
-          textValue = sourceRow[c] ?? "";
-        }
-
-        if (csvData) {
-          if (useSpanFallback) {
-            const span = push(makeDomNode({ tag: "span" }));
-            const tn = push(makeTextNode(textValue));
-            span.children.push(tn._id);
-            cell.children.push(span._id);
-          } else {
-            const tn = push(makeTextNode(textValue));
-            cell.children.push(tn._id);
-          }
-        }
-
-        tr.children.push(cell._id);
-      }
-      return tr;
-    };
+  const [projectId, setProjectId] = useState(() => readStorage(PROJECT_ID_KEY));
+  useEffect(() => writeStorage(PROJECT_ID_KEY, projectId), [projectId]);
 
-    let thead = null;
-    if (includeHead) {
-      thead = push(
-        makeDomNode({
-          tag: "thead",
-          classes: classIds(theadClass ? [theadClass] : []),
-        })
-      );
-      const tr = makeRow("thead", 0);
-      thead.children.push(tr._id);
+  // Restore the last session once, then autosave (debounced) on every change
+  const sessionRestored = useRef(false);
+  useEffect(() => {
+    try {
+      const raw = readStorage(SESSION_KEY);
+      if (raw) restoreSnapshot(JSON.parse(raw), { fromHistory: true });
+    } catch (err) {
+      console.error(err);
     }
-
-    const tbody = push(
-      makeDomNode({
-        tag: "tbody",
-        classes: classIds(tbodyClass ? [tbodyClass] : []),
-      })
+    sessionRestored.current = true;
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+  useEffect(() => {
+    if (!sessionRestored.current) return;
+    const timer = setTimeout(
+      () => writeStorage(SESSION_KEY, JSON.stringify(snapshot)),
+      500
     );
-    const bodyRowCount = csvData ? effectiveRows : rows;
-    for (let r = 0; r < bodyRowCount; r++) {
-      const tr = makeRow("tbody", r);
-      tbody.children.push(tr._id);
-    }
-
-    let tfoot = null;
-    if (includeFoot) {
-      tfoot = push(
-        makeDomNode({
-          tag: "tfoot",
-          classes: classIds(tfootClass ? [tfootClass] : []),
-        })
-      );
-      const tr = makeRow("tfoot", 0);
-      tfoot.children.push(tr._id);
+    return () => clearTimeout(timer);
+  }, [snapshot]);
+
+  // --- Undo / redo -------------------------------------------------------------
+  // Every snapshot change becomes a step, described by diffing it against the
+  // previous snapshot (see lib/history.js).
+  const [history, setHistory] = useState({ past: [], future: [] });
+  const historyBase = useRef(null); // snapshot the next change is diffed against
+  const historySeq = useRef(restoreSeq);
+  const nextChangeLabel = useRef(null); // overrides the generated description
+  useEffect(() => {
+    const before = historyBase.current;
+    historyBase.current = snapshot;
+    if (!before || historySeq.current !== restoreSeq) {
+      historySeq.current = restoreSeq;
+      return;
     }
-
-    if (thead) table.children.push(thead._id);
-    table.children.push(tbody._id);
-    if (tfoot) table.children.push(tfoot._id);
-
-    if (wrapInSection) {
-      const outer = push(
-        makeDomNode({
-          tag: "div",
-          type: "div",
-          classes: classIds(["section_table"]),
-        })
-      );
-      const padGlobal = push(
-        makeDomNode({
-          tag: "div",
-          type: "div",
-          classes: classIds(["padding-global"]),
-        })
-      );
-      const container = push(
-        makeDomNode({
-          tag: "div",
-          type: "div",
-          classes: classIds(["container-large"]),
-        })
-      );
-      const padSection = push(
-        makeDomNode({
-          tag: "div",
-          type: "div",
-          classes: classIds(["padding-section-medium"]),
-        })
-      );
-      const tableWrapper = push(
-        makeDomNode({ tag: "div", classes: classIds(["table_component"]) })
-      );
-
-      outer.children.push(padGlobal._id);
-      padGlobal.children.push(container._id);
-      container.children.push(padSection._id);
-      padSection.children.push(tableWrapper._id);
-      tableWrapper.children.push(table._id);
+    let change = describeChange(before, snapshot);
+    if (!change) return;
+    if (nextChangeLabel.current) {
+      change = { label: nextChangeLabel.current, key: null };
+      nextChangeLabel.current = null;
     }
+    setHistory((h) => recordChange(h, before, change));
+  }, [snapshot, restoreSeq]);
+
+  const lastUndo = history.past[history.past.length - 1];
+  const nextRedo = history.future[0];
+  function jump(step) {
+    if (!step) return;
+    setHistory(step.history);
+    restoreSnapshot(step.state, { fromHistory: true });
+  }
+  const undo = () => jump(undoChange(history, snapshot));
+  const redo = () => jump(redoChange(history, snapshot));
+  function openSnapshot(state, label) {
+    nextChangeLabel.current = label;
+    restoreSnapshot(state);
+  }
 
-    const payload = {
-      nodes,
-      styles,
-      assets: [],
-      ix1: [],
-      ix2: { interactions: [], events: [], actionLists: [] },
-    };
-    const meta = {
-      droppedLinks: 0,
-      dynBindRemovedCount: 0,
-      dynListBindRemovedCount: 0,
-      paginationRemovedCount: 0,
-      universalBindingsRemovedCount: 0,
-      unlinkedSymbolCount: 0,
-      KbdComponentsRemovedCount: 0,
+  // Ctrl/Cmd+Z undoes, Shift+Ctrl/Cmd+Z (or Ctrl+Y) redoes, in the preview's
+  // cells too. Settings fields keep their own text undo.
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (!(e.metaKey || e.ctrlKey) || e.altKey) return;
+      if (hasNativeUndo(e.target)) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        redo();
+      }
     };
-
-    const json = JSON.stringify(
-      { type: "@webflow/XscpData", payload, meta },
-      null,
-      2
-    );
-    return { payload, meta, json };
-  }, [
-    cols,
-    rows,
-    includeHead,
-    includeFoot,
-    tableClass,
-    theadClass,
-    tbodyClass,
-    tfootClass,
-    cellClass,
-    useThInHead,
-    addAriaRole,
-    csvData,
-    csvHasHeaderRow,
-    useSpanFallback,
-    wrapInSection,
-    rowClass,
-  ]);
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  });
 
   const handleCopy = async () => {
     try {
@@ -820,16 +1005,84 @@ export default function WebflowTableJsonBuilder() {
       <div className="max-w-5xl mx-auto grid gap-6">
         <header className="flex items-center justify-between gap-3 flex-wrap">
           <h1 className="text-2xl font-semibold">Webflow Table JSON Builder</h1>
-          <CopyButton />
+          <div className="flex items-center gap-3">
+            <span className="text-xs text-gray-500" aria-live="polite">
+              {lastUndo ? `Last: ${lastUndo.label}` : ""}
+            </span>
+            <ButtonGroup>
+              <Button
+                variant="outline"
+                size="icon"
+                onClick={undo}
+                disabled={!lastUndo}
+                aria-label={lastUndo ? `Undo ${lastUndo.label}` : "Undo"}
+                title={lastUndo ? `Undo ${lastUndo.label} (Ctrl+Z)` : "Undo"}
+              >
+                <Undo2Icon />
+              </Button>
+              <Button
+                variant="outline"
+                size="icon"
+                onClick={redo}
+                disabled={!nextRedo}
+                aria-label={nextRedo ? `Redo ${nextRedo.label}` : "Redo"}
+                title={
+                  nextRedo ? `Redo ${nextRedo.label} (Shift+Ctrl+Z)` : "Redo"
+                }
+              >
+                <Redo2Icon />
+              </Button>
+            </ButtonGroup>
+            <ExportMenu
+              render={(format) =>
+                exportTable(format, {
+                  built,
+                  data: csvData,
+                  options: builderOptions,
+                })
+              }
+            />
+            <CopyButton />
+          </div>
         </header>
       </div>
       <section className="my-6 max-w-5xl mx-auto">
         <Card className="space-y-4 p-4 bg-white rounded-2xl shadow-sm break-inside-avoid">
-          <CardTitle className="text-lg font-medium">Table Output</CardTitle>
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <CardTitle className="text-lg font-medium">Table Output</CardTitle>
+            <select
+              aria-label="Preview width"
+              value={previewWidth}
+              onChange={(e) => setPreviewWidth(Number(e.target.value))}
+              className="h-9 px-3 rounded-md border border-input bg-transparent text-sm shadow-sm"
+            >
+              {PREVIEW_WIDTHS.map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
           <TablePreview
             json={built.json}
             editable
-            hasHeader={csvHasHeaderRow}
+            hasHeader={includeHead && headerRows > 0}
+            caption={caption}
+            icons={iconMap}
+            sourceRows={csvData}
+            columnFormats={built.columns}
+            onColumnTypeChange={(c, type) => updateColumnType(c, { type })}
+            responsive={responsive}
+            stackBreakpoint={stackBreakpoint}
+            previewWidth={previewWidth || null}
+            sortable={interactive && !cms && sortable}
+            searchable={interactive && !cms && searchable}
+            pageSize={interactive && !cms ? pageSize : 0}
+            locale={locale}
+            stickyHeader={stickyHeader && !cms && responsive !== "stack"}
+            stickyColumn={stickyColumn && !cms && responsive !== "stack"}
+            stickyTop={stickyTop}
+            maxHeight={cms || responsive === "stack" ? {} : maxHeight}
             onEdit={(rows) => {
               setCsvData(rows);
               setCsvText(stringifyCSV(rows));
@@ -840,11 +1093,22 @@ export default function WebflowTableJsonBuilder() {
       <div className="max-w-5xl mx-auto grid gap-6">
         <main className="columns-1 md:columns-2 gap-6">
           <section className="grid gap-6">
+            <Card className="space-y-4 p-4 bg-white rounded-2xl shadow-sm break-inside-avoid">
+              <CardTitle className="text-lg font-medium">Projects</CardTitle>
+              <ProjectList
+                snapshot={snapshot}
+                onOpen={(state) => openSnapshot(state, "Open project")}
+                currentId={projectId}
+                onCurrentIdChange={setProjectId}
+              />
+            </Card>
             <Card className="space-y-4 p-4 bg-white rounded-2xl shadow-sm break-inside-avoid">
               <CardTitle className="text-lg font-medium">How to use</CardTitle>
               <ol className="list-decimal ml-5 space-y-1 mt-2 text-sm text-gray-700">
                 <li>
-                  Upload or paste your CSV. Optionally mark first row as header.
+                  Upload or paste your CSV, or paste a range copied from Google
+                  Sheets / Excel anywhere on the page. Set how many leading /
+                  trailing rows go into the head and foot.
                 </li>
                 <li>
                   Toggle the <Kbd>span</Kbd> fallback if your project ignores
@@ -906,6 +1170,40 @@ export default function WebflowTableJsonBuilder() {
                     className="px-3 py-2 rounded-xl border"
                   />
                 </Field>
+                <Field className="grid gap-1">
+                  <FieldLabel className="text-sm text-gray-600">
+                    Header rows
+                  </FieldLabel>
+                  <Input
+                    type="number"
+                    min={0}
+                    max={20}
+                    value={headerRows}
+                    disabled={!includeHead}
+                    title="Leading rows placed in <thead>"
+                    onChange={(e) =>
+                      setHeaderRows(parseInt(e.target.value || "0", 10))
+                    }
+                    className="px-3 py-2 rounded-xl border"
+                  />
+                </Field>
+                <Field className="grid gap-1">
+                  <FieldLabel className="text-sm text-gray-600">
+                    Footer rows
+                  </FieldLabel>
+                  <Input
+                    type="number"
+                    min={0}
+                    max={20}
+                    value={footerRows}
+                    disabled={!includeFoot}
+                    title="Trailing rows placed in <tfoot>"
+                    onChange={(e) =>
+                      setFooterRows(parseInt(e.target.value || "0", 10))
+                    }
+                    className="px-3 py-2 rounded-xl border"
+                  />
+                </Field>
               </FieldGroup>
               <FieldSeparator />
               <FieldGroup className="flex gap-3 flex-wrap">
@@ -935,12 +1233,15 @@ export default function WebflowTableJsonBuilder() {
                           checked={wrapInSection}
                           onCheckedChange={setWrapInSection}
                         />{" "}
-                        <FieldLabel>Wrap in section template</FieldLabel>
+                        <FieldLabel>
+                          Wrap in section template ({preset.name || preset.id})
+                        </FieldLabel>
                         <TooltipTrigger asChild>
                           <InfoIcon className="opacity-50 cursor-pointer inline-block size-4 ml-1" />
                         </TooltipTrigger>
                         <TooltipContent>
-                          Wraps the table in a client-first section structure
+                          Wraps the table in the wrapper chain of the preset
+                          chosen under Wrapper presets
                         </TooltipContent>
                       </Field>
                     </Tooltip>
@@ -968,8 +1269,37 @@ export default function WebflowTableJsonBuilder() {
                       Add <Kbd>role="table"</Kbd>
                     </FieldLabel>
                   </Field>
+                  <Field orientation={"horizontal"}>
+                    <Switch
+                      checked={rowHeaders}
+                      onCheckedChange={setRowHeaders}
+                    />{" "}
+                    <FieldLabel>
+                      First column as <Kbd>th scope="row"</Kbd>
+                    </FieldLabel>
+                  </Field>
+                  <Field orientation={"horizontal"}>
+                    <Switch checked={addScope} onCheckedChange={setAddScope} />{" "}
+                    <FieldLabel>
+                      Add <Kbd>scope</Kbd> to header cells
+                    </FieldLabel>
+                  </Field>
                 </div>
               </FieldGroup>
+              <div className="grid gap-3">
+                <Input
+                  placeholder="caption (e.g. Pricing plans compared)"
+                  value={caption}
+                  onChange={(e) => setCaption(e.target.value)}
+                  className="px-3 py-2 rounded-xl border"
+                />
+                <Textarea
+                  placeholder="summary for aria-describedby (optional)"
+                  value={summary}
+                  onChange={(e) => setSummary(e.target.value)}
+                  className="w-full h-16 text-sm p-3 rounded-xl border"
+                />
+              </div>
               <FieldSeparator />
               <CardTitle className="text-lg font-medium mt-2">
                 Classes (optional)
@@ -1015,7 +1345,483 @@ export default function WebflowTableJsonBuilder() {
                     className="px-3 py-2 rounded-xl border"
                   />
                 </div>
+                <p className="text-xs text-gray-500">
+                  Tailwind utilities become Webflow styles. <Kbd>md:</Kbd>{" "}
+                  <Kbd>sm:</Kbd> <Kbd>xs:</Kbd> target the tablet, landscape and
+                  portrait breakpoints; <Kbd>hover:</Kbd> and other states
+                  become state variants. Prefix a class with <Kbd>&amp;</Kbd> to
+                  make it a combo class on the first one (e.g.{" "}
+                  <code>cell &amp;is-compact</code>).
+                </p>
+                <div className="grid gap-2">
+                  <div className="flex items-center justify-between">
+                    <FieldLabel>Class rules</FieldLabel>
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() =>
+                        setClassRules((list) => [
+                          ...list,
+                          {
+                            target: "column",
+                            column: 1,
+                            value: "",
+                            className: "",
+                            combo: true,
+                          },
+                        ])
+                      }
+                    >
+                      Add rule
+                    </Button>
+                  </div>
+                  {classRules.length === 0 && (
+                    <p className="text-xs text-gray-500">
+                      Add classes to one column, odd/even or first/last body
+                      rows, cells matching a value (<code>/regex/</code>{" "}
+                      allowed), or a single row or cell.
+                    </p>
+                  )}
+                  {classRules.map((rule, i) => (
+                    <div key={i} className="flex flex-wrap items-center gap-2">
+                      <select
+                        aria-label="Rule target"
+                        value={rule.target}
+                        onChange={(e) =>
+                          updateClassRule(i, { target: e.target.value })
+                        }
+                        className="h-9 px-3 rounded-md border border-input bg-transparent text-sm shadow-sm"
+                      >
+                        {CLASS_RULE_TARGETS.map(([value, label]) => (
+                          <option key={value} value={value}>
+                            {label}
+                          </option>
+                        ))}
+                      </select>
+                      {(rule.target === "row" || rule.target === "cell") && (
+                        <>
+                          <select
+                            aria-label="Section"
+                            value={rule.section || "tbody"}
+                            onChange={(e) =>
+                              updateClassRule(i, { section: e.target.value })
+                            }
+                            className="h-9 px-3 rounded-md border border-input bg-transparent text-sm shadow-sm"
+                          >
+                            {CLASS_RULE_SECTIONS.map(([value, label]) => (
+                              <option key={value} value={value}>
+                                {label}
+                              </option>
+                            ))}
+                          </select>
+                          <Input
+                            type="number"
+                            min={1}
+                            aria-label="Row"
+                            value={rule.row || 1}
+                            onChange={(e) =>
+                              updateClassRule(i, {
+                                row: Math.max(1, Number(e.target.value) || 1),
+                              })
+                            }
+                            className="w-20"
+                          />
+                        </>
+                      )}
+                      {(rule.target === "column" || rule.target === "cell") && (
+                        <Input
+                          type="number"
+                          min={1}
+                          aria-label="Column"
+                          value={rule.column || 1}
+                          onChange={(e) =>
+                            updateClassRule(i, {
+                              column: Math.max(1, Number(e.target.value) || 1),
+                            })
+                          }
+                          className="w-20"
+                        />
+                      )}
+                      {rule.target === "match" && (
+                        <Input
+                          aria-label="Cell value"
+                          placeholder="value or /regex/"
+                          value={rule.value}
+                          onChange={(e) =>
+                            updateClassRule(i, { value: e.target.value })
+                          }
+                          className="w-36"
+                        />
+                      )}
+                      <Input
+                        aria-label="Class"
+                        placeholder="class"
+                        value={rule.className}
+                        onChange={(e) =>
+                          updateClassRule(i, { className: e.target.value })
+                        }
+                        className="flex-1 min-w-24"
+                      />
+                      <label className="flex items-center gap-1 text-xs">
+                        <Switch
+                          checked={rule.combo}
+                          onCheckedChange={(v) =>
+                            updateClassRule(i, { combo: v })
+                          }
+                        />
+                        Combo
+                      </label>
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        aria-label="Remove rule"
+                        onClick={() =>
+                          setClassRules((list) =>
+                            list.filter((_, j) => j !== i)
+                          )
+                        }
+                      >
+                        <XIcon />
+                      </Button>
+                    </div>
+                  ))}
+                </div>
+                {built.untranslated.length > 0 && (
+                  <div className="rounded-xl border border-amber-200 bg-amber-50 p-3 text-xs text-amber-800">
+                    <div className="font-medium mb-1">
+                      No CSS generated for {built.untranslated.length}{" "}
+                      {built.untranslated.length === 1 ? "class" : "classes"} —
+                      they are added empty, style them in Webflow
+                    </div>
+                    <div className="flex flex-wrap gap-1">
+                      {built.untranslated.map((name) => (
+                        <Kbd key={name}>{name}</Kbd>
+                      ))}
+                    </div>
+                  </div>
+                )}
+                {breakpointClasses.length > 0 && (
+                  <div className="rounded-xl border border-amber-200 bg-amber-50 p-3 text-xs text-amber-800">
+                    <div className="font-medium mb-1">
+                      Breakpoint prefixes are desktop-first here
+                    </div>
+                    <p className="mb-1">
+                      Webflow styles cascade down from desktop, so{" "}
+                      <code>md:</code> applies at Medium (≤991px) and smaller —
+                      the opposite of Tailwind, where <code>md:</code> means
+                      768px and wider. <code>sm:</code> is ≤767px,{" "}
+                      <code>xs:</code> ≤478px, <code>lg:</code> the base style
+                      and <code>xl:</code> / <code>2xl:</code> /{" "}
+                      <code>3xl:</code> apply from 1280 / 1440 / 1920px up.
+                    </p>
+                    <div className="flex flex-wrap gap-1">
+                      {breakpointClasses.map((name) => (
+                        <Kbd key={name}>{name}</Kbd>
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </div>
+            </Card>
+            <Card className="space-y-4 p-4 bg-white rounded-2xl shadow-sm break-inside-avoid">
+              <CardTitle className="text-lg font-medium">
+                Class styles
+              </CardTitle>
+              <p className="text-sm text-gray-600">
+                Set CSS per class and breakpoint. Values are written to the
+                class&rsquo;s Webflow style on top of any Tailwind translation.
+              </p>
+              <StyleEditor
+                styles={built.payload.styles}
+                value={classStyles}
+                onChange={setClassStyles}
+                selectedClass={styleClass}
+                onSelectClass={setStyleClass}
+              />
+            </Card>
+            <Card className="space-y-4 p-4 bg-white rounded-2xl shadow-sm break-inside-avoid">
+              <CardTitle className="text-lg font-medium">
+                Icons &amp; images
+              </CardTitle>
+              <IconMap value={icons} onChange={setIcons} />
+            </Card>
+            <Card className="space-y-4 p-4 bg-white rounded-2xl shadow-sm break-inside-avoid">
+              <CardTitle className="text-lg font-medium">Responsive</CardTitle>
+              <FieldGroup className="grid grid-cols-2 gap-3">
+                <Field className="grid gap-1">
+                  <FieldLabel className="text-sm text-gray-600">
+                    Responsive mode
+                  </FieldLabel>
+                  <select
+                    value={responsive}
+                    onChange={(e) => setResponsive(e.target.value)}
+                    className="h-9 px-3 rounded-md border border-input bg-transparent text-sm shadow-sm"
+                  >
+                    {RESPONSIVE_MODES.map(([value, label]) => (
+                      <option key={value} value={value}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                </Field>
+                {responsive === "stack" && (
+                  <Field className="grid gap-1">
+                    <FieldLabel className="text-sm text-gray-600">
+                      Stack from
+                    </FieldLabel>
+                    <select
+                      value={stackBreakpoint}
+                      onChange={(e) => setStackBreakpoint(e.target.value)}
+                      className="h-9 px-3 rounded-md border border-input bg-transparent text-sm shadow-sm"
+                    >
+                      {BREAKPOINTS.filter(([key]) => key !== "main").map(
+                        ([key, label]) => (
+                          <option key={key} value={key}>
+                            {label}
+                          </option>
+                        )
+                      )}
+                    </select>
+                  </Field>
+                )}
+              </FieldGroup>
+              <p className="text-xs text-gray-500">
+                {responsive === "scroll"
+                  ? `The table goes inside a ${RESPONSIVE_CLASSES.scroll} div that scrolls sideways when it doesn't fit.`
+                  : responsive === "stack"
+                  ? "Below the breakpoint every row becomes a card and each cell shows its column header (data-label), via a small embedded stylesheet."
+                  : responsive === "pin"
+                  ? `Scrolls sideways with the first column (${RESPONSIVE_CLASSES.pin}) pinned to the left edge.`
+                  : "The table is pasted as is; wide tables overflow on small screens."}{" "}
+                Use the preview width above the table to check it.
+              </p>
+            </Card>
+            <Card className="space-y-4 p-4 bg-white rounded-2xl shadow-sm break-inside-avoid">
+              <CardTitle className="text-lg font-medium">
+                Sticky header &amp; column
+              </CardTitle>
+              <Field orientation={"horizontal"}>
+                <Switch
+                  checked={stickyHeader}
+                  onCheckedChange={setStickyHeader}
+                />{" "}
+                <FieldLabel>Sticky header</FieldLabel>
+              </Field>
+              <Field orientation={"horizontal"}>
+                <Switch
+                  checked={stickyColumn}
+                  onCheckedChange={setStickyColumn}
+                />{" "}
+                <FieldLabel>Sticky first column</FieldLabel>
+              </Field>
+              <div className="grid grid-cols-[1fr_6rem_6rem] items-center gap-2 text-sm">
+                <span />
+                <span className="text-xs text-gray-600">Header offset</span>
+                <span className="text-xs text-gray-600">Max height</span>
+                {BREAKPOINTS.map(([key, label]) => (
+                  <React.Fragment key={key}>
+                    <span className="truncate text-gray-600" title={label}>
+                      {label}
+                    </span>
+                    <Input
+                      aria-label={`Header offset, ${label}`}
+                      value={stickyTop[key] ?? ""}
+                      placeholder={key === "main" ? "0px" : "inherit"}
+                      disabled={!stickyHeader}
+                      onChange={(e) =>
+                        setStickyTop({ ...stickyTop, [key]: e.target.value })
+                      }
+                    />
+                    <Input
+                      aria-label={`Max height, ${label}`}
+                      value={maxHeight[key] ?? ""}
+                      placeholder={key === "main" ? "none" : "inherit"}
+                      onChange={(e) =>
+                        setMaxHeight({ ...maxHeight, [key]: e.target.value })
+                      }
+                    />
+                  </React.Fragment>
+                ))}
               </div>
+              <p className="text-xs text-gray-500">
+                Generates real classes ({STICKY_CLASSES.head},{" "}
+                {STICKY_CLASSES.column}, {STICKY_CLASSES.wrap}) with the values
+                per breakpoint. A max height puts the table in a scrolling
+                wrapper, and the header then sticks to its top; the offset is
+                for a fixed navbar when the page scrolls instead. Not for
+                stacked cards or CMS tables.
+              </p>
+            </Card>
+            <Card className="space-y-4 p-4 bg-white rounded-2xl shadow-sm break-inside-avoid">
+              <CardTitle className="text-lg font-medium">
+                Interactivity
+              </CardTitle>
+              <Field orientation={"horizontal"}>
+                <Switch
+                  checked={interactive}
+                  onCheckedChange={setInteractive}
+                />{" "}
+                <FieldLabel>Add a sort / search / pagination script</FieldLabel>
+              </Field>
+              {interactive && (
+                <>
+                  <Field orientation={"horizontal"}>
+                    <Switch checked={sortable} onCheckedChange={setSortable} />{" "}
+                    <FieldLabel>Click headers to sort</FieldLabel>
+                  </Field>
+                  <Field orientation={"horizontal"}>
+                    <Switch
+                      checked={searchable}
+                      onCheckedChange={setSearchable}
+                    />{" "}
+                    <FieldLabel>Search box</FieldLabel>
+                  </Field>
+                  <Field className="grid gap-1">
+                    <FieldLabel className="text-sm text-gray-600">
+                      Rows per page (0 = all)
+                    </FieldLabel>
+                    <Input
+                      type="number"
+                      min={0}
+                      value={pageSize}
+                      onChange={(e) =>
+                        setPageSize(Math.max(0, Number(e.target.value) || 0))
+                      }
+                    />
+                  </Field>
+                </>
+              )}
+              <p className="text-xs text-gray-500">
+                Adds data attributes to the table and an Embed with a small
+                script (no libraries) that runs on the published site. Sorting
+                sets <code>aria-sort</code> and is skipped when body cells are
+                merged vertically. Try it in the preview with &ldquo;Try
+                interactivity&rdquo;.{cms && " Not available for CMS tables."}
+              </p>
+            </Card>
+            <Card className="space-y-4 p-4 bg-white rounded-2xl shadow-sm break-inside-avoid">
+              <CardTitle className="text-lg font-medium">
+                CMS collection list
+              </CardTitle>
+              <Field orientation={"horizontal"}>
+                <Switch checked={cms} onCheckedChange={setCms} />{" "}
+                <FieldLabel>Body rows from a Collection List</FieldLabel>
+              </Field>
+              {cms && (
+                <>
+                  <div className="space-y-2">
+                    {built.fields.map((slug, c) => (
+                      <div key={c} className="flex items-center gap-2 text-sm">
+                        <span className="w-32 truncate">
+                          <code className="text-gray-500">
+                            {columnLabel(c)}
+                          </code>{" "}
+                          {csvData && includeHead && headerRows > 0
+                            ? csvData[0][c]
+                            : ""}
+                        </span>
+                        <Input
+                          aria-label={`Field slug for column ${columnLabel(c)}`}
+                          value={cmsFields[c] ?? ""}
+                          placeholder={slug}
+                          onChange={(e) => updateCmsField(c, e.target.value)}
+                          className="flex-1 font-mono"
+                        />
+                      </div>
+                    ))}
+                  </div>
+                  <Field className="grid gap-1">
+                    <FieldLabel className="text-sm text-gray-600">
+                      Empty state text
+                    </FieldLabel>
+                    <Input
+                      value={cmsEmptyText}
+                      onChange={(e) => setCmsEmptyText(e.target.value)}
+                    />
+                  </Field>
+                </>
+              )}
+              <p className="text-xs text-gray-500">
+                The header stays static and the body becomes a Collection List
+                whose item is the row template (a div grid with table roles).
+                After pasting, pick the collection on the list and bind each
+                cell to the field in its <code>data-field</code>. Export → CMS
+                CSV writes the rows for Webflow&apos;s CMS import. Responsive
+                modes don&apos;t apply.
+              </p>
+            </Card>
+            <Card className="space-y-4 p-4 bg-white rounded-2xl shadow-sm break-inside-avoid">
+              <CardTitle className="text-lg font-medium">
+                Column types
+              </CardTitle>
+              <FieldGroup className="grid grid-cols-2 gap-3">
+                <Field className="grid gap-1">
+                  <FieldLabel className="text-sm text-gray-600">
+                    Locale
+                  </FieldLabel>
+                  <Input
+                    value={locale}
+                    placeholder="en-US"
+                    onChange={(e) => setLocale(e.target.value)}
+                  />
+                </Field>
+                <Field className="grid gap-1">
+                  <FieldLabel className="text-sm text-gray-600">
+                    Default currency
+                  </FieldLabel>
+                  <Input
+                    value={currency}
+                    placeholder="USD"
+                    maxLength={3}
+                    onChange={(e) => setCurrency(e.target.value.toUpperCase())}
+                  />
+                </Field>
+              </FieldGroup>
+              <FieldGroup className="flex gap-3 flex-wrap">
+                <div className="flex items-center gap-y-4 gap-x-8 flex-wrap *:w-auto *:flex-shrink-0">
+                  <Field orientation={"horizontal"}>
+                    <Switch
+                      checked={alignNumeric}
+                      onCheckedChange={setAlignNumeric}
+                    />{" "}
+                    <FieldLabel>Right-align numeric columns</FieldLabel>
+                  </Field>
+                  {alignNumeric && (
+                    <Input
+                      aria-label="Numeric cell class"
+                      value={numericClass}
+                      placeholder="text-right"
+                      onChange={(e) => setNumericClass(e.target.value)}
+                      className="w-40 font-mono"
+                    />
+                  )}
+                </div>
+              </FieldGroup>
+              <ColumnTypesEditor
+                value={columnTypes}
+                formats={built.columns}
+                headers={
+                  csvData && includeHead && headerRows > 0 ? csvData[0] : []
+                }
+                onChange={updateColumnType}
+              />
+            </Card>
+            <Card className="space-y-4 p-4 bg-white rounded-2xl shadow-sm break-inside-avoid">
+              <CardTitle className="text-lg font-medium">
+                Wrapper presets
+              </CardTitle>
+              <p className="text-sm text-gray-600">
+                The wrapper chain, class names and CSS used by{" "}
+                <strong>Wrap in section template</strong>. Custom presets are
+                saved in this browser and can be shared as JSON.
+              </p>
+              <PresetLibrary
+                custom={customPresets}
+                onChangeCustom={setCustomPresets}
+                selectedId={preset.id}
+                onSelect={setPresetId}
+                onApplyClasses={(classes) => applyOptions(classes)}
+              />
             </Card>
           </section>
 
@@ -1103,12 +1909,40 @@ export default function WebflowTableJsonBuilder() {
                             <ul className="ml-4 list-disc">
                               {classes.map((cid) => {
                                 const s = findStyle(cid);
+                                const variants = Object.entries(
+                                  s?.variants || {}
+                                );
                                 return (
                                   <li key={cid}>
                                     <code>{s?.name || "(unknown)"}</code>
                                     <span className="ml-2 text-xs text-gray-500">
                                       [{cid}]
                                     </span>
+                                    {s && (
+                                      <button
+                                        type="button"
+                                        className="ml-2 text-xs text-blue-600 hover:underline"
+                                        onClick={() => setStyleClass(s.name)}
+                                      >
+                                        Edit style
+                                      </button>
+                                    )}
+                                    {s?.styleLess && (
+                                      <code className="block text-xs text-gray-600">
+                                        {s.styleLess}
+                                      </code>
+                                    )}
+                                    {variants.map(([key, v]) => (
+                                      <code
+                                        key={key}
+                                        className="block text-xs text-gray-600"
+                                      >
+                                        <span className="text-violet-600">
+                                          @{key}
+                                        </span>{" "}
+                                        {v.styleLess}
+                                      </code>
+                                    ))}
                                   </li>
                                 );
                               })}
@@ -1150,6 +1984,53 @@ export default function WebflowTableJsonBuilder() {
                   })()}
                 </div>
               </div>
+              {/* Accessibility check */}
+              <div className="rounded-xl border bg-white p-3 text-sm">
+                <div className="font-medium mb-2">
+                  Accessibility check{" "}
+                  <span className="text-xs text-gray-500">
+                    ({lintIssues.length}{" "}
+                    {lintIssues.length === 1 ? "issue" : "issues"})
+                  </span>
+                </div>
+                {lintIssues.length === 0 ? (
+                  <div className="text-xs text-gray-500">No issues found</div>
+                ) : (
+                  <ul className="space-y-1 max-h-48 overflow-auto">
+                    {lintIssues.map((issue, i) => (
+                      <li
+                        key={`${issue.id}-${issue.nodeId}-${i}`}
+                        className="flex items-start gap-2 text-xs"
+                      >
+                        <span
+                          className={
+                            issue.severity === "error"
+                              ? "mt-0.5 size-2 shrink-0 rounded-full bg-red-500"
+                              : "mt-0.5 size-2 shrink-0 rounded-full bg-amber-400"
+                          }
+                        />
+                        <button
+                          type="button"
+                          className="text-left hover:underline"
+                          onClick={() => setSelectedId(issue.nodeId)}
+                        >
+                          {issue.message}
+                        </button>
+                        {issue.fix && (
+                          <Button
+                            size="sm"
+                            variant="outline"
+                            className="ml-auto h-6 px-2 text-xs"
+                            onClick={() => applyOptions(issue.fix.options)}
+                          >
+                            {issue.fix.label}
+                          </Button>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
               <CopyButton />
               {status && <p className="text-sm text-green-700">{status}</p>}
             </Card>
@@ -1160,11 +2041,11 @@ export default function WebflowTableJsonBuilder() {
                 </CardTitle>
                 <div className="flex items-center gap-3 flex-wrap">
                   <Field className="flex items-center justify-start gap-2">
-                    <FieldLabel>Upload CSV</FieldLabel>
+                    <FieldLabel>Upload CSV / Excel / ODS</FieldLabel>
                     <ButtonGroup>
                       <Input
                         type="file"
-                        accept=".csv,text/csv"
+                        accept={`.csv,text/csv,${SPREADSHEET_ACCEPT}`}
                         className="cursor-pointer"
                         onChange={(e) => {
                           const file = e.target?.files && e.target.files[0];
@@ -1176,6 +2057,8 @@ export default function WebflowTableJsonBuilder() {
                           e.preventDefault();
                           e.target.form.reset();
                           setCsvData(null);
+                          setCsvFileBuffer(null);
+                          clearWorkbook();
                         }}
                         disabled={!csvData}
                         variant="outline"
@@ -1184,13 +2067,6 @@ export default function WebflowTableJsonBuilder() {
                       </Button>
                     </ButtonGroup>
                   </Field>
-                  <Field orientation={"horizontal"}>
-                    <Switch
-                      checked={csvHasHeaderRow}
-                      onCheckedChange={setCsvHasHeaderRow}
-                    />{" "}
-                    <FieldLabel>First row is header</FieldLabel>
-                  </Field>
                   <Field orientation={"horizontal"}>
                     <Switch
                       checked={useSpanFallback}
@@ -1201,6 +2077,119 @@ export default function WebflowTableJsonBuilder() {
                     </FieldLabel>
                   </Field>
                 </div>
+                {workbook && (
+                  <FieldGroup className="grid grid-cols-2 gap-3">
+                    <Field className="grid gap-1">
+                      <FieldLabel className="text-sm text-gray-600">
+                        Sheet
+                      </FieldLabel>
+                      <select
+                        value={sheetName}
+                        onChange={(e) => {
+                          setSheetName(e.target.value);
+                          setSheetRange("");
+                          loadSheet(workbook, e.target.value, "");
+                        }}
+                        className="h-9 px-3 rounded-md border border-input bg-transparent text-sm shadow-sm"
+                      >
+                        {workbook.SheetNames.map((name) => (
+                          <option key={name} value={name}>
+                            {name}
+                          </option>
+                        ))}
+                      </select>
+                    </Field>
+                    <Field className="grid gap-1">
+                      <FieldLabel className="text-sm text-gray-600">
+                        Cell range
+                      </FieldLabel>
+                      <Input
+                        placeholder={
+                          usedRange(workbook, sheetName) || "e.g. A1:D20"
+                        }
+                        value={sheetRange}
+                        title="Leave empty to use the sheet's used range"
+                        onChange={(e) => {
+                          const range = e.target.value;
+                          setSheetRange(range);
+                          if (!range.trim() || isValidRange(range)) {
+                            loadSheet(workbook, sheetName, range);
+                          }
+                        }}
+                        className="px-3 py-2 rounded-xl border"
+                      />
+                    </Field>
+                  </FieldGroup>
+                )}
+                {!workbook && (
+                  <FieldGroup className="grid grid-cols-3 gap-3">
+                    <Field className="grid gap-1">
+                      <FieldLabel className="text-sm text-gray-600">
+                        Delimiter
+                      </FieldLabel>
+                      <select
+                        value={dialect.delimiter}
+                        onChange={(e) =>
+                          updateDialect({ delimiter: e.target.value })
+                        }
+                        className="h-9 px-3 rounded-md border border-input bg-transparent text-sm shadow-sm"
+                      >
+                        {DELIMITER_OPTIONS.map(([value, label]) => (
+                          <option key={label} value={value}>
+                            {label}
+                          </option>
+                        ))}
+                      </select>
+                    </Field>
+                    <Field className="grid gap-1">
+                      <FieldLabel className="text-sm text-gray-600">
+                        Encoding
+                      </FieldLabel>
+                      <select
+                        value={dialect.encoding}
+                        onChange={(e) =>
+                          updateDialect({ encoding: e.target.value })
+                        }
+                        className="h-9 px-3 rounded-md border border-input bg-transparent text-sm shadow-sm"
+                      >
+                        {ENCODING_OPTIONS.map(([value, label]) => (
+                          <option key={value} value={value}>
+                            {label}
+                          </option>
+                        ))}
+                      </select>
+                    </Field>
+                    <Field className="grid gap-1">
+                      <FieldLabel className="text-sm text-gray-600">
+                        Comment prefix
+                      </FieldLabel>
+                      <Input
+                        placeholder="e.g. #"
+                        value={dialect.commentPrefix}
+                        onChange={(e) =>
+                          updateDialect({ commentPrefix: e.target.value })
+                        }
+                        className="px-3 py-2 rounded-xl border"
+                      />
+                    </Field>
+                    <Field orientation={"horizontal"}>
+                      <Switch
+                        checked={dialect.trim}
+                        onCheckedChange={(trim) => updateDialect({ trim })}
+                      />{" "}
+                      <FieldLabel>Trim fields</FieldLabel>
+                    </Field>
+                    <Field orientation={"horizontal"}>
+                      <Switch
+                        checked={dialect.skipEmptyLines}
+                        onCheckedChange={(skipEmptyLines) =>
+                          updateDialect({ skipEmptyLines })
+                        }
+                      />{" "}
+                      <FieldLabel>Skip blank lines</FieldLabel>
+                    </Field>
+                  </FieldGroup>
+                )}
                 <Textarea
                   placeholder="…or paste CSV here"
                   value={csvText}
@@ -1216,6 +2205,9 @@ export default function WebflowTableJsonBuilder() {
                       e.preventDefault();
                       setCsvText("");
                       setCsvData(null);
+                      setCsvFileBuffer(null);
+                      setPassthrough(null);
+                      clearWorkbook();
                       e.target.form.reset();
                     }}
                     variant="outline"
@@ -1227,10 +2219,84 @@ export default function WebflowTableJsonBuilder() {
                   <div className="text-xs text-gray-600">
                     Loaded CSV: {csvData.length} rows ×{" "}
                     {Math.max(...csvData.map((r) => r.length))} cols
+                    {detectedDelimiter && (
+                      <>
+                        {" "}
+                        · detected delimiter{" "}
+                        <Kbd>
+                          {DELIMITER_OPTIONS.find(
+                            ([v]) => v === detectedDelimiter
+                          )?.[1] || detectedDelimiter}
+                        </Kbd>
+                      </>
+                    )}
+                  </div>
+                )}
+                {raggedRows.length > 0 && (
+                  <div className="rounded-xl border border-amber-200 bg-amber-50 p-3 text-xs text-amber-800">
+                    <div className="font-medium mb-1">
+                      {raggedRows.length} ragged{" "}
+                      {raggedRows.length === 1 ? "row" : "rows"} — missing cells
+                      are left empty
+                    </div>
+                    <ul className="ml-4 list-disc">
+                      {raggedRows.slice(0, 10).map((r) => (
+                        <li key={r.row}>
+                          Row {r.row}: {r.cells} of {r.expected} cells
+                        </li>
+                      ))}
+                      {raggedRows.length > 10 && (
+                        <li>…and {raggedRows.length - 10} more</li>
+                      )}
+                    </ul>
                   </div>
                 )}
               </form>
             </Card>
+            <Card className="space-y-4 p-4 bg-white rounded-2xl shadow-sm break-inside-avoid">
+              <CardTitle className="text-lg font-medium">
+                Import from Webflow
+              </CardTitle>
+              <p className="text-sm text-gray-600">
+                Copy a table in the Webflow Designer and paste anywhere on this
+                page, or paste the clipboard JSON below. Wrappers, other
+                elements and class styles are kept for re-export.
+              </p>
+              <Textarea
+                placeholder='{"type":"@webflow/XscpData", …}'
+                value={webflowJsonText}
+                onChange={(e) => setWebflowJsonText(e.target.value)}
+                className="w-full h-28 font-mono text-xs p-3 rounded-xl border"
+              />
+              <ButtonGroup>
+                <Button
+                  variant="outline"
+                  disabled={!webflowJsonText.trim()}
+                  onClick={() => {
+                    if (importWebflowJson(webflowJsonText)) {
+                      setWebflowJsonText("");
+                    } else {
+                      toast.error("No Webflow table found in that JSON");
+                    }
+                  }}
+                >
+                  Import
+                </Button>
+                <Button
+                  variant="outline"
+                  disabled={!passthrough}
+                  onClick={() => setPassthrough(null)}
+                >
+                  Discard preserved content
+                </Button>
+              </ButtonGroup>
+              {passthrough && (
+                <div className="text-xs text-gray-600">
+                  Preserving {passthrough.nodes.length} nodes and{" "}
+                  {passthrough.styles.length} styles from the imported table.
+                </div>
+              )}
+            </Card>
           </section>
         </main>
       </div>
@@ -0,0 +1,142 @@
+import * as React from "react";
+import { Input } from "@/components/ui/input";
+import { COLUMN_TYPES } from "@/lib/column-types";
+import { columnLabel } from "@/lib/grid";
+
+/** A `columnTypes` entry (see lib/column-types.js); null = inferred. */
+export type ColumnType = {
+  type?: string;
+  decimals?: number | "";
+  grouping?: boolean;
+  currency?: string;
+  trueLabel?: string;
+  falseLabel?: string;
+  dateStyle?: string;
+} | null;
+
+export type ColumnTypesEditorProps = {
+  value: ColumnType[];
+  /** Resolved formats from the generator, one per column. */
+  formats: {
+    type: string;
+    inferred: string;
+    auto: boolean;
+    currency?: string;
+  }[];
+  /** Header text per column, shown next to the column letter. */
+  headers?: string[];
+  onChange: (column: number, patch: Partial<NonNullable<ColumnType>>) => void;
+};
+
+const DATE_STYLES = ["short", "medium", "long", "full"];
+
+export default function ColumnTypesEditor({
+  value,
+  formats,
+  headers = [],
+  onChange,
+}: ColumnTypesEditorProps) {
+  const selectClass =
+    "h-9 px-3 rounded-md border border-input bg-transparent text-sm shadow-sm";
+
+  return (
+    <div className="space-y-2 text-sm">
+      {formats.map((format, c) => {
+        const entry = value[c] || {};
+        const inferredLabel =
+          COLUMN_TYPES.find(([id]) => id === format.inferred)?.[1] ??
+          format.inferred;
+        return (
+          <div key={c} className="flex flex-wrap items-center gap-2">
+            <span className="w-32 truncate" title={headers[c]}>
+              <code className="text-gray-500">{columnLabel(c)}</code>{" "}
+              {headers[c]}
+            </span>
+            <select
+              aria-label={`Column ${columnLabel(c)} type`}
+              className={selectClass}
+              value={format.auto ? "auto" : format.type}
+              onChange={(e) => onChange(c, { type: e.target.value })}
+            >
+              {COLUMN_TYPES.map(([id, label]) => (
+                <option key={id} value={id}>
+                  {id === "auto"
+                    ? `Auto (text, looks like ${inferredLabel})`
+                    : label}
+                </option>
+              ))}
+            </select>
+            {["number", "currency", "percent"].includes(format.type) && (
+              <Input
+                type="number"
+                min={0}
+                max={20}
+                aria-label="Decimals"
+                placeholder="Decimals"
+                value={entry.decimals ?? ""}
+                onChange={(e) =>
+                  onChange(c, {
+                    decimals:
+                      e.target.value === "" ? "" : Number(e.target.value),
+                  })
+                }
+                className="w-24"
+              />
+            )}
+            {format.type === "currency" && (
+              <Input
+                aria-label="Currency code"
+                placeholder={format.currency || "USD"}
+                value={entry.currency ?? ""}
+                maxLength={3}
+                onChange={(e) =>
+                  onChange(c, { currency: e.target.value.toUpperCase() })
+                }
+                className="w-20 font-mono"
+              />
+            )}
+            {format.type === "date" && (
+              <select
+                aria-label="Date style"
+                className={selectClass}
+                value={entry.dateStyle || "medium"}
+                onChange={(e) => onChange(c, { dateStyle: e.target.value })}
+              >
+                {DATE_STYLES.map((style) => (
+                  <option key={style} value={style}>
+                    {style}
+                  </option>
+                ))}
+              </select>
+            )}
+            {format.type === "boolean" && (
+              <>
+                <Input
+                  aria-label="True label"
+                  placeholder="Yes"
+                  value={entry.trueLabel ?? ""}
+                  onChange={(e) => onChange(c, { trueLabel: e.target.value })}
+                  className="w-24"
+                />
+                <Input
+                  aria-label="False label"
+                  placeholder="No"
+                  value={entry.falseLabel ?? ""}
+                  onChange={(e) => onChange(c, { falseLabel: e.target.value })}
+                  className="w-24"
+                />
+              </>
+            )}
+          </div>
+        );
+      })}
+      <p className="text-xs text-gray-500">
+        Body and footer cells are formatted for the column type; values that
+        don't fit are left as written. Auto columns stay text, so codes like
+        ZIPs and years aren't reformatted; pick the type they look like to
+        format them. Booleans accept <code>:check:</code> / <code>:cross:</code>{" "}
+        labels.
+      </p>
+    </div>
+  );
+}
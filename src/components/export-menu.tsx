@@ -0,0 +1,91 @@
+import * as React from "react";
+import { toast } from "sonner";
+import { ChevronDownIcon, CopyIcon, DownloadIcon } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import {
+  Popover,
+  PopoverContent,
+  PopoverTrigger,
+} from "@/components/ui/popover";
+import { EXPORT_FORMATS } from "@/lib/export";
+import { downloadFile } from "@/lib/utils";
+
+export type ExportMenuProps = {
+  /** The table in an EXPORT_FORMATS format (see exportTable in lib/export). */
+  render: (format: string) => string;
+  /** File name without extension for downloads. */
+  fileName?: string;
+};
+
+export default function ExportMenu({
+  render,
+  fileName = "table",
+}: ExportMenuProps) {
+  // Formats can throw on odd input; report instead of breaking the menu
+  const output = (id: string) => {
+    try {
+      return render(id);
+    } catch (err) {
+      toast.error(`Export failed: ${(err as Error).message}`);
+      return null;
+    }
+  };
+
+  const copy = async (id: string, label: string) => {
+    const text = output(id);
+    if (text === null) return;
+    try {
+      await navigator.clipboard.writeText(text);
+      toast.success(`Copied ${label}`);
+    } catch {
+      toast.error("Could not access clipboard");
+    }
+  };
+
+  const download = (id: string, ext: string, type: string) => {
+    const text = output(id);
+    if (text !== null) downloadFile(`${fileName}.${ext}`, text, type);
+  };
+
+  return (
+    <Popover>
+      <PopoverTrigger asChild>
+        <Button variant="outline">
+          Export <ChevronDownIcon />
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent align="end" className="w-80 p-2">
+        <ul className="text-sm">
+          {EXPORT_FORMATS.map(({ id, label, ext, type }) => (
+            <li
+              key={id}
+              className="flex items-center justify-between gap-2 rounded px-2 py-1 hover:bg-gray-50"
+            >
+              <span>{label}</span>
+              <span className="flex gap-1">
+                <Button
+                  size="icon"
+                  variant="ghost"
+                  aria-label={`Copy ${label}`}
+                  title="Copy"
+                  onClick={() => copy(id, label)}
+                >
+                  <CopyIcon />
+                </Button>
+                <Button
+                  size="icon"
+                  variant="ghost"
+                  aria-label={`Download ${label}`}
+                  title={`Download .${ext}`}
+                  onClick={() => download(id, ext, type)}
+                >
+                  <DownloadIcon />
+                </Button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      </PopoverContent>
+    </Popover>
+  );
+}
@@ -0,0 +1,136 @@
+import * as React from "react";
+import { XIcon } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  DEFAULT_ICONS,
+  ICON_NAME,
+  isSvgMarkup,
+  sanitizeSvg,
+} from "@/lib/icons";
+
+/** A custom icon: `value` is SVG markup or an image URL / data-URI. */
+export type Icon = { name: string; value: string; alt?: string };
+
+export type IconMapProps = {
+  /** Custom icons (the `icons` builder option); built-ins are listed too. */
+  value: Icon[];
+  onChange: (next: Icon[]) => void;
+};
+
+const BUILT_INS = DEFAULT_ICONS as Record<
+  string,
+  { value: string; alt: string }
+>;
+
+/**
+ * An icon / image as it renders in the page (SVG inline, else an <img>).
+ * Custom SVG is user input, so it is sanitized before it goes into the DOM.
+ */
+export function IconGlyph({ value, alt }: { value: string; alt?: string }) {
+  const svg = React.useMemo(
+    () => (isSvgMarkup(value) ? sanitizeSvg(value) : ""),
+    [value]
+  );
+  if (isSvgMarkup(value)) {
+    return (
+      <span
+        role={alt ? "img" : undefined}
+        aria-label={alt || undefined}
+        aria-hidden={alt ? undefined : true}
+        className="inline-block h-5 w-5 align-middle [&>svg]:h-full [&>svg]:w-full"
+        dangerouslySetInnerHTML={{ __html: svg }}
+      />
+    );
+  }
+  return (
+    <img
+      src={value}
+      alt={alt || ""}
+      className="inline-block h-5 align-middle"
+    />
+  );
+}
+
+export default function IconMap({ value, onChange }: IconMapProps) {
+  const update = (i: number, patch: Partial<Icon>) =>
+    onChange(value.map((icon, j) => (j === i ? { ...icon, ...patch } : icon)));
+  const customNames = value.map((icon) => icon.name.trim());
+
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        {Object.entries(BUILT_INS)
+          .filter(([name]) => !customNames.includes(name))
+          .map(([name, icon]) => (
+            <Button
+              key={name}
+              size="sm"
+              variant="outline"
+              title={`Override :${name}:`}
+              onClick={() => onChange([...value, { name, ...icon }])}
+            >
+              <IconGlyph value={icon.value} alt={icon.alt} />
+              <code>:{name}:</code>
+            </Button>
+          ))}
+      </div>
+      {value.map((icon, i) => {
+        const invalid = !!icon.name && !ICON_NAME.test(icon.name.trim());
+        return (
+          <div key={i} className="flex flex-wrap items-center gap-2">
+            <Input
+              aria-label="Icon name"
+              placeholder="name"
+              value={icon.name}
+              aria-invalid={invalid || undefined}
+              onChange={(e) => update(i, { name: e.target.value })}
+              className="w-28 font-mono"
+            />
+            <Input
+              aria-label="SVG markup or image URL"
+              placeholder="<svg …> or https://…/logo.png"
+              value={icon.value}
+              onChange={(e) => update(i, { value: e.target.value })}
+              className="flex-1 min-w-40 font-mono text-xs"
+            />
+            <Input
+              aria-label="Alt text"
+              placeholder="Alt text"
+              value={icon.alt ?? ""}
+              onChange={(e) => update(i, { alt: e.target.value })}
+              className="w-32"
+            />
+            <span className="w-6 text-center">
+              {icon.value.trim() && (
+                <IconGlyph value={icon.value.trim()} alt={icon.alt} />
+              )}
+            </span>
+            <Button
+              size="icon"
+              variant="ghost"
+              aria-label="Remove icon"
+              onClick={() => onChange(value.filter((_, j) => j !== i))}
+            >
+              <XIcon />
+            </Button>
+          </div>
+        );
+      })}
+      <div>
+        <Button
+          size="sm"
+          variant="outline"
+          onClick={() => onChange([...value, { name: "", value: "", alt: "" }])}
+        >
+          Add icon
+        </Button>
+      </div>
+      <p className="text-xs text-gray-500">
+        Type <code>:name:</code> in a cell. SVG icons are pasted as inline
+        embeds; image icons, image URLs and data-URIs become Webflow Image
+        elements with their assets. Click a built-in icon to override it.
+      </p>
+    </div>
+  );
+}
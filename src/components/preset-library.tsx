@@ -0,0 +1,228 @@
+import * as React from "react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Textarea } from "@/components/ui/textarea";
+import { downloadFile } from "@/lib/utils";
+import {
+  BUILT_IN_PRESETS,
+  parsePresets,
+  serializePresets,
+  validatePreset,
+} from "@/lib/presets";
+
+export type Preset = {
+  id: string;
+  name?: string;
+  description?: string;
+  wrappers: { tag?: string; type?: string; className: string }[];
+  styles?: Record<string, { styleLess?: string; variants?: object }>;
+  classes?: Record<string, string>;
+};
+
+export type PresetLibraryProps = {
+  /** User-defined presets (built-ins are always listed first). */
+  custom: Preset[];
+  onChangeCustom: (next: Preset[]) => void;
+  selectedId: string;
+  onSelect: (id: string) => void;
+  /** Copy a preset's `classes` into the builder's class options. */
+  onApplyClasses?: (classes: Record<string, string>) => void;
+};
+
+const BUILT_INS = BUILT_IN_PRESETS as Preset[];
+
+function uniqueId(base: string, taken: string[]) {
+  let id = base;
+  for (let i = 2; taken.includes(id); i++) id = `${base}-${i}`;
+  return id;
+}
+
+export default function PresetLibrary(props: PresetLibraryProps) {
+  const { custom, onChangeCustom, selectedId, onSelect, onApplyClasses } =
+    props;
+  const all = [...BUILT_INS, ...custom];
+  const selected = all.find((p) => p.id === selectedId) || all[0];
+  const isCustom = custom.some((p) => p.id === selected.id);
+
+  const [draft, setDraft] = React.useState("");
+  React.useEffect(() => {
+    setDraft(JSON.stringify(selected, null, 2));
+  }, [selected]);
+
+  const fileRef = React.useRef<HTMLInputElement>(null);
+  const takenIds = all.map((p) => p.id);
+
+  const duplicate = () => {
+    const id = uniqueId(`${selected.id}-copy`, takenIds);
+    const copy = {
+      ...selected,
+      id,
+      name: `${selected.name || selected.id} (copy)`,
+    };
+    onChangeCustom([...custom, copy]);
+    onSelect(id);
+  };
+
+  const save = () => {
+    try {
+      const next = validatePreset(JSON.parse(draft));
+      if (next.id !== selected.id && takenIds.includes(next.id)) {
+        throw new Error(`A preset with id "${next.id}" already exists`);
+      }
+      onChangeCustom(custom.map((p) => (p.id === selected.id ? next : p)));
+      onSelect(next.id);
+      toast.success("Preset saved");
+    } catch (err) {
+      toast.error(`Invalid preset: ${(err as Error).message}`);
+    }
+  };
+
+  const remove = () => {
+    onChangeCustom(custom.filter((p) => p.id !== selected.id));
+    onSelect(BUILT_INS[0].id);
+  };
+
+  const importFile = async (file: File) => {
+    try {
+      const imported = parsePresets(await file.text()).map((p: Preset) => ({
+        ...p,
+        id: uniqueId(p.id, takenIds),
+      }));
+      onChangeCustom([...custom, ...imported]);
+      if (imported[0]) onSelect(imported[0].id);
+      toast.success(
+        `Imported ${imported.length} ${
+          imported.length === 1 ? "preset" : "presets"
+        }`
+      );
+    } catch (err) {
+      toast.error(`Could not import presets: ${(err as Error).message}`);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          aria-label="Preset"
+          value={selected.id}
+          onChange={(e) => onSelect(e.target.value)}
+          className="h-9 px-3 rounded-md border border-input bg-transparent text-sm shadow-sm"
+        >
+          <optgroup label="Built-in">
+            {BUILT_INS.map((p) => (
+              <option key={p.id} value={p.id}>
+                {p.name || p.id}
+              </option>
+            ))}
+          </optgroup>
+          {custom.length > 0 && (
+            <optgroup label="Custom">
+              {custom.map((p) => (
+                <option key={p.id} value={p.id}>
+                  {p.name || p.id}
+                </option>
+              ))}
+            </optgroup>
+          )}
+        </select>
+        <Button size="sm" variant="outline" onClick={duplicate}>
+          Duplicate
+        </Button>
+        {isCustom && (
+          <Button size="sm" variant="outline" onClick={remove}>
+            Delete
+          </Button>
+        )}
+        <Button
+          size="sm"
+          variant="outline"
+          onClick={() =>
+            downloadFile(
+              `${selected.id}.preset.json`,
+              serializePresets([selected])
+            )
+          }
+        >
+          Export
+        </Button>
+        {custom.length > 1 && (
+          <Button
+            size="sm"
+            variant="outline"
+            onClick={() =>
+              downloadFile("presets.json", serializePresets(custom))
+            }
+          >
+            Export all custom
+          </Button>
+        )}
+        <Button
+          size="sm"
+          variant="outline"
+          onClick={() => fileRef.current?.click()}
+        >
+          Import…
+        </Button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept=".json,application/json"
+          className="hidden"
+          onChange={(e) => {
+            const file = e.target.files?.[0];
+            if (file) importFile(file);
+            e.target.value = "";
+          }}
+        />
+      </div>
+
+      {selected.description && (
+        <p className="text-xs text-gray-500">{selected.description}</p>
+      )}
+      <div className="flex flex-wrap items-center gap-1 font-mono text-xs">
+        {selected.wrappers.map((w, i) => (
+          <React.Fragment key={i}>
+            <span className="rounded bg-gray-100 px-1.5 py-0.5">
+              {w.tag || "div"}.{w.className.trim().split(/\s+/).join(".")}
+            </span>
+            <span className="text-gray-400">→</span>
+          </React.Fragment>
+        ))}
+        <span className="rounded bg-indigo-50 px-1.5 py-0.5 text-indigo-700">
+          table
+        </span>
+      </div>
+      {selected.classes && onApplyClasses && (
+        <Button
+          size="sm"
+          variant="outline"
+          onClick={() => onApplyClasses(selected.classes!)}
+        >
+          Use preset table classes
+        </Button>
+      )}
+
+      {isCustom ? (
+        <div className="grid gap-2">
+          <Textarea
+            aria-label="Preset JSON"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            className="h-48 font-mono text-xs"
+          />
+          <div>
+            <Button size="sm" onClick={save}>
+              Save preset
+            </Button>
+          </div>
+        </div>
+      ) : (
+        <p className="text-xs text-gray-500">
+          Built-in presets are read-only. Duplicate one to edit its wrappers,
+          class names and CSS.
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,258 @@
+import * as React from "react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { downloadFile } from "@/lib/utils";
+import {
+  deleteProject,
+  getProject,
+  listProjects,
+  makeProject,
+  newProjectId,
+  parseProjectFile,
+  putProject,
+  serializeProject,
+} from "@/lib/projects";
+
+type ProjectMeta = {
+  id: string;
+  name: string;
+  createdAt: string;
+  updatedAt: string;
+};
+
+type Project = ProjectMeta & { state: unknown };
+
+export type ProjectListProps = {
+  /** Snapshot of the builder to save (see `state` in lib/projects.js). */
+  snapshot: unknown;
+  /** Load a saved snapshot into the builder. */
+  onOpen: (state: any) => void;
+  /** Project the builder was last opened from / saved to. */
+  currentId: string | null;
+  onCurrentIdChange: (id: string | null) => void;
+};
+
+function fileName(name: string) {
+  return `${
+    name.replace(/[^\w.-]+/g, "-").replace(/^-|-$/g, "") || "table"
+  }.wftable.json`;
+}
+
+export default function ProjectList(props: ProjectListProps) {
+  const { snapshot, onOpen, currentId, onCurrentIdChange } = props;
+  const [projects, setProjects] = React.useState<ProjectMeta[]>([]);
+  const [newName, setNewName] = React.useState("");
+  const [renaming, setRenaming] = React.useState<{
+    id: string;
+    name: string;
+  } | null>(null);
+  const fileRef = React.useRef<HTMLInputElement>(null);
+
+  const refresh = React.useCallback(async () => {
+    try {
+      setProjects(await listProjects());
+    } catch (err) {
+      console.error(err);
+      toast.error("Saved projects are unavailable in this browser");
+    }
+  }, []);
+  React.useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const current = projects.find((p) => p.id === currentId);
+
+  // Storage errors surface as toasts; the list is reloaded either way
+  const run = async (action: () => Promise<unknown>, success?: string) => {
+    try {
+      await action();
+      if (success) toast.success(success);
+    } catch (err) {
+      console.error(err);
+      toast.error((err as Error).message || "Could not update projects");
+    }
+    await refresh();
+  };
+
+  const saveAsNew = () =>
+    run(async () => {
+      const project = makeProject(newName.trim(), snapshot);
+      await putProject(project);
+      onCurrentIdChange(project.id);
+      setNewName("");
+    }, "Project saved");
+
+  const saveCurrent = () =>
+    run(async () => {
+      const existing = (await getProject(currentId!)) as Project | undefined;
+      if (!existing) throw new Error("Project no longer exists");
+      await putProject({
+        ...existing,
+        updatedAt: new Date().toISOString(),
+        state: snapshot,
+      });
+    }, `Saved “${current?.name}”`);
+
+  const open = (id: string) =>
+    run(async () => {
+      const project = (await getProject(id)) as Project | undefined;
+      if (!project) throw new Error("Project no longer exists");
+      onOpen(project.state);
+      onCurrentIdChange(id);
+    });
+
+  const duplicate = (id: string) =>
+    run(async () => {
+      const project = (await getProject(id)) as Project;
+      const now = new Date().toISOString();
+      await putProject({
+        ...project,
+        id: newProjectId(),
+        name: `${project.name} copy`,
+        createdAt: now,
+        updatedAt: now,
+      });
+    });
+
+  const rename = () => {
+    if (!renaming) return;
+    const { id, name } = renaming;
+    setRenaming(null);
+    if (!name.trim()) return;
+    run(async () => {
+      const project = (await getProject(id)) as Project;
+      await putProject({ ...project, name: name.trim() });
+    });
+  };
+
+  const remove = (project: ProjectMeta) => {
+    if (!window.confirm(`Delete “${project.name}”? This can't be undone.`)) {
+      return;
+    }
+    if (project.id === currentId) onCurrentIdChange(null);
+    run(() => deleteProject(project.id), "Project deleted");
+  };
+
+  const exportProject = (id: string) =>
+    run(async () => {
+      const project = (await getProject(id)) as Project;
+      downloadFile(fileName(project.name), serializeProject(project));
+    });
+
+  const importFile = (file: File) =>
+    run(async () => {
+      const imported = parseProjectFile(await file.text());
+      // A fresh id so importing twice never overwrites a project
+      const project = { ...imported, id: newProjectId() };
+      await putProject(project);
+      onOpen(project.state);
+      onCurrentIdChange(project.id);
+    }, `Imported ${file.name}`);
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <Input
+          placeholder="Project name"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && saveAsNew()}
+          className="flex-1 min-w-40"
+        />
+        <Button size="sm" variant="outline" onClick={saveAsNew}>
+          Save as new
+        </Button>
+        {current && (
+          <Button size="sm" onClick={saveCurrent}>
+            Save “{current.name}”
+          </Button>
+        )}
+        <Button
+          size="sm"
+          variant="outline"
+          onClick={() => fileRef.current?.click()}
+        >
+          Import…
+        </Button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept=".json,application/json"
+          className="hidden"
+          onChange={(e) => {
+            const file = e.target.files?.[0];
+            if (file) importFile(file);
+            e.target.value = "";
+          }}
+        />
+      </div>
+
+      {projects.length === 0 ? (
+        <p className="text-xs text-gray-500">
+          No saved projects yet. The current table is autosaved in this browser;
+          save it as a project to keep several.
+        </p>
+      ) : (
+        <ul className="divide-y rounded-xl border text-sm">
+          {projects.map((p) => (
+            <li
+              key={p.id}
+              className={[
+                "flex flex-wrap items-center gap-2 px-3 py-2",
+                p.id === currentId ? "bg-blue-50" : "",
+              ].join(" ")}
+            >
+              {renaming?.id === p.id ? (
+                <Input
+                  autoFocus
+                  aria-label="Project name"
+                  value={renaming.name}
+                  onChange={(e) =>
+                    setRenaming({ id: p.id, name: e.target.value })
+                  }
+                  onKeyDown={(e) => {
+                    if (e.key === "Enter") rename();
+                    if (e.key === "Escape") setRenaming(null);
+                  }}
+                  onBlur={rename}
+                  className="h-8 flex-1 min-w-32"
+                />
+              ) : (
+                <div className="flex-1 min-w-32">
+                  <div className="font-medium">{p.name}</div>
+                  <div className="text-xs text-gray-500">
+                    {new Date(p.updatedAt).toLocaleString()}
+                  </div>
+                </div>
+              )}
+              <Button size="sm" variant="outline" onClick={() => open(p.id)}>
+                Open
+              </Button>
+              <Button
+                size="sm"
+                variant="ghost"
+                onClick={() => setRenaming({ id: p.id, name: p.name })}
+              >
+                Rename
+              </Button>
+              <Button size="sm" variant="ghost" onClick={() => duplicate(p.id)}>
+                Duplicate
+              </Button>
+              <Button
+                size="sm"
+                variant="ghost"
+                onClick={() => exportProject(p.id)}
+              >
+                Export
+              </Button>
+              <Button size="sm" variant="ghost" onClick={() => remove(p)}>
+                Delete
+              </Button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
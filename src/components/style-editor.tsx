@@ -0,0 +1,161 @@
+import * as React from "react";
+import { Button } from "@/components/ui/button";
+import { ButtonGroup } from "@/components/ui/button-group";
+import { Input } from "@/components/ui/input";
+import { BREAKPOINTS, STYLE_PROPERTIES, readClassStyle } from "@/lib/styles";
+
+/** `{ [className]: { [breakpoint]: { [property]: value } } }` */
+export type ClassStyles = Record<
+  string,
+  Record<string, Record<string, string>>
+>;
+
+type StyleEntry = {
+  _id: string;
+  name: string;
+  styleLess?: string;
+  variants?: Record<string, { styleLess?: string }>;
+};
+
+export type StyleEditorProps = {
+  /** Styles of the current build; their CSS is shown as placeholders. */
+  styles: StyleEntry[];
+  value: ClassStyles;
+  onChange: (next: ClassStyles) => void;
+  /** Class being edited (controlled so the Inspector can pick one). */
+  selectedClass: string;
+  onSelectClass: (name: string) => void;
+};
+
+const BREAKPOINT_SHORT: Record<string, string> = {
+  main: "Desktop",
+  medium: "Tablet",
+  small: "Landscape",
+  tiny: "Portrait",
+};
+
+export default function StyleEditor(props: StyleEditorProps) {
+  const { styles, value, onChange, selectedClass, onSelectClass } = props;
+  const [breakpoint, setBreakpoint] = React.useState("main");
+
+  const names = React.useMemo(
+    () => Array.from(new Set(styles.map((s) => s.name))).sort(),
+    [styles]
+  );
+  const current = names.includes(selectedClass) ? selectedClass : "";
+  const entry = styles.find((s) => s.name === current);
+  const overrides = value[current]?.[breakpoint] || {};
+
+  const setProperty = (key: string, v: string) => {
+    const forClass = { ...(value[current] || {}) };
+    const props = { ...(forClass[breakpoint] || {}) };
+    if (v) props[key] = v;
+    else delete props[key];
+    if (Object.keys(props).length) forClass[breakpoint] = props;
+    else delete forClass[breakpoint];
+    const next = { ...value };
+    if (Object.keys(forClass).length) next[current] = forClass;
+    else delete next[current];
+    onChange(next);
+  };
+
+  const resetClass = () => {
+    const next = { ...value };
+    delete next[current];
+    onChange(next);
+  };
+
+  if (names.length === 0) {
+    return (
+      <p className="text-xs text-gray-500">
+        Add a class above (table, row, cell…) to style it here.
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          aria-label="Class"
+          value={current}
+          onChange={(e) => onSelectClass(e.target.value)}
+          className="h-9 px-3 rounded-md border border-input bg-transparent text-sm shadow-sm"
+        >
+          <option value="">Choose a class…</option>
+          {names.map((n) => (
+            <option key={n} value={n}>
+              {value[n] ? `${n} •` : n}
+            </option>
+          ))}
+        </select>
+        <ButtonGroup>
+          {BREAKPOINTS.map(([key, label]) => (
+            <Button
+              key={key}
+              size="sm"
+              variant={breakpoint === key ? "default" : "outline"}
+              title={label}
+              onClick={() => setBreakpoint(key)}
+            >
+              {BREAKPOINT_SHORT[key]}
+              {value[current]?.[key] ? " •" : ""}
+            </Button>
+          ))}
+        </ButtonGroup>
+      </div>
+
+      {current && (
+        <>
+          <div className="grid grid-cols-2 gap-2">
+            {STYLE_PROPERTIES.map((p) => {
+              const inherited = readClassStyle(entry, breakpoint, p.key);
+              const id = `style-${p.key}`;
+              return (
+                <label key={p.key} htmlFor={id} className="grid gap-1 text-xs">
+                  <span className="text-gray-600">{p.label}</span>
+                  {p.options ? (
+                    <select
+                      id={id}
+                      value={overrides[p.key] || ""}
+                      onChange={(e) => setProperty(p.key, e.target.value)}
+                      className="h-9 px-3 rounded-md border border-input bg-transparent text-sm shadow-sm"
+                    >
+                      <option value="">
+                        {inherited ? `(${inherited})` : "—"}
+                      </option>
+                      {p.options.map((o: string) => (
+                        <option key={o} value={o}>
+                          {o}
+                        </option>
+                      ))}
+                    </select>
+                  ) : (
+                    <Input
+                      id={id}
+                      value={overrides[p.key] || ""}
+                      placeholder={inherited || p.placeholder}
+                      onChange={(e) => setProperty(p.key, e.target.value)}
+                    />
+                  )}
+                </label>
+              );
+            })}
+          </div>
+          <div className="flex items-center justify-between text-xs text-gray-500">
+            <span>
+              {breakpoint === "main"
+                ? "Desktop values cascade down to smaller breakpoints."
+                : "Overrides apply at this breakpoint and below."}
+            </span>
+            {value[current] && (
+              <Button size="sm" variant="ghost" onClick={resetClass}>
+                Reset class
+              </Button>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -9,6 +9,38 @@ import {
   TableRow,
   TableFooter,
 } from "@/components/ui/table";
+import { Button } from "@/components/ui/button";
+import { IconGlyph } from "@/components/icon-map";
+import { ButtonGroup } from "@/components/ui/button-group";
+import { rowsFromClipboardData } from "@/lib/clipboard";
+import {
+  clearRange,
+  columnLabel,
+  deleteColumns,
+  deleteRows,
+  gridWidth,
+  hasRowMerges,
+  insertColumn,
+  insertRow,
+  moveColumn,
+  moveRow,
+  pasteAt,
+  rangeToTsv,
+  sortRows,
+} from "@/lib/grid";
+import { COLUMN_TYPES } from "@/lib/column-types";
+import { DEFAULT_ICONS } from "@/lib/icons";
+import {
+  isSortHeader,
+  sortType,
+  sortValue,
+  visibleRows,
+} from "@/lib/interactivity";
+import { computeSpans, mergeRange, unmergeAt } from "@/lib/merges";
+import { breakpointWidth, columnLabels } from "@/lib/responsive";
+import { lengthAtWidth } from "@/lib/sticky";
+import { hasRichText, parseRichText, plainText } from "@/lib/rich-text";
+import { parseXscp, readTableRows } from "@/lib/xscp-import";
 
 /** Minimal shape of the Webflow XscpData JSON we care about */
 type XscpNode = {
@@ -31,6 +63,10 @@ export type TablePreviewProps = {
   rows?: string[][];
   /** When true, the first row in `rows` is rendered as a table header. */
   hasHeader?: boolean;
+  /** Number of trailing rows in `rows` rendered as the table footer. */
+  footerRows?: number;
+  /** Render the first cell of body/footer rows as a row header. */
+  rowHeaders?: boolean;
   /** Optional caption under the table. */
   caption?: string;
   /** Optional className for wrapping container */
@@ -43,109 +79,210 @@ export type TablePreviewProps = {
     | string
     | { type?: string; payload?: { nodes?: XscpNode[] } }
     | { payload?: { nodes?: XscpNode[] } };
-  /** When true, render inputs and allow editing cells. */
+  /**
+   * When true, render inputs and allow editing cells, plus row/column
+   * insert, delete, drag-to-reorder, sort and multi-cell copy/paste.
+   */
   editable?: boolean;
-  /** Called whenever a cell is edited; receives the full 2D rows snapshot. */
+  /** Called on every edit; receives the full 2D rows snapshot. */
   onEdit?: (rows: string[][]) => void;
+  /** Icons for `:name:` cells, as returned by resolveIcons (lib/icons.js). */
+  icons?: IconMapping;
+  /**
+   * Raw cell values to edit instead of the (formatted) text read from
+   * `json`; the generated text is shown under each input when it differs.
+   */
+  sourceRows?: string[][] | null;
+  /** Resolved column formats (`columns` from buildXscpTable). */
+  columnFormats?: { type: string; inferred: string; auto: boolean }[];
+  /** Shows a type picker per column in the editable header. */
+  onColumnTypeChange?: (column: number, type: string) => void;
+  /** Responsive mode to simulate: "none" | "scroll" | "stack" | "pin". */
+  responsive?: string;
+  /** Webflow breakpoint the stacked layout starts at (lib/responsive.js). */
+  stackBreakpoint?: string;
+  /** Viewport width (px) to preview at; unset = the available width. */
+  previewWidth?: number | null;
+  /**
+   * Simulate the published table's script (lib/interactivity.js): sortable
+   * headers, a search box, and `pageSize` rows per page (0 = all).
+   */
+  sortable?: boolean;
+  searchable?: boolean;
+  pageSize?: number;
+  /** Locale the typed sort values are parsed in. */
+  locale?: string;
+  /** Sticky thead / first column (lib/sticky.js). */
+  stickyHeader?: boolean;
+  stickyColumn?: boolean;
+  /** CSS lengths by breakpoint; resolved for `previewWidth`. */
+  stickyTop?: Record<string, string>;
+  maxHeight?: Record<string, string>;
 };
 
-function getTextFromNode(
-  node: XscpNode | undefined,
-  indexById: Map<string, XscpNode>
-): string {
-  if (!node) return "";
-  if (node.text) return String(node.v ?? "");
-  const children = node.children || [];
-  for (const cid of children) {
-    const child = indexById.get(cid);
-    const t = getTextFromNode(child, indexById);
-    if (t) return t;
-  }
-  return "";
+function extractRowsFromXscp(json: TablePreviewProps["json"]): {
+  rows: string[][];
+  headerRows: number;
+  footerRows: number;
+  rowHeaders: boolean;
+} | null {
+  const parsed = parseXscp(json);
+  return parsed ? readTableRows(parsed.payload) : null;
 }
 
-function normalizeTag(node?: XscpNode): string {
-  return (node?.data?.tag || node?.tag || "").toLowerCase();
-}
+type CellRange = { r0: number; c0: number; r1: number; c1: number };
 
-function extractRowsFromXscp(
-  json: TablePreviewProps["json"]
-): { rows: string[][]; hasHeader: boolean } | null {
-  if (!json) return null;
-  let payload: any = null;
-  try {
-    if (typeof json === "string") {
-      const parsed = JSON.parse(json);
-      payload = parsed?.payload ?? null;
-    } else if (typeof json === "object") {
-      payload = (json as any)?.payload ?? null;
-    }
-  } catch {
-    return null;
-  }
-  const nodes: XscpNode[] = payload?.nodes || [];
-  if (!nodes.length) return null;
-
-  const indexById = new Map<string, XscpNode>();
-  nodes.forEach((n) => indexById.set(n._id, n));
-
-  // Find first <table> node
-  const tableNode = nodes.find((n) => normalizeTag(n) === "table");
-  if (!tableNode) return null;
-
-  // Find thead / tbody / tfoot children
-  const tableChildren = (tableNode.children || [])
-    .map((id) => indexById.get(id))
-    .filter(Boolean) as XscpNode[];
-  const thead = tableChildren.find((n) => normalizeTag(n) === "thead");
-  const tbody = tableChildren.find((n) => normalizeTag(n) === "tbody");
-  const tfoot = tableChildren.find((n) => normalizeTag(n) === "tfoot");
-
-  const readSectionRows = (section?: XscpNode): string[][] => {
-    if (!section) return [];
-    const rows: string[][] = [];
-    const trNodes = (section.children || [])
-      .map((id) => indexById.get(id))
-      .filter((n): n is XscpNode => Boolean(n && normalizeTag(n) === "tr"));
-    for (const tr of trNodes) {
-      const cells: string[] = [];
-      const cellNodes = (tr.children || [])
-        .map((id) => indexById.get(id))
-        .filter((n): n is XscpNode =>
-          Boolean(n && (normalizeTag(n) === "td" || normalizeTag(n) === "th"))
-        );
-      for (const cell of cellNodes) {
-        const text = getTextFromNode(cell, indexById);
-        cells.push(text);
-      }
-      rows.push(cells);
-    }
-    return rows;
+type SectionKind = "head" | "body" | "foot";
+
+type DragState = { kind: "row" | "col"; from: number; over: number };
+
+/** A contiguous slice of the rows rendered as thead / tbody / tfoot. */
+type Section = {
+  kind: SectionKind;
+  start: number;
+  rows: string[][];
+  spans: ReturnType<typeof computeSpans>;
+};
+
+function normalizeRange(sel: CellRange): CellRange {
+  return {
+    r0: Math.min(sel.r0, sel.r1),
+    c0: Math.min(sel.c0, sel.c1),
+    r1: Math.max(sel.r0, sel.r1),
+    c1: Math.max(sel.c0, sel.c1),
   };
+}
 
-  const headRows = readSectionRows(thead);
-  const bodyRows = readSectionRows(tbody);
-  const footerRows = readSectionRows(tfoot); // currently ignored in render
+// Single-line inputs can't hold newlines, so cells show them as ↵
+const NEWLINE_MARK = "↵";
+const toInput = (value: string) => value.replace(/\r?\n/g, NEWLINE_MARK);
+const fromInput = (value: string) => value.split(NEWLINE_MARK).join("\n");
+
+type IconMapping = Record<string, { value: string; alt?: string }>;
+
+type RichNode = {
+  type: "text" | "strong" | "em" | "link" | "br" | "list" | "icon" | "image";
+  value?: string;
+  url?: string;
+  name?: string;
+  src?: string;
+  alt?: string;
+  children?: RichNode[];
+  items?: RichNode[][];
+};
+
+/** Markdown-lite cell text rendered as HTML (see lib/rich-text.js). */
+function RichText({ value, icons }: { value: string; icons?: IconMapping }) {
+  const render = (nodes: RichNode[]): React.ReactNode =>
+    nodes.map((n, i) => {
+      switch (n.type) {
+        case "strong":
+          return <strong key={i}>{render(n.children!)}</strong>;
+        case "em":
+          return <em key={i}>{render(n.children!)}</em>;
+        case "link":
+          return (
+            <a
+              key={i}
+              href={n.url}
+              target="_blank"
+              rel="noreferrer"
+              className="text-blue-700 underline"
+            >
+              {render(n.children!)}
+            </a>
+          );
+        case "br":
+          return <br key={i} />;
+        case "icon":
+          return <IconGlyph key={i} {...icons![n.name!]} />;
+        case "image":
+          return (
+            <img
+              key={i}
+              src={n.src}
+              alt={n.alt}
+              className="inline-block max-h-10 align-middle"
+            />
+          );
+        case "list":
+          return (
+            <ul key={i} className="list-disc pl-5">
+              {n.items!.map((item, j) => (
+                <li key={j}>{render(item)}</li>
+              ))}
+            </ul>
+          );
+        default:
+          return <React.Fragment key={i}>{n.value}</React.Fragment>;
+      }
+    });
+  return <>{render(parseRichText(value, { icons }) as RichNode[])}</>;
+}
 
-  const hasHeader = headRows.length > 0;
-  const rowsOut = hasHeader ? [...headRows, ...bodyRows] : bodyRows;
-  return { rows: rowsOut, hasHeader };
+function splitRows(
+  rows: string[][],
+  headerRows: number,
+  footerRows: number
+): Section[] {
+  const head = Math.min(headerRows, rows.length);
+  const foot = Math.min(footerRows, rows.length - head);
+  const slices: [SectionKind, number, number][] = [
+    ["head", 0, head],
+    ["body", head, rows.length - foot],
+    ["foot", rows.length - foot, rows.length],
+  ];
+  return slices.map(([kind, from, to]) => {
+    const sectionRows = rows.slice(from, to);
+    return {
+      kind,
+      start: from,
+      rows: sectionRows,
+      spans: computeSpans(sectionRows),
+    };
+  });
 }
 
 export default function TablePreview(props: TablePreviewProps) {
   const {
     rows: rowsProp,
     hasHeader: hasHeaderProp = true,
+    footerRows: footerRowsProp = 0,
+    rowHeaders: rowHeadersProp = false,
     caption,
     className,
     json,
     editable = false,
     onEdit,
+    icons = DEFAULT_ICONS as IconMapping,
+    sourceRows,
+    columnFormats,
+    onColumnTypeChange,
+    responsive = "none",
+    stackBreakpoint = "small",
+    previewWidth,
+    sortable = false,
+    searchable = false,
+    pageSize = 0,
+    locale = "en-US",
+    stickyHeader = false,
+    stickyColumn = false,
+    stickyTop,
+    maxHeight,
   } = props;
 
   const extracted = React.useMemo(() => extractRowsFromXscp(json), [json]);
-  const basisRows = extracted?.rows ?? rowsProp ?? [];
-  const basisHasHeader = extracted?.hasHeader ?? hasHeaderProp;
+  const paddedSource = React.useMemo(() => {
+    if (!sourceRows) return null;
+    const w = gridWidth(sourceRows);
+    return sourceRows.map((r) =>
+      r.length === w ? r : Array.from({ length: w }, (_, i) => r[i] ?? "")
+    );
+  }, [sourceRows]);
+  const basisRows = paddedSource ?? extracted?.rows ?? rowsProp ?? [];
+  const headerCount = extracted?.headerRows ?? (hasHeaderProp ? 1 : 0);
+  const footerCount = extracted?.footerRows ?? footerRowsProp;
+  const rowHeaders = extracted?.rowHeaders ?? rowHeadersProp;
 
   const [localRows, setLocalRows] = React.useState<string[][]>(basisRows);
   const editingRef = React.useRef(false);
@@ -153,6 +290,21 @@ export default function TablePreview(props: TablePreviewProps) {
     setLocalRows(basisRows);
   }, [basisRows]);
 
+  // Selected cell range (absolute row indexes into localRows)
+  const [selection, setSelection] = React.useState<CellRange | null>(null);
+  const [drag, setDrag] = React.useState<DragState | null>(null);
+  const containerRef = React.useRef<HTMLDivElement>(null);
+
+  // Simulated script state; an editable preview only simulates on request
+  const interactive = sortable || searchable || pageSize > 0;
+  const [trying, setTrying] = React.useState(false);
+  const [query, setQuery] = React.useState("");
+  const [sort, setSort] = React.useState<{
+    column: number;
+    direction: "asc" | "desc";
+  } | null>(null);
+  const [page, setPage] = React.useState(0);
+
   const handleChange = (ri: number, ci: number, value: string) => {
     setLocalRows((prev) => {
       const next = prev.map((r) => r.slice());
@@ -163,6 +315,11 @@ export default function TablePreview(props: TablePreviewProps) {
     });
   };
 
+  const replaceRows = (next: string[][]) => {
+    editingRef.current = true;
+    setLocalRows(next);
+  };
+
   React.useEffect(() => {
     if (!editingRef.current) return;
     editingRef.current = false;
@@ -174,61 +331,814 @@ export default function TablePreview(props: TablePreviewProps) {
     return <div className="text-xs text-gray-500">No table data</div>;
   }
 
-  const header = basisHasHeader && localRows.length > 0 ? localRows[0] : [];
-  const body = basisHasHeader ? localRows.slice(1) : localRows;
+  const sections = splitRows(localRows, headerCount, footerCount);
+  const [headSection, bodySection, footSection] = sections;
+  const sectionOf = (ri: number) =>
+    sections.find((s) => ri >= s.start && ri < s.start + s.rows.length);
 
-  return (
-    <div className={className}>
-      <Table>
-        {caption ? <TableCaption>{caption}</TableCaption> : null}
-        {basisHasHeader && (
-          <TableHeader>
-            <TableRow>
-              {header.map((h, i) => (
-                <TableHead key={i} className="whitespace-nowrap">
-                  {editable ? (
-                    <input
-                      className="w-full bg-transparent outline-none border border-transparent focus:border-gray-300 rounded px-1 py-0.5"
-                      value={h ?? ""}
-                      onChange={(e) => handleChange(0, i, e.target.value)}
-                    />
-                  ) : (
-                    h
-                  )}
-                </TableHead>
-              ))}
-            </TableRow>
-          </TableHeader>
+  const range = selection ? normalizeRange(selection) : null;
+  const isSelected = (ri: number, ci: number) =>
+    !!range &&
+    ri >= range.r0 &&
+    ri <= range.r1 &&
+    ci >= range.c0 &&
+    ci <= range.c1;
+  // Merges stay inside one section (thead, tbody or tfoot)
+  const crossesSections =
+    !!range && sectionOf(range.r0) !== sectionOf(range.r1);
+  const canMerge =
+    !!range && !crossesSections && (range.r1 > range.r0 || range.c1 > range.c0);
+  const anchorSection = range ? sectionOf(range.r0) : undefined;
+  const anchorSpan =
+    range && anchorSection
+      ? anchorSection.spans[range.r0 - anchorSection.start]?.[range.c0]
+      : null;
+  const canUnmerge =
+    !!anchorSpan && (anchorSpan.colspan > 1 || anchorSpan.rowspan > 1);
+
+  const handleMerge = () => {
+    if (!range || !canMerge) return;
+    replaceRows(mergeRange(localRows, range.r0, range.c0, range.r1, range.c1));
+    setSelection({ r0: range.r0, c0: range.c0, r1: range.r0, c1: range.c0 });
+  };
+
+  const handleUnmerge = () => {
+    if (!range || !anchorSection || !canUnmerge) return;
+    const updated = unmergeAt(
+      anchorSection.rows,
+      range.r0 - anchorSection.start,
+      range.c0
+    );
+    const next = localRows.slice();
+    next.splice(anchorSection.start, updated.length, ...updated);
+    replaceRows(next);
+  };
+
+  // --- Rows and columns ---
+  const width = gridWidth(localRows);
+  const isMulti = !!range && (range.r1 > range.r0 || range.c1 > range.c0);
+  const bodyEnd = bodySection.start + bodySection.rows.length;
+  const sortBlocked = hasRowMerges(localRows, bodySection.start, bodyEnd);
+
+  const insertRowAt = (index: number) => {
+    replaceRows(insertRow(localRows, index));
+    setSelection({ r0: index, c0: 0, r1: index, c1: width - 1 });
+  };
+  const insertColumnAt = (index: number) => {
+    replaceRows(insertColumn(localRows, index));
+    setSelection({ r0: 0, c0: index, r1: localRows.length - 1, c1: index });
+  };
+  const handleDeleteRows = () => {
+    if (!range) return;
+    replaceRows(deleteRows(localRows, range.r0, range.r1));
+    setSelection(null);
+  };
+  const handleDeleteColumns = () => {
+    if (!range) return;
+    replaceRows(deleteColumns(localRows, range.c0, range.c1));
+    setSelection(null);
+  };
+  const handleSort = (direction: "asc" | "desc") => {
+    if (!range) return;
+    replaceRows(
+      sortRows(localRows, range.c0, direction, bodySection.start, bodyEnd)
+    );
+  };
+
+  // --- Keyboard navigation ---
+  const focusCell = (ri: number, ci: number) => {
+    const input = containerRef.current?.querySelector<HTMLInputElement>(
+      `input[data-row="${ri}"][data-col="${ci}"]`
+    );
+    if (!input) return false;
+    input.focus();
+    input.select();
+    setSelection({ r0: ri, c0: ci, r1: ri, c1: ci });
+    return true;
+  };
+
+  // Step from (ri, ci) by (dr, dc), skipping cells covered by a merge
+  const moveFocus = (ri: number, ci: number, dr: number, dc: number) => {
+    for (
+      let r = ri + dr, c = ci + dc;
+      r >= 0 && r < localRows.length && c >= 0 && c < width;
+      r += dr, c += dc
+    ) {
+      if (focusCell(r, c)) return;
+    }
+  };
+
+  // Tab / Shift+Tab walk the cells row by row
+  const tabFocus = (ri: number, ci: number, step: 1 | -1) => {
+    for (let i = ri * width + ci + step; i >= 0; i += step) {
+      if (i >= localRows.length * width) return;
+      if (focusCell(Math.floor(i / width), i % width)) return;
+    }
+  };
+
+  const extendSelection = (dr: number, dc: number) => {
+    if (!selection) return;
+    setSelection({
+      ...selection,
+      r1: Math.min(Math.max(selection.r1 + dr, 0), localRows.length - 1),
+      c1: Math.min(Math.max(selection.c1 + dc, 0), width - 1),
+    });
+  };
+
+  const handleKeyDown = (
+    e: React.KeyboardEvent<HTMLInputElement>,
+    ri: number,
+    ci: number
+  ) => {
+    const input = e.currentTarget;
+    const start = input.selectionStart ?? 0;
+    const end = input.selectionEnd ?? 0;
+    const whole = start === 0 && end === input.value.length;
+    // Left/Right move the caret inside the text until it hits an edge
+    const atStart = whole || (start === 0 && end === 0);
+    const atEnd = whole || start === input.value.length;
+    const arrows: Record<string, [number, number, boolean]> = {
+      ArrowUp: [-1, 0, true],
+      ArrowDown: [1, 0, true],
+      ArrowLeft: [0, -1, atStart],
+      ArrowRight: [0, 1, atEnd],
+    };
+    const arrow = arrows[e.key];
+    if (arrow && arrow[2] && !e.altKey && !e.metaKey && !e.ctrlKey) {
+      e.preventDefault();
+      if (e.shiftKey) extendSelection(arrow[0], arrow[1]);
+      else moveFocus(ri, ci, arrow[0], arrow[1]);
+    } else if (e.key === "Tab") {
+      e.preventDefault();
+      tabFocus(ri, ci, e.shiftKey ? -1 : 1);
+    } else if (e.key === "Enter" && e.altKey) {
+      // Alt+Enter: line break inside the cell
+      e.preventDefault();
+      const display = input.value.slice(0, start) + NEWLINE_MARK;
+      handleChange(ri, ci, fromInput(display + input.value.slice(end)));
+      requestAnimationFrame(() =>
+        input.setSelectionRange(display.length, display.length)
+      );
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      moveFocus(ri, ci, e.shiftKey ? -1 : 1, 0);
+    } else if (e.key === "Escape") {
+      setSelection({ r0: ri, c0: ci, r1: ri, c1: ci });
+    } else if ((e.key === "Delete" || e.key === "Backspace") && isMulti) {
+      e.preventDefault();
+      replaceRows(clearRange(localRows, range!));
+    }
+  };
+
+  // --- Clipboard ---
+  // A multi-cell selection (or a cell with no text selected) copies as
+  // tab-separated text; pasting a copied range writes it from the top-left
+  // selected cell. Anything else keeps the input's own behaviour.
+  const copyRange = (e: React.ClipboardEvent) => {
+    const input = e.target as HTMLInputElement;
+    const hasTextSelection =
+      input.tagName === "INPUT" && input.selectionStart !== input.selectionEnd;
+    if (!range || (!isMulti && hasTextSelection)) return false;
+    e.preventDefault();
+    e.clipboardData.setData("text/plain", rangeToTsv(localRows, range));
+    return true;
+  };
+
+  const handlePaste = (e: React.ClipboardEvent) => {
+    if (!range) return;
+    const text = e.clipboardData.getData("text/plain");
+    const data =
+      rowsFromClipboardData(e.clipboardData) ??
+      (/\r?\n./.test(text) || isMulti
+        ? text
+            .replace(/\r?\n$/, "")
+            .split(/\r?\n/)
+            .map((line) => [line])
+        : null);
+    if (!data) return;
+    e.preventDefault();
+    replaceRows(pasteAt(localRows, range.r0, range.c0, data, range));
+    const single = data.length === 1 && data[0].length === 1;
+    if (!single) {
+      setSelection({
+        r0: range.r0,
+        c0: range.c0,
+        r1: range.r0 + data.length - 1,
+        c1: range.c0 + gridWidth(data) - 1,
+      });
+    }
+  };
+
+  // --- Drag to reorder (row / column handles) ---
+  const dragHandle = (kind: DragState["kind"], index: number) => ({
+    draggable: true,
+    onDragStart: (e: React.DragEvent) => {
+      e.dataTransfer.effectAllowed = "move";
+      e.dataTransfer.setData("text/plain", String(index));
+      setDrag({ kind, from: index, over: index });
+    },
+    onDragOver: (e: React.DragEvent) => {
+      if (drag?.kind !== kind) return;
+      e.preventDefault();
+      if (drag.over !== index) setDrag({ ...drag, over: index });
+    },
+    onDrop: (e: React.DragEvent) => {
+      e.preventDefault();
+      if (drag?.kind === kind && drag.from !== index) {
+        if (kind === "row") {
+          replaceRows(moveRow(localRows, drag.from, index));
+          setSelection({ r0: index, c0: 0, r1: index, c1: width - 1 });
+        } else {
+          replaceRows(moveColumn(localRows, drag.from, index));
+          setSelection({
+            r0: 0,
+            c0: index,
+            r1: localRows.length - 1,
+            c1: index,
+          });
+        }
+      }
+      setDrag(null);
+    },
+    onDragEnd: () => setDrag(null),
+  });
+
+  // Click a handle to select a whole row / column; Shift+click extends
+  const selectLine = (
+    e: React.MouseEvent,
+    kind: DragState["kind"],
+    index: number
+  ) => {
+    const from =
+      e.shiftKey && selection
+        ? kind === "row"
+          ? selection.r0
+          : selection.c0
+        : index;
+    setSelection(
+      kind === "row"
+        ? { r0: from, c0: 0, r1: index, c1: width - 1 }
+        : { r0: 0, c0: from, r1: localRows.length - 1, c1: index }
+    );
+  };
+
+  const selectCell = (e: React.MouseEvent, ri: number, ci: number) => {
+    if (e.shiftKey && selection) {
+      e.preventDefault();
+      setSelection({ ...selection, r1: ri, c1: ci });
+    } else {
+      setSelection({ r0: ri, c0: ci, r1: ri, c1: ci });
+    }
+  };
+
+  // Pinned first column: the row gutter (when editing) and column A stick
+  const pinned = responsive === "pin" || stickyColumn;
+  const pinClass = (ci: number) =>
+    pinned && ci === 0
+      ? " sticky z-10 bg-white " + (editable ? "left-8" : "left-0")
+      : "";
+  const gutterPin = pinned ? " sticky left-0 z-10 bg-white" : "";
+
+  const renderRow = (section: Section, ri: number) => {
+    const absRow = section.start + ri;
+    const isHead = section.kind === "head";
+    return (
+      <TableRow
+        key={absRow}
+        className={section.kind === "body" ? "even:bg-gray-50" : undefined}
+      >
+        {editable && (
+          <TableCell
+            {...dragHandle("row", absRow)}
+            onClick={(e) => selectLine(e, "row", absRow)}
+            title="Click to select the row, drag to move it"
+            className={
+              "w-8 cursor-grab select-none p-1 text-center text-xs text-gray-400" +
+              gutterPin +
+              (drag?.kind === "row" && drag.over === absRow
+                ? " bg-blue-100"
+                : "")
+            }
+          >
+            {absRow + 1}
+          </TableCell>
         )}
-        <TableBody>
-          {body.map((r, ri) => (
-            <TableRow key={ri} className="even:bg-gray-50">
-              {r.map((c, ci) => (
-                <TableCell
-                  key={ci}
-                  className="whitespace-pre-wrap border border-x-gray-100 p-1"
-                >
-                  {editable ? (
-                    <input
-                      className="w-full bg-transparent hover:border-gray-200 outline-none border border-transparent focus:border-gray-300 rounded px-1 py-0.5"
-                      value={c ?? ""}
-                      onChange={(e) =>
-                        handleChange(
-                          basisHasHeader ? ri + 1 : ri,
-                          ci,
-                          e.target.value
-                        )
-                      }
-                    />
-                  ) : (
-                    c
+        {section.rows[ri].map((value, ci) => {
+          const span = section.spans[ri]?.[ci];
+          if (span?.covered) return null;
+          // Generated text (formatted by column type) for raw source rows
+          const rendered =
+            (paddedSource && extracted?.rows[absRow]?.[ci]) ?? value ?? "";
+          const isRowHeader = !isHead && rowHeaders && ci === 0;
+          const Cell = isHead || isRowHeader ? TableHead : TableCell;
+          return (
+            <Cell
+              key={ci}
+              scope={isRowHeader ? "row" : undefined}
+              colSpan={span?.colspan > 1 ? span.colspan : undefined}
+              rowSpan={span?.rowspan > 1 ? span.rowspan : undefined}
+              className={
+                (isHead
+                  ? "whitespace-nowrap"
+                  : "whitespace-pre-wrap border border-x-gray-100 p-1") +
+                pinClass(ci) +
+                (editable && isSelected(absRow, ci) ? " bg-blue-50" : "")
+              }
+              onMouseDown={(e) => editable && selectCell(e, absRow, ci)}
+            >
+              {editable ? (
+                <>
+                  <input
+                    className={
+                      "w-full bg-transparent outline-none border border-transparent focus:border-gray-300 rounded px-1 py-0.5" +
+                      (isHead ? "" : " hover:border-gray-200")
+                    }
+                    value={toInput(value ?? "")}
+                    data-row={absRow}
+                    data-col={ci}
+                    onChange={(e) =>
+                      handleChange(absRow, ci, fromInput(e.target.value))
+                    }
+                    onKeyDown={(e) => handleKeyDown(e, absRow, ci)}
+                  />
+                  {(rendered !== (value ?? "") ||
+                    hasRichText(rendered, { icons })) && (
+                    <div className="px-1 text-xs font-normal text-gray-500">
+                      <RichText value={rendered} icons={icons} />
+                    </div>
                   )}
-                </TableCell>
+                </>
+              ) : (
+                <RichText value={rendered} icons={icons} />
+              )}
+            </Cell>
+          );
+        })}
+      </TableRow>
+    );
+  };
+
+  // Column letters above the table: select, drag to reorder
+  const columnHandles = editable && (
+    <TableRow className="hover:bg-transparent">
+      <TableHead className={"w-8 p-1" + gutterPin} />
+      {Array.from({ length: width }, (_, ci) => (
+        <TableHead
+          key={ci}
+          {...dragHandle("col", ci)}
+          onClick={(e) => selectLine(e, "col", ci)}
+          title="Click to select the column, drag to move it"
+          className={
+            "h-6 cursor-grab select-none p-1 text-center text-xs font-normal text-gray-400" +
+            pinClass(ci) +
+            (drag?.kind === "col" && drag.over === ci ? " bg-blue-100" : "")
+          }
+        >
+          {columnLabel(ci)}
+          {onColumnTypeChange && columnFormats?.[ci] && (
+            <select
+              aria-label={`Column ${columnLabel(ci)} type`}
+              value={columnFormats[ci].auto ? "auto" : columnFormats[ci].type}
+              onClick={(e) => e.stopPropagation()}
+              onMouseDown={(e) => e.stopPropagation()}
+              onChange={(e) => onColumnTypeChange(ci, e.target.value)}
+              className="ml-1 h-5 max-w-24 rounded border border-input bg-transparent text-xs"
+            >
+              {COLUMN_TYPES.map(([type, label]: string[]) => (
+                <option key={type} value={type}>
+                  {type === "auto"
+                    ? `${label} (text, looks like ${columnFormats[ci].inferred})`
+                    : label}
+                </option>
               ))}
-            </TableRow>
-          ))}
-        </TableBody>
-      </Table>
+            </select>
+          )}
+        </TableHead>
+      ))}
+    </TableRow>
+  );
+
+  // Sticky header inside a max-height frame, like the generated wrapper. The
+  // page doesn't scroll under the preview, so a sticky header without a max
+  // height gets a frame of its own to show the effect.
+  const frameHeight =
+    lengthAtWidth(maxHeight, previewWidth || 0) ||
+    (stickyHeader ? "24rem" : "");
+  const containerStyle = frameHeight ? { maxHeight: frameHeight } : undefined;
+  const headerProps = stickyHeader
+    ? {
+        className: "sticky z-20 bg-white",
+        style: { top: lengthAtWidth(stickyTop, previewWidth || 0) || 0 },
+      }
+    : {};
+
+  // Stacked cards: what the "stack" mode shows below its breakpoint
+  const stacked =
+    responsive === "stack" &&
+    !!previewWidth &&
+    previewWidth <= breakpointWidth(stackBreakpoint);
+  const renderCards = () => {
+    const shown = extracted?.rows ?? localRows;
+    const [head, body, foot] = splitRows(shown, headerCount, footerCount);
+    const labels: string[] = columnLabels(head.rows, gridWidth(shown), (v) =>
+      plainText(v, { icons })
+    );
+    return [body, foot].flatMap((section) =>
+      section.rows.map((row, ri) => (
+        <div
+          key={section.start + ri}
+          className="mb-3 rounded-lg border border-gray-200 p-3 text-sm"
+        >
+          {row.map((value, ci) =>
+            section.spans[ri]?.[ci]?.covered ? null : (
+              <div key={ci} className="flex justify-between gap-4 py-0.5">
+                {labels[ci] && (
+                  <span className="text-left font-semibold">{labels[ci]}</span>
+                )}
+                <span className="text-right whitespace-pre-wrap">
+                  <RichText value={value ?? ""} icons={icons} />
+                </span>
+              </div>
+            )
+          )}
+        </div>
+      ))
+    );
+  };
+
+  // The published table with its script running: what the visitor sees
+  const renderInteractive = () => {
+    const shown = extracted?.rows ?? localRows;
+    const [head, body, foot] = splitRows(shown, headerCount, footerCount);
+    const canSort = sortable && !hasRowMerges(body.rows);
+    const texts = body.rows.map((row) =>
+      row.map((v) => plainText(v ?? "", { icons }))
+    );
+    const keys = body.rows.map((row, r) =>
+      row.map((v, c) =>
+        sortValue(
+          paddedSource?.[body.start + r]?.[c] ?? v,
+          columnFormats?.[c],
+          locale
+        )
+      )
+    );
+    const view = visibleRows(texts, {
+      query,
+      sort: canSort ? sort : null,
+      keys,
+      types: (columnFormats ?? []).map(sortType),
+      pageSize,
+      page,
+    });
+    const pageRows = view.rows.map((r) => body.rows[r]);
+    const pageSpans = computeSpans(pageRows);
+    const toggleSort = (column: number) =>
+      setSort({
+        column,
+        direction:
+          sort?.column === column && sort.direction === "asc" ? "desc" : "asc",
+      });
+
+    const renderStatic = (
+      kind: SectionKind,
+      row: string[],
+      spans: Section["spans"][number] | undefined,
+      key: React.Key,
+      headRow?: number
+    ) => (
+      <TableRow
+        key={key}
+        className={kind === "body" ? "even:bg-gray-50" : undefined}
+      >
+        {row.map((value, ci) => {
+          const span = spans?.[ci];
+          if (span?.covered) return null;
+          const isRowHeader = kind !== "head" && rowHeaders && ci === 0;
+          const Cell = kind === "head" || isRowHeader ? TableHead : TableCell;
+          // Same headers as the generated data-wt-sort / data-wt-col
+          const sortHere =
+            canSort &&
+            headRow !== undefined &&
+            isSortHeader(headRow, span, head.rows.length);
+          const direction = sort?.column === ci ? sort.direction : null;
+          return (
+            <Cell
+              key={ci}
+              scope={isRowHeader ? "row" : undefined}
+              colSpan={span?.colspan > 1 ? span.colspan : undefined}
+              rowSpan={span?.rowspan > 1 ? span.rowspan : undefined}
+              aria-sort={
+                sortHere && direction
+                  ? direction === "asc"
+                    ? "ascending"
+                    : "descending"
+                  : undefined
+              }
+              className={
+                (kind === "head"
+                  ? "whitespace-nowrap"
+                  : "whitespace-pre-wrap p-1") +
+                (pinned && ci === 0 ? " sticky left-0 z-10 bg-white" : "")
+              }
+            >
+              {sortHere ? (
+                <button
+                  type="button"
+                  className="inline-flex items-center gap-1 font-medium"
+                  onClick={() => toggleSort(ci)}
+                >
+                  <RichText value={value ?? ""} icons={icons} />
+                  <span
+                    aria-hidden="true"
+                    className={direction ? "" : "opacity-40"}
+                  >
+                    {direction === "asc"
+                      ? "↑"
+                      : direction === "desc"
+                      ? "↓"
+                      : "↕"}
+                  </span>
+                </button>
+              ) : (
+                <RichText value={value ?? ""} icons={icons} />
+              )}
+            </Cell>
+          );
+        })}
+      </TableRow>
+    );
+
+    return (
+      <>
+        {searchable && (
+          <input
+            type="search"
+            placeholder="Search"
+            aria-label="Search table"
+            value={query}
+            onChange={(e) => {
+              setQuery(e.target.value);
+              setPage(0);
+            }}
+            className="mb-3 h-9 w-full max-w-xs rounded-md border border-input bg-transparent px-3 text-sm shadow-sm"
+          />
+        )}
+        <Table containerStyle={containerStyle}>
+          {caption ? <TableCaption>{caption}</TableCaption> : null}
+          {head.rows.length > 0 && (
+            <TableHeader {...headerProps}>
+              {head.rows.map((row, ri) =>
+                renderStatic("head", row, head.spans[ri], ri, ri)
+              )}
+            </TableHeader>
+          )}
+          <TableBody>
+            {pageRows.map((row, ri) =>
+              renderStatic("body", row, pageSpans[ri], view.rows[ri])
+            )}
+          </TableBody>
+          {foot.rows.length > 0 && (
+            <TableFooter>
+              {foot.rows.map((row, ri) =>
+                renderStatic("foot", row, foot.spans[ri], ri)
+              )}
+            </TableFooter>
+          )}
+        </Table>
+        <div className="mt-3 flex items-center gap-3 text-sm text-gray-600">
+          {pageSize > 0 && (
+            <>
+              <Button
+                size="sm"
+                variant="outline"
+                disabled={view.page === 0}
+                onClick={() => setPage(view.page - 1)}
+              >
+                Previous
+              </Button>
+              <span>
+                Page {view.page + 1} of {view.pages}
+              </span>
+              <Button
+                size="sm"
+                variant="outline"
+                disabled={view.page >= view.pages - 1}
+                onClick={() => setPage(view.page + 1)}
+              >
+                Next
+              </Button>
+            </>
+          )}
+          <span className="text-xs text-gray-500" aria-live="polite">
+            {view.matches} {view.matches === 1 ? "row" : "rows"}
+          </span>
+        </div>
+      </>
+    );
+  };
+
+  const table = (
+    <Table containerStyle={containerStyle}>
+      {caption ? <TableCaption>{caption}</TableCaption> : null}
+      {(columnHandles || headSection.rows.length > 0) && (
+        <TableHeader {...headerProps}>
+          {columnHandles}
+          {headSection.rows.map((_, ri) => renderRow(headSection, ri))}
+        </TableHeader>
+      )}
+      <TableBody>
+        {bodySection.rows.map((_, ri) => renderRow(bodySection, ri))}
+      </TableBody>
+      {footSection.rows.length > 0 && (
+        <TableFooter>
+          {footSection.rows.map((_, ri) => renderRow(footSection, ri))}
+        </TableFooter>
+      )}
+    </Table>
+  );
+
+  if (stacked) {
+    return (
+      <div className={className}>
+        <p className="mb-2 text-xs text-gray-500">
+          Stacked cards at {previewWidth}px — pick a wider preview to edit.
+        </p>
+        <div
+          className="mx-auto max-w-full rounded border border-dashed border-gray-300 p-2"
+          style={{ width: previewWidth! }}
+        >
+          {caption && (
+            <p className="mb-2 text-center text-sm text-gray-500">{caption}</p>
+          )}
+          {renderCards()}
+        </div>
+      </div>
+    );
+  }
+
+  if (interactive && (!editable || trying)) {
+    return (
+      <div className={className}>
+        {editable && (
+          <div className="mb-2 flex items-center gap-2 text-xs text-gray-500">
+            <Button
+              size="sm"
+              variant="outline"
+              onClick={() => setTrying(false)}
+            >
+              Back to editing
+            </Button>
+            <span>
+              Sort, search and pages work here the way the published script
+              does.
+            </span>
+          </div>
+        )}
+        {previewWidth ? (
+          <div
+            className="mx-auto max-w-full rounded border border-dashed border-gray-300 p-2"
+            style={{ width: previewWidth }}
+          >
+            {renderInteractive()}
+          </div>
+        ) : (
+          renderInteractive()
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div
+      ref={containerRef}
+      className={className}
+      onCopy={editable ? copyRange : undefined}
+      onCut={
+        editable
+          ? (e) => {
+              if (copyRange(e) && range) {
+                replaceRows(clearRange(localRows, range));
+              }
+            }
+          : undefined
+      }
+      onPaste={editable ? handlePaste : undefined}
+    >
+      {editable && (
+        <div className="flex flex-wrap items-center gap-2 mb-2 text-xs text-gray-500">
+          <ButtonGroup>
+            <Button
+              size="sm"
+              variant="outline"
+              disabled={!range}
+              onClick={() => insertRowAt(range!.r0)}
+            >
+              Row above
+            </Button>
+            <Button
+              size="sm"
+              variant="outline"
+              onClick={() =>
+                insertRowAt(range ? range.r1 + 1 : localRows.length)
+              }
+            >
+              Row below
+            </Button>
+            <Button
+              size="sm"
+              variant="outline"
+              disabled={!range || range.r1 - range.r0 + 1 >= localRows.length}
+              onClick={handleDeleteRows}
+            >
+              Delete rows
+            </Button>
+          </ButtonGroup>
+          <ButtonGroup>
+            <Button
+              size="sm"
+              variant="outline"
+              disabled={!range}
+              onClick={() => insertColumnAt(range!.c0)}
+            >
+              Column left
+            </Button>
+            <Button
+              size="sm"
+              variant="outline"
+              onClick={() => insertColumnAt(range ? range.c1 + 1 : width)}
+            >
+              Column right
+            </Button>
+            <Button
+              size="sm"
+              variant="outline"
+              disabled={!range || range.c1 - range.c0 + 1 >= width}
+              onClick={handleDeleteColumns}
+            >
+              Delete columns
+            </Button>
+          </ButtonGroup>
+          <ButtonGroup>
+            <Button
+              size="sm"
+              variant="outline"
+              disabled={!range || sortBlocked}
+              onClick={() => handleSort("asc")}
+            >
+              Sort A→Z
+            </Button>
+            <Button
+              size="sm"
+              variant="outline"
+              disabled={!range || sortBlocked}
+              onClick={() => handleSort("desc")}
+            >
+              Sort Z→A
+            </Button>
+          </ButtonGroup>
+          <ButtonGroup>
+            <Button
+              size="sm"
+              variant="outline"
+              disabled={!canMerge}
+              onClick={handleMerge}
+            >
+              Merge cells
+            </Button>
+            <Button
+              size="sm"
+              variant="outline"
+              disabled={!canUnmerge}
+              onClick={handleUnmerge}
+            >
+              Unmerge
+            </Button>
+          </ButtonGroup>
+          {interactive && (
+            <Button size="sm" variant="outline" onClick={() => setTrying(true)}>
+              Try interactivity
+            </Button>
+          )}
+          <span>
+            {crossesSections
+              ? "Cells from different sections can’t be merged together"
+              : sortBlocked
+              ? "Body rows with vertical merges can’t be sorted"
+              : "Shift+click or Shift+arrows select a range; sort uses its first column; Alt+Enter adds a line break"}
+          </span>
+        </div>
+      )}
+      {previewWidth ? (
+        <div
+          className="mx-auto max-w-full rounded border border-dashed border-gray-300"
+          style={{ width: previewWidth }}
+        >
+          {table}
+        </div>
+      ) : (
+        table
+      )}
     </div>
   );
 }
@@ -4,9 +4,11 @@ import { cn } from "@/lib/utils"
 
 const Table = React.forwardRef<
   HTMLTableElement,
-  React.HTMLAttributes<HTMLTableElement>
->(({ className, ...props }, ref) => (
-  <div className="relative w-full overflow-auto">
+  React.HTMLAttributes<HTMLTableElement> & {
+    containerStyle?: React.CSSProperties
+  }
+>(({ className, containerStyle, ...props }, ref) => (
+  <div className="relative w-full overflow-auto" style={containerStyle}>
     <table
       ref={ref}
       className={cn("w-full caption-bottom text-sm", className)}
@@ -0,0 +1,131 @@
+// --- Accessibility linter ----------------------------------------------------
+// Static checks over generated XscpData nodes. Each issue points at the node
+// to inspect and, where a builder option can resolve it, carries a `fix` with
+// the option patch to apply.
+import { attrOf, nodeText, spanOf, tagOf } from "./xscp.js";
+
+/**
+ * `options` are the builder options the payload was made with; fixes that
+ * patch a count build on them.
+ *
+ * @returns {{ id: string, severity: "error" | "warning", message: string,
+ *   nodeId: string, fix?: { label: string, options: object } }[]}
+ */
+export function lintTable(payload, { headerRows = 0 } = {}) {
+  const nodes = payload?.nodes || [];
+  const indexById = new Map(nodes.map((n) => [n._id, n]));
+  const childrenOf = (node) =>
+    (node?.children || []).map((id) => indexById.get(id)).filter(Boolean);
+  const issues = [];
+  const add = (issue) => issues.push({ severity: "warning", ...issue });
+
+  for (const table of nodes.filter((n) => tagOf(n) === "table")) {
+    const sections = childrenOf(table).filter((n) =>
+      ["thead", "tbody", "tfoot"].includes(tagOf(n))
+    );
+    const thead = sections.find((n) => tagOf(n) === "thead");
+    const cells = sections.flatMap((s) =>
+      childrenOf(s).flatMap((tr) => childrenOf(tr))
+    );
+    const headerCells = cells.filter((c) => tagOf(c) === "th");
+
+    if (attrOf(table, "role") === "table") {
+      add({
+        id: "redundant-role",
+        message:
+          'role="table" is redundant on a native <table> and can override its semantics in some screen readers.',
+        nodeId: table._id,
+        fix: { label: "Remove role", options: { addAriaRole: false } },
+      });
+    }
+
+    if (!childrenOf(table).some((n) => tagOf(n) === "caption")) {
+      add({
+        id: "missing-caption",
+        message:
+          "Table has no <caption>; screen-reader users hear no name for it.",
+        nodeId: table._id,
+      });
+    }
+
+    if (headerCells.length === 0) {
+      add({
+        id: "no-header-cells",
+        severity: "error",
+        message:
+          "Table has no <th> cells, so data cells have no headers announced.",
+        nodeId: table._id,
+        fix: {
+          label: "Use th in head",
+          options: {
+            includeHead: true,
+            useThInHead: true,
+            headerRows: Math.max(1, headerRows),
+          },
+        },
+      });
+    }
+
+    for (const th of headerCells) {
+      if (!nodeText(th, indexById).trim()) {
+        add({
+          id: "empty-header",
+          severity: "error",
+          message: "Header cell is empty.",
+          nodeId: th._id,
+        });
+      }
+    }
+
+    // Duplicate column header labels (thead only)
+    const seen = new Map();
+    for (const th of childrenOf(thead).flatMap((tr) => childrenOf(tr))) {
+      if (tagOf(th) !== "th") continue;
+      const label = nodeText(th, indexById).trim().toLowerCase();
+      if (!label) continue;
+      if (seen.has(label)) {
+        add({
+          id: "duplicate-header",
+          message: `Duplicate header label “${nodeText(
+            th,
+            indexById
+          ).trim()}”.`,
+          nodeId: th._id,
+        });
+      } else {
+        seen.set(label, th._id);
+      }
+    }
+
+    // Row widths, counting colspan and cells carried down by rowspan
+    const widths = [];
+    for (const section of sections) {
+      const carried = [];
+      childrenOf(section).forEach((tr, r) => {
+        let width = carried[r] || 0;
+        for (const cell of childrenOf(tr)) {
+          const colspan = spanOf(cell, "colspan");
+          const rowspan = spanOf(cell, "rowspan");
+          width += colspan;
+          for (let dr = 1; dr < rowspan; dr++) {
+            carried[r + dr] = (carried[r + dr] || 0) + colspan;
+          }
+        }
+        widths.push({ tr, width });
+      });
+    }
+    const expected = Math.max(0, ...widths.map((w) => w.width));
+    for (const { tr, width } of widths) {
+      if (width !== expected) {
+        add({
+          id: "row-width",
+          severity: "error",
+          message: `Row has ${width} of ${expected} cells.`,
+          nodeId: tr._id,
+        });
+      }
+    }
+  }
+
+  return issues;
+}
@@ -0,0 +1,85 @@
+import { describe, expect, it } from "vitest";
+import { lintTable } from "./a11y-lint.js";
+import { buildXscpTable } from "./xscp.js";
+
+const DATA = [
+  ["Plan", "Price"],
+  ["Basic", "9"],
+  ["Team", "29"],
+];
+
+const ids = (issues) => issues.map((i) => i.id).sort();
+
+// Output with nothing to report
+const CLEAN = { caption: "Plans", addAriaRole: false };
+
+describe("lintTable", () => {
+  it("asks for a caption and flags role=table on the default output", () => {
+    const { payload } = buildXscpTable({}, DATA);
+    expect(ids(lintTable(payload))).toEqual([
+      "missing-caption",
+      "redundant-role",
+    ]);
+  });
+
+  it("is clean with a caption and without role=table", () => {
+    const { payload } = buildXscpTable(CLEAN, DATA);
+    expect(lintTable(payload)).toEqual([]);
+  });
+
+  it("offers to turn the redundant role=table off", () => {
+    const { payload } = buildXscpTable({ caption: "Plans" }, DATA);
+    const [issue] = lintTable(payload);
+    expect(issue.id).toBe("redundant-role");
+    expect(issue.fix.options).toEqual({ addAriaRole: false });
+    const fixed = buildXscpTable(
+      { caption: "Plans", ...issue.fix.options },
+      DATA
+    );
+    expect(lintTable(fixed.payload)).toEqual([]);
+  });
+
+  it("fixes a table without th by restoring a header row", () => {
+    const options = { ...CLEAN, includeHead: false, headerRows: 0 };
+    const { payload } = buildXscpTable(options, DATA);
+    const issue = lintTable(payload, options).find(
+      (i) => i.id === "no-header-cells"
+    );
+    expect(issue.severity).toBe("error");
+    expect(issue.fix.options).toEqual({
+      includeHead: true,
+      useThInHead: true,
+      headerRows: 1,
+    });
+    const fixed = buildXscpTable({ ...options, ...issue.fix.options }, DATA);
+    expect(lintTable(fixed.payload, issue.fix.options)).toEqual([]);
+  });
+
+  it("keeps a larger header row count in the fix", () => {
+    const { payload } = buildXscpTable({ useThInHead: false }, DATA);
+    const issue = lintTable(payload, { headerRows: 2 }).find(
+      (i) => i.id === "no-header-cells"
+    );
+    expect(issue.fix.options.headerRows).toBe(2);
+  });
+
+  it("reports empty and duplicate headers", () => {
+    const { payload } = buildXscpTable(CLEAN, [
+      ["Plan", "", "plan"],
+      ["a", "b", "c"],
+    ]);
+    expect(ids(lintTable(payload))).toEqual([
+      "duplicate-header",
+      "empty-header",
+    ]);
+  });
+
+  it("reports rows with a different cell count", () => {
+    const { payload } = buildXscpTable(CLEAN, DATA);
+    const tr = payload.nodes.filter((n) => n.data?.tag === "tr")[2];
+    tr.children = tr.children.slice(0, 1);
+    const [issue] = lintTable(payload);
+    expect(issue).toMatchObject({ id: "row-width", nodeId: tr._id });
+    expect(issue.message).toBe("Row has 1 of 2 cells.");
+  });
+});
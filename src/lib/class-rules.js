@@ -0,0 +1,105 @@
+// --- Class rules -------------------------------------------------------------
+// Extra classes for specific rows and cells, on top of rowClass / cellClass:
+//
+//   { target: "column", column: 3, className: "is-recommended", combo: true }
+//   { target: "even", className: "is-striped" }
+//   { target: "match", value: "/^\\d/", className: "text-right" }
+//   { target: "row", section: "thead", row: 2, className: "is-sub" }
+//   { target: "cell", section: "tbody", row: 1, column: 2, className: "is-new" }
+//
+// Row targets (odd, even, first, last) put the class on body <tr>s and
+// `row` on one row of any section; column, match and `cell` targets put it
+// on cells. Rows and columns are 1-based, rows count within their section
+// (body by default). With `combo` the class is added as a Webflow combo
+// class (`&name`) on the element's first class.
+
+export const CLASS_RULE_TARGETS = [
+  ["column", "Column"],
+  ["odd", "Odd rows"],
+  ["even", "Even rows"],
+  ["first", "First row"],
+  ["last", "Last row"],
+  ["match", "Cell value"],
+  ["row", "Row"],
+  ["cell", "Cell"],
+];
+
+export const CLASS_RULE_SECTIONS = [
+  ["thead", "Head"],
+  ["tbody", "Body"],
+  ["tfoot", "Foot"],
+];
+
+const ROW_TARGETS = ["odd", "even", "first", "last"];
+
+// Does a `row` / `cell` rule point at row `index` (0-based) of `section`?
+const atRow = (rule, section, index) =>
+  (rule.section || "tbody") === section &&
+  (Number(rule.row) || 1) === index + 1;
+
+function classTokens(rule) {
+  const name = String(rule.className || "").trim();
+  if (!name) return [];
+  return name.split(/\s+/).map((n) => (rule.combo ? `&${n}` : n));
+}
+
+// "/pattern/flags" is a regex; anything else matches the trimmed text
+// case-insensitively.
+function matches(pattern, text) {
+  const p = String(pattern ?? "").trim();
+  if (!p) return false;
+  const re = p.match(/^\/(.+)\/([a-z]*)$/);
+  if (re) {
+    try {
+      return new RegExp(re[1], re[2]).test(text);
+    } catch {
+      return false;
+    }
+  }
+  return (
+    p.toLowerCase() ===
+    String(text ?? "")
+      .trim()
+      .toLowerCase()
+  );
+}
+
+/**
+ * Class tokens for row `index` (0-based) of the `count` rows in `section`.
+ */
+export function rowRuleClasses(rules, index, count, section = "tbody") {
+  return (rules || [])
+    .filter((rule) => {
+      if (rule.target === "row") return atRow(rule, section, index);
+      if (!ROW_TARGETS.includes(rule.target) || section !== "tbody") {
+        return false;
+      }
+      if (rule.target === "odd") return index % 2 === 0;
+      if (rule.target === "even") return index % 2 === 1;
+      if (rule.target === "first") return index === 0;
+      return index === count - 1;
+    })
+    .flatMap(classTokens);
+}
+
+/**
+ * Class tokens for the cell in grid column `column` of section row `row`
+ * (both 0-based). Value rules only look at body cells; column rules
+ * (1-based `rule.column`) apply in every section.
+ */
+export function cellRuleClasses(rules, { row = 0, column, text, section }) {
+  return (rules || [])
+    .filter((rule) => {
+      if (rule.target === "column") return Number(rule.column) === column + 1;
+      if (rule.target === "cell") {
+        return (
+          atRow(rule, section, row) && (Number(rule.column) || 1) === column + 1
+        );
+      }
+      if (rule.target === "match") {
+        return section === "tbody" && matches(rule.value, text);
+      }
+      return false;
+    })
+    .flatMap(classTokens);
+}
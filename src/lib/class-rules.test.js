@@ -0,0 +1,113 @@
+import { describe, expect, it } from "vitest";
+import { cellRuleClasses, rowRuleClasses } from "./class-rules.js";
+import { buildXscpTable } from "./xscp.js";
+
+const DATA = [
+  ["Plan", "Price", "Seats"],
+  ["Basic", "9", "1"],
+  ["Team", "29", "5"],
+  ["Pro", "49", "10"],
+];
+
+// Class names per cell, by row, with combo classes as `&name`
+const classGrid = (payload) => {
+  const byId = new Map(payload.nodes.map((n) => [n._id, n]));
+  const nameOf = (id) => {
+    const style = payload.styles.find((s) => s._id === id);
+    return style.comb ? `&${style.name}` : style.name;
+  };
+  return payload.nodes
+    .filter((n) => n.data?.tag === "tr")
+    .map((tr) => ({
+      row: tr.classes.map(nameOf),
+      cells: tr.children.map((id) => byId.get(id).classes.map(nameOf)),
+    }));
+};
+
+describe("rowRuleClasses", () => {
+  const rules = [
+    { target: "odd", className: "is-odd" },
+    { target: "even", className: "is-even", combo: true },
+    { target: "first", className: "is-first" },
+    { target: "last", className: "is-last" },
+    { target: "row", section: "thead", row: 1, className: "is-head" },
+  ];
+
+  it("matches body rows by position", () => {
+    expect(rowRuleClasses(rules, 0, 3)).toEqual(["is-odd", "is-first"]);
+    expect(rowRuleClasses(rules, 1, 3)).toEqual(["&is-even"]);
+    expect(rowRuleClasses(rules, 2, 3)).toEqual(["is-odd", "is-last"]);
+  });
+
+  it("only applies single-row rules outside the body", () => {
+    expect(rowRuleClasses(rules, 0, 1, "thead")).toEqual(["is-head"]);
+    expect(rowRuleClasses(rules, 0, 1, "tfoot")).toEqual([]);
+  });
+});
+
+describe("cellRuleClasses", () => {
+  const rules = [
+    { target: "column", column: 2, className: "text-right" },
+    { target: "match", value: "/^\\d+$/", className: "is-number" },
+    { target: "match", value: "team", className: "is-team" },
+    { target: "cell", row: 2, column: 1, className: "is-picked" },
+    { target: "match", value: "/[/", className: "never" },
+  ];
+
+  it("matches columns in every section and values in the body", () => {
+    expect(
+      cellRuleClasses(rules, { column: 1, text: "Price", section: "thead" })
+    ).toEqual(["text-right"]);
+    expect(
+      cellRuleClasses(rules, { column: 1, text: "29", section: "tbody" })
+    ).toEqual(["text-right", "is-number"]);
+    expect(
+      cellRuleClasses(rules, {
+        row: 1,
+        column: 0,
+        text: " Team ",
+        section: "tbody",
+      })
+    ).toEqual(["is-team", "is-picked"]);
+  });
+});
+
+describe("combo classes and rules in the generated table", () => {
+  it("creates combo styles under their base class", () => {
+    const { payload } = buildXscpTable({ cellClass: "cell &is-compact" }, DATA);
+    const base = payload.styles.find((s) => s.name === "cell");
+    const combo = payload.styles.find((s) => s.name === "is-compact");
+    expect(combo.comb).toBe("&");
+    expect(base.children).toEqual([combo._id]);
+    expect(classGrid(payload)[0].cells[0]).toEqual(["cell", "&is-compact"]);
+  });
+
+  it("highlights a column and stripes rows", () => {
+    const { payload } = buildXscpTable(
+      {
+        rowClass: "row",
+        cellClass: "cell",
+        classRules: [
+          {
+            target: "column",
+            column: 3,
+            className: "is-recommended",
+            combo: true,
+          },
+          { target: "even", className: "is-striped", combo: true },
+        ],
+      },
+      DATA
+    );
+    const grid = classGrid(payload);
+    expect(grid.map((r) => r.row)).toEqual([
+      ["row"],
+      ["row"],
+      ["row", "&is-striped"],
+      ["row"],
+    ]);
+    expect(grid.map((r) => r.cells[2])).toEqual(
+      Array(4).fill(["cell", "&is-recommended"])
+    );
+  });
+});
@@ -0,0 +1,171 @@
+// --- Clipboard table import --------------------------------------------------
+// Google Sheets and Excel put a copied range on the clipboard twice: as
+// tab-separated `text/plain` and as a `text/html` <table>. Both are turned
+// into the 2D string array the builder consumes.
+import { parseCSV } from "./csv.js";
+import { markerFor } from "./merges.js";
+import { safeUrl } from "./urls.js";
+
+/**
+ * Parse the first <table> in an HTML fragment. Bold, italic and links are
+ * kept as Markdown-lite (`**bold**`, `_em_`, `[label](url)`), <br> becomes
+ * a newline and list items `- ` lines (see rich-text.js). Spanned cells
+ * become `<<` / `^^` merge markers so every row has the same shape. Class
+ * styles from the fragment's <style> block count (Excel uses them), and
+ * links keep only http(s), mailto, tel, `#` and relative URLs.
+ *
+ * Browser only (uses DOMParser). Returns null when there is no table.
+ */
+export function parseHtmlTable(html) {
+  if (!html || typeof DOMParser === "undefined") return null;
+  const doc = new DOMParser().parseFromString(html, "text/html");
+  const table = doc.querySelector("table");
+  if (!table) return null;
+  const classes = classStyles(doc);
+
+  const grid = [];
+  Array.from(table.rows).forEach((tr, r) => {
+    grid[r] = grid[r] || [];
+    let c = 0;
+    for (const cell of Array.from(tr.cells)) {
+      while (grid[r][c] !== undefined) c++;
+      const colspan = Math.max(1, cell.colSpan || 1);
+      const rowspan = Math.max(1, cell.rowSpan || 1);
+      for (let dr = 0; dr < rowspan; dr++) {
+        grid[r + dr] = grid[r + dr] || [];
+        for (let dc = 0; dc < colspan; dc++) {
+          grid[r + dr][c + dc] =
+            dr === 0 && dc === 0
+              ? inlineText(cell, classes)
+              : markerFor(dr, dc);
+        }
+      }
+      c += colspan;
+    }
+  });
+
+  const width = Math.max(0, ...grid.map((row) => row.length));
+  return grid.map((row) =>
+    Array.from({ length: width }, (_, i) => row[i] ?? "")
+  );
+}
+
+// Excel styles cells with classes (`.xl65 {font-weight:700}`) declared in a
+// <style> block: class name → the font-weight / font-style it sets
+function classStyles(doc) {
+  const css = Array.from(doc.querySelectorAll("style"))
+    .map((style) => style.textContent)
+    .join("\n")
+    .replace(/\/\*[\s\S]*?\*\/|<!--|-->/g, "");
+  const classes = {};
+  for (const [, selectors, body] of css.matchAll(/([^{}]+)\{([^}]*)\}/g)) {
+    const font = {};
+    for (const decl of body.split(";")) {
+      const [prop, ...rest] = decl.split(":");
+      const value = rest.join(":").trim().toLowerCase();
+      if (prop.trim().toLowerCase() === "font-weight") font.fontWeight = value;
+      if (prop.trim().toLowerCase() === "font-style") font.fontStyle = value;
+    }
+    if (!Object.keys(font).length) continue;
+    for (const selector of selectors.split(",")) {
+      const match = /^[a-z]*\.([\w-]+)$/i.exec(selector.trim());
+      if (match) classes[match[1]] = { ...classes[match[1]], ...font };
+    }
+  }
+  return classes;
+}
+
+// An inline style wins over class rules, the last matching class over others
+function fontProperty(el, classes, prop) {
+  let value = el.style?.[prop] || "";
+  if (value) return value;
+  for (const name of Array.from(el.classList || [])) {
+    value = classes[name]?.[prop] || value;
+  }
+  return value;
+}
+
+function isBold(el, classes) {
+  const tag = el.tagName.toLowerCase();
+  if (tag === "b" || tag === "strong") return true;
+  const weight = fontProperty(el, classes, "fontWeight");
+  return weight === "bold" || Number(weight) >= 600;
+}
+
+function isItalic(el, classes) {
+  const tag = el.tagName.toLowerCase();
+  return (
+    tag === "i" ||
+    tag === "em" ||
+    fontProperty(el, classes, "fontStyle") === "italic"
+  );
+}
+
+function inlineText(node, classes) {
+  let out = "";
+  for (const child of Array.from(node.childNodes)) {
+    if (child.nodeType === 3) {
+      out += child.nodeValue.replace(/\s+/g, " ");
+      continue;
+    }
+    if (child.nodeType !== 1) continue;
+    const tag = child.tagName.toLowerCase();
+    if (tag === "br") {
+      out += "\n";
+      continue;
+    }
+    if (tag === "style" || tag === "script") continue;
+    if (tag === "ul" || tag === "ol") {
+      const items = Array.from(child.children)
+        .filter((li) => li.tagName.toLowerCase() === "li")
+        .map((li) => `- ${inlineText(li, classes).trim()}`);
+      if (out && !out.endsWith("\n")) out += "\n";
+      out += `${items.join("\n")}\n`;
+      continue;
+    }
+    let inner = inlineText(child, classes);
+    if (!inner.trim()) {
+      out += inner;
+      continue;
+    }
+    // Links with a disallowed scheme keep only their text
+    const href = tag === "a" ? safeUrl(child.getAttribute("href")) : null;
+    if (href) inner = `[${inner}](${href})`;
+    if (isItalic(child, classes)) inner = `_${inner}_`;
+    if (isBold(child, classes)) inner = `**${inner}**`;
+    out += inner;
+  }
+  // Cell-level formatting (Sheets puts font-weight on the <td> itself)
+  if (node.tagName && /^t[dh]$/i.test(node.tagName)) {
+    const text = out.trim();
+    if (!text) return "";
+    let wrapped = text;
+    if (isItalic(node, classes) && !/^_.*_$/s.test(wrapped))
+      wrapped = `_${wrapped}_`;
+    if (isBold(node, classes) && !/^\*\*.*\*\*$/s.test(wrapped)) {
+      wrapped = `**${wrapped}**`;
+    }
+    return wrapped;
+  }
+  return out;
+}
+
+/**
+ * Pick the best table representation from a paste/clipboard event's data.
+ * Prefers `text/html` (keeps formatting), then tab-separated text. Returns
+ * null when the clipboard does not look like a copied range.
+ */
+export function rowsFromClipboardData(clipboardData) {
+  if (!clipboardData) return null;
+  const html = clipboardData.getData("text/html");
+  if (html && /<table[\s>]/i.test(html)) {
+    const rows = parseHtmlTable(html);
+    if (rows && rows.length) return rows;
+  }
+  const text = clipboardData.getData("text/plain");
+  if (text && text.includes("\t")) {
+    const rows = parseCSV(text.replace(/\r?\n$/, ""), { delimiter: "\t" });
+    if (rows.length) return rows;
+  }
+  return null;
+}
@@ -0,0 +1,117 @@
+// @vitest-environment jsdom
+import { describe, expect, it } from "vitest";
+import { parseHtmlTable, rowsFromClipboardData } from "./clipboard.js";
+import { safeUrl } from "./urls.js";
+
+const table = (body, head = "") =>
+  `<html><head>${head}</head><body><table>${body}</table></body></html>`;
+
+describe("parseHtmlTable", () => {
+  it("keeps inline formatting, line breaks and lists", () => {
+    const html = table(
+      `<tr><td style="font-weight:700">Plan</td><td><em>Price</em></td></tr>
+       <tr><td>a<br>b</td><td><ul><li>one</li><li>two</li></ul></td></tr>`
+    );
+    expect(parseHtmlTable(html)).toEqual([
+      ["**Plan**", "_Price_"],
+      ["a\nb", "- one\n- two"],
+    ]);
+  });
+
+  it("turns spans into merge markers", () => {
+    const html = table(
+      `<tr><td colspan="2">Plan</td></tr><tr><td rowspan="2">A</td><td>1</td></tr><tr><td>2</td></tr>`
+    );
+    expect(parseHtmlTable(html)).toEqual([
+      ["Plan", "<<"],
+      ["A", "1"],
+      ["^^", "2"],
+    ]);
+  });
+
+  it("resolves Excel class styles from the <style> block", () => {
+    const html = table(
+      `<tr><td class="xl65">Plan</td><td class="xl66">note</td><td class="xl67">x</td></tr>
+       <tr><td class="xl65" style="font-weight:400">plain</td><td>y</td><td>z</td></tr>`,
+      `<style><!--
+        .xl65 {mso-style-parent:style0; font-weight:700;}
+        td.xl66, .other {font-style:italic}
+        /* .xl67 {font-weight:700} */
+      --></style>`
+    );
+    expect(parseHtmlTable(html)).toEqual([
+      ["**Plan**", "_note_", "x"],
+      ["plain", "y", "z"],
+    ]);
+  });
+
+  it("keeps only safe link schemes", () => {
+    const html = table(
+      `<tr>
+        <td><a href="https://example.com">site</a></td>
+        <td><a href="/pricing">rel</a></td>
+        <td><a href="javascript:alert(1)">bad</a></td>
+        <td><a href="data:text/html,x">data</a></td>
+      </tr>`
+    );
+    expect(parseHtmlTable(html)).toEqual([
+      ["[site](https://example.com)", "[rel](/pricing)", "bad", "data"],
+    ]);
+  });
+
+  it("returns null without a table", () => {
+    expect(parseHtmlTable("<p>hi</p>")).toBeNull();
+  });
+});
+
+describe("rowsFromClipboardData", () => {
+  const data = (types) => ({ getData: (type) => types[type] || "" });
+
+  it("prefers HTML, then tab-separated text", () => {
+    expect(
+      rowsFromClipboardData(
+        data({ "text/html": table("<tr><td>A</td></tr>"), "text/plain": "B" })
+      )
+    ).toEqual([["A"]]);
+    expect(
+      rowsFromClipboardData(data({ "text/plain": "a\tb\n1\t2\n" }))
+    ).toEqual([
+      ["a", "b"],
+      ["1", "2"],
+    ]);
+    expect(
+      rowsFromClipboardData(data({ "text/plain": "just text" }))
+    ).toBeNull();
+  });
+});
+
+describe("safeUrl", () => {
+  it("allows http(s), mailto, tel, anchors and relative URLs", () => {
+    for (const url of [
+      "https://a.com",
+      "HTTP://a.com",
+      "mailto:a@b.c",
+      "tel:+123",
+      "#top",
+      "/p",
+      "./p",
+      "page.html?q=1",
+    ]) {
+      expect(safeUrl(url)).toBe(url);
+    }
+  });
+
+  it("drops other schemes, also when obfuscated", () => {
+    for (const url of [
+      "javascript:alert(1)",
+      " JavaScript:alert(1)",
+      "java\tscript:alert(1)",
+      "java\nscript:alert(1)",
+      "data:text/html,x",
+      "vbscript:x",
+      "",
+    ]) {
+      expect(safeUrl(url)).toBeNull();
+    }
+  });
+});
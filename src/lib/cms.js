@@ -0,0 +1,74 @@
+// --- CMS collection lists -------------------------------------------------------
+// With the `cms` option the body is a Webflow Collection List instead of
+// static rows: one Collection Item is the row template, and every cell is
+// mapped to a CMS field slug (`cmsFields`, by column index). Header (and
+// footer) rows stay static.
+//
+// Browsers move anything but rows out of a <tbody>, and Collection Lists are
+// always <div>s, so a CMS table is a div grid with ARIA table roles:
+//
+//   div.cms-table [role=table]
+//     div.cms-table_head [role=rowgroup] > div.cms-table_row > columnheaders
+//     Collection List Wrapper
+//       Collection List [role=rowgroup] > Collection Item [role=row]
+//         div.cms-table_cell [role=cell, data-field=<slug>]
+//       Empty State
+//
+// The clipboard can't carry a binding to a collection in someone else's
+// site: after pasting, pick the collection on the list and bind each cell
+// to the field named in its `data-field`. The sample text is the first body
+// row. exportTable("cms-csv") writes the body rows for Webflow's CSV import.
+
+export const CMS_CLASSES = {
+  table: "cms-table",
+  head: "cms-table_head",
+  list: "cms-table_list",
+  row: "cms-table_row",
+  cell: "cms-table_cell",
+  empty: "cms-table_empty",
+};
+
+/** "Price (USD)" → "price-usd"; Webflow slugs are lowercase with dashes. */
+export function slugify(text) {
+  return String(text ?? "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+/**
+ * Field slug per column: the `cmsFields` entry, else the slugified column
+ * label. The first column defaults to `name`, the field every collection
+ * has. Duplicates get a numeric suffix.
+ */
+export function resolveCmsFields(labels, width, cmsFields = []) {
+  const seen = {};
+  return Array.from({ length: width }, (_, c) => {
+    const slug =
+      slugify(cmsFields?.[c]) ||
+      (c === 0 ? "name" : slugify(labels[c]) || `field-${c + 1}`);
+    seen[slug] = (seen[slug] || 0) + 1;
+    return seen[slug] > 1 ? `${slug}-${seen[slug]}` : slug;
+  });
+}
+
+/** Preset-style CSS for the grid (see ensureStyle), `columns` wide. */
+export function cmsStyles(columns) {
+  return {
+    [CMS_CLASSES.table]: { styleLess: "width: 100%;" },
+    [CMS_CLASSES.head]: { styleLess: "font-weight: 600;" },
+    [CMS_CLASSES.list]: { styleLess: "" },
+    [CMS_CLASSES.row]: {
+      styleLess: `display: grid; grid-template-columns: repeat(${Math.max(
+        1,
+        columns
+      )}, minmax(0, 1fr)); column-gap: 1rem;`,
+    },
+    [CMS_CLASSES.cell]: {
+      styleLess: "padding-top: 0.5rem; padding-bottom: 0.5rem;",
+    },
+    [CMS_CLASSES.empty]: { styleLess: "" },
+  };
+}
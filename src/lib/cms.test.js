@@ -0,0 +1,76 @@
+import { describe, expect, it } from "vitest";
+import { CMS_CLASSES as C, resolveCmsFields, slugify } from "./cms.js";
+import { rowsToCmsCsv } from "./export.js";
+import { buildXscpTable } from "./xscp.js";
+import { outline } from "../test/helpers.js";
+
+const DATA = [
+  ["Plan", "Price (USD)"],
+  ["Basic", "9"],
+  ["Team", "29"],
+  ["Total", "38"],
+];
+
+describe("field slugs", () => {
+  it("slugifies like Webflow", () => {
+    expect(slugify("Price (USD)")).toBe("price-usd");
+    expect(slugify("  Café Menü ")).toBe("cafe-menu");
+    expect(slugify(null)).toBe("");
+  });
+
+  it("defaults to name for the first column and dedupes", () => {
+    expect(resolveCmsFields(["Plan", "Price", "Price", ""], 4)).toEqual([
+      "name",
+      "price",
+      "price-2",
+      "field-4",
+    ]);
+    expect(resolveCmsFields(["Plan", "Price"], 2, ["Title", ""])).toEqual([
+      "title",
+      "price",
+    ]);
+  });
+});
+
+describe("buildXscpTable with cms", () => {
+  it("makes the body a Collection List with one row template", () => {
+    const { payload, fields } = buildXscpTable(
+      { cms: true, includeFoot: true, cmsFields: [null, "amount"] },
+      DATA
+    );
+    expect(fields).toEqual(["name", "amount"]);
+    expect(outline(payload)).toMatchSnapshot();
+  });
+
+  it("leaves out the script and responsive wrappers", () => {
+    const { payload } = buildXscpTable(
+      { cms: true, interactive: true, responsive: "scroll" },
+      DATA
+    );
+    expect(payload.nodes.some((n) => n.type === "HtmlEmbed")).toBe(false);
+    expect(outline(payload).split("\n")[0]).toBe(`div.${C.table}[role=table]`);
+  });
+});
+
+describe("rowsToCmsCsv", () => {
+  it("writes unique slugs unless a column maps to slug", () => {
+    const rows = [["Plan"], ["Team"], ["Team"], [""]];
+    expect(rowsToCmsCsv(rows)).toEqual([
+      ["Name", "Slug"],
+      ["Team", "team"],
+      ["Team", "team-2"],
+    ]);
+    expect(
+      rowsToCmsCsv(
+        [
+          ["Plan", "Id"],
+          ["Team", "t1"],
+        ],
+        { cmsFields: [, "slug"] }
+      )
+    ).toEqual([
+      ["Name", "Slug"],
+      ["Team", "t1"],
+    ]);
+  });
+});
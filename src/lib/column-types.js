@@ -0,0 +1,284 @@
+// --- Typed columns -----------------------------------------------------------
+// Body and footer cells can be formatted per column. A column's type comes
+// from the `columnTypes` option (one entry per column, by index):
+//
+//   columnTypes: [null, { type: "currency", currency: "EUR", decimals: 2 }]
+//
+// Columns without one (or "auto") stay text. Their type is still inferred
+// from the body values, but only as a suggestion for the builder: zip codes,
+// IDs and years look like numbers and must not be reformatted.
+//
+// Entry fields: `type` (see COLUMN_TYPES), `decimals` (default: as written
+// in the data), `grouping` (thousands separators, default true, but never
+// for year-like integers in number columns), `currency`
+// (ISO code, default the `currency` option), `trueLabel` / `falseLabel`
+// (booleans, default "Yes" / "No"; `:check:` / `:cross:` work too).
+// Values that don't parse as the column's type are kept as written.
+import { isMergeMarker } from "./merges.js";
+
+export const COLUMN_TYPES = [
+  ["auto", "Auto"],
+  ["text", "Text"],
+  ["number", "Number"],
+  ["currency", "Currency"],
+  ["percent", "Percent"],
+  ["date", "Date"],
+  ["boolean", "Yes / No"],
+];
+
+export const NUMERIC_TYPES = ["number", "currency", "percent"];
+
+const CURRENCY_SYMBOLS = {
+  $: "USD",
+  "€": "EUR",
+  "£": "GBP",
+  "¥": "JPY",
+  "₹": "INR",
+  "₩": "KRW",
+  "₽": "RUB",
+  "₺": "TRY",
+  "₫": "VND",
+  "₪": "ILS",
+};
+
+const TRUE_WORDS = ["true", "yes", "y", "✓", "✔", ":check:"];
+const FALSE_WORDS = ["false", "no", "n", "✗", "✘", ":cross:"];
+
+function separators(locale) {
+  try {
+    const parts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+    return {
+      group: parts.find((p) => p.type === "group")?.value ?? ",",
+      decimal: parts.find((p) => p.type === "decimal")?.value ?? ".",
+    };
+  } catch {
+    return { group: ",", decimal: "." };
+  }
+}
+
+/**
+ * Parse a written number ("1,234.50", "(12)", "−3", "12.5 %", "€ 1.234,5").
+ * Returns `{ value, decimals, percent, currency }` or null. Integers with a
+ * leading zero ("02134", "007") are codes, not numbers.
+ */
+export function parseNumber(text, locale = "en-US") {
+  let s = String(text ?? "").trim();
+  if (!s) return null;
+  let negative = false;
+  if (/^\(.*\)$/.test(s)) {
+    negative = true;
+    s = s.slice(1, -1).trim();
+  }
+  const percent = s.endsWith("%");
+  if (percent) s = s.slice(0, -1).trim();
+
+  let currency = null;
+  const code = /^([A-Z]{3})\s*(?=[-−+\d.,])|(?<=[\d.,])\s*([A-Z]{3})$/.exec(s);
+  if (code) {
+    currency = code[1] || code[2];
+    s = s.replace(code[0], "").trim();
+  } else {
+    for (const [symbol, iso] of Object.entries(CURRENCY_SYMBOLS)) {
+      if (s.startsWith(symbol) || s.endsWith(symbol)) {
+        currency = iso;
+        s = s.split(symbol).join("").trim();
+        break;
+      }
+    }
+  }
+  const sign = /^[-−+]/.exec(s);
+  if (sign) {
+    if (sign[0] !== "+") negative = !negative;
+    s = s.slice(1).trim();
+  }
+  // After the sign, so "-$5" and "$-5" both work
+  if (!currency && s.startsWith("$")) {
+    currency = "USD";
+    s = s.slice(1);
+  }
+
+  s = s.replace(/[\s  ']/g, "");
+  const { decimal } = separators(locale);
+  if (s.includes(",") && s.includes(".")) {
+    // Both present: the last one is the decimal separator
+    const dec = s.lastIndexOf(",") > s.lastIndexOf(".") ? "," : ".";
+    s = s
+      .split(dec === "," ? "." : ",")
+      .join("")
+      .replace(dec, ".");
+  } else if (s.includes(",") || s.includes(".")) {
+    const sep = s.includes(",") ? "," : ".";
+    const parts = s.split(sep);
+    // A lone separator is a decimal point when it is the locale's, or when
+    // it isn't followed by exactly three digits ("1234.5" in de-DE);
+    // anything else groups thousands
+    const decimalPoint =
+      parts.length === 2 && (sep === decimal || parts[1].length !== 3);
+    s = decimalPoint ? parts.join(".") : parts.join("");
+  }
+  if (!/^\d+(\.\d+)?$|^\.\d+$/.test(s) || /^0\d/.test(s)) return null;
+  const value = Number(s) * (negative ? -1 : 1);
+  return {
+    value,
+    decimals: s.includes(".") ? s.split(".")[1].length : 0,
+    percent,
+    currency,
+  };
+}
+
+/** A bare four-digit integer that reads as a year ("1999", "2021"). */
+export function isYearLike(text) {
+  const s = String(text ?? "").trim();
+  return /^\d{4}$/.test(s) && +s >= 1000 && +s <= 2999;
+}
+
+/** "2024-03-05", "Mar 5, 2024", or "05/03/2024" in the locale's order. */
+export function parseDate(text, locale = "en-US") {
+  const s = String(text ?? "").trim();
+  if (!s) return null;
+  const iso = /^(\d{4})-(\d{2})-(\d{2})(?:[T ][\d:.]+Z?)?$/.exec(s);
+  if (iso) return utcDate(+iso[1], +iso[2], +iso[3]);
+  const numeric = /^(\d{1,2})[./-](\d{1,2})[./-](\d{4})$/.exec(s);
+  if (numeric) {
+    const order = new Intl.DateTimeFormat(locale)
+      .formatToParts(new Date(Date.UTC(2000, 10, 22)))
+      .map((p) => p.type);
+    const monthFirst = order.indexOf("month") < order.indexOf("day");
+    const [a, b] = [+numeric[1], +numeric[2]];
+    return monthFirst ? utcDate(+numeric[3], a, b) : utcDate(+numeric[3], b, a);
+  }
+  // Written-out dates ("Mar 5, 2024", "5 March 2024") need a year
+  if (!/[a-z]/i.test(s) || !/\b\d{4}\b/.test(s)) return null;
+  const parsed = new Date(s);
+  if (Number.isNaN(parsed.getTime())) return null;
+  return utcDate(parsed.getFullYear(), parsed.getMonth() + 1, parsed.getDate());
+}
+
+function utcDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+    ? date
+    : null;
+}
+
+export function parseBoolean(text) {
+  const s = String(text ?? "")
+    .trim()
+    .toLowerCase();
+  if (TRUE_WORDS.includes(s)) return true;
+  if (FALSE_WORDS.includes(s)) return false;
+  return null;
+}
+
+/**
+ * Guess a column's type from its non-empty values: `{ type, currency? }`.
+ * Every sampled value has to fit, otherwise the column is text.
+ */
+export function inferColumnType(values, locale = "en-US") {
+  const sample = values
+    .map((v) => String(v ?? "").trim())
+    .filter(Boolean)
+    .slice(0, 100);
+  if (!sample.length) return { type: "text" };
+  if (sample.every((v) => parseBoolean(v) !== null)) return { type: "boolean" };
+  const numbers = sample.map((v) => parseNumber(v, locale));
+  if (numbers.every(Boolean)) {
+    if (numbers.every((n) => n.percent)) return { type: "percent" };
+    const currencies = new Set(numbers.map((n) => n.currency));
+    if (currencies.size === 1 && numbers[0].currency) {
+      return { type: "currency", currency: numbers[0].currency };
+    }
+    if (!numbers.some((n) => n.percent || n.currency)) {
+      return { type: "number" };
+    }
+  }
+  if (sample.every((v) => parseDate(v, locale))) return { type: "date" };
+  return { type: "text" };
+}
+
+/**
+ * Per-column formats for `body` rows: the `columnTypes` overrides, or text
+ * for columns without a type. Each entry keeps the guess from the values as
+ * `inferred` and `auto` (no type override).
+ */
+export function resolveColumnFormats(
+  body,
+  columnTypes = [],
+  { locale = "en-US", width } = {}
+) {
+  const count = width ?? Math.max(0, ...body.map((r) => r?.length ?? 0));
+  return Array.from({ length: count }, (_, c) => {
+    const override = columnTypes?.[c] || {};
+    const guess = inferColumnType(
+      body.map((r) => r?.[c]).filter((v) => !isMergeMarker(v)),
+      override.locale || locale
+    );
+    const auto = !override.type || override.type === "auto";
+    return {
+      ...override,
+      type: auto ? "text" : override.type,
+      inferred: guess.type,
+      auto,
+    };
+  });
+}
+
+/** The cell text formatted for `format`; unparsable values are unchanged. */
+export function formatCell(text, format, { locale = "en-US", currency } = {}) {
+  const raw = String(text ?? "");
+  if (!format || format.type === "text" || !raw.trim()) return raw;
+  const loc = format.locale || locale;
+  try {
+    if (format.type === "boolean") {
+      const b = parseBoolean(raw);
+      if (b === null) return raw;
+      return b ? format.trueLabel || "Yes" : format.falseLabel || "No";
+    }
+    if (format.type === "date") {
+      const date = parseDate(raw, loc);
+      if (!date) return raw;
+      return new Intl.DateTimeFormat(loc, {
+        dateStyle: format.dateStyle || "medium",
+        timeZone: "UTC",
+      }).format(date);
+    }
+    const n = parseNumber(raw, loc);
+    if (!n) return raw;
+    const digits = (d) =>
+      d === undefined
+        ? {}
+        : { minimumFractionDigits: d, maximumFractionDigits: d };
+    const useGrouping =
+      format.grouping !== false &&
+      !(format.type === "number" && isYearLike(raw));
+    const decimals =
+      format.decimals === undefined || format.decimals === ""
+        ? undefined
+        : Number(format.decimals);
+    if (format.type === "currency") {
+      return new Intl.NumberFormat(loc, {
+        style: "currency",
+        currency: format.currency || n.currency || currency || "USD",
+        useGrouping,
+        ...digits(decimals),
+      }).format(n.value);
+    }
+    if (format.type === "percent") {
+      // "12.5%" is a percentage, a bare number a fraction (0.125)
+      const value = n.percent ? n.value / 100 : n.value;
+      const written = n.percent ? n.decimals : Math.max(0, n.decimals - 2);
+      return new Intl.NumberFormat(loc, {
+        style: "percent",
+        useGrouping,
+        ...digits(decimals ?? written),
+      }).format(value);
+    }
+    return new Intl.NumberFormat(loc, {
+      useGrouping,
+      ...digits(decimals ?? n.decimals),
+    }).format(n.value);
+  } catch {
+    // Bad locale / currency code: leave the value alone
+    return raw;
+  }
+}
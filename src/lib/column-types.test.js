@@ -0,0 +1,135 @@
+import { describe, expect, it } from "vitest";
+import {
+  formatCell,
+  inferColumnType,
+  isYearLike,
+  parseBoolean,
+  parseDate,
+  parseNumber,
+  resolveColumnFormats,
+} from "./column-types.js";
+import { buildXscpTable } from "./xscp.js";
+import { outline } from "../test/helpers.js";
+
+describe("parseNumber", () => {
+  it("reads written numbers, percentages and currencies", () => {
+    expect(parseNumber("1,234.50")).toMatchObject({
+      value: 1234.5,
+      decimals: 2,
+    });
+    expect(parseNumber("(12)").value).toBe(-12);
+    expect(parseNumber("12.5 %")).toMatchObject({ value: 12.5, percent: true });
+    expect(parseNumber("€ 1.234,5", "de-DE")).toMatchObject({
+      value: 1234.5,
+      currency: "EUR",
+    });
+    expect(parseNumber("-$5")).toMatchObject({ value: -5, currency: "USD" });
+  });
+
+  it("treats integers with a leading zero as codes", () => {
+    expect(parseNumber("02134")).toBeNull();
+    expect(parseNumber("007")).toBeNull();
+    expect(parseNumber("0")).toMatchObject({ value: 0 });
+    expect(parseNumber("0.5")).toMatchObject({ value: 0.5 });
+  });
+});
+
+describe("dates, booleans and years", () => {
+  it("parses ISO and locale-ordered dates", () => {
+    const day = (d) => d?.toISOString().slice(0, 10);
+    expect(day(parseDate("2024-03-05"))).toBe("2024-03-05");
+    expect(day(parseDate("03/05/2024"))).toBe("2024-03-05");
+    expect(day(parseDate("05/03/2024", "en-GB"))).toBe("2024-03-05");
+    expect(parseDate("2024-02-30")).toBeNull();
+  });
+
+  it("reads yes / no words and icons", () => {
+    expect(parseBoolean(" Yes ")).toBe(true);
+    expect(parseBoolean(":cross:")).toBe(false);
+    expect(parseBoolean("maybe")).toBeNull();
+  });
+
+  it("recognises year-like integers", () => {
+    expect(isYearLike("2021")).toBe(true);
+    expect(isYearLike("10001")).toBe(false);
+    expect(isYearLike("2021.5")).toBe(false);
+  });
+});
+
+describe("column types", () => {
+  it("infers a suggestion from the values", () => {
+    expect(inferColumnType(["9", "1,200"]).type).toBe("number");
+    expect(inferColumnType(["$9", "$29"])).toEqual({
+      type: "currency",
+      currency: "USD",
+    });
+    expect(inferColumnType(["02134", "10001"]).type).toBe("text");
+    expect(inferColumnType(["yes", "no"]).type).toBe("boolean");
+  });
+
+  it("leaves columns without a type as text", () => {
+    const [zip, price] = resolveColumnFormats(
+      [
+        ["02134", "9"],
+        ["10001", "1200"],
+      ],
+      [null, { type: "currency", decimals: 2 }]
+    );
+    expect(zip).toMatchObject({ type: "text", inferred: "text", auto: true });
+    expect(price).toMatchObject({
+      type: "currency",
+      inferred: "number",
+      auto: false,
+    });
+  });
+
+  it("formats only explicitly typed columns", () => {
+    const { payload } = buildXscpTable(
+      {
+        columnTypes: [null, null, { type: "number" }],
+      },
+      [
+        ["Year", "Zip", "Seats"],
+        ["2021", "02134", "12000"],
+        ["2022", "10001", "03"],
+      ]
+    );
+    const text = outline(payload);
+    for (const raw of ['"2021"', '"02134"', '"10001"', '"12,000"', '"03"']) {
+      expect(text).toContain(raw);
+    }
+    expect(text).not.toContain('"2,021"');
+    expect(text).not.toContain('"10,001"');
+  });
+});
+
+describe("formatCell", () => {
+  it("formats numbers, currencies and percentages for the locale", () => {
+    expect(formatCell("1234.5", { type: "number", decimals: 2 })).toBe(
+      "1,234.50"
+    );
+    expect(
+      formatCell(
+        "1234.5",
+        { type: "currency", decimals: 2 },
+        { locale: "de-DE", currency: "EUR" }
+      )
+    ).toBe("1.234,50\u00a0€");
+    expect(formatCell("12.5%", { type: "percent" })).toBe("12.5%");
+    expect(formatCell("0.125", { type: "percent" })).toBe("12.5%");
+  });
+
+  it("leaves year-like integers ungrouped in number columns", () => {
+    expect(formatCell("2021", { type: "number" })).toBe("2021");
+    expect(formatCell("10001", { type: "number" })).toBe("10,001");
+    expect(formatCell("2021", { type: "currency" })).toBe("$2,021.00");
+  });
+
+  it("keeps values that don't fit the type as written", () => {
+    expect(formatCell("02134", { type: "number" })).toBe("02134");
+    expect(formatCell("n/a", { type: "currency" })).toBe("n/a");
+    expect(formatCell("yes", { type: "boolean", trueLabel: "✓" })).toBe("✓");
+    expect(formatCell("2024-03-05", { type: "date" })).toBe("Mar 5, 2024");
+    expect(formatCell("1200", { type: "text" })).toBe("1200");
+  });
+});
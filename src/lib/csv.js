@@ -0,0 +1,183 @@
+// --- CSV dialect -------------------------------------------------------------
+export const DELIMITER_CANDIDATES = [",", ";", "\t", "|"];
+
+export const DEFAULT_DIALECT = {
+  delimiter: "auto", // "auto" | "," | ";" | "\t" | "|"
+  quote: '"',
+  encoding: "auto", // "auto" | any TextDecoder label, e.g. "windows-1252"
+  trim: false, // trim whitespace around every field
+  skipEmptyLines: false,
+  commentPrefix: "", // e.g. "#"; lines starting with it are dropped
+};
+
+// Guess the delimiter from the first lines: the candidate that appears
+// (outside quotes) the same, non-zero number of times on the most lines wins.
+export function detectDelimiter(input, quote = '"') {
+  const lines = [];
+  let line = "";
+  let inQuotes = false;
+  for (let i = 0; i < input.length && lines.length < 20; i++) {
+    const ch = input[i];
+    if (ch === quote) inQuotes = !inQuotes;
+    if (ch === "\n" && !inQuotes) {
+      if (line.trim()) lines.push(line);
+      line = "";
+    } else if (!inQuotes) {
+      line += ch;
+    }
+  }
+  if (line.trim() && lines.length < 20) lines.push(line);
+  if (lines.length === 0) return ",";
+
+  let best = ",";
+  let bestScore = 0;
+  for (const d of DELIMITER_CANDIDATES) {
+    const counts = lines.map((l) => l.split(d).length - 1);
+    const freq = new Map();
+    counts.forEach((n) => n > 0 && freq.set(n, (freq.get(n) || 0) + 1));
+    let score = 0;
+    for (const [n, times] of freq) score = Math.max(score, times * 100 + n);
+    if (score > bestScore) {
+      best = d;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+// Decode file bytes. "auto" honours a BOM, then tries strict UTF-8 and falls
+// back to Windows-1252 (what Excel writes on most Western-European systems).
+export function decodeText(buffer, encoding = "auto") {
+  const bytes = new Uint8Array(buffer);
+  if (encoding !== "auto") return new TextDecoder(encoding).decode(bytes);
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+    return new TextDecoder("utf-8").decode(bytes);
+  }
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) {
+    return new TextDecoder("utf-16le").decode(bytes);
+  }
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+    return new TextDecoder("utf-16be").decode(bytes);
+  }
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+  } catch {
+    return new TextDecoder("windows-1252").decode(bytes);
+  }
+}
+
+// --- CSV parsing -------------------------------------------------------------
+// RFC4180-ish CSV parser (handles quotes, escaped quotes, delimiters,
+// newlines). Options follow DEFAULT_DIALECT; the delimiter defaults to ","
+// and "auto" sniffs it with detectDelimiter. A leading BOM is always dropped.
+export function parseCSV(
+  input,
+  {
+    delimiter = ",",
+    quote = '"',
+    trim = false,
+    skipEmptyLines = false,
+    commentPrefix = "",
+  } = {}
+) {
+  input = String(input ?? "").replace(/^\uFEFF/, "");
+  if (delimiter === "auto") delimiter = detectDelimiter(input, quote);
+
+  let rows = [];
+  let row = [];
+  let field = "";
+  let i = 0;
+  let inQuotes = false;
+
+  while (i < input.length) {
+    const ch = input[i];
+    if (inQuotes) {
+      if (ch === quote) {
+        if (input[i + 1] === quote) {
+          // escaped quote
+          field += quote;
+          i += 2;
+          continue;
+        } else {
+          inQuotes = false;
+          i++;
+          continue;
+        }
+      } else {
+        field += ch;
+        i++;
+        continue;
+      }
+    } else {
+      if (
+        commentPrefix &&
+        row.length === 0 &&
+        field === "" &&
+        input.startsWith(commentPrefix, i)
+      ) {
+        // comment line: skip through the end of the line
+        const eol = input.indexOf("\n", i);
+        i = eol === -1 ? input.length : eol + 1;
+        continue;
+      }
+      if (ch === quote) {
+        inQuotes = true;
+        i++;
+        continue;
+      }
+      if (ch === delimiter) {
+        row.push(field);
+        field = "";
+        i++;
+        continue;
+      }
+      if (ch === "\n") {
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = "";
+        i++;
+        continue;
+      }
+      if (ch === "\r") {
+        // handle CRLF (\r\n)
+        i++;
+        continue;
+      }
+      field += ch;
+      i++;
+    }
+  }
+  // flush last field
+  row.push(field);
+  // flush last row if not empty (or if there was at least one comma)
+  if (row.length > 1 || row[0] !== "") rows.push(row);
+
+  if (trim) rows = rows.map((r) => r.map((v) => v.trim()));
+  if (skipEmptyLines) rows = rows.filter((r) => r.some((v) => v.trim()));
+  return rows;
+}
+
+// Rows whose cell count differs from the widest row, e.g. for a warning panel.
+// `row` is 1-based to match what users see in their spreadsheet.
+export function findRaggedRows(rows) {
+  if (!rows || rows.length === 0) return [];
+  const expected = Math.max(...rows.map((r) => r.length));
+  return rows
+    .map((r, i) => ({ row: i + 1, cells: r.length, expected }))
+    .filter((r) => r.cells !== expected);
+}
+
+export function stringifyCSV(rows) {
+  return rows
+    .map((r) =>
+      r
+        .map((cell = "") => {
+          const needsQuote = /[",\n\r]/.test(cell);
+          const escaped = String(cell).replace(/"/g, '""');
+          return needsQuote ? `"${escaped}"` : escaped;
+        })
+        .join(",")
+    )
+    .join("\n");
+}
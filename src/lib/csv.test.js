@@ -0,0 +1,93 @@
+import { describe, expect, it } from "vitest";
+import {
+  decodeText,
+  detectDelimiter,
+  findRaggedRows,
+  parseCSV,
+  stringifyCSV,
+} from "./csv.js";
+
+describe("detectDelimiter", () => {
+  it("picks the delimiter used consistently across lines", () => {
+    expect(detectDelimiter("a,b,c\n1,2,3")).toBe(",");
+    expect(detectDelimiter("a;b;c\n1,5;2;3")).toBe(";");
+    expect(detectDelimiter("a\tb\n1\t2")).toBe("\t");
+    expect(detectDelimiter("a|b\n1|2")).toBe("|");
+  });
+
+  it("ignores delimiters inside quotes", () => {
+    expect(detectDelimiter('"a,b";c\n"1,2";3')).toBe(";");
+  });
+
+  it("falls back to a comma", () => {
+    expect(detectDelimiter("")).toBe(",");
+    expect(detectDelimiter("single")).toBe(",");
+  });
+});
+
+describe("parseCSV", () => {
+  it("handles quotes, escaped quotes, newlines and CRLF", () => {
+    expect(parseCSV('a,"b ""q"", c"\r\n"x\ny",z\r\n')).toEqual([
+      ["a", 'b "q", c'],
+      ["x\ny", "z"],
+    ]);
+  });
+
+  it("sniffs the delimiter with `auto` and drops a BOM", () => {
+    expect(parseCSV("﻿Name;Preis\nA;1,5", { delimiter: "auto" })).toEqual([
+      ["Name", "Preis"],
+      ["A", "1,5"],
+    ]);
+  });
+
+  it("trims fields and skips blank and comment lines", () => {
+    const input = "# exported\n a , b \n\n , \n# note\n1,2";
+    expect(
+      parseCSV(input, { trim: true, skipEmptyLines: true, commentPrefix: "#" })
+    ).toEqual([
+      ["a", "b"],
+      ["1", "2"],
+    ]);
+    expect(parseCSV("#a,b\n1,2")).toEqual([
+      ["#a", "b"],
+      ["1", "2"],
+    ]);
+  });
+});
+
+describe("decodeText", () => {
+  const bytes = (...b) => new Uint8Array(b).buffer;
+
+  it("honours and strips a UTF-8 or UTF-16 BOM", () => {
+    expect(decodeText(bytes(0xef, 0xbb, 0xbf, 0x61))).toBe("a");
+    expect(decodeText(bytes(0xff, 0xfe, 0x61, 0x00))).toBe("a");
+  });
+
+  it("falls back to Windows-1252 for invalid UTF-8", () => {
+    // "Café" in Windows-1252
+    expect(decodeText(bytes(0x43, 0x61, 0x66, 0xe9))).toBe("Café");
+  });
+
+  it("uses an explicit encoding", () => {
+    expect(decodeText(bytes(0xe9), "iso-8859-1")).toBe("é");
+  });
+});
+
+describe("findRaggedRows", () => {
+  it("reports rows narrower than the widest, 1-based", () => {
+    expect(findRaggedRows([["a", "b"], ["c"], ["d", "e"]])).toEqual([
+      { row: 2, cells: 1, expected: 2 },
+    ]);
+    expect(findRaggedRows([])).toEqual([]);
+  });
+});
+
+describe("stringifyCSV", () => {
+  it("round-trips through parseCSV", () => {
+    const rows = [
+      ["a", 'say "hi"'],
+      ["x,y", "line\nbreak"],
+    ];
+    expect(parseCSV(stringifyCSV(rows))).toEqual(rows);
+  });
+});
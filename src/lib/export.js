@@ -0,0 +1,396 @@
+// --- Plain exports -----------------------------------------------------------
+// The same table for places that aren't Webflow: docs, READMEs, other CMSs.
+//
+//   HTML      rendered from the generated XscpData nodes, with the class CSS
+//             either inlined (`style=""`) or as a <style> block
+//   Markdown  GitHub-flavoured table of the formatted cell text
+//   JSON      body rows as objects keyed by column header, typed by column
+//   CSV/TSV   every row as plain text, merges blanked, empty edges trimmed
+//   CMS CSV   body rows keyed by CMS field slug, for Webflow's CSV import
+import { resolveCmsFields, slugify } from "./cms.js";
+import { columnLabel, gridWidth } from "./grid.js";
+import { isMergeMarker, MERGE_LEFT, MERGE_UP } from "./merges.js";
+import {
+  NUMERIC_TYPES,
+  parseBoolean,
+  parseDate,
+  parseNumber,
+  resolveColumnFormats,
+} from "./column-types.js";
+import { resolveIcons } from "./icons.js";
+import { columnLabels } from "./responsive.js";
+import { plainText } from "./rich-text.js";
+import { parseStyleLess, serializeStyleLess } from "./styles.js";
+import { safeUrl } from "./urls.js";
+import { buildXscpTable, splitSections, tagOf } from "./xscp.js";
+import { readTableRows } from "./xscp-import.js";
+
+export const EXPORT_FORMATS = [
+  {
+    id: "html-inline",
+    label: "HTML (inline CSS)",
+    ext: "html",
+    type: "text/html",
+  },
+  {
+    id: "html-classes",
+    label: "HTML (classes + <style>)",
+    ext: "html",
+    type: "text/html",
+  },
+  { id: "markdown", label: "Markdown", ext: "md", type: "text/markdown" },
+  {
+    id: "json",
+    label: "JSON (objects)",
+    ext: "json",
+    type: "application/json",
+  },
+  { id: "csv", label: "CSV", ext: "csv", type: "text/csv" },
+  { id: "tsv", label: "TSV", ext: "tsv", type: "text/tab-separated-values" },
+  {
+    id: "cms-csv",
+    label: "CMS CSV (Webflow import)",
+    ext: "csv",
+    type: "text/csv",
+  },
+];
+
+// --- HTML ---
+
+// Variant breakpoint → media query (Webflow is desktop-first)
+const MEDIA = {
+  medium: "(max-width: 991px)",
+  small: "(max-width: 767px)",
+  tiny: "(max-width: 478px)",
+  large: "(min-width: 1280px)",
+  xl: "(min-width: 1440px)",
+  xxl: "(min-width: 1920px)",
+};
+const VOID_TAGS = ["br", "img", "hr", "input"];
+
+const escapeHtml = (s) =>
+  String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// `main`, `small`, `medium_hover`, `main_nth-child(even)` → [media, pseudo]
+function splitVariant(key) {
+  const [breakpoint, ...state] = key.split("_");
+  const pseudo = state.join("_");
+  return [
+    breakpoint === "main" ? "" : MEDIA[breakpoint],
+    pseudo ? `:${pseudo === "pressed" ? "active" : pseudo}` : "",
+  ];
+}
+
+// Tailwind-style names ("md:p-1") need escaping in a selector
+const cssClass = (name) => `.${name.replace(/[^\w-]/g, "\\$&")}`;
+
+/** CSS for every class in `styles`, combo classes as `.base.combo`. */
+export function stylesToCss(styles) {
+  const selectorOf = (style) => {
+    const base = style.comb
+      ? styles.find((s) => s.children?.includes(style._id))
+      : null;
+    return (base ? cssClass(base.name) : "") + cssClass(style.name);
+  };
+  const blocks = [];
+  for (const style of styles) {
+    const selector = selectorOf(style);
+    if (style.styleLess) blocks.push(`${selector} { ${style.styleLess} }`);
+    for (const [key, variant] of Object.entries(style.variants || {})) {
+      const [media, pseudo] = splitVariant(key);
+      if (!variant?.styleLess || media === undefined) continue;
+      const rule = `${selector}${pseudo} { ${variant.styleLess} }`;
+      blocks.push(media ? `@media ${media} { ${rule} }` : rule);
+    }
+  }
+  return blocks.join("\n");
+}
+
+/**
+ * The payload's nodes as HTML. `css: "inline"` writes each element's
+ * main-breakpoint class CSS into `style` (breakpoints and states are lost);
+ * `css: "classes"` keeps the classes and prepends a <style> block.
+ */
+export function payloadToHtml(payload, { css = "classes" } = {}) {
+  const nodes = payload?.nodes || [];
+  const styles = payload?.styles || [];
+  const byId = new Map(nodes.map((n) => [n._id, n]));
+  const styleById = new Map(styles.map((s) => [s._id, s]));
+  const assetById = new Map((payload?.assets || []).map((a) => [a._id, a]));
+  const childIds = new Set(nodes.flatMap((n) => n.children || []));
+
+  const render = (node, depth) => {
+    if (!node) return "";
+    if (node.text) return escapeHtml(node.v);
+    if (node.type === "HtmlEmbed") {
+      return node.v ?? node.data?.embed?.meta?.html ?? "";
+    }
+    const tag = tagOf(node) || "div";
+    const attrs = [];
+    const classList = (node.classes || [])
+      .map((id) => styleById.get(id))
+      .filter(Boolean);
+    if (css === "inline") {
+      const decls = Object.assign(
+        {},
+        ...classList.map((s) => parseStyleLess(s.styleLess))
+      );
+      const style = serializeStyleLess(decls);
+      if (style) attrs.push(["style", style]);
+    } else if (classList.length) {
+      attrs.push(["class", classList.map((s) => s.name).join(" ")]);
+    }
+    if (tag === "img") {
+      const attr = node.data?.attr || {};
+      const src = attr.src || assetById.get(node.data?.img?.id)?.cdnUrl || "";
+      attrs.push(["src", src], ["alt", attr.alt ?? ""]);
+      for (const x of node.data?.xattr || []) attrs.push([x.name, x.value]);
+    }
+    // Imported (passthrough) links haven't been through parseRichText
+    const href = tag === "a" ? safeUrl(node.data?.link?.url) : null;
+    if (href) attrs.push(["href", href]);
+    for (const a of node.data?.attributes || []) attrs.push([a.name, a.value]);
+    const open = `<${tag}${attrs
+      .map(([name, value]) => ` ${name}="${escapeHtml(value)}"`)
+      .join("")}>`;
+    if (VOID_TAGS.includes(tag)) return open;
+    const children = (node.children || []).map((id) => byId.get(id));
+    // Block-level children go on their own indented lines
+    const inline = children.every(
+      (c) =>
+        c?.text ||
+        ["strong", "em", "a", "br", "img", "span"].includes(tagOf(c)) ||
+        c?.type === "HtmlEmbed"
+    );
+    const pad = "  ".repeat(depth);
+    const inner = inline
+      ? children.map((c) => render(c, depth + 1)).join("")
+      : children.map((c) => `\n${pad}  ${render(c, depth + 1)}`).join("") +
+        `\n${pad}`;
+    return `${open}${inner}</${tag}>`;
+  };
+
+  const html = nodes
+    .filter((n) => !childIds.has(n._id))
+    .map((n) => render(n, 0))
+    .join("\n");
+  if (css === "inline") return html;
+  const sheet = stylesToCss(styles);
+  return sheet ? `<style>\n${sheet}\n</style>\n${html}` : html;
+}
+
+// --- Markdown ---
+
+const markdownCell = (value, icons) =>
+  String(value ?? "")
+    .replace(/(?<![\w:]):([a-z0-9_-]+):(?![\w:])/gi, (m, name) =>
+      icons[name] ? icons[name].alt || name : m
+    )
+    .replace(/\|/g, "\\|")
+    .replace(/\r?\n/g, "<br>")
+    .trim();
+
+/**
+ * GitHub-flavoured Markdown of the generated (formatted) table. Markdown has
+ * one header row and no spans: the last header row is used, merged cells
+ * are left empty and numeric columns are right-aligned.
+ */
+export function payloadToMarkdown(payload, { columns = [], icons } = {}) {
+  const read = readTableRows(payload);
+  if (!read) return "";
+  const iconMap = resolveIcons(icons);
+  const width = gridWidth(read.rows);
+  const head = read.rows.slice(0, read.headerRows);
+  const rest = read.rows.slice(read.headerRows);
+  const labels = columnLabels(head, width);
+  const line = (cells) => `| ${cells.join(" | ")} |`;
+  const cells = (row) =>
+    Array.from({ length: width }, (_, c) =>
+      isMergeMarker(row[c]) ? "" : markdownCell(row[c], iconMap)
+    );
+  return [
+    line(head.length ? cells(labels) : Array(width).fill("")),
+    line(
+      Array.from({ length: width }, (_, c) =>
+        NUMERIC_TYPES.includes(columns[c]?.type) ? "---:" : "---"
+      )
+    ),
+    ...rest.map((row) => line(cells(row))),
+  ].join("\n");
+}
+
+// --- JSON / CSV ---
+
+// Merge markers take the value of the cell they continue
+function fillMerges(rows) {
+  const out = rows.map((r) => r.slice());
+  out.forEach((row, r) =>
+    row.forEach((v, c) => {
+      const marker = String(v ?? "").trim();
+      if (marker === MERGE_LEFT && c > 0) row[c] = row[c - 1];
+      else if (marker === MERGE_UP && r > 0) row[c] = out[r - 1][c];
+    })
+  );
+  return out;
+}
+
+function typedValue(text, format, { locale, icons }) {
+  const plain = plainText(text, { icons });
+  if (!plain) return format && format.type !== "text" ? null : "";
+  const loc = format?.locale || locale;
+  if (NUMERIC_TYPES.includes(format?.type)) {
+    const n = parseNumber(plain, loc);
+    if (!n) return plain;
+    return format.type === "percent" && n.percent ? n.value / 100 : n.value;
+  }
+  if (format?.type === "boolean") return parseBoolean(plain) ?? plain;
+  if (format?.type === "date") {
+    return parseDate(plain, loc)?.toISOString().slice(0, 10) ?? plain;
+  }
+  return plain;
+}
+
+// Column labels and typed, non-empty body rows (JSON and CMS exports);
+// merged cells repeat their anchor's value
+function typedBody(data, options) {
+  const icons = resolveIcons(options.icons);
+  const { head, body } = splitSections(data, options);
+  const width = gridWidth(data);
+  const formats = resolveColumnFormats(body, options.columnTypes, {
+    locale: options.locale,
+    width,
+  });
+  const labels = columnLabels(fillMerges(head), width, (v) =>
+    plainText(v, { icons })
+  );
+  const rows = fillMerges(body)
+    .filter((row) => row.some((v) => String(v ?? "").trim()))
+    .map((row) =>
+      Array.from({ length: width }, (_, c) =>
+        typedValue(row[c], formats[c], { locale: options.locale, icons })
+      )
+    );
+  return { width, labels, rows };
+}
+
+/**
+ * Body rows as objects keyed by column header (column letters without a
+ * head). Values follow the column types: numbers, booleans, ISO dates.
+ * Empty rows are skipped.
+ */
+export function rowsToObjects(data, options = {}) {
+  const { width, labels, rows } = typedBody(data, options);
+  const seen = {};
+  const keys = Array.from({ length: width }, (_, c) => {
+    const key = labels[c] || columnLabel(c);
+    seen[key] = (seen[key] || 0) + 1;
+    return seen[key] > 1 ? `${key} ${seen[key]}` : key;
+  });
+  return rows.map((row) =>
+    Object.fromEntries(keys.map((key, c) => [key, row[c]]))
+  );
+}
+
+/**
+ * Body rows for Webflow's CMS CSV import: one column per field slug (see
+ * cms.js), `Name` first-class, and a unique `Slug` column derived from the
+ * name unless a column is already mapped to `slug`.
+ */
+export function rowsToCmsCsv(data, options = {}) {
+  const { width, labels, rows } = typedBody(data, options);
+  const fields = resolveCmsFields(labels, width, options.cmsFields);
+  const header = fields.map((slug) =>
+    slug === "name" ? "Name" : slug === "slug" ? "Slug" : slug
+  );
+  const out = rows.map((row) => row.map((v) => (v === null ? "" : String(v))));
+  if (!fields.includes("slug")) {
+    const nameColumn = fields.indexOf("name");
+    const seen = {};
+    header.push("Slug");
+    out.forEach((row, i) => {
+      let slug = slugify(row[nameColumn]) || `item-${i + 1}`;
+      seen[slug] = (seen[slug] || 0) + 1;
+      if (seen[slug] > 1) slug = `${slug}-${seen[slug]}`;
+      row.push(slug);
+    });
+  }
+  return [header, ...out];
+}
+
+/** All rows as plain text, merges blanked, empty trailing rows / columns cut. */
+export function cleanRows(data, { icons } = {}) {
+  const iconMap = resolveIcons(icons);
+  const rows = data.map((row) =>
+    row.map((v) => (isMergeMarker(v) ? "" : plainText(v, { icons: iconMap })))
+  );
+  while (rows.length && rows[rows.length - 1].every((v) => !v)) rows.pop();
+  let width = gridWidth(rows);
+  while (width > 0 && rows.every((r) => !r[width - 1])) width--;
+  return rows.map((r) => Array.from({ length: width }, (_, c) => r[c] ?? ""));
+}
+
+export function rowsToDelimited(rows, delimiter = ",") {
+  const special = new RegExp(
+    `["\\r\\n${delimiter === "\t" ? "\\t" : delimiter}]`
+  );
+  return rows
+    .map((row) =>
+      row
+        .map((v) => (special.test(v) ? `"${v.replace(/"/g, '""')}"` : v))
+        .join(delimiter)
+    )
+    .join("\n");
+}
+
+// A CMS table holds only the Collection List's row template, so HTML and
+// Markdown are rendered from the static table the rows stand for. The
+// options CMS mode leaves out stay off.
+function staticTable(built, data, options) {
+  if (!options.cms) return built;
+  return buildXscpTable(
+    {
+      ...options,
+      cms: false,
+      interactive: false,
+      responsive: "none",
+      stickyHeader: false,
+      stickyColumn: false,
+      maxHeight: {},
+    },
+    data
+  );
+}
+
+/**
+ * The table in export format `id` (see EXPORT_FORMATS). `built` is the
+ * buildXscpTable result, `data` the raw rows (null for the empty skeleton).
+ */
+export function exportTable(id, { built, data, options = {} }) {
+  const rows = data || readTableRows(built.payload)?.rows || [];
+  const table = () => staticTable(built, data, options);
+  switch (id) {
+    case "html-inline":
+      return payloadToHtml(table().payload, { css: "inline" });
+    case "html-classes":
+      return payloadToHtml(table().payload, { css: "classes" });
+    case "markdown":
+      return payloadToMarkdown(table().payload, {
+        columns: built.columns,
+        icons: options.icons,
+      });
+    case "json":
+      return JSON.stringify(rowsToObjects(rows, options), null, 2);
+    case "csv":
+      return rowsToDelimited(cleanRows(rows, options), ",");
+    case "tsv":
+      return rowsToDelimited(cleanRows(rows, options), "\t");
+    case "cms-csv":
+      return rowsToDelimited(rowsToCmsCsv(rows, options), ",");
+    default:
+      throw new Error(`Unknown export format: ${id}`);
+  }
+}
@@ -0,0 +1,170 @@
+import { describe, expect, it } from "vitest";
+import {
+  cleanRows,
+  exportTable,
+  rowsToDelimited,
+  rowsToObjects,
+  stylesToCss,
+} from "./export.js";
+import { buildXscpTable } from "./xscp.js";
+
+const DATA = [
+  ["Plan", "Price", "Notes"],
+  ["Basic", "9", "**Good** | cheap"],
+  ["Team", "1200", ":check:"],
+  ["Total", "1209", ""],
+];
+const OPTIONS = {
+  tableClass: "wf-table p-4",
+  includeFoot: true,
+  columnTypes: [null, { type: "currency", decimals: 2 }],
+};
+
+const exported = (id, data = DATA, options = OPTIONS) =>
+  exportTable(id, { built: buildXscpTable(options, data), data, options });
+
+describe("HTML export", () => {
+  it("keeps the classes and adds their CSS as a <style> block", () => {
+    expect(exported("html-classes")).toMatchSnapshot();
+  });
+
+  it("inlines the class CSS into style attributes", () => {
+    const html = exported("html-inline");
+    expect(html).not.toContain("<style>");
+    expect(html).not.toContain("class=");
+    expect(html).toMatch(/^<table style="padding-top: 1rem;/);
+    expect(html).toContain("<td>$1,200.00</td>");
+    expect(html).toContain("<td><strong>Good</strong> | cheap</td>");
+  });
+
+  it("writes breakpoints and states as media queries and pseudo-classes", () => {
+    const css = stylesToCss([
+      {
+        _id: "a",
+        name: "row",
+        styleLess: "color: red;",
+        variants: {
+          small: { styleLess: "color: blue;" },
+          "main_nth-child(even)": { styleLess: "background-color: #eee;" },
+        },
+      },
+    ]);
+    expect(css.split("\n")).toEqual([
+      ".row { color: red; }",
+      "@media (max-width: 767px) { .row { color: blue; } }",
+      ".row:nth-child(even) { background-color: #eee; }",
+    ]);
+  });
+});
+
+describe("Markdown export", () => {
+  it("writes the formatted cells with numeric columns right-aligned", () => {
+    expect(exported("markdown").split("\n")).toEqual([
+      "| Plan | Price | Notes |",
+      "| --- | ---: | --- |",
+      "| Basic | $9.00 | **Good** \\| cheap |",
+      "| Team | $1,200.00 | Yes |",
+      "| Total | $1,209.00 |  |",
+    ]);
+  });
+
+  it("uses the last header row and leaves merged cells empty", () => {
+    const data = [
+      ["Plan", "Price", "<<"],
+      ["^^", "Monthly", "Yearly"],
+      ["Team", "9", "90"],
+    ];
+    const md = exported("markdown", data, { headerRows: 2 });
+    expect(md.split("\n")).toEqual([
+      "| Plan | Monthly | Yearly |",
+      "| --- | --- | --- |",
+      "| Team | 9 | 90 |",
+    ]);
+  });
+});
+
+describe("CMS tables", () => {
+  const cms = { ...OPTIONS, cms: true };
+
+  it("exports Markdown from the source rows", () => {
+    expect(exported("markdown", DATA, cms)).toBe(exported("markdown"));
+  });
+
+  it("exports HTML with the data rows, not the row template", () => {
+    for (const id of ["html-inline", "html-classes"]) {
+      const html = exported(id, DATA, cms);
+      expect(html).toBe(exported(id));
+      expect(html).toContain("<td>Basic</td>");
+      expect(html).toContain("<td>Team</td>");
+      expect(html).not.toContain("No items found.");
+    }
+  });
+
+  it("writes a CSV keyed by field slug", () => {
+    expect(exported("cms-csv", DATA, cms).split("\n")).toEqual([
+      "Name,price,notes,Slug",
+      "Basic,9,Good | cheap,basic",
+      "Team,1200,Yes,team",
+    ]);
+  });
+});
+
+describe("JSON export", () => {
+  it("keys body rows by header with typed values", () => {
+    expect(JSON.parse(exported("json"))).toEqual([
+      { Plan: "Basic", Price: 9, Notes: "Good | cheap" },
+      { Plan: "Team", Price: 1200, Notes: "Yes" },
+    ]);
+  });
+
+  it("fills merges, skips empty rows and numbers repeated headers", () => {
+    const rows = rowsToObjects(
+      [
+        ["Plan", "Plan", "Active"],
+        ["Team", "<<", "yes"],
+        ["^^", "Pro", "no"],
+        ["", "", ""],
+      ],
+      { columnTypes: [null, null, { type: "boolean" }] }
+    );
+    expect(rows).toEqual([
+      { Plan: "Team", "Plan 2": "Team", Active: true },
+      { Plan: "Team", "Plan 2": "Pro", Active: false },
+    ]);
+  });
+});
+
+describe("CSV / TSV export", () => {
+  it("writes the raw values as plain text", () => {
+    expect(exported("csv").split("\n")).toEqual([
+      "Plan,Price,Notes",
+      "Basic,9,Good | cheap",
+      "Team,1200,Yes",
+      "Total,1209,",
+    ]);
+    expect(exported("tsv").split("\n")[1]).toBe("Basic\t9\tGood | cheap");
+  });
+
+  it("blanks merges and drops empty trailing rows and columns", () => {
+    expect(
+      cleanRows([
+        ["Plan", "<<", "", ""],
+        ["^^", "9", "", ""],
+        ["", "", "", ""],
+      ])
+    ).toEqual([
+      ["Plan", ""],
+      ["", "9"],
+    ]);
+  });
+
+  it("quotes values with delimiters, quotes or newlines", () => {
+    const rows = [['a "b"', "c,d", "e\nf", "g\th"]];
+    expect(rowsToDelimited(rows, ",")).toBe('"a ""b""","c,d","e\nf",g\th');
+    expect(rowsToDelimited(rows, "\t")).toBe('"a ""b"""\tc,d\t"e\nf"\t"g\th"');
+  });
+});
+
+it("rejects unknown formats", () => {
+  expect(() => exported("pdf")).toThrow("Unknown export format: pdf");
+});
@@ -0,0 +1,168 @@
+// --- Grid editing ------------------------------------------------------------
+// Row / column operations on the builder's 2D string array, used by the
+// editable TablePreview. Every function returns a new array. Ranges are
+// inclusive `{ r0, c0, r1, c1 }` with r0 <= r1 and c0 <= c1.
+import { MERGE_LEFT, MERGE_UP, isMergeMarker } from "./merges.js";
+
+// 0 → A, 25 → Z, 26 → AA
+export function columnLabel(index) {
+  let label = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    label = String.fromCharCode(65 + ((n - 1) % 26)) + label;
+  }
+  return label;
+}
+
+export function gridWidth(rows) {
+  return Math.max(0, ...rows.map((r) => r.length));
+}
+
+// Same rows, every one padded to the full width
+function padded(rows, width = gridWidth(rows)) {
+  return rows.map((r) => Array.from({ length: width }, (_, i) => r[i] ?? ""));
+}
+
+export function insertRow(rows, index) {
+  const next = padded(rows);
+  next.splice(index, 0, Array(gridWidth(rows)).fill(""));
+  return next;
+}
+
+export function insertColumn(rows, index) {
+  return padded(rows).map((r) => [...r.slice(0, index), "", ...r.slice(index)]);
+}
+
+// The cell a marker at `index` continues, walking back through `cells` from
+// `index - 1` to `from`; undefined when the anchor lies before `from`
+function anchorBefore(cells, index, from, marker) {
+  for (let i = index - 1; i >= from; i--) {
+    const value = String(cells[i] ?? "").trim();
+    if (value !== marker) return isMergeMarker(value) ? undefined : cells[i];
+  }
+  return undefined;
+}
+
+/**
+ * Delete rows r0..r1. A merge anchored in a deleted row moves its text to
+ * the first surviving `^^` cell below, so the merge keeps its content; the
+ * anchor is the nearest non-`^^` cell above that one.
+ */
+export function deleteRows(rows, r0, r1) {
+  const next = padded(rows);
+  for (let c = 0; c < gridWidth(next); c++) {
+    if (String(next[r1 + 1]?.[c]).trim() !== MERGE_UP) continue;
+    const column = next.map((row) => row[c]);
+    const anchor = anchorBefore(column, r1 + 1, r0, MERGE_UP);
+    if (anchor !== undefined) next[r1 + 1][c] = anchor;
+  }
+  next.splice(r0, r1 - r0 + 1);
+  return next;
+}
+
+/** Delete columns c0..c1; like deleteRows, but for `<<` merges. */
+export function deleteColumns(rows, c0, c1) {
+  return padded(rows).map((row) => {
+    const r = row.slice();
+    if (String(r[c1 + 1]).trim() === MERGE_LEFT) {
+      const anchor = anchorBefore(r, c1 + 1, c0, MERGE_LEFT);
+      if (anchor !== undefined) r[c1 + 1] = anchor;
+    }
+    r.splice(c0, c1 - c0 + 1);
+    return r;
+  });
+}
+
+function move(list, from, to) {
+  const next = list.slice();
+  const [item] = next.splice(from, 1);
+  next.splice(to, 0, item);
+  return next;
+}
+
+export function moveRow(rows, from, to) {
+  return move(padded(rows), from, to);
+}
+
+export function moveColumn(rows, from, to) {
+  return padded(rows).map((r) => move(r, from, to));
+}
+
+/** True when rows start..end-1 contain a vertical (`^^`) merge. */
+export function hasRowMerges(rows, start = 0, end = rows.length) {
+  return rows
+    .slice(start, end)
+    .some((r) => r.some((v) => String(v ?? "").trim() === MERGE_UP));
+}
+
+const collator = new Intl.Collator(undefined, {
+  numeric: true,
+  sensitivity: "base",
+});
+
+/**
+ * Sort rows start..end-1 by `column` ("asc" | "desc"); rows outside the
+ * slice (thead / tfoot) stay put. Numbers compare numerically and empty
+ * cells always sort last. Slices with vertical merges are left unchanged.
+ */
+export function sortRows(rows, column, direction = "asc", start, end) {
+  const from = start ?? 0;
+  const to = end ?? rows.length;
+  if (hasRowMerges(rows, from, to)) return rows;
+  const sign = direction === "desc" ? -1 : 1;
+  const slice = padded(rows).slice(from, to);
+  slice.sort((a, b) => {
+    const x = String(a[column] ?? "").trim();
+    const y = String(b[column] ?? "").trim();
+    if (!x || !y) return x ? -1 : y ? 1 : 0;
+    const nx = Number(x.replace(/[,\s]/g, ""));
+    const ny = Number(y.replace(/[,\s]/g, ""));
+    const cmp =
+      Number.isFinite(nx) && Number.isFinite(ny)
+        ? nx - ny
+        : collator.compare(x, y);
+    return cmp * sign;
+  });
+  return [...rows.slice(0, from), ...slice, ...rows.slice(to)];
+}
+
+export function clearRange(rows, { r0, c0, r1, c1 }) {
+  return padded(rows).map((row, r) =>
+    r < r0 || r > r1 ? row : row.map((v, c) => (c < c0 || c > c1 ? v : ""))
+  );
+}
+
+/**
+ * Write `data` with its top-left corner at (r, c), growing the grid when it
+ * doesn't fit. A single value pasted over a larger `fill` range fills it.
+ */
+export function pasteAt(rows, r, c, data, fill) {
+  let block = data;
+  if (fill && data.length === 1 && data[0].length === 1) {
+    block = Array.from({ length: fill.r1 - fill.r0 + 1 }, () =>
+      Array(fill.c1 - fill.c0 + 1).fill(data[0][0])
+    );
+  }
+  const width = Math.max(gridWidth(rows), c + gridWidth(block));
+  const next = padded(rows, width);
+  while (next.length < r + block.length) next.push(Array(width).fill(""));
+  block.forEach((row, dr) =>
+    row.forEach((v, dc) => {
+      next[r + dr][c + dc] = v ?? "";
+    })
+  );
+  return next;
+}
+
+/** Range as tab-separated text (quoted like Sheets / Excel expect). */
+export function rangeToTsv(rows, { r0, c0, r1, c1 }) {
+  const lines = [];
+  for (let r = r0; r <= r1; r++) {
+    const cells = [];
+    for (let c = c0; c <= c1; c++) {
+      const v = String(rows[r]?.[c] ?? "");
+      cells.push(/[\t\n"]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v);
+    }
+    lines.push(cells.join("\t"));
+  }
+  return lines.join("\n");
+}
@@ -0,0 +1,162 @@
+import { describe, expect, it } from "vitest";
+import {
+  clearRange,
+  columnLabel,
+  deleteColumns,
+  deleteRows,
+  hasRowMerges,
+  insertColumn,
+  insertRow,
+  moveColumn,
+  moveRow,
+  pasteAt,
+  rangeToTsv,
+  sortRows,
+} from "./grid.js";
+
+const GRID = [
+  ["Plan", "Price"],
+  ["Team", "29"],
+  ["Basic", "9"],
+];
+
+describe("columnLabel", () => {
+  it("counts like a spreadsheet", () => {
+    expect([0, 25, 26, 27, 701, 702].map(columnLabel)).toEqual([
+      "A",
+      "Z",
+      "AA",
+      "AB",
+      "ZZ",
+      "AAA",
+    ]);
+  });
+});
+
+describe("insert / delete / move", () => {
+  it("inserts padded rows and columns", () => {
+    expect(insertRow([["a"], ["b", "c"]], 1)).toEqual([
+      ["a", ""],
+      ["", ""],
+      ["b", "c"],
+    ]);
+    expect(insertColumn(GRID, 1)[0]).toEqual(["Plan", "", "Price"]);
+  });
+
+  it("keeps a merge's text when its anchor row or column is deleted", () => {
+    expect(
+      deleteRows(
+        [
+          ["A", "x"],
+          ["^^", "y"],
+          ["^^", "z"],
+        ],
+        0,
+        0
+      )
+    ).toEqual([
+      ["A", "y"],
+      ["^^", "z"],
+    ]);
+    expect(deleteColumns([["Q1", "<<", "<<", "Q2"]], 0, 0)).toEqual([
+      ["Q1", "<<", "Q2"],
+    ]);
+  });
+
+  it("takes the nearest anchor when several are deleted", () => {
+    expect(deleteRows([["A"], ["B"], ["^^"]], 0, 1)).toEqual([["B"]]);
+    expect(deleteRows([["A"], ["B"], ["^^"], ["^^"], ["C"]], 0, 2)).toEqual([
+      ["B"],
+      ["C"],
+    ]);
+    // The anchor above the deleted rows survives, so the marker stays
+    expect(deleteRows([["A"], ["^^"], ["^^"]], 1, 1)).toEqual([["A"], ["^^"]]);
+    expect(deleteColumns([["Q1", "Q2", "<<", "<<", "Q3"]], 0, 2)).toEqual([
+      ["Q2", "Q3"],
+    ]);
+    expect(deleteColumns([["A", "B", "<<"]], 0, 1)).toEqual([["B"]]);
+  });
+
+  it("moves rows and columns", () => {
+    expect(moveRow(GRID, 2, 1).map((r) => r[0])).toEqual([
+      "Plan",
+      "Basic",
+      "Team",
+    ]);
+    expect(moveColumn(GRID, 1, 0)[0]).toEqual(["Price", "Plan"]);
+    expect(GRID[0]).toEqual(["Plan", "Price"]);
+  });
+});
+
+describe("sortRows", () => {
+  it("sorts a slice numerically with empty cells last", () => {
+    const rows = [...GRID, ["Free", ""], ["Pro", "1,200"]];
+    expect(sortRows(rows, 1, "asc", 1).map((r) => r[1])).toEqual([
+      "Price",
+      "9",
+      "29",
+      "1,200",
+      "",
+    ]);
+    expect(sortRows(rows, 1, "desc", 1).map((r) => r[1])).toEqual([
+      "Price",
+      "1,200",
+      "29",
+      "9",
+      "",
+    ]);
+  });
+
+  it("leaves slices with vertical merges alone", () => {
+    const rows = [["b"], ["^^"], ["a"]];
+    expect(hasRowMerges(rows)).toBe(true);
+    expect(sortRows(rows, 0)).toBe(rows);
+  });
+});
+
+describe("ranges", () => {
+  const range = { r0: 1, c0: 0, r1: 2, c1: 0 };
+
+  it("clears a range", () => {
+    expect(clearRange(GRID, range).map((r) => r[0])).toEqual(["Plan", "", ""]);
+  });
+
+  it("pastes a block, growing the grid", () => {
+    expect(
+      pasteAt(GRID, 2, 1, [
+        ["a", "b"],
+        ["c", "d"],
+      ])
+    ).toEqual([
+      ["Plan", "Price", ""],
+      ["Team", "29", ""],
+      ["Basic", "a", "b"],
+      ["", "c", "d"],
+    ]);
+  });
+
+  it("fills a selected range with a single value", () => {
+    expect(pasteAt(GRID, 1, 0, [["x"]], range).map((r) => r[0])).toEqual([
+      "Plan",
+      "x",
+      "x",
+    ]);
+  });
+
+  it("copies a range as quoted TSV", () => {
+    expect(
+      rangeToTsv(
+        [
+          ["a", 'say "hi"'],
+          ["tab\there", "b"],
+        ],
+        {
+          r0: 0,
+          c0: 0,
+          r1: 1,
+          c1: 1,
+        }
+      )
+    ).toBe('a\t"say ""hi"""\n"tab\there"\tb');
+  });
+});
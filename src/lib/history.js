@@ -0,0 +1,205 @@
+// --- Undo / redo history -----------------------------------------------------
+// History entries are whole builder snapshots (see App.jsx `snapshot`):
+// `{ options, csvData, csvText, dialect }`. Each change is described by
+// diffing the snapshot before and after it, so no setter has to report what
+// it did. Consecutive changes with the same `key` (typing in one cell or one
+// text field) collapse into a single step.
+import { columnLabel, gridWidth } from "./grid.js";
+
+export const HISTORY_LIMIT = 100;
+
+const OPTION_LABELS = {
+  cols: "columns",
+  rows: "body rows",
+  includeHead: "thead",
+  includeFoot: "tfoot",
+  headerRows: "header rows",
+  footerRows: "footer rows",
+  wrapInSection: "section wrapper",
+  preset: "wrapper preset",
+  tableClass: "table class",
+  theadClass: "thead class",
+  tbodyClass: "tbody class",
+  tfootClass: "tfoot class",
+  rowClass: "row class",
+  cellClass: "cell class",
+  useThInHead: "th in head",
+  addAriaRole: "ARIA role",
+  useSpanFallback: "span fallback",
+  rowHeaders: "row headers",
+  addScope: "scope attributes",
+  caption: "caption",
+  summary: "summary",
+  summaryId: "summary id",
+  tableAttributes: "table attributes",
+  rowAttributes: "row attributes",
+  cellAttributes: "cell attributes",
+  classStyles: "class styles",
+  classRules: "class rules",
+  icons: "icons",
+  columnTypes: "column types",
+  locale: "locale",
+  currency: "currency",
+  alignNumeric: "numeric alignment",
+  numericClass: "numeric class",
+  responsive: "responsive mode",
+  stackBreakpoint: "stack breakpoint",
+  cms: "CMS collection list",
+  cmsFields: "CMS field slugs",
+  cmsEmptyText: "CMS empty state",
+  interactive: "interactivity",
+  sortable: "sortable headers",
+  searchable: "search box",
+  pageSize: "page size",
+  stickyHeader: "sticky header",
+  stickyColumn: "sticky first column",
+  stickyTop: "sticky header offset",
+  maxHeight: "max height",
+  passthrough: "preserved Webflow content",
+};
+
+const same = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+
+function describeDataChange(prev, next) {
+  if (!next) return { label: "Clear table data", key: null };
+  if (!prev) return { label: "Load table data", key: null };
+  const sameShape =
+    prev.length === next.length &&
+    prev.every((row, r) => row.length === next[r].length);
+  if (sameShape) {
+    const changed = [];
+    next.forEach((row, r) =>
+      row.forEach((v, c) => {
+        if (v !== prev[r][c]) changed.push([r, c]);
+      })
+    );
+    if (changed.length === 1) {
+      const [r, c] = changed[0];
+      return {
+        label: `Edit cell ${columnLabel(c)}${r + 1}`,
+        key: `cell:${r}:${c}`,
+      };
+    }
+    return { label: `Edit ${changed.length} cells`, key: null };
+  }
+  if (next.length !== prev.length) {
+    const diff = next.length - prev.length;
+    return {
+      label: `${diff > 0 ? "Insert" : "Delete"} ${Math.abs(diff)} ${
+        Math.abs(diff) === 1 ? "row" : "rows"
+      }`,
+      key: null,
+    };
+  }
+  const diff = gridWidth(next) - gridWidth(prev);
+  if (diff) {
+    return {
+      label: `${diff > 0 ? "Insert" : "Delete"} ${Math.abs(diff)} ${
+        Math.abs(diff) === 1 ? "column" : "columns"
+      }`,
+      key: null,
+    };
+  }
+  return { label: "Change table data", key: null };
+}
+
+/**
+ * What changed between two snapshots: `{ label, key }` (key = coalescing
+ * key, or null), or null when nothing did.
+ */
+export function describeChange(prev, next) {
+  if (!same(prev.csvData, next.csvData)) {
+    return describeDataChange(prev.csvData, next.csvData);
+  }
+  const keys = Object.keys({ ...prev.options, ...next.options }).filter(
+    (k) => !same(prev.options?.[k], next.options?.[k])
+  );
+  if (keys.length === 1) {
+    const [key] = keys;
+    const name = OPTION_LABELS[key] || key;
+    const value = next.options[key];
+    if (typeof value === "boolean") {
+      return { label: `Turn ${name} ${value ? "on" : "off"}`, key: null };
+    }
+    // Text and number inputs coalesce while the same field is edited
+    return { label: `Change ${name}`, key: `option:${key}` };
+  }
+  if (keys.length > 1) {
+    return { label: `Change ${keys.length} options`, key: null };
+  }
+  if (!same(prev.dialect, next.dialect)) {
+    return { label: "Change CSV dialect", key: null };
+  }
+  if (prev.csvText !== next.csvText) {
+    return { label: "Edit CSV text", key: "csvText" };
+  }
+  return null;
+}
+
+/**
+ * Record that `before` was replaced. Returns the new `{ past, future }`;
+ * redo steps are dropped and the stack is capped at HISTORY_LIMIT.
+ */
+export function recordChange(history, before, change) {
+  const top = history.past[history.past.length - 1];
+  if (change.key && top?.key === change.key) {
+    // Same cell / field as the last step: keep its original `before`
+    return {
+      past: [...history.past.slice(0, -1), { ...top, label: change.label }],
+      future: [],
+    };
+  }
+  return {
+    past: [...history.past, { state: before, ...change }].slice(-HISTORY_LIMIT),
+    future: [],
+  };
+}
+
+// The step on top stops coalescing, so an edit after undo / redo starts a
+// new step instead of merging into one from before the jump
+const withoutTopKey = (past) =>
+  past.length
+    ? [...past.slice(0, -1), { ...past[past.length - 1], key: null }]
+    : past;
+
+/**
+ * Step back from `current`. Returns `{ history, state }` with the snapshot
+ * to restore, or null when there is nothing to undo.
+ */
+export function undoChange(history, current) {
+  const last = history.past[history.past.length - 1];
+  if (!last) return null;
+  return {
+    history: {
+      past: withoutTopKey(history.past.slice(0, -1)),
+      future: [{ state: current, label: last.label }, ...history.future],
+    },
+    state: last.state,
+  };
+}
+
+/** Step forward from `current`; like undoChange. */
+export function redoChange(history, current) {
+  const next = history.future[0];
+  if (!next) return null;
+  return {
+    history: {
+      past: [...history.past, { state: current, label: next.label, key: null }],
+      future: history.future.slice(1),
+    },
+    state: next.state,
+  };
+}
+
+/**
+ * Whether Ctrl/Cmd+Z on `target` belongs to the browser's own text undo:
+ * settings fields and editable text, but not the preview's cell inputs
+ * (`data-row` / `data-col`), whose edits are in the table history.
+ */
+export function hasNativeUndo(target) {
+  if (!target?.closest || target.closest("[data-row][data-col]")) return false;
+  return (
+    target.isContentEditable ||
+    ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName)
+  );
+}
@@ -0,0 +1,142 @@
+// @vitest-environment jsdom
+import { describe, expect, it } from "vitest";
+import {
+  HISTORY_LIMIT,
+  describeChange,
+  hasNativeUndo,
+  recordChange,
+  redoChange,
+  undoChange,
+} from "./history.js";
+
+const snap = (options = {}, csvData = null) => ({
+  options,
+  csvData,
+  csvText: "",
+  dialect: {},
+});
+const EMPTY = { past: [], future: [] };
+
+// Apply snapshots in order, recording each change like App.jsx does
+const play = (history, ...states) => {
+  for (let i = 1; i < states.length; i++) {
+    const change = describeChange(states[i - 1], states[i]);
+    history = recordChange(history, states[i - 1], change);
+  }
+  return history;
+};
+
+describe("describeChange", () => {
+  it("describes cell, row, column and option changes", () => {
+    const a = snap({}, [["a", "b"]]);
+    expect(describeChange(a, snap({}, [["a", "c"]]))).toEqual({
+      label: "Edit cell B1",
+      key: "cell:0:1",
+    });
+    expect(
+      describeChange(
+        a,
+        snap({}, [
+          ["a", "b"],
+          ["c", "d"],
+        ])
+      ).label
+    ).toBe("Insert 1 row");
+    expect(describeChange(a, snap({}, [["a"]])).label).toBe("Delete 1 column");
+    expect(
+      describeChange(snap({ includeFoot: false }), snap({ includeFoot: true }))
+    ).toEqual({ label: "Turn tfoot on", key: null });
+    expect(
+      describeChange(snap({ caption: "" }), snap({ caption: "P" }))
+    ).toEqual({
+      label: "Change caption",
+      key: "option:caption",
+    });
+    expect(describeChange(a, a)).toBeNull();
+  });
+});
+
+describe("recordChange", () => {
+  it("coalesces edits with the same key", () => {
+    const h = play(
+      EMPTY,
+      snap({ caption: "" }),
+      snap({ caption: "P" }),
+      snap({ caption: "Pl" })
+    );
+    expect(h.past).toHaveLength(1);
+    expect(h.past[0].state.options.caption).toBe("");
+  });
+
+  it("caps the stack and drops redo steps", () => {
+    let h = { past: [], future: [{ state: snap(), label: "x" }] };
+    for (let i = 0; i <= HISTORY_LIMIT; i++) {
+      h = recordChange(h, snap({ rows: i }), { label: `step ${i}`, key: null });
+    }
+    expect(h.past).toHaveLength(HISTORY_LIMIT);
+    expect(h.future).toEqual([]);
+  });
+});
+
+describe("undoChange / redoChange", () => {
+  it("moves snapshots between the stacks", () => {
+    const a = snap({ rows: 1 });
+    const b = snap({ rows: 2 });
+    const undone = undoChange(play(EMPTY, a, b), b);
+    expect(undone.state).toEqual(a);
+    expect(undone.history.future).toEqual([
+      { state: b, label: "Change body rows" },
+    ]);
+    const redone = redoChange(undone.history, a);
+    expect(redone.state).toEqual(b);
+    expect(redone.history.past).toHaveLength(1);
+    expect(undoChange(EMPTY, a)).toBeNull();
+    expect(redoChange(EMPTY, a)).toBeNull();
+  });
+
+  it("starts a new step when typing resumes after undo", () => {
+    const a = snap({ caption: "" });
+    const b = snap({ caption: "P" });
+    const c = snap({ caption: "P", summary: "x" });
+    // Caption edit, summary edit, then undo the summary edit
+    const { history } = undoChange(play(EMPTY, a, b, c), c);
+    // Typing in the caption again must not merge into the first step
+    const next = play(history, b, snap({ caption: "Pr" }));
+    expect(next.past).toHaveLength(2);
+    expect(next.past[1].state).toEqual(b);
+  });
+
+  it("starts a new step when typing resumes after redo", () => {
+    const a = snap({ caption: "" });
+    const b = snap({ caption: "P" });
+    const undone = undoChange(play(EMPTY, a, b), b);
+    const { history } = redoChange(undone.history, a);
+    const next = play(history, b, snap({ caption: "Pr" }));
+    expect(next.past).toHaveLength(2);
+  });
+});
+
+describe("hasNativeUndo", () => {
+  const html = (markup) => {
+    document.body.innerHTML = markup;
+    return document.body.firstElementChild;
+  };
+
+  it("leaves settings fields to the browser's text undo", () => {
+    expect(hasNativeUndo(html('<input type="text">'))).toBe(true);
+    expect(hasNativeUndo(html("<textarea></textarea>"))).toBe(true);
+    expect(hasNativeUndo(html("<select></select>"))).toBe(true);
+  });
+
+  it("sends preview cell edits to the table history", () => {
+    expect(hasNativeUndo(html('<input data-row="1" data-col="0">'))).toBe(
+      false
+    );
+  });
+
+  it("ignores targets that are not text fields", () => {
+    expect(hasNativeUndo(html("<button>Add row</button>"))).toBe(false);
+    expect(hasNativeUndo(document)).toBe(false);
+    expect(hasNativeUndo(null)).toBe(false);
+  });
+});
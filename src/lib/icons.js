@@ -0,0 +1,143 @@
+// --- Icons and images in cells ------------------------------------------------
+// `:name:` in a cell is replaced by the icon `name`; a cell that is just an
+// image URL or data-URI (or `![alt](src)` anywhere) becomes an image. See
+// rich-text.js for the syntax and xscp.js for the generated nodes:
+//
+//   SVG markup      → HtmlEmbed node with the inline <svg>
+//   image URL / URI → Image node + an entry in payload.assets
+//
+// Custom icons are the `icons` builder option: [{ name, value, alt }], where
+// `value` is SVG markup or an image URL. They extend / override DEFAULT_ICONS.
+import { safeUrl } from "./urls.js";
+
+const stroke = (path) =>
+  `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="20" height="20" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><path d="${path}"/></svg>`;
+
+export const DEFAULT_ICONS = {
+  check: { value: stroke("M20 6 9 17l-5-5"), alt: "Yes" },
+  cross: { value: stroke("M18 6 6 18M6 6l12 12"), alt: "No" },
+  dash: { value: stroke("M5 12h14"), alt: "Not applicable" },
+};
+
+export const ICON_NAME = /^[a-z0-9_-]+$/i;
+
+/** Built-in icons merged with the custom list: `{ name: { value, alt } }`. */
+export function resolveIcons(custom = []) {
+  const map = { ...DEFAULT_ICONS };
+  for (const icon of custom || []) {
+    const name = String(icon?.name ?? "").trim();
+    if (ICON_NAME.test(name) && icon.value?.trim()) {
+      map[name] = { value: icon.value.trim(), alt: icon.alt ?? "" };
+    }
+  }
+  return map;
+}
+
+export function isSvgMarkup(value) {
+  return /^\s*<svg[\s>]/i.test(value || "");
+}
+
+// Elements that run script or pull in other documents
+const UNSAFE_SVG_ELEMENTS = [
+  "script",
+  "foreignobject",
+  "iframe",
+  "embed",
+  "object",
+  "handler",
+  "listener",
+];
+
+/**
+ * SVG markup without script: drops <script>, <foreignObject> and the like,
+ * `on*` attributes and links (`href`, `xlink:href`, animation targets) that
+ * fail safeUrl. Returns "" for markup that isn't a well-formed <svg>.
+ *
+ * Browser only (uses DOMParser), for rendering icons in the builder.
+ */
+export function sanitizeSvg(markup) {
+  if (!isSvgMarkup(markup) || typeof DOMParser === "undefined") return "";
+  const doc = new DOMParser().parseFromString(markup, "image/svg+xml");
+  const svg = doc.documentElement;
+  if (
+    svg.nodeName.toLowerCase() !== "svg" ||
+    doc.querySelector("parsererror")
+  ) {
+    return "";
+  }
+  for (const el of [svg, ...Array.from(svg.querySelectorAll("*"))]) {
+    if (UNSAFE_SVG_ELEMENTS.includes(el.localName.toLowerCase())) {
+      el.remove();
+      continue;
+    }
+    for (const attr of Array.from(el.attributes)) {
+      const name = attr.name.toLowerCase();
+      const isLink =
+        name === "href" ||
+        name.endsWith(":href") ||
+        // <animate attributeName="href" to="javascript:…">
+        ((name === "to" || name === "values" || name === "from") &&
+          /href$/i.test(el.getAttribute("attributeName") || ""));
+      if (name.startsWith("on") || (isLink && !safeUrl(attr.value))) {
+        el.removeAttribute(attr.name);
+      }
+    }
+  }
+  return new XMLSerializer().serializeToString(svg);
+}
+
+const IMAGE_SOURCE =
+  /^(https?:\/\/\S+\.(png|jpe?g|gif|webp|avif|svg)([?#]\S*)?|data:image\/[\w.+-]+[;,]\S+)$/i;
+
+/** A whole cell that is an image URL or data-URI. */
+export function isImageSource(value) {
+  return IMAGE_SOURCE.test(String(value ?? "").trim());
+}
+
+/** The SVG with `data-icon` (read back on import) and an accessible label. */
+export function labelSvg(svg, name, alt) {
+  const attrs = [`data-icon="${name}"`];
+  if (!/\srole=/.test(svg)) {
+    attrs.push(alt ? 'role="img"' : 'aria-hidden="true"');
+  }
+  if (alt && !/\saria-label=/.test(svg)) {
+    attrs.push(`aria-label="${alt.replace(/"/g, "&quot;")}"`);
+  }
+  return svg.trim().replace(/^<svg/i, `<svg ${attrs.join(" ")}`);
+}
+
+const MIME_BY_EXT = {
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  gif: "image/gif",
+  webp: "image/webp",
+  avif: "image/avif",
+  svg: "image/svg+xml",
+};
+
+/** An entry for payload.assets; Webflow uploads it from `cdnUrl` on paste. */
+export function makeAsset(id, src) {
+  const dataUri = /^data:(image\/[\w.+-]+)/i.exec(src);
+  const path = dataUri ? "" : src.split(/[?#]/)[0];
+  const ext = dataUri
+    ? dataUri[1].split("/")[1].replace("+xml", "")
+    : path.split(".").pop().toLowerCase();
+  let fileName = `${id}.${ext}`;
+  try {
+    if (!dataUri) fileName = decodeURIComponent(path.split("/").pop());
+  } catch {
+    // keep the generated name
+  }
+  return {
+    _id: id,
+    cdnUrl: src,
+    s3Url: src,
+    thumbUrl: src,
+    fileName,
+    origFileName: fileName,
+    mimeType: dataUri ? dataUri[1] : MIME_BY_EXT[ext] || "image/png",
+    variants: [],
+    markedAsDeleted: false,
+  };
+}
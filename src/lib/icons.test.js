@@ -0,0 +1,53 @@
+// @vitest-environment jsdom
+import { describe, expect, it } from "vitest";
+import { DEFAULT_ICONS, isSvgMarkup, sanitizeSvg } from "./icons.js";
+
+const svg = (body, attrs = "") =>
+  `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" viewBox="0 0 24 24"${attrs}>${body}</svg>`;
+
+describe("sanitizeSvg", () => {
+  it("keeps ordinary icons", () => {
+    const out = sanitizeSvg(DEFAULT_ICONS.check.value);
+    expect(isSvgMarkup(out)).toBe(true);
+    expect(out).toContain("<path");
+    expect(out).toContain('stroke="currentColor"');
+  });
+
+  it("drops script and foreignObject elements", () => {
+    const out = sanitizeSvg(
+      svg(
+        '<script>alert(1)</script><foreignObject><iframe src="x"></iframe></foreignObject><circle r="4"/>'
+      )
+    );
+    expect(out).not.toMatch(/script|foreignObject|iframe|alert/i);
+    expect(out).toContain("<circle");
+  });
+
+  it("drops event handler attributes", () => {
+    const out = sanitizeSvg(
+      svg('<circle r="4" onclick="alert(1)"/>', ' onload="alert(2)"')
+    );
+    expect(out).not.toMatch(/onload|onclick|alert/);
+    expect(out).toContain('r="4"');
+  });
+
+  it("drops javascript: links and keeps safe ones", () => {
+    const out = sanitizeSvg(
+      svg(
+        '<a href=" javascript:alert(1)"><use xlink:href="java\tscript:alert(2)"/></a>' +
+          '<a href="https://example.com"><use href="#dot"/></a>' +
+          '<set attributeName="href" to="javascript:alert(3)"/>'
+      )
+    );
+    expect(out).not.toContain("javascript");
+    expect(out).not.toContain("alert");
+    expect(out).toContain('href="https://example.com"');
+    expect(out).toContain('href="#dot"');
+  });
+
+  it("returns nothing for markup that isn't an svg", () => {
+    expect(sanitizeSvg('<img src="x" onerror="alert(1)">')).toBe("");
+    expect(sanitizeSvg("<svg><g></svg>")).toBe("");
+    expect(sanitizeSvg("")).toBe("");
+  });
+});
@@ -0,0 +1,282 @@
+// --- Interactivity -------------------------------------------------------------
+// Client-side sorting, search and pagination for the published table. The
+// generator marks the table up with data attributes and adds one Embed
+// holding INTERACTIVE_CSS + INTERACTIVE_SCRIPT (no dependencies):
+//
+//   <table data-wt-table data-wt-search data-wt-page-size="10">
+//   <th data-wt-sort="number"      sortable column header (number | text)
+//       data-wt-col="2">          and the grid column it sorts
+//   <tr data-wt-row>               body row the script sorts / filters / pages
+//   <td data-wt-value="1200">      sort key for typed columns (see sortValue)
+//
+// The embed sits next to the table in a `table_interactive` div (or in the
+// responsive wrapper). The script wraps each sortable header in a <button>,
+// keeps `aria-sort` on the sorted header, and puts a search box before and
+// page controls after the wrapper. Several tables on a page share it.
+//
+// Sorting needs one cell per column, so it is left out when body cells are
+// merged vertically. A header sorts when it covers one column and reaches
+// the last head row (see isSortHeader); the generator works out its column
+// from the header grid, rowspans included, so the script needn't.
+import { MERGE_LEFT, isMergeMarker } from "./merges.js";
+import {
+  NUMERIC_TYPES,
+  parseBoolean,
+  parseDate,
+  parseNumber,
+} from "./column-types.js";
+
+export const INTERACTIVE_CLASS = "table_interactive";
+
+/**
+ * Whether the head cell in `row` (0-based) with merge info `span` (see
+ * computeSpans) sorts its column: it covers one column and reaches down to
+ * the last of `headRows`, like a "Plan" header spanning two head rows.
+ */
+export function isSortHeader(row, span, headRows) {
+  return (
+    !span?.covered &&
+    !(span?.colspan > 1) &&
+    row + (span?.rowspan || 1) === headRows
+  );
+}
+
+/** "number" for numeric and yes/no columns, else "text" (ISO dates sort as text). */
+export function sortType(format) {
+  return NUMERIC_TYPES.includes(format?.type) || format?.type === "boolean"
+    ? "number"
+    : "text";
+}
+
+/**
+ * Machine-sortable value of a typed cell (`data-wt-value`), or null when
+ * the cell text itself sorts fine.
+ */
+export function sortValue(text, format, locale = "en-US") {
+  const raw = String(text ?? "").trim();
+  if (!raw || !format) return null;
+  const loc = format.locale || locale;
+  if (NUMERIC_TYPES.includes(format.type)) {
+    const n = parseNumber(raw, loc);
+    if (!n) return null;
+    return String(
+      format.type === "percent" && n.percent ? n.value / 100 : n.value
+    );
+  }
+  if (format.type === "boolean") {
+    const b = parseBoolean(raw);
+    return b === null ? null : b ? "1" : "0";
+  }
+  if (format.type === "date") {
+    return parseDate(raw, loc)?.toISOString().slice(0, 10) ?? null;
+  }
+  return null;
+}
+
+const collator = new Intl.Collator(undefined, {
+  numeric: true,
+  sensitivity: "base",
+});
+
+/** Ascending order of two sort values; empty values always go last. */
+export function compareSortValues(a, b, type, direction = "asc") {
+  if (!a || !b) return a ? -1 : b ? 1 : 0;
+  const cmp =
+    type === "number" && !isNaN(parseFloat(a)) && !isNaN(parseFloat(b))
+      ? parseFloat(a) - parseFloat(b)
+      : collator.compare(a, b);
+  return direction === "desc" ? -cmp : cmp;
+}
+
+/**
+ * What the script shows of `rows` (body cell text): the indexes of the rows
+ * on `page` after search and sort, plus the match and page counts. `keys`
+ * holds sortValue results per row / column, `types` sortType per column.
+ *
+ * @param {string[][]} rows
+ * @param {{ query?: string,
+ *   sort?: { column: number, direction: "asc" | "desc" } | null,
+ *   keys?: (string | null)[][], types?: string[], pageSize?: number,
+ *   page?: number }} [options]
+ * @returns {{ rows: number[], matches: number, pages: number, page: number }}
+ */
+export function visibleRows(
+  rows,
+  {
+    query = "",
+    sort = null,
+    keys = [],
+    types = [],
+    pageSize = 0,
+    page = 0,
+  } = {}
+) {
+  // A `<<` cell sorts by the cell it is merged into
+  const key = (r, c) => {
+    while (c > 0 && String(rows[r]?.[c] ?? "").trim() === MERGE_LEFT) c--;
+    return keys[r]?.[c] ?? String(rows[r]?.[c] ?? "").trim();
+  };
+  const order = rows.map((_, r) => r);
+  if (sort) {
+    order.sort((a, b) =>
+      compareSortValues(
+        key(a, sort.column),
+        key(b, sort.column),
+        types[sort.column],
+        sort.direction
+      )
+    );
+  }
+  const q = query.trim().toLowerCase();
+  const matches = order.filter(
+    (r) =>
+      !q ||
+      rows[r]
+        .filter((v) => !isMergeMarker(v))
+        .join(" ")
+        .toLowerCase()
+        .includes(q)
+  );
+  const pages =
+    pageSize > 0 ? Math.max(1, Math.ceil(matches.length / pageSize)) : 1;
+  const current = Math.max(0, Math.min(page, pages - 1));
+  return {
+    rows:
+      pageSize > 0
+        ? matches.slice(current * pageSize, (current + 1) * pageSize)
+        : matches,
+    matches: matches.length,
+    pages,
+    page: current,
+  };
+}
+
+export const INTERACTIVE_CSS = `[data-wt-table] tr[hidden]{display:none}
+[data-wt-table] .wt-sort{font:inherit;color:inherit;text-align:inherit;background:none;border:0;padding:0;cursor:pointer}
+[data-wt-table] .wt-sort::after{content:"\\2195";margin-left:.35em;opacity:.35}
+[data-wt-table] [aria-sort=ascending] .wt-sort::after{content:"\\2191";opacity:1}
+[data-wt-table] [aria-sort=descending] .wt-sort::after{content:"\\2193";opacity:1}
+.wt-search{display:block;width:100%;max-width:20rem;margin-bottom:.75rem;padding:.5rem .75rem;border:1px solid #d1d5db;border-radius:.375rem;font:inherit}
+.wt-pager{display:flex;align-items:center;gap:.75rem;margin-top:.75rem}
+.wt-pager button{font:inherit;padding:.25rem .75rem;border:1px solid #d1d5db;border-radius:.375rem;background:#fff;cursor:pointer}
+.wt-pager button:disabled{opacity:.4;cursor:default}
+.wt-status{position:absolute;width:1px;height:1px;overflow:hidden;clip:rect(0,0,0,0)}`;
+
+// ES5 syntax, so it runs unbundled on any Webflow site, but it relies on
+// Element.closest() (no Internet Explorer). Mirrors compareSortValues.
+export const INTERACTIVE_SCRIPT = `(function () {
+  function el(tag, cls, text) {
+    var e = document.createElement(tag);
+    if (cls) e.className = cls;
+    if (text) e.textContent = text;
+    return e;
+  }
+  function value(row, i) {
+    for (var k = 0, c = 0; k < row.cells.length; k++) {
+      var cell = row.cells[k];
+      c += cell.colSpan;
+      if (i < c) {
+        var v = cell.getAttribute("data-wt-value");
+        return v !== null ? v : cell.textContent.trim();
+      }
+    }
+    return "";
+  }
+  function compare(a, b, type) {
+    if (!a || !b) return a ? -1 : b ? 1 : 0;
+    if (type === "number" && !isNaN(parseFloat(a)) && !isNaN(parseFloat(b))) {
+      return parseFloat(a) - parseFloat(b);
+    }
+    return a.localeCompare(b, undefined, { numeric: true, sensitivity: "base" });
+  }
+  function init(table) {
+    if (table.hasAttribute("data-wt-ready") || !table.tBodies[0]) return;
+    table.setAttribute("data-wt-ready", "");
+    var body = table.tBodies[0];
+    var original = [].slice.call(body.querySelectorAll("tr[data-wt-row]"));
+    var rows = original.slice();
+    var box = table.closest("[data-wt-wrap]") || table;
+    var size = parseInt(table.getAttribute("data-wt-page-size"), 10) || 0;
+    var page = 0;
+    var status = el("div", "wt-status");
+    status.setAttribute("aria-live", "polite");
+    var search = null;
+    if (table.hasAttribute("data-wt-search")) {
+      search = el("input", "wt-search");
+      search.type = "search";
+      search.placeholder = "Search";
+      search.setAttribute("aria-label", "Search table");
+      search.addEventListener("input", function () { page = 0; render(); });
+      box.parentNode.insertBefore(search, box);
+    }
+    var pager, prev, next, info;
+    if (size) {
+      pager = el("nav", "wt-pager");
+      pager.setAttribute("aria-label", "Table pages");
+      prev = el("button", "", "Previous");
+      next = el("button", "", "Next");
+      info = el("span");
+      prev.type = next.type = "button";
+      prev.addEventListener("click", function () { page--; render(); });
+      next.addEventListener("click", function () { page++; render(); });
+      pager.appendChild(prev);
+      pager.appendChild(info);
+      pager.appendChild(next);
+      box.parentNode.insertBefore(pager, box.nextSibling);
+    }
+    box.parentNode.insertBefore(status, box.nextSibling);
+    [].forEach.call(table.querySelectorAll("th[data-wt-sort]"), function (th) {
+      var button = el("button", "wt-sort");
+      button.type = "button";
+      while (th.firstChild) button.appendChild(th.firstChild);
+      th.appendChild(button);
+      button.addEventListener("click", function () {
+        var dir = th.getAttribute("aria-sort") === "ascending" ? -1 : 1;
+        [].forEach.call(table.querySelectorAll("th[aria-sort]"), function (h) {
+          h.removeAttribute("aria-sort");
+        });
+        th.setAttribute("aria-sort", dir > 0 ? "ascending" : "descending");
+        var i = parseInt(th.getAttribute("data-wt-col"), 10);
+        var type = th.getAttribute("data-wt-sort");
+        rows = original.slice().sort(function (a, b) {
+          var x = value(a, i), y = value(b, i);
+          return !x || !y ? compare(x, y, type) : dir * compare(x, y, type);
+        });
+        rows.forEach(function (r) { body.appendChild(r); });
+        render();
+      });
+    });
+    function render() {
+      var q = search ? search.value.trim().toLowerCase() : "";
+      var shown = rows.filter(function (r) {
+        return !q || r.textContent.toLowerCase().indexOf(q) > -1;
+      });
+      var pages = size ? Math.max(1, Math.ceil(shown.length / size)) : 1;
+      page = Math.max(0, Math.min(page, pages - 1));
+      rows.forEach(function (r) { r.hidden = true; });
+      shown.forEach(function (r, i) {
+        r.hidden = size ? Math.floor(i / size) !== page : false;
+      });
+      if (pager) {
+        info.textContent = "Page " + (page + 1) + " of " + pages;
+        prev.disabled = page === 0;
+        next.disabled = page >= pages - 1;
+      }
+      status.textContent = shown.length + (shown.length === 1 ? " row" : " rows");
+    }
+    render();
+  }
+  function start() {
+    [].forEach.call(document.querySelectorAll("table[data-wt-table]"), init);
+  }
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", start);
+  } else {
+    start();
+  }
+})();`;
+
+/** Markup for the Embed element. */
+export function interactiveEmbedHtml() {
+  return `<style>${INTERACTIVE_CSS}</style>\n<script data-wt-script>${INTERACTIVE_SCRIPT}</script>`;
+}
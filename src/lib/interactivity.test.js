@@ -0,0 +1,137 @@
+// @vitest-environment jsdom
+import { afterEach, describe, expect, it } from "vitest";
+import { payloadToHtml } from "./export.js";
+import {
+  compareSortValues,
+  INTERACTIVE_SCRIPT,
+  isSortHeader,
+  sortType,
+  sortValue,
+  visibleRows,
+} from "./interactivity.js";
+import { computeSpans } from "./merges.js";
+import { buildXscpTable } from "./xscp.js";
+
+// "Plan" spans both head rows, "Price" both of its columns
+const DATA = [
+  ["Plan", "Price", "<<"],
+  ["^^", "Monthly", "Yearly"],
+  ["Team", "29", "290"],
+  ["Basic", "9", "90"],
+  ["Pro", "1200", "12000"],
+];
+const OPTIONS = {
+  interactive: true,
+  headerRows: 2,
+  pageSize: 0,
+  columnTypes: [null, { type: "currency" }, { type: "number" }],
+};
+
+const attr = (node, name) =>
+  node.data?.attributes?.find((a) => a.name === name)?.value;
+
+describe("sort keys", () => {
+  it("sorts typed columns by value and empty cells last", () => {
+    expect(sortType({ type: "currency" })).toBe("number");
+    expect(sortType({ type: "date" })).toBe("text");
+    expect(sortValue("$1,200", { type: "currency" })).toBe("1200");
+    expect(sortValue("12.5%", { type: "percent" })).toBe("0.125");
+    expect(sortValue("yes", { type: "boolean" })).toBe("1");
+    expect(sortValue("Mar 5, 2024", { type: "date" })).toBe("2024-03-05");
+    expect(sortValue("Team", { type: "text" })).toBeNull();
+    expect(compareSortValues("9", "1200", "number")).toBeLessThan(0);
+    expect(compareSortValues("", "9", "number", "desc")).toBeGreaterThan(0);
+    expect(compareSortValues("item 2", "item 10", "text")).toBeLessThan(0);
+  });
+
+  it("searches, sorts and pages the body rows", () => {
+    const rows = [["Team"], ["Basic"], ["Pro"], ["Business"]];
+    expect(
+      visibleRows(rows, {
+        query: "b",
+        sort: { column: 0, direction: "asc" },
+        pageSize: 1,
+        page: 1,
+      })
+    ).toEqual({ rows: [3], matches: 2, pages: 2, page: 1 });
+  });
+});
+
+describe("sortable headers", () => {
+  it("sort when they cover one column down to the last head row", () => {
+    const spans = computeSpans(DATA.slice(0, 2));
+    const sorts = (r, c) => isSortHeader(r, spans[r][c], 2);
+    expect([sorts(0, 0), sorts(0, 1), sorts(1, 1), sorts(1, 2)]).toEqual([
+      true,
+      false,
+      true,
+      true,
+    ]);
+  });
+
+  it("carry their grid column, rowspans included", () => {
+    const { payload } = buildXscpTable(OPTIONS, DATA);
+    const headers = payload.nodes
+      .filter((n) => n.data?.tag === "th" && attr(n, "data-wt-sort"))
+      .map((n) => [attr(n, "data-wt-col"), attr(n, "data-wt-sort")]);
+    expect(headers).toEqual([
+      ["0", "text"],
+      ["1", "number"],
+      ["2", "number"],
+    ]);
+  });
+});
+
+describe("INTERACTIVE_SCRIPT", () => {
+  afterEach(() => {
+    document.body.innerHTML = "";
+  });
+
+  const run = (options = OPTIONS) => {
+    const { payload } = buildXscpTable(options, DATA);
+    document.body.innerHTML = payloadToHtml(payload);
+    new Function(INTERACTIVE_SCRIPT)();
+  };
+  const header = (text) =>
+    [...document.querySelectorAll("th")].find(
+      (th) => th.textContent.trim() === text
+    );
+  const firstColumn = () =>
+    [...document.querySelectorAll("tbody tr")].map((tr) =>
+      tr.cells[0].textContent.trim()
+    );
+
+  it("sorts by the column of a header after a rowspanning one", () => {
+    run();
+    header("Monthly").querySelector("button").click();
+    expect(firstColumn()).toEqual(["Basic", "Team", "Pro"]);
+    header("Monthly").querySelector("button").click();
+    expect(header("Monthly").getAttribute("aria-sort")).toBe("descending");
+    expect(firstColumn()).toEqual(["Pro", "Team", "Basic"]);
+  });
+
+  it("sorts by a rowspanning header", () => {
+    run();
+    const plan = header("Plan");
+    plan.querySelector("button").click();
+    expect(plan.getAttribute("aria-sort")).toBe("ascending");
+    expect(firstColumn()).toEqual(["Basic", "Pro", "Team"]);
+  });
+
+  it("filters and pages the rows", () => {
+    run({ ...OPTIONS, pageSize: 2 });
+    const visible = () =>
+      firstColumn().filter(
+        (_, i) => !document.querySelectorAll("tbody tr")[i].hidden
+      );
+    expect(visible()).toEqual(["Team", "Basic"]);
+    expect(document.querySelector(".wt-pager span").textContent).toBe(
+      "Page 1 of 2"
+    );
+    const search = document.querySelector(".wt-search");
+    search.value = "pro";
+    search.dispatchEvent(new Event("input"));
+    expect(visible()).toEqual(["Pro"]);
+    expect(document.querySelector(".wt-status").textContent).toBe("1 row");
+  });
+});
@@ -0,0 +1,87 @@
+// --- Merged cells ------------------------------------------------------------
+// Merges are encoded in the 2D data itself so they survive CSV round-trips:
+// a cell containing `<<` is covered by the cell to its left, `^^` by the cell
+// above. The top-left cell of a merge keeps the text.
+//
+//   Plan,Q1,<<,Q2,<<        →  <th>Plan</th><th colspan=2>Q1</th><th colspan=2>Q2</th>
+//   ,Jan,Feb,Mar,Apr
+export const MERGE_LEFT = "<<";
+export const MERGE_UP = "^^";
+
+export function isMergeMarker(value) {
+  const v = String(value ?? "").trim();
+  return v === MERGE_LEFT || v === MERGE_UP;
+}
+
+/**
+ * Resolve markers into spans. Returns a grid (same shape as `rows`) of
+ * `{ colspan, rowspan, covered }`; covered cells must not be rendered.
+ */
+export function computeSpans(rows) {
+  const width = Math.max(0, ...rows.map((r) => r.length));
+  const grid = rows.map(() =>
+    Array.from({ length: width }, () => ({
+      colspan: 1,
+      rowspan: 1,
+      covered: false,
+    }))
+  );
+  const at = (r, c) => String(rows[r]?.[c] ?? "").trim();
+
+  for (let r = 0; r < rows.length; r++) {
+    for (let c = 0; c < width; c++) {
+      if (grid[r][c].covered) continue;
+      if (isMergeMarker(at(r, c))) {
+        // Orphan marker (nothing to merge into): render it as an empty cell
+        continue;
+      }
+      let colspan = 1;
+      while (c + colspan < width && at(r, c + colspan) === MERGE_LEFT) {
+        colspan++;
+      }
+      let rowspan = 1;
+      while (r + rowspan < rows.length && at(r + rowspan, c) === MERGE_UP) {
+        rowspan++;
+      }
+      grid[r][c].colspan = colspan;
+      grid[r][c].rowspan = rowspan;
+      for (let dr = 0; dr < rowspan; dr++) {
+        for (let dc = 0; dc < colspan; dc++) {
+          if (dr || dc) grid[r + dr][c + dc].covered = true;
+        }
+      }
+    }
+  }
+  return grid;
+}
+
+// Marker to write at offset (dr, dc) inside a merge's rectangle
+export function markerFor(dr, dc) {
+  return dc === 0 && dr > 0 ? MERGE_UP : MERGE_LEFT;
+}
+
+// Fill a rectangle (inclusive bounds) with markers, keeping the top-left text.
+export function mergeRange(rows, r0, c0, r1, c1) {
+  const next = rows.map((r) => r.slice());
+  for (let r = r0; r <= r1; r++) {
+    for (let c = c0; c <= c1; c++) {
+      if (r === r0 && c === c0) continue;
+      if (!next[r]) next[r] = [];
+      next[r][c] = markerFor(r - r0, c - c0);
+    }
+  }
+  return next;
+}
+
+// Remove the merge whose top-left cell is (r, c); covered cells become empty.
+export function unmergeAt(rows, r, c) {
+  const span = computeSpans(rows)[r]?.[c];
+  if (!span || span.covered) return rows;
+  const next = rows.map((row) => row.slice());
+  for (let dr = 0; dr < span.rowspan; dr++) {
+    for (let dc = 0; dc < span.colspan; dc++) {
+      if (dr || dc) next[r + dr][c + dc] = "";
+    }
+  }
+  return next;
+}
@@ -0,0 +1,83 @@
+import { describe, expect, it } from "vitest";
+import {
+  computeSpans,
+  isMergeMarker,
+  markerFor,
+  mergeRange,
+  unmergeAt,
+} from "./merges.js";
+import { buildXscpTable } from "./xscp.js";
+import { readTableRows } from "./xscp-import.js";
+
+// Grouped header: Q1 and Q2 each span two months, "Plan" spans both rows
+const GROUPED = [
+  ["Plan", "Q1", "<<", "Q2", "<<"],
+  ["^^", "Jan", "Feb", "Mar", "Apr"],
+  ["Basic", "1", "2", "3", "4"],
+];
+
+const spanAttrs = (node) =>
+  Object.fromEntries(
+    (node.data?.attributes || [])
+      .filter((a) => a.name === "colspan" || a.name === "rowspan")
+      .map((a) => [a.name, a.value])
+  );
+
+describe("computeSpans", () => {
+  it("resolves << and ^^ into colspan / rowspan", () => {
+    const spans = computeSpans(GROUPED);
+    expect(spans[0][0]).toEqual({ colspan: 1, rowspan: 2, covered: false });
+    expect(spans[0][1]).toEqual({ colspan: 2, rowspan: 1, covered: false });
+    expect(spans[0][2].covered).toBe(true);
+    expect(spans[1][0].covered).toBe(true);
+    expect(spans[1][1]).toEqual({ colspan: 1, rowspan: 1, covered: false });
+  });
+
+  it("leaves orphan markers uncovered", () => {
+    const spans = computeSpans([["<<", "a"]]);
+    expect(spans[0][0]).toEqual({ colspan: 1, rowspan: 1, covered: false });
+    expect(isMergeMarker(" ^^ ")).toBe(true);
+  });
+});
+
+describe("mergeRange / unmergeAt", () => {
+  it("fills a rectangle with markers and clears it again", () => {
+    const rows = [
+      ["a", "b", "c"],
+      ["d", "e", "f"],
+    ];
+    const merged = mergeRange(rows, 0, 0, 1, 1);
+    expect(merged).toEqual([
+      ["a", "<<", "c"],
+      ["^^", "<<", "f"],
+    ]);
+    expect(rows[0][1]).toBe("b");
+    expect(unmergeAt(merged, 0, 0)).toEqual([
+      ["a", "", "c"],
+      ["", "", "f"],
+    ]);
+    expect(unmergeAt(merged, 0, 1)).toBe(merged);
+    expect(markerFor(1, 0)).toBe("^^");
+    expect(markerFor(1, 1)).toBe("<<");
+  });
+});
+
+describe("merged cells in the generated table", () => {
+  const { payload } = buildXscpTable({ headerRows: 2 }, GROUPED);
+  const cells = payload.nodes.filter((n) => /^t[hd]$/.test(n.data?.tag));
+
+  it("writes spans and skips covered cells", () => {
+    // 3 + 4 header cells, 5 body cells
+    expect(cells).toHaveLength(12);
+    expect(spanAttrs(cells[0])).toEqual({ rowspan: "2" });
+    expect(spanAttrs(cells[1])).toEqual({ colspan: "2" });
+    expect(spanAttrs(cells[2])).toEqual({ colspan: "2" });
+  });
+
+  it("round-trips through readTableRows", () => {
+    expect(readTableRows(payload)).toMatchObject({
+      rows: GROUPED,
+      headerRows: 2,
+    });
+  });
+});
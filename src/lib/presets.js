@@ -0,0 +1,146 @@
+// --- Wrapper presets ---------------------------------------------------------
+// A preset describes the wrapper chain a framework puts around a component
+// and the CSS of its classes. With `wrapInSection` on, the builder nests the
+// table inside `wrappers` (outermost first); the summary paragraph goes next
+// to the table inside the innermost wrapper.
+//
+//   {
+//     id: "acme",
+//     name: "Acme",
+//     wrappers: [{ tag: "section", className: "section_table" }, …],
+//     styles: { "padding-global": { styleLess: "…", variants: { … } } },
+//     classes: { tableClass: "table_table" } // optional builder class options
+//   }
+
+export const CLIENT_FIRST = {
+  id: "client-first",
+  name: "Client-First",
+  description: "Finsweet Client-First section → padding → container",
+  wrappers: [
+    { tag: "div", type: "div", className: "section_table" },
+    { tag: "div", type: "div", className: "padding-global" },
+    { tag: "div", type: "div", className: "container-large" },
+    { tag: "div", type: "div", className: "padding-section-medium" },
+    { tag: "div", className: "table_component" },
+  ],
+  styles: {
+    section_table: { styleLess: "" },
+    "padding-global": { styleLess: "padding-right: 5%; padding-left: 5%;" },
+    "container-large": {
+      styleLess:
+        "width: 100%; max-width: 80rem; margin-right: auto; margin-left: auto;",
+    },
+    "padding-section-medium": {
+      styleLess: "padding-top: 5rem; padding-bottom: 5rem;",
+      variants: {
+        medium: { styleLess: "padding-top: 4rem; padding-bottom: 4rem;" },
+        small: { styleLess: "padding-top: 3rem; padding-bottom: 3rem;" },
+      },
+    },
+    table_component: { styleLess: "" },
+  },
+};
+
+export const BUILT_IN_PRESETS = [
+  CLIENT_FIRST,
+  {
+    id: "lumos",
+    name: "Lumos",
+    description: "Lumos component wrap → u-container → contain",
+    wrappers: [
+      { tag: "section", className: "table_wrap" },
+      { tag: "div", className: "u-container" },
+      { tag: "div", className: "table_contain" },
+    ],
+    styles: {
+      table_wrap: {
+        styleLess: "padding-top: 6rem; padding-bottom: 6rem;",
+        variants: {
+          medium: { styleLess: "padding-top: 4.5rem; padding-bottom: 4.5rem;" },
+          small: { styleLess: "padding-top: 3rem; padding-bottom: 3rem;" },
+        },
+      },
+      "u-container": {
+        styleLess:
+          "width: 100%; max-width: 80rem; margin-right: auto; margin-left: auto; padding-right: 3rem; padding-left: 3rem;",
+        variants: {
+          small: {
+            styleLess: "padding-right: 1.25rem; padding-left: 1.25rem;",
+          },
+        },
+      },
+      table_contain: { styleLess: "overflow-x: auto;" },
+    },
+  },
+  {
+    id: "mast",
+    name: "MAST",
+    description: "MAST section → container → row → col",
+    wrappers: [
+      { tag: "section", className: "section" },
+      { tag: "div", className: "container" },
+      { tag: "div", className: "row" },
+      { tag: "div", className: "col col-lg-12" },
+    ],
+    styles: {
+      section: { styleLess: "padding-top: 5rem; padding-bottom: 5rem;" },
+      container: {
+        styleLess:
+          "width: 100%; max-width: 75rem; margin-right: auto; margin-left: auto; padding-right: 1.5rem; padding-left: 1.5rem;",
+      },
+      row: {
+        styleLess:
+          "display: flex; flex-wrap: wrap; margin-right: -0.75rem; margin-left: -0.75rem;",
+      },
+      col: {
+        styleLess:
+          "flex-grow: 1; flex-basis: 0%; padding-right: 0.75rem; padding-left: 0.75rem;",
+      },
+      "col-lg-12": { styleLess: "flex-basis: 100%; max-width: 100%;" },
+    },
+  },
+];
+
+/** Built-in or custom preset by id (falls back to Client-First). */
+export function findPreset(id, custom = []) {
+  return (
+    [...BUILT_IN_PRESETS, ...custom].find((p) => p.id === id) || CLIENT_FIRST
+  );
+}
+
+// Throws with a message naming the first problem
+export function validatePreset(preset) {
+  const label = preset?.name || preset?.id || "preset";
+  if (!preset || typeof preset !== "object") {
+    throw new Error("Preset must be an object");
+  }
+  if (!preset.id || typeof preset.id !== "string") {
+    throw new Error(`${label}: missing "id"`);
+  }
+  if (!Array.isArray(preset.wrappers) || preset.wrappers.length === 0) {
+    throw new Error(`${label}: "wrappers" must be a non-empty array`);
+  }
+  preset.wrappers.forEach((w, i) => {
+    if (!w?.className || !String(w.className).trim()) {
+      throw new Error(`${label}: wrapper ${i + 1} has no "className"`);
+    }
+  });
+  if (preset.styles != null && typeof preset.styles !== "object") {
+    throw new Error(`${label}: "styles" must be an object`);
+  }
+  return preset;
+}
+
+/**
+ * Parse exported preset JSON: a single preset, an array, or
+ * `{ presets: [...] }`. Throws when any preset is invalid.
+ */
+export function parsePresets(json) {
+  const parsed = typeof json === "string" ? JSON.parse(json) : json;
+  const list = Array.isArray(parsed) ? parsed : parsed?.presets || [parsed];
+  return list.map((p) => validatePreset({ styles: {}, ...p }));
+}
+
+export function serializePresets(presets) {
+  return JSON.stringify({ presets }, null, 2);
+}
@@ -0,0 +1,89 @@
+import { describe, expect, it } from "vitest";
+import {
+  BUILT_IN_PRESETS,
+  CLIENT_FIRST,
+  findPreset,
+  parsePresets,
+  serializePresets,
+  validatePreset,
+} from "./presets.js";
+import { buildXscpTable } from "./xscp.js";
+import { outline } from "../test/helpers.js";
+
+const DATA = [
+  ["Plan", "Price"],
+  ["Basic", "9"],
+];
+
+const ACME = {
+  id: "acme",
+  name: "Acme",
+  wrappers: [
+    { tag: "section", className: "section_table" },
+    { tag: "div", className: "container" },
+  ],
+  styles: { container: { styleLess: "max-width: 72rem;" } },
+};
+
+describe("findPreset", () => {
+  it("finds built-in and custom presets, else Client-First", () => {
+    expect(findPreset("lumos").name).toBe("Lumos");
+    expect(findPreset("acme", [ACME])).toBe(ACME);
+    expect(findPreset("missing")).toBe(CLIENT_FIRST);
+  });
+
+  it("ships valid built-ins", () => {
+    for (const preset of BUILT_IN_PRESETS) {
+      expect(validatePreset(preset)).toBe(preset);
+    }
+  });
+});
+
+describe("validatePreset / parsePresets", () => {
+  it("names the first problem", () => {
+    expect(() => validatePreset(null)).toThrow("Preset must be an object");
+    expect(() => validatePreset({ name: "X" })).toThrow('X: missing "id"');
+    expect(() => validatePreset({ id: "x", wrappers: [] })).toThrow(
+      '"wrappers" must be a non-empty array'
+    );
+    expect(() =>
+      validatePreset({ id: "x", wrappers: [{ tag: "div" }] })
+    ).toThrow('wrapper 1 has no "className"');
+  });
+
+  it("round-trips exported JSON in every accepted shape", () => {
+    expect(parsePresets(serializePresets([ACME]))).toEqual([ACME]);
+    expect(parsePresets([ACME])).toEqual([ACME]);
+    const { styles, ...bare } = ACME;
+    expect(parsePresets(JSON.stringify(bare))).toEqual([
+      { ...bare, styles: {} },
+    ]);
+  });
+});
+
+describe("wrapInSection", () => {
+  it("nests the table in the preset's wrapper chain with its styles", () => {
+    const { payload } = buildXscpTable(
+      { wrapInSection: true, preset: ACME, summary: "Monthly" },
+      DATA
+    );
+    const lines = outline(payload).split("\n");
+    expect(lines.slice(0, 3)).toEqual([
+      "section.section_table",
+      "  div.container",
+      "    table[role=table][aria-describedby=table-summary]",
+    ]);
+    expect(lines).toContain("    p[id=table-summary]");
+    expect(payload.styles.find((s) => s.name === "container").styleLess).toBe(
+      "max-width: 72rem;"
+    );
+  });
+
+  it("uses a built-in preset by id", () => {
+    const { payload } = buildXscpTable(
+      { wrapInSection: true, preset: "mast" },
+      DATA
+    );
+    expect(outline(payload).split("\n")[0]).toBe("section.section");
+  });
+});
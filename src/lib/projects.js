@@ -0,0 +1,107 @@
+// --- Saved projects ----------------------------------------------------------
+// A project is a named snapshot of the builder: every generator option, the
+// table data and the CSV dialect. Projects live in IndexedDB (tables can be
+// large); the current session is autosaved separately (see App.jsx).
+//
+//   { id, name, createdAt, updatedAt,
+//     state: { options, csvData, csvText, dialect } }
+
+export const PROJECT_FILE_TYPE = "webflow-tables/project";
+export const PROJECT_FILE_VERSION = 1;
+
+const DB_NAME = "webflow-tables";
+const STORE = "projects";
+
+export function newProjectId() {
+  return `prj_${Date.now().toString(36)}${Math.random()
+    .toString(36)
+    .slice(2, 6)}`;
+}
+
+export function makeProject(name, state) {
+  const now = new Date().toISOString();
+  return {
+    id: newProjectId(),
+    name: name || "Untitled table",
+    createdAt: now,
+    updatedAt: now,
+    state,
+  };
+}
+
+/** Single-file export: `{ type, version, project }`. */
+export function serializeProject(project) {
+  return JSON.stringify(
+    { type: PROJECT_FILE_TYPE, version: PROJECT_FILE_VERSION, project },
+    null,
+    2
+  );
+}
+
+/** Parse an exported project file; throws with a readable message. */
+export function parseProjectFile(json) {
+  let parsed;
+  try {
+    parsed = typeof json === "string" ? JSON.parse(json) : json;
+  } catch {
+    throw new Error("Not a JSON file");
+  }
+  if (parsed?.type !== PROJECT_FILE_TYPE || !parsed.project?.state) {
+    throw new Error("Not a webflow-tables project file");
+  }
+  if (parsed.version > PROJECT_FILE_VERSION) {
+    throw new Error(`Project file version ${parsed.version} is not supported`);
+  }
+  return parsed.project;
+}
+
+// --- IndexedDB store ---------------------------------------------------------
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => {
+      req.result.createObjectStore(STORE, { keyPath: "id" });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function withStore(mode, fn) {
+  const db = await openDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const req = fn(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(req?.result);
+      tx.onerror = () => reject(tx.error);
+      // Quota errors and browser-initiated aborts only fire `abort`
+      tx.onabort = () =>
+        reject(
+          tx.error || new DOMException("Transaction aborted", "AbortError")
+        );
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/** All projects without their (possibly large) state, newest first. */
+export async function listProjects() {
+  const all = (await withStore("readonly", (s) => s.getAll())) || [];
+  return all
+    .map(({ state, ...meta }) => meta)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+export function getProject(id) {
+  return withStore("readonly", (s) => s.get(id));
+}
+
+export function putProject(project) {
+  return withStore("readwrite", (s) => s.put(project));
+}
+
+export function deleteProject(id) {
+  return withStore("readwrite", (s) => s.delete(id));
+}
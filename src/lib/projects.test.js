@@ -0,0 +1,88 @@
+import "fake-indexeddb/auto";
+import { describe, expect, it, vi } from "vitest";
+import {
+  PROJECT_FILE_TYPE,
+  deleteProject,
+  getProject,
+  listProjects,
+  makeProject,
+  parseProjectFile,
+  putProject,
+  serializeProject,
+} from "./projects.js";
+
+const STATE = {
+  options: { includeHead: true, tableClass: "table_table" },
+  csvData: [
+    ["Plan", "Price"],
+    ["Basic", "9"],
+  ],
+  csvText: "Plan,Price\nBasic,9",
+  dialect: { delimiter: "auto" },
+};
+
+describe("project files", () => {
+  it("round-trips a project through its single-file export", () => {
+    const project = makeProject("Pricing", STATE);
+    expect(project.id).toMatch(/^prj_/);
+    expect(project.createdAt).toBe(project.updatedAt);
+    expect(parseProjectFile(serializeProject(project))).toEqual(project);
+  });
+
+  it("names an untitled project", () => {
+    expect(makeProject("", STATE).name).toBe("Untitled table");
+  });
+
+  it("rejects other files with a readable message", () => {
+    expect(() => parseProjectFile("{")).toThrow("Not a JSON file");
+    expect(() => parseProjectFile({ type: "other" })).toThrow(
+      "Not a webflow-tables project file"
+    );
+    expect(() =>
+      parseProjectFile({
+        type: PROJECT_FILE_TYPE,
+        version: 99,
+        project: { state: STATE },
+      })
+    ).toThrow("Project file version 99 is not supported");
+  });
+});
+
+describe("project store", () => {
+  it("saves, lists newest first without state, loads and deletes", async () => {
+    const older = {
+      ...makeProject("Older", STATE),
+      updatedAt: "2024-01-01T00:00:00.000Z",
+    };
+    const newer = {
+      ...makeProject("Newer", STATE),
+      updatedAt: "2024-02-01T00:00:00.000Z",
+    };
+    await putProject(older);
+    await putProject(newer);
+
+    const list = await listProjects();
+    expect(list.map((p) => p.name)).toEqual(["Newer", "Older"]);
+    expect(list[0]).not.toHaveProperty("state");
+    expect((await getProject(older.id)).state).toEqual(STATE);
+
+    await deleteProject(older.id);
+    expect((await listProjects()).map((p) => p.name)).toEqual(["Newer"]);
+  });
+
+  it("rejects when the transaction is aborted", async () => {
+    // Like a quota error: the transaction aborts without a request error
+    const put = vi
+      .spyOn(IDBObjectStore.prototype, "put")
+      .mockImplementation(function () {
+        this.transaction.abort();
+      });
+    try {
+      await expect(putProject(makeProject("Big", STATE))).rejects.toThrow(
+        "Transaction aborted"
+      );
+    } finally {
+      put.mockRestore();
+    }
+  });
+});
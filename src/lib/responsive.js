@@ -0,0 +1,131 @@
+// --- Responsive modes --------------------------------------------------------
+// How a wide table behaves on small screens (the `responsive` option):
+//
+//   "scroll"  table inside a `table_scroll` div that scrolls horizontally
+//   "stack"   below `stackBreakpoint` every body row becomes a card; each
+//             <td> carries `data-label` (its column header), shown by a small
+//             embedded stylesheet since Webflow classes can't style ::before
+//   "pin"     scroll wrapper + a sticky first column (`table_pin` cells)
+//
+// The classes get their CSS like preset classes do (see ensureStyle), with
+// the stacked layout in the breakpoint's `variants`, so they can be restyled
+// in the style editor or in Webflow.
+import { isMergeMarker, MERGE_LEFT, MERGE_UP } from "./merges.js";
+
+export const RESPONSIVE_MODES = [
+  ["none", "None"],
+  ["scroll", "Horizontal scroll"],
+  ["stack", "Stacked cards"],
+  ["pin", "Pinned first column"],
+];
+
+/**
+ * Webflow breakpoints below desktop and the widest viewport each covers.
+ * @type {[string, number][]}
+ */
+export const STACK_BREAKPOINTS = [
+  ["medium", 991],
+  ["small", 767],
+  ["tiny", 478],
+];
+
+/** Widths the preview can simulate (0 = the available width). */
+export const PREVIEW_WIDTHS = [
+  [0, "Full width"],
+  [991, "Tablet · 991px"],
+  [767, "Mobile landscape · 767px"],
+  [478, "Mobile portrait · 478px"],
+  [375, "Small phone · 375px"],
+];
+
+export const RESPONSIVE_CLASSES = {
+  scroll: "table_scroll",
+  stackWrap: "table_stack-wrap",
+  stack: "table_stack",
+  stackHead: "table_stack-head",
+  stackGroup: "table_stack-group",
+  stackRow: "table_stack-row",
+  stackCell: "table_stack-cell",
+  pin: "table_pin",
+};
+
+const BORDER = ["top", "right", "bottom", "left"]
+  .map(
+    (s) =>
+      `border-${s}-width: 1px; border-${s}-style: solid; border-${s}-color: #e5e7eb;`
+  )
+  .join(" ");
+const RADIUS = ["top-left", "top-right", "bottom-right", "bottom-left"]
+  .map((c) => `border-${c}-radius: 0.5rem;`)
+  .join(" ");
+
+/** Preset-style CSS (`{ name: { styleLess, variants } }`) for the classes. */
+export function responsiveStyles(breakpoint = "small") {
+  const at = (styleLess) => ({
+    styleLess: "",
+    variants: { [breakpoint]: { styleLess } },
+  });
+  const C = RESPONSIVE_CLASSES;
+  return {
+    [C.scroll]: { styleLess: "width: 100%; overflow-x: auto;" },
+    [C.stackWrap]: { styleLess: "width: 100%; overflow-x: auto;" },
+    [C.stack]: at("display: block; width: 100%;"),
+    // Visually hidden: screen readers still get the column headers
+    [C.stackHead]: at(
+      "position: absolute; width: 1px; height: 1px; overflow-x: hidden; overflow-y: hidden; clip: rect(0px, 0px, 0px, 0px); white-space: nowrap;"
+    ),
+    [C.stackGroup]: at("display: block;"),
+    [C.stackRow]: at(
+      `display: block; margin-bottom: 1rem; padding-top: 0.75rem; padding-right: 0.75rem; padding-bottom: 0.75rem; padding-left: 0.75rem; ${BORDER} ${RADIUS}`
+    ),
+    [C.stackCell]: at(
+      "display: flex; justify-content: space-between; column-gap: 1rem; text-align: right;"
+    ),
+    [C.pin]: {
+      styleLess:
+        "position: sticky; left: 0px; z-index: 1; background-color: #ffffff;",
+    },
+  };
+}
+
+export function breakpointWidth(breakpoint) {
+  return (
+    STACK_BREAKPOINTS.find(([id]) => id === breakpoint)?.[1] ??
+    STACK_BREAKPOINTS[1][1]
+  );
+}
+
+/** Stylesheet for the HtmlEmbed that shows `data-label` in stacked cells. */
+export function stackLabelCss(breakpoint = "small") {
+  return `<style>@media screen and (max-width: ${breakpointWidth(
+    breakpoint
+  )}px) { .${
+    RESPONSIVE_CLASSES.stackCell
+  }[data-label]::before { content: attr(data-label); font-weight: 600; text-align: left; } }</style>`;
+}
+
+/**
+ * Column headers for `data-label`: the last head row, with merged header
+ * cells (`<<` / `^^`) taking their anchor's text. Empty when there is no
+ * head.
+ */
+export function columnLabels(head, width, toText = (v) => v) {
+  const grid = head.map((r) => r || []);
+  const textAt = (r, c) => {
+    const v = String(grid[r]?.[c] ?? "").trim();
+    if (v === MERGE_LEFT && c > 0) return textAt(r, c - 1);
+    if (v === MERGE_UP && r > 0) return textAt(r - 1, c);
+    return isMergeMarker(v) ? "" : toText(v);
+  };
+  if (!grid.length) return [];
+  return Array.from({ length: width }, (_, c) => textAt(grid.length - 1, c));
+}
+
+/** Responsive classes out of an imported class list (they're regenerated). */
+export function withoutResponsiveClasses(classNames) {
+  const generated = Object.values(RESPONSIVE_CLASSES);
+  return String(classNames || "")
+    .split(/\s+/)
+    .filter((name) => name && !generated.includes(name))
+    .join(" ");
+}
@@ -0,0 +1,125 @@
+import { describe, expect, it } from "vitest";
+import {
+  breakpointWidth,
+  columnLabels,
+  RESPONSIVE_CLASSES as R,
+  responsiveStyles,
+  stackLabelCss,
+  withoutResponsiveClasses,
+} from "./responsive.js";
+import { buildXscpTable } from "./xscp.js";
+import { outline } from "../test/helpers.js";
+
+const DATA = [
+  ["Plan", "Price", "<<"],
+  ["Basic", "9", "1"],
+  ["Team", "29", "5"],
+];
+
+const attr = (node, name) =>
+  node.data?.attributes?.find((a) => a.name === name)?.value;
+const styleNamed = (payload, name) =>
+  payload.styles.find((s) => s.name === name);
+
+describe("columnLabels", () => {
+  it("takes the last head row, following merges to their anchor", () => {
+    const head = [
+      ["Plan", "Price", "<<"],
+      ["^^", "Monthly", "Yearly"],
+    ];
+    expect(columnLabels(head, 3)).toEqual(["Plan", "Monthly", "Yearly"]);
+    expect(columnLabels(head.slice(0, 1), 3)).toEqual([
+      "Plan",
+      "Price",
+      "Price",
+    ]);
+    expect(columnLabels([], 3)).toEqual([]);
+  });
+
+  it("passes the header text through toText", () => {
+    expect(
+      columnLabels([["**Plan**"]], 1, (v) => v.replace(/\*/g, ""))
+    ).toEqual(["Plan"]);
+  });
+});
+
+describe("responsive styles", () => {
+  it("puts the stacked layout in the breakpoint's variants", () => {
+    const styles = responsiveStyles("tiny");
+    expect(styles[R.stackRow].styleLess).toBe("");
+    expect(styles[R.stackRow].variants.tiny.styleLess).toContain(
+      "display: block;"
+    );
+    expect(styles[R.scroll].styleLess).toContain("overflow-x: auto;");
+    expect(styles[R.pin].styleLess).toContain("position: sticky;");
+  });
+
+  it("shows data-label from the breakpoint's width down", () => {
+    expect(breakpointWidth("medium")).toBe(991);
+    expect(breakpointWidth("nope")).toBe(767);
+    expect(stackLabelCss("tiny")).toContain("(max-width: 478px)");
+    expect(stackLabelCss()).toContain(
+      `.${R.stackCell}[data-label]::before { content: attr(data-label);`
+    );
+  });
+
+  it("drops generated classes from imported class lists", () => {
+    expect(withoutResponsiveClasses("table_stack wf-table  table_pin")).toBe(
+      "wf-table"
+    );
+  });
+});
+
+describe("buildXscpTable responsive modes", () => {
+  it("stacks rows into labelled cards", () => {
+    const { payload } = buildXscpTable(
+      { responsive: "stack", stackBreakpoint: "medium" },
+      DATA
+    );
+    expect(outline(payload)).toMatchSnapshot();
+    const embed = payload.nodes.find((n) => n.type === "HtmlEmbed");
+    expect(embed.v).toContain("(max-width: 991px)");
+    expect(styleNamed(payload, R.stackCell).variants.medium).toBeDefined();
+  });
+
+  it("labels every body cell with its column header", () => {
+    const { payload } = buildXscpTable({ responsive: "stack" }, DATA);
+    const labels = payload.nodes
+      .filter((n) => n.data?.tag === "td")
+      .map((n) => attr(n, "data-label"));
+    expect(labels).toEqual([
+      "Plan",
+      "Price",
+      "Price",
+      "Plan",
+      "Price",
+      "Price",
+    ]);
+  });
+
+  it("wraps the table in a horizontal scroll div", () => {
+    const { payload } = buildXscpTable({ responsive: "scroll" }, DATA);
+    const [root] = outline(payload).split("\n");
+    expect(root).toBe(`div.${R.scroll}`);
+    expect(outline(payload)).not.toContain("data-label");
+    expect(styleNamed(payload, R.scroll).styleLess).toContain("overflow-x");
+  });
+
+  it("pins the first cell of every row", () => {
+    const { payload } = buildXscpTable({ responsive: "pin" }, DATA);
+    const pinned = outline(payload)
+      .split("\n")
+      .filter((line) => line.includes(`.${R.pin}`))
+      .map((line) => line.trim().split(".")[0]);
+    expect(pinned).toEqual(["th", "td", "td"]);
+  });
+
+  it("ignores the mode for CMS tables", () => {
+    const { payload } = buildXscpTable(
+      { responsive: "stack", cms: true },
+      DATA
+    );
+    expect(styleNamed(payload, R.stack)).toBeUndefined();
+    expect(outline(payload)).not.toContain("data-label");
+  });
+});
@@ -0,0 +1,120 @@
+// --- Markdown-lite cell text -------------------------------------------------
+// Cells may carry a small Markdown subset, which the generator turns into
+// Webflow rich text nodes (Strong, Emphasis, Link, LineBreak, List):
+//
+//   **bold**   _em_   [label](https://example.com)   newline → <br>
+//   :check:    ![alt](https://example.com/logo.png)
+//
+// `:name:` is an icon from the icon map (see icons.js); unknown names stay
+// text. A cell that is only an image URL or data-URI is an image. Links keep
+// only http(s), mailto, tel, `#` and relative URLs (see urls.js); others
+// become their label text.
+//
+// In a multi-line cell, lines starting with `- ` or `* ` form a bulleted
+// list. Single-line cells are never lists, so "- n/a" stays plain text.
+//
+// Parsed form:
+//   { type: "text", value } | { type: "strong" | "em", children }
+//   { type: "link", url, children } | { type: "br" }
+//   { type: "list", items: [children, …] }
+//   { type: "icon", name } | { type: "image", src, alt }
+import { DEFAULT_ICONS, isImageSource } from "./icons.js";
+import { safeUrl } from "./urls.js";
+
+const INLINE =
+  /!\[([^\]]*)\]\(([^)\s]+)\)|\*\*(.+?)\*\*|\[([^\]]+)\]\(([^)\s]+)\)|(?<![\w_])_(.+?)_(?![\w_])|(?<![\w:]):([a-z0-9_-]+):(?![\w:])/i;
+const LIST_ITEM = /^\s*[-*]\s+(\S.*)$/;
+
+// Adjacent text is kept as one node
+function pushText(out, value) {
+  const last = out[out.length - 1];
+  if (last?.type === "text") last.value += value;
+  else out.push({ type: "text", value });
+}
+
+export function parseInline(text, { icons = DEFAULT_ICONS } = {}) {
+  const options = { icons };
+  const out = [];
+  let rest = String(text ?? "");
+  while (rest) {
+    const m = INLINE.exec(rest);
+    if (!m) {
+      pushText(out, rest);
+      break;
+    }
+    if (m.index) pushText(out, rest.slice(0, m.index));
+    if (m[2] !== undefined) {
+      out.push({ type: "image", src: m[2], alt: m[1] });
+    } else if (m[3] !== undefined) {
+      out.push({ type: "strong", children: parseInline(m[3], options) });
+    } else if (m[4] !== undefined) {
+      const url = safeUrl(m[5]);
+      const children = parseInline(m[4], options);
+      if (url) out.push({ type: "link", url, children });
+      else {
+        for (const child of children) {
+          if (child.type === "text") pushText(out, child.value);
+          else out.push(child);
+        }
+      }
+    } else if (m[6] !== undefined) {
+      out.push({ type: "em", children: parseInline(m[6], options) });
+    } else if (icons[m[7]]) {
+      out.push({ type: "icon", name: m[7] });
+    } else {
+      pushText(out, m[0]);
+    }
+    rest = rest.slice(m.index + m[0].length);
+  }
+  return out;
+}
+
+/** Options: `{ icons }`, the resolved icon map (default: DEFAULT_ICONS). */
+export function parseRichText(text, options) {
+  if (isImageSource(text)) {
+    return [{ type: "image", src: String(text).trim(), alt: "" }];
+  }
+  const lines = String(text ?? "").split(/\r?\n/);
+  const multiline = lines.length > 1;
+  const out = [];
+  let list = null;
+  lines.forEach((line, i) => {
+    const item = multiline && LIST_ITEM.exec(line);
+    if (item) {
+      if (!list) {
+        list = { type: "list", items: [] };
+        out.push(list);
+      }
+      list.items.push(parseInline(item[1], options));
+      return;
+    }
+    // Lists are blocks: no <br> between a list and the next line
+    if (i > 0 && !list) out.push({ type: "br" });
+    list = null;
+    out.push(...parseInline(line, options));
+  });
+  return out;
+}
+
+/** True when `text` needs more than a single plain text node. */
+export function hasRichText(text, options) {
+  const nodes = parseRichText(text, options);
+  return nodes.length > 1 || (nodes.length === 1 && nodes[0].type !== "text");
+}
+
+/** The text a reader sees: markup dropped, icons by alt text, images by alt. */
+export function plainText(text, options = {}) {
+  const icons = options.icons || DEFAULT_ICONS;
+  const flatten = (nodes) =>
+    nodes
+      .map((n) => {
+        if (n.type === "text") return n.value;
+        if (n.type === "br") return " ";
+        if (n.type === "icon") return icons[n.name]?.alt || "";
+        if (n.type === "image") return n.alt;
+        if (n.type === "list") return n.items.map(flatten).join(", ");
+        return flatten(n.children);
+      })
+      .join("");
+  return flatten(parseRichText(text, { icons })).replace(/\s+/g, " ").trim();
+}
@@ -0,0 +1,85 @@
+import { describe, expect, it } from "vitest";
+import { payloadToHtml } from "./export.js";
+import { hasRichText, parseRichText, plainText } from "./rich-text.js";
+import { buildXscpTable } from "./xscp.js";
+
+describe("parseRichText", () => {
+  it("parses bold, emphasis, links, icons and images", () => {
+    expect(
+      parseRichText("**Pro** _new_ [docs](https://a.com) :check: ![x](/x.png)")
+    ).toEqual([
+      { type: "strong", children: [{ type: "text", value: "Pro" }] },
+      { type: "text", value: " " },
+      { type: "em", children: [{ type: "text", value: "new" }] },
+      { type: "text", value: " " },
+      {
+        type: "link",
+        url: "https://a.com",
+        children: [{ type: "text", value: "docs" }],
+      },
+      { type: "text", value: " " },
+      { type: "icon", name: "check" },
+      { type: "text", value: " " },
+      { type: "image", src: "/x.png", alt: "x" },
+    ]);
+  });
+
+  it("keeps safe link schemes", () => {
+    for (const url of ["mailto:a@b.c", "tel:+1", "#plans", "/pricing"]) {
+      expect(parseRichText(`[go](${url})`)[0]).toMatchObject({
+        type: "link",
+        url,
+      });
+    }
+  });
+
+  it("turns links with other schemes into their label", () => {
+    expect(parseRichText("see [**here**](javascript:alert) now")).toEqual([
+      { type: "text", value: "see " },
+      { type: "strong", children: [{ type: "text", value: "here" }] },
+      { type: "text", value: " now" },
+    ]);
+    expect(parseRichText("[click](data:text/html,x)")).toEqual([
+      { type: "text", value: "click" },
+    ]);
+  });
+
+  it("makes lists only in multi-line cells", () => {
+    expect(parseRichText("Includes:\n- a\n- b")).toEqual([
+      { type: "text", value: "Includes:" },
+      {
+        type: "list",
+        items: [[{ type: "text", value: "a" }], [{ type: "text", value: "b" }]],
+      },
+    ]);
+    expect(parseRichText("- n/a")).toEqual([{ type: "text", value: "- n/a" }]);
+  });
+
+  it("keeps unknown icons and snake_case as text", () => {
+    expect(hasRichText(":nope: a_b_c")).toBe(false);
+  });
+});
+
+describe("plainText", () => {
+  it("drops markup", () => {
+    expect(plainText("**Pro** [docs](https://a.com)\n:check:")).toBe(
+      "Pro docs Yes"
+    );
+  });
+});
+
+describe("links in the output", () => {
+  it("never writes an unsafe href", () => {
+    const { payload } = buildXscpTable({}, [
+      ["Plan"],
+      ["[ok](https://a.com) [bad](javascript:alert)"],
+    ]);
+    const links = payload.nodes.filter((n) => n.type === "Link");
+    expect(links.map((n) => n.data.link.url)).toEqual(["https://a.com"]);
+    // An imported link that never went through parseRichText
+    links[0].data.link.url = "javascript:alert(1)";
+    const html = payloadToHtml(payload);
+    expect(html).not.toContain("javascript:");
+    expect(html).toContain("<a>ok</a>");
+  });
+});
@@ -0,0 +1,111 @@
+// --- Spreadsheet import (.xlsx / .xls / .ods) --------------------------------
+// Turns a workbook into the same 2D string array `parseCSV` produces, so the
+// builder never needs to know where the data came from.
+//
+// SheetJS is large, so it is only loaded (as its own chunk) once a
+// spreadsheet is actually read; the rest of this module works on the parsed
+// workbook and doesn't need it.
+import { markerFor } from "./merges.js";
+
+export const SPREADSHEET_ACCEPT =
+  ".xlsx,.xls,.ods,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet,application/vnd.ms-excel,application/vnd.oasis.opendocument.spreadsheet";
+
+export function isSpreadsheetFile(file) {
+  return /\.(xlsx|xlsm|xls|ods)$/i.test(file?.name || "");
+}
+
+export async function readWorkbook(arrayBuffer) {
+  const XLSX = await import("xlsx");
+  return XLSX.read(arrayBuffer, { type: "array", cellDates: true });
+}
+
+// "AB12" → { r: 11, c: 27 } (zero-based, like SheetJS)
+function decodeCell(ref) {
+  const [, letters, digits] = /^([A-Z]+)(\d+)$/.exec(ref);
+  let c = 0;
+  for (const ch of letters) c = c * 26 + ch.charCodeAt(0) - 64;
+  return { r: Number(digits) - 1, c: c - 1 };
+}
+
+function decodeRange(range) {
+  const [start, end = start] = range.toUpperCase().split(":");
+  const a = decodeCell(start);
+  const b = decodeCell(end);
+  return {
+    s: { r: Math.min(a.r, b.r), c: Math.min(a.c, b.c) },
+    e: { r: Math.max(a.r, b.r), c: Math.max(a.c, b.c) },
+  };
+}
+
+function encodeCell({ r, c }) {
+  let letters = "";
+  for (let n = c + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return `${letters}${r + 1}`;
+}
+
+// Used range of a sheet in A1 notation, e.g. "A1:F20" ("" for empty sheets)
+export function usedRange(workbook, sheetName) {
+  return workbook.Sheets[sheetName]?.["!ref"] || "";
+}
+
+export function isValidRange(range) {
+  return /^[A-Z]+[0-9]+(:[A-Z]+[0-9]+)?$/i.test(String(range || "").trim());
+}
+
+/**
+ * Read a sheet (optionally limited to an A1 range) into a 2D string array.
+ *
+ * Cells use their formatted text (`w`), so number formats, percentages and
+ * dates come through as displayed in the spreadsheet. Merged regions keep
+ * their value in the top-left cell and the covered cells get `<<` / `^^`
+ * merge markers (see merges.js). A merge that starts outside the range is
+ * clipped to it: its first cell inside the range takes the value.
+ */
+export function sheetToRows(workbook, sheetName, range = "") {
+  const sheet = workbook.Sheets[sheetName];
+  if (!sheet || !sheet["!ref"]) return [];
+
+  const bounds = decodeRange(
+    isValidRange(range) ? range.trim() : sheet["!ref"]
+  );
+  const merges = (sheet["!merges"] || []).map((m) => ({
+    ...m,
+    // Top-left corner of the merge inside the range
+    anchor: {
+      r: Math.max(m.s.r, bounds.s.r),
+      c: Math.max(m.s.c, bounds.s.c),
+    },
+  }));
+
+  const rows = [];
+  for (let r = bounds.s.r; r <= bounds.e.r; r++) {
+    const row = [];
+    for (let c = bounds.s.c; c <= bounds.e.c; c++) {
+      const merge = merges.find(
+        (m) => r >= m.s.r && r <= m.e.r && c >= m.s.c && c <= m.e.c
+      );
+      const isAnchor = !merge || (r === merge.anchor.r && c === merge.anchor.c);
+      const cell = sheet[encodeCell(isAnchor && merge ? merge.s : { r, c })];
+      if (!isAnchor) {
+        row.push(markerFor(r - merge.anchor.r, c - merge.anchor.c));
+      } else {
+        row.push(cell ? cellText(cell) : "");
+      }
+    }
+    rows.push(row);
+  }
+
+  // Drop trailing empty rows (common in exported sheets)
+  while (rows.length && rows[rows.length - 1].every((v) => v === "")) {
+    rows.pop();
+  }
+  return rows;
+}
+
+function cellText(cell) {
+  if (cell.w != null) return String(cell.w);
+  if (cell.v instanceof Date) return cell.v.toISOString().slice(0, 10);
+  return String(cell.v ?? "");
+}
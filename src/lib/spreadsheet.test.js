@@ -0,0 +1,85 @@
+import * as XLSX from "xlsx";
+import { describe, expect, it } from "vitest";
+import {
+  isSpreadsheetFile,
+  isValidRange,
+  readWorkbook,
+  sheetToRows,
+  usedRange,
+} from "./spreadsheet.js";
+
+// A workbook the way SheetJS parses one: cells by A1 ref, `!ref`, `!merges`
+const cell = (w) => ({ t: "s", v: w, w });
+const WORKBOOK = {
+  SheetNames: ["Plans"],
+  Sheets: {
+    Plans: {
+      "!ref": "A1:C4",
+      // A1:B1 across, A2:A3 down
+      "!merges": [
+        { s: { r: 0, c: 0 }, e: { r: 0, c: 1 } },
+        { s: { r: 1, c: 0 }, e: { r: 2, c: 0 } },
+      ],
+      A1: cell("Plan"),
+      C1: cell("Seats"),
+      A2: cell("Team"),
+      B2: cell("9"),
+      C2: cell("1"),
+      B3: cell("29"),
+      C3: cell("5"),
+    },
+  },
+};
+
+describe("sheetToRows", () => {
+  it("reads the used range with merge markers", () => {
+    expect(sheetToRows(WORKBOOK, "Plans")).toEqual([
+      ["Plan", "<<", "Seats"],
+      ["Team", "9", "1"],
+      ["^^", "29", "5"],
+    ]);
+  });
+
+  it("clips merges that start outside the range", () => {
+    expect(sheetToRows(WORKBOOK, "Plans", "B1:C3")).toEqual([
+      ["Plan", "Seats"],
+      ["9", "1"],
+      ["29", "5"],
+    ]);
+    expect(sheetToRows(WORKBOOK, "Plans", "A3:B3")).toEqual([["Team", "29"]]);
+  });
+
+  it("returns no rows for unknown or empty sheets", () => {
+    expect(sheetToRows(WORKBOOK, "Nope")).toEqual([]);
+    expect(usedRange(WORKBOOK, "Plans")).toBe("A1:C4");
+  });
+});
+
+describe("readWorkbook", () => {
+  it("parses an .xlsx buffer", async () => {
+    const book = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(
+      book,
+      XLSX.utils.aoa_to_sheet([
+        ["Name", "Price"],
+        ["Basic", 9],
+      ]),
+      "Sheet1"
+    );
+    const buffer = XLSX.write(book, { type: "array", bookType: "xlsx" });
+    const wb = await readWorkbook(buffer);
+    expect(sheetToRows(wb, wb.SheetNames[0])).toEqual([
+      ["Name", "Price"],
+      ["Basic", "9"],
+    ]);
+  });
+});
+
+describe("file and range checks", () => {
+  it("recognises spreadsheet files and A1 ranges", () => {
+    expect(isSpreadsheetFile({ name: "Book.XLSX" })).toBe(true);
+    expect(isSpreadsheetFile({ name: "data.csv" })).toBe(false);
+    expect(isValidRange("a1:d20")).toBe(true);
+    expect(isValidRange("A1-D20")).toBe(false);
+  });
+});
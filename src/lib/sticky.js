@@ -0,0 +1,107 @@
+// --- Sticky header / first column ---------------------------------------------
+// Long comparison tables keep their header and first column in view:
+//
+//   stickyHeader   <thead class="table_sticky-head">, stuck at `stickyTop`
+//   stickyColumn   first cell of every row gets `table_sticky-col`
+//   maxHeight      the table goes in a `table_sticky-wrap` div that scrolls
+//                  vertically (and sideways, for the sticky column)
+//
+// `stickyTop` and `maxHeight` hold CSS lengths by breakpoint (the keys of
+// BREAKPOINTS in styles.js); smaller breakpoints inherit, like in Webflow.
+// The values become real class styles with `variants`, so they can be
+// tuned in the style editor or in Webflow afterwards.
+//
+// A sticky element sticks to its nearest scrolling ancestor. Inside a
+// scrolling wrapper (max height, sticky column, responsive scroll) the
+// header sticks to the top of the wrapper, not of the page.
+import { STACK_BREAKPOINTS } from "./responsive.js";
+import { BREAKPOINTS } from "./styles.js";
+
+export const STICKY_CLASSES = {
+  wrap: "table_sticky-wrap",
+  head: "table_sticky-head",
+  column: "table_sticky-col",
+};
+
+const hasValue = (v) => String(v ?? "").trim() !== "";
+
+/** True when any breakpoint sets a value. */
+export function hasLengths(values) {
+  return Object.values(values || {}).some(hasValue);
+}
+
+// `{ main, medium, … }` lengths → `{ styleLess, variants }` declarations
+function lengthStyles(values, declare) {
+  const out = { styleLess: "", variants: {} };
+  for (const [breakpoint] of BREAKPOINTS) {
+    const value = values?.[breakpoint];
+    if (!hasValue(value)) continue;
+    const css = declare(String(value).trim());
+    if (breakpoint === "main") out.styleLess = css;
+    else out.variants[breakpoint] = { styleLess: css };
+  }
+  return out;
+}
+
+/**
+ * Preset-style CSS (`{ name: { styleLess, variants } }`) for the classes;
+ * `scrollX` lets the wrapper scroll sideways.
+ */
+export function stickyStyles({ stickyTop, maxHeight, scrollX = false } = {}) {
+  const height = lengthStyles(
+    maxHeight,
+    (v) => `max-height: ${v}; overflow-y: auto;`
+  );
+  const top = lengthStyles(stickyTop, (v) => `top: ${v};`);
+  return {
+    [STICKY_CLASSES.wrap]: {
+      styleLess: `width: 100%; ${scrollX ? "overflow-x: auto; " : ""}${
+        height.styleLess
+      }`.trim(),
+      variants: height.variants,
+    },
+    [STICKY_CLASSES.head]: {
+      styleLess: `position: sticky; ${
+        top.styleLess || "top: 0px;"
+      } z-index: 2; background-color: #ffffff;`,
+      variants: top.variants,
+    },
+    [STICKY_CLASSES.column]: {
+      styleLess:
+        "position: sticky; left: 0px; z-index: 1; background-color: #ffffff;",
+    },
+  };
+}
+
+/** `stickyTop` / `maxHeight` back from generated class styles. */
+export function readStickyStyles(styles) {
+  const read = (name, property) => {
+    const style = (styles || []).find((s) => s.name === name && !s.comb);
+    const pattern = new RegExp(`(?:^|;)\\s*${property}:\\s*([^;]+)`);
+    const values = {};
+    for (const [breakpoint] of BREAKPOINTS) {
+      const css =
+        breakpoint === "main"
+          ? style?.styleLess
+          : style?.variants?.[breakpoint]?.styleLess;
+      const match = pattern.exec(css || "");
+      if (match) values[breakpoint] = match[1].trim();
+    }
+    return values;
+  };
+  return {
+    stickyTop: read(STICKY_CLASSES.head, "top"),
+    maxHeight: read(STICKY_CLASSES.wrap, "max-height"),
+  };
+}
+
+/** The value in effect at a viewport `width` (0 = desktop). */
+export function lengthAtWidth(values, width) {
+  let value = hasValue(values?.main) ? String(values.main).trim() : "";
+  for (const [breakpoint, max] of STACK_BREAKPOINTS) {
+    if (width && width <= max && hasValue(values?.[breakpoint])) {
+      value = String(values[breakpoint]).trim();
+    }
+  }
+  return value;
+}
@@ -0,0 +1,92 @@
+import { describe, expect, it } from "vitest";
+import {
+  hasLengths,
+  lengthAtWidth,
+  readStickyStyles,
+  STICKY_CLASSES as S,
+  stickyStyles,
+} from "./sticky.js";
+import { importXscp } from "./xscp-import.js";
+import { buildXscpTable } from "./xscp.js";
+import { outline } from "../test/helpers.js";
+
+const DATA = [
+  ["Plan", "Price"],
+  ["Team", "29"],
+];
+const stickyTop = { main: "4rem", small: "0px" };
+const maxHeight = { main: "32rem", tiny: "20rem" };
+
+describe("lengths", () => {
+  it("ignores blank breakpoints", () => {
+    expect(hasLengths({ main: " ", small: "" })).toBe(false);
+    expect(hasLengths({ tiny: "1rem" })).toBe(true);
+    expect(hasLengths(undefined)).toBe(false);
+  });
+
+  it("inherits from larger breakpoints like Webflow", () => {
+    const values = { main: "32rem", small: "20rem" };
+    expect(lengthAtWidth(values, 0)).toBe("32rem");
+    expect(lengthAtWidth(values, 991)).toBe("32rem");
+    expect(lengthAtWidth(values, 767)).toBe("20rem");
+    expect(lengthAtWidth(values, 375)).toBe("20rem");
+    expect(lengthAtWidth({ tiny: "10rem" }, 800)).toBe("");
+  });
+});
+
+describe("stickyStyles", () => {
+  it("puts offsets and heights in breakpoint variants", () => {
+    const styles = stickyStyles({ stickyTop, maxHeight });
+    expect(styles[S.head]).toEqual({
+      styleLess:
+        "position: sticky; top: 4rem; z-index: 2; background-color: #ffffff;",
+      variants: { small: { styleLess: "top: 0px;" } },
+    });
+    expect(styles[S.wrap]).toEqual({
+      styleLess: "width: 100%; max-height: 32rem; overflow-y: auto;",
+      variants: { tiny: { styleLess: "max-height: 20rem; overflow-y: auto;" } },
+    });
+  });
+
+  it("sticks to the top without an offset and scrolls sideways on request", () => {
+    const styles = stickyStyles({ scrollX: true });
+    expect(styles[S.head].styleLess).toContain("top: 0px;");
+    expect(styles[S.wrap].styleLess).toBe("width: 100%; overflow-x: auto;");
+  });
+
+  it("reads the lengths back from the styles", () => {
+    const styles = Object.entries(stickyStyles({ stickyTop, maxHeight })).map(
+      ([name, style]) => ({ name, ...style })
+    );
+    expect(readStickyStyles(styles)).toEqual({ stickyTop, maxHeight });
+    expect(readStickyStyles([])).toEqual({ stickyTop: {}, maxHeight: {} });
+  });
+});
+
+describe("buildXscpTable sticky options", () => {
+  const options = {
+    stickyHeader: true,
+    stickyColumn: true,
+    stickyTop,
+    maxHeight,
+  };
+
+  it("marks the head and first column inside a scrolling wrapper", () => {
+    const { payload } = buildXscpTable(options, DATA);
+    expect(outline(payload)).toMatchSnapshot();
+  });
+
+  it("survives a round trip through the importer", () => {
+    const { payload } = buildXscpTable(options, DATA);
+    expect(importXscp({ payload }).options).toMatchObject(options);
+  });
+
+  it("doesn't apply to stacked cards or CMS tables", () => {
+    for (const extra of [{ responsive: "stack" }, { cms: true }]) {
+      const { payload } = buildXscpTable({ ...options, ...extra }, DATA);
+      const names = payload.styles.map((s) => s.name);
+      expect(names).not.toContain(S.head);
+      expect(names).not.toContain(S.wrap);
+    }
+  });
+});
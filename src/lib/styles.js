@@ -0,0 +1,191 @@
+// --- Class style overrides ---------------------------------------------------
+// The style editor stores hand-set properties per class and breakpoint:
+//
+//   classStyles = { "wf-table": { main: { padding: "1rem" }, small: { … } } }
+//
+// Editor properties are shorthands (padding, border-width, zebra…) that
+// expand into the longhand declarations Webflow keeps in `styleLess`. They
+// are layered over whatever ensureStyle generated (presets, Tailwind).
+//
+// Zebra striping is a `nth-child(even)` variant, which only stripes rows when
+// it sits on the row class; zebraOnRowClass moves it there.
+
+export const BREAKPOINTS = [
+  ["main", "Desktop"],
+  ["medium", "Tablet (≤ 991px)"],
+  ["small", "Mobile landscape (≤ 767px)"],
+  ["tiny", "Mobile portrait (≤ 478px)"],
+];
+
+const SIDES = ["top", "right", "bottom", "left"];
+const CORNERS = ["top-left", "top-right", "bottom-right", "bottom-left"];
+
+/** Properties offered by the editor; `options` turns a field into a select. */
+export const STYLE_PROPERTIES = [
+  { key: "padding", label: "Padding", placeholder: "0.75rem" },
+  { key: "background-color", label: "Background", placeholder: "#f9fafb" },
+  {
+    key: "zebra",
+    label: "Zebra (even rows, on the row class)",
+    placeholder: "#f3f4f6",
+  },
+  { key: "border-width", label: "Border width", placeholder: "1px" },
+  {
+    key: "border-style",
+    label: "Border style",
+    options: ["solid", "dashed", "dotted", "none"],
+  },
+  { key: "border-color", label: "Border color", placeholder: "#e5e7eb" },
+  { key: "border-radius", label: "Radius", placeholder: "0.5rem" },
+  { key: "font-family", label: "Font", placeholder: "Inter, sans-serif" },
+  { key: "font-size", label: "Font size", placeholder: "0.875rem" },
+  {
+    key: "font-weight",
+    label: "Weight",
+    options: ["300", "400", "500", "600", "700", "800"],
+  },
+  { key: "color", label: "Text color", placeholder: "#111827" },
+  {
+    key: "text-align",
+    label: "Text align",
+    options: ["left", "center", "right", "justify"],
+  },
+  {
+    key: "vertical-align",
+    label: "Vertical align",
+    options: ["top", "middle", "bottom"],
+  },
+];
+
+/** Row class added for zebra stripes when no row class is set. */
+export const ZEBRA_ROW_CLASS = "table_row";
+
+const hasValue = (v) => String(v ?? "").trim() !== "";
+
+/** True when any class sets a zebra color. */
+export function hasZebra(classStyles) {
+  return Object.values(classStyles || {}).some((byBreakpoint) =>
+    Object.values(byBreakpoint || {}).some((props) => hasValue(props?.zebra))
+  );
+}
+
+/**
+ * `classStyles` with every zebra value moved onto `rowClass`, per
+ * breakpoint; a value set on the row class itself wins.
+ */
+export function zebraOnRowClass(classStyles, rowClass) {
+  const out = {};
+  const zebra = {};
+  for (const [name, byBreakpoint] of Object.entries(classStyles || {})) {
+    for (const [breakpoint, props] of Object.entries(byBreakpoint || {})) {
+      const { zebra: value, ...rest } = props || {};
+      if (hasValue(value) && (!zebra[breakpoint] || name === rowClass)) {
+        zebra[breakpoint] = value;
+      }
+      if (Object.keys(rest).length) {
+        out[name] = { ...out[name], [breakpoint]: rest };
+      }
+    }
+  }
+  if (!rowClass) return out;
+  for (const [breakpoint, value] of Object.entries(zebra)) {
+    out[rowClass] = {
+      ...out[rowClass],
+      [breakpoint]: { ...out[rowClass]?.[breakpoint], zebra: value },
+    };
+  }
+  return out;
+}
+
+// Editor property → longhand declarations
+function expand(key, value) {
+  if (key === "padding") {
+    return SIDES.map((s) => [`padding-${s}`, value]);
+  }
+  if (/^border-(width|style|color)$/.test(key)) {
+    const part = key.slice("border-".length);
+    return SIDES.map((s) => [`border-${s}-${part}`, value]);
+  }
+  if (key === "border-radius") {
+    return CORNERS.map((c) => [`border-${c}-radius`, value]);
+  }
+  return [[key, value]];
+}
+
+/** "a: 1; b: 2;" → { a: "1", b: "2" } */
+export function parseStyleLess(styleLess) {
+  const out = {};
+  for (const decl of String(styleLess || "").split(";")) {
+    const i = decl.indexOf(":");
+    if (i < 0) continue;
+    const prop = decl.slice(0, i).trim();
+    if (prop) out[prop] = decl.slice(i + 1).trim();
+  }
+  return out;
+}
+
+export function serializeStyleLess(decls) {
+  return Object.entries(decls)
+    .filter(([, v]) => v !== "" && v != null)
+    .map(([k, v]) => `${k}: ${v};`)
+    .join(" ");
+}
+
+function mergeStyleLess(base, decls) {
+  return serializeStyleLess({ ...parseStyleLess(base), ...decls });
+}
+
+/**
+ * Layer editor overrides (`{ [breakpoint]: { [property]: value } }`) onto a
+ * style entry. Returns a new entry; the input is not modified.
+ */
+export function applyClassStyle(entry, overrides) {
+  if (!overrides) return entry;
+  let styleLess = entry.styleLess || "";
+  const variants = { ...(entry.variants || {}) };
+  const addVariant = (key, decls) => {
+    variants[key] = {
+      ...(variants[key] || {}),
+      styleLess: mergeStyleLess(variants[key]?.styleLess, decls),
+    };
+  };
+
+  for (const [breakpoint] of BREAKPOINTS) {
+    const props = overrides[breakpoint];
+    if (!props) continue;
+    const decls = {};
+    for (const [key, value] of Object.entries(props)) {
+      if (!String(value ?? "").trim()) continue;
+      if (key === "zebra") {
+        addVariant(`${breakpoint}_nth-child(even)`, {
+          "background-color": value.trim(),
+        });
+        continue;
+      }
+      for (const [prop, v] of expand(key, value.trim())) decls[prop] = v;
+    }
+    if (!Object.keys(decls).length) continue;
+    if (breakpoint === "main") styleLess = mergeStyleLess(styleLess, decls);
+    else addVariant(breakpoint, decls);
+  }
+  return { ...entry, styleLess, variants };
+}
+
+/**
+ * Current value of an editor property in a style entry (main `styleLess` or a
+ * breakpoint variant), used as the editor's placeholder. Shorthands report
+ * their top / top-left longhand.
+ */
+export function readClassStyle(entry, breakpoint, key) {
+  if (!entry) return "";
+  if (key === "zebra") {
+    const v = entry.variants?.[`${breakpoint}_nth-child(even)`];
+    return parseStyleLess(v?.styleLess)["background-color"] || "";
+  }
+  const source =
+    breakpoint === "main"
+      ? entry.styleLess
+      : entry.variants?.[breakpoint]?.styleLess;
+  const [[prop]] = expand(key, "");
+  return parseStyleLess(source)[prop] || "";
+}
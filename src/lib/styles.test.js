@@ -0,0 +1,115 @@
+import { describe, expect, it } from "vitest";
+import {
+  ZEBRA_ROW_CLASS,
+  applyClassStyle,
+  parseStyleLess,
+  readClassStyle,
+  zebraOnRowClass,
+} from "./styles.js";
+import { buildXscpTable } from "./xscp.js";
+
+const DATA = [
+  ["Plan", "Price"],
+  ["Basic", "9"],
+  ["Team", "29"],
+];
+
+const styleNamed = (payload, name) =>
+  payload.styles.find((s) => s.name === name && !s.comb);
+const rowClasses = (payload) =>
+  payload.nodes
+    .filter((n) => n.data?.tag === "tr")
+    .map((tr) =>
+      tr.classes.map((id) => payload.styles.find((s) => s._id === id).name)
+    );
+
+describe("applyClassStyle", () => {
+  it("expands shorthands into main styleLess and breakpoint variants", () => {
+    const entry = applyClassStyle(
+      { name: "cell", styleLess: "color: red;", variants: {} },
+      {
+        main: { padding: "1rem", "border-width": "1px" },
+        small: { "text-align": "left" },
+      }
+    );
+    expect(parseStyleLess(entry.styleLess)).toMatchObject({
+      color: "red",
+      "padding-top": "1rem",
+      "padding-left": "1rem",
+      "border-bottom-width": "1px",
+    });
+    expect(entry.variants.small.styleLess).toBe("text-align: left;");
+    expect(readClassStyle(entry, "main", "padding")).toBe("1rem");
+  });
+
+  it("writes zebra as an nth-child(even) variant per breakpoint", () => {
+    const entry = applyClassStyle(
+      { name: "row", styleLess: "" },
+      { main: { zebra: "#eee" }, tiny: { zebra: "#ddd" } }
+    );
+    expect(entry.variants).toEqual({
+      "main_nth-child(even)": { styleLess: "background-color: #eee;" },
+      "tiny_nth-child(even)": { styleLess: "background-color: #ddd;" },
+    });
+    expect(readClassStyle(entry, "tiny", "zebra")).toBe("#ddd");
+  });
+});
+
+describe("zebraOnRowClass", () => {
+  it("moves zebra values to the row class; its own values win", () => {
+    expect(
+      zebraOnRowClass(
+        {
+          cell: {
+            main: { zebra: "#eee", padding: "1rem" },
+            small: { zebra: "#ccc" },
+          },
+          row: { main: { zebra: "#fff" } },
+        },
+        "row"
+      )
+    ).toEqual({
+      cell: { main: { padding: "1rem" } },
+      row: { main: { zebra: "#fff" }, small: { zebra: "#ccc" } },
+    });
+  });
+});
+
+describe("zebra in the generated table", () => {
+  it("stripes the row class when zebra was set on another class", () => {
+    const { payload } = buildXscpTable(
+      {
+        rowClass: "table_tr",
+        cellClass: "table_td",
+        classStyles: { table_td: { main: { zebra: "#f3f4f6" } } },
+      },
+      DATA
+    );
+    expect(styleNamed(payload, "table_tr").variants).toEqual({
+      "main_nth-child(even)": { styleLess: "background-color: #f3f4f6;" },
+    });
+    expect(styleNamed(payload, "table_td").variants).toEqual({});
+  });
+
+  it("adds a row class for the stripes when none is set", () => {
+    const { payload, untranslated } = buildXscpTable(
+      {
+        cellClass: "table_td",
+        classStyles: { table_td: { medium: { zebra: "#f3f4f6" } } },
+      },
+      DATA
+    );
+    expect(rowClasses(payload).every((c) => c[0] === ZEBRA_ROW_CLASS)).toBe(
+      true
+    );
+    expect(
+      styleNamed(payload, ZEBRA_ROW_CLASS).variants["medium_nth-child(even)"]
+    ).toEqual({ styleLess: "background-color: #f3f4f6;" });
+    expect(untranslated).not.toContain(ZEBRA_ROW_CLASS);
+  });
+
+  it("adds no row class without zebra", () => {
+    const { payload } = buildXscpTable({}, DATA);
+    expect(rowClasses(payload).flat()).toEqual([]);
+  });
+});
@@ -0,0 +1,773 @@
+// --- Tailwind → Webflow style translation -----------------------------------
+// Every class token the builder creates becomes one Webflow class. This turns
+// a Tailwind utility (with optional prefixes) into that class's `styleLess`
+// and `variants`.
+//
+// Webflow is desktop-first, so breakpoint prefixes name the Webflow
+// breakpoint where a value starts to apply (and cascades down from):
+//   (none)/lg: → main   md: → medium (≤991px)   sm: → small (≤767px)
+//   xs:/tiny: → tiny (≤478px)   xl: → large (≥1280px)   2xl: → xl (≥1440px)
+//   3xl: → xxl (≥1920px)
+// State prefixes become pseudo-state variants, e.g. `md:hover:bg-gray-50`
+// → variants["medium_hover"].
+//
+// That is the opposite of Tailwind's mobile-first prefixes (`md:` = ≥768px),
+// so the builder warns when a class uses one (see breakpointPrefixOf).
+
+export const BREAKPOINT_PREFIXES = {
+  lg: "main",
+  md: "medium",
+  sm: "small",
+  xs: "tiny",
+  tiny: "tiny",
+  xl: "large",
+  "2xl": "xl",
+  "3xl": "xxl",
+};
+
+export const STATE_PREFIXES = {
+  hover: "hover",
+  focus: "focus",
+  active: "pressed",
+  visited: "visited",
+  "focus-visible": "focus-visible",
+  "focus-within": "focus-within",
+  placeholder: "placeholder",
+  first: "first-child",
+  last: "last-child",
+  odd: "nth-child(odd)",
+  even: "nth-child(even)",
+};
+
+// --- Scales ------------------------------------------------------------------
+const PALETTE_SHADES = [50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950];
+const PALETTE = {
+  slate:
+    "f8fafc f1f5f9 e2e8f0 cbd5e1 94a3b8 64748b 475569 334155 1e293b 0f172a 020617",
+  gray: "f9fafb f3f4f6 e5e7eb d1d5db 9ca3af 6b7280 4b5563 374151 1f2937 111827 030712",
+  zinc: "fafafa f4f4f5 e4e4e7 d4d4d8 a1a1aa 71717a 52525b 3f3f46 27272a 18181b 09090b",
+  neutral:
+    "fafafa f5f5f5 e5e5e5 d4d4d4 a3a3a3 737373 525252 404040 262626 171717 0a0a0a",
+  stone:
+    "fafaf9 f5f5f4 e7e5e4 d6d3d1 a8a29e 78716c 57534e 44403c 292524 1c1917 0c0a09",
+  red: "fef2f2 fee2e2 fecaca fca5a5 f87171 ef4444 dc2626 b91c1c 991b1b 7f1d1d 450a0a",
+  orange:
+    "fff7ed ffedd5 fed7aa fdba74 fb923c f97316 ea580c c2410c 9a3412 7c2d12 431407",
+  amber:
+    "fffbeb fef3c7 fde68a fcd34d fbbf24 f59e0b d97706 b45309 92400e 78350f 451a03",
+  yellow:
+    "fefce8 fef9c3 fef08a fde047 facc15 eab308 ca8a04 a16207 854d0e 713f12 422006",
+  lime: "f7fee7 ecfccb d9f99d bef264 a3e635 84cc16 65a30d 4d7c0f 3f6212 365314 1a2e05",
+  green:
+    "f0fdf4 dcfce7 bbf7d0 86efac 4ade80 22c55e 16a34a 15803d 166534 14532d 052e16",
+  emerald:
+    "ecfdf5 d1fae5 a7f3d0 6ee7b7 34d399 10b981 059669 047857 065f46 064e3b 022c22",
+  teal: "f0fdfa ccfbf1 99f6e4 5eead4 2dd4bf 14b8a6 0d9488 0f766e 115e59 134e4a 042f2e",
+  cyan: "ecfeff cffafe a5f3fc 67e8f9 22d3ee 06b6d4 0891b2 0e7490 155e75 164e63 083344",
+  sky: "f0f9ff e0f2fe bae6fd 7dd3fc 38bdf8 0ea5e9 0284c7 0369a1 075985 0c4a6e 082f49",
+  blue: "eff6ff dbeafe bfdbfe 93c5fd 60a5fa 3b82f6 2563eb 1d4ed8 1e40af 1e3a8a 172554",
+  indigo:
+    "eef2ff e0e7ff c7d2fe a5b4fc 818cf8 6366f1 4f46e5 4338ca 3730a3 312e81 1e1b4b",
+  violet:
+    "f5f3ff ede9fe ddd6fe c4b5fd a78bfa 8b5cf6 7c3aed 6d28d9 5b21b6 4c1d95 2e1065",
+  purple:
+    "faf5ff f3e8ff e9d5ff d8b4fe c084fc a855f7 9333ea 7e22ce 6b21a8 581c87 3b0764",
+  fuchsia:
+    "fdf4ff fae8ff f5d0fe f0abfc e879f9 d946ef c026d3 a21caf 86198f 701a75 4a044e",
+  pink: "fdf2f8 fce7f3 fbcfe8 f9a8d4 f472b6 ec4899 db2777 be185d 9d174d 831843 500724",
+  rose: "fff1f2 ffe4e6 fecdd3 fda4af fb7185 f43f5e e11d48 be123c 9f1239 881337 4c0519",
+};
+const NAMED_COLORS = {
+  black: "#000",
+  white: "#fff",
+  transparent: "transparent",
+  current: "currentColor",
+  inherit: "inherit",
+};
+
+const FONT_SIZES = {
+  xs: ["0.75rem", "1rem"],
+  sm: ["0.875rem", "1.25rem"],
+  base: ["1rem", "1.5rem"],
+  lg: ["1.125rem", "1.75rem"],
+  xl: ["1.25rem", "1.75rem"],
+  "2xl": ["1.5rem", "2rem"],
+  "3xl": ["1.875rem", "2.25rem"],
+  "4xl": ["2.25rem", "2.5rem"],
+  "5xl": ["3rem", "1"],
+  "6xl": ["3.75rem", "1"],
+  "7xl": ["4.5rem", "1"],
+  "8xl": ["6rem", "1"],
+  "9xl": ["8rem", "1"],
+};
+const FONT_WEIGHTS = {
+  thin: 100,
+  extralight: 200,
+  light: 300,
+  normal: 400,
+  medium: 500,
+  semibold: 600,
+  bold: 700,
+  extrabold: 800,
+  black: 900,
+};
+const FONT_FAMILIES = {
+  sans: 'ui-sans-serif, system-ui, sans-serif, "Apple Color Emoji", "Segoe UI Emoji"',
+  serif: 'ui-serif, Georgia, Cambria, "Times New Roman", Times, serif',
+  mono: 'ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, "Liberation Mono", "Courier New", monospace',
+};
+const LINE_HEIGHTS = {
+  none: "1",
+  tight: "1.25",
+  snug: "1.375",
+  normal: "1.5",
+  relaxed: "1.625",
+  loose: "2",
+};
+const TRACKING = {
+  tighter: "-0.05em",
+  tight: "-0.025em",
+  normal: "0em",
+  wide: "0.025em",
+  wider: "0.05em",
+  widest: "0.1em",
+};
+const RADII = {
+  none: "0px",
+  sm: "0.125rem",
+  "": "0.25rem",
+  md: "0.375rem",
+  lg: "0.5rem",
+  xl: "0.75rem",
+  "2xl": "1rem",
+  "3xl": "1.5rem",
+  full: "9999px",
+};
+const MAX_WIDTHS = {
+  none: "none",
+  xs: "20rem",
+  sm: "24rem",
+  md: "28rem",
+  lg: "32rem",
+  xl: "36rem",
+  "2xl": "42rem",
+  "3xl": "48rem",
+  "4xl": "56rem",
+  "5xl": "64rem",
+  "6xl": "72rem",
+  "7xl": "80rem",
+  prose: "65ch",
+  "screen-sm": "640px",
+  "screen-md": "768px",
+  "screen-lg": "1024px",
+  "screen-xl": "1280px",
+  "screen-2xl": "1536px",
+};
+const SHADOWS = {
+  sm: "0 1px 2px 0 rgba(0, 0, 0, 0.05)",
+  "": "0 1px 3px 0 rgba(0, 0, 0, 0.1), 0 1px 2px -1px rgba(0, 0, 0, 0.1)",
+  md: "0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -2px rgba(0, 0, 0, 0.1)",
+  lg: "0 10px 15px -3px rgba(0, 0, 0, 0.1), 0 4px 6px -4px rgba(0, 0, 0, 0.1)",
+  xl: "0 20px 25px -5px rgba(0, 0, 0, 0.1), 0 8px 10px -6px rgba(0, 0, 0, 0.1)",
+  "2xl": "0 25px 50px -12px rgba(0, 0, 0, 0.25)",
+  inner: "inset 0 2px 4px 0 rgba(0, 0, 0, 0.05)",
+  none: "none",
+};
+const EASINGS = {
+  linear: "linear",
+  in: "cubic-bezier(0.4, 0, 1, 1)",
+  out: "cubic-bezier(0, 0, 0.2, 1)",
+  "in-out": "cubic-bezier(0.4, 0, 0.2, 1)",
+};
+const TRANSITION_PROPERTIES = {
+  "": "color, background-color, border-color, text-decoration-color, fill, stroke, opacity, box-shadow, transform",
+  colors:
+    "color, background-color, border-color, text-decoration-color, fill, stroke",
+  opacity: "opacity",
+  shadow: "box-shadow",
+  transform: "transform",
+  all: "all",
+  none: "none",
+};
+
+const DISPLAY = {
+  block: "block",
+  "inline-block": "inline-block",
+  inline: "inline",
+  flex: "flex",
+  "inline-flex": "inline-flex",
+  grid: "grid",
+  "inline-grid": "inline-grid",
+  hidden: "none",
+  contents: "contents",
+  table: "table",
+  "table-row": "table-row",
+  "table-cell": "table-cell",
+  "table-caption": "table-caption",
+  "table-header-group": "table-header-group",
+  "table-row-group": "table-row-group",
+  "table-footer-group": "table-footer-group",
+};
+
+// Utilities that don't take a value: token → declarations
+const STATIC = {
+  static: { position: "static" },
+  relative: { position: "relative" },
+  absolute: { position: "absolute" },
+  fixed: { position: "fixed" },
+  sticky: { position: "sticky" },
+  italic: { "font-style": "italic" },
+  "not-italic": { "font-style": "normal" },
+  uppercase: { "text-transform": "uppercase" },
+  lowercase: { "text-transform": "lowercase" },
+  capitalize: { "text-transform": "capitalize" },
+  "normal-case": { "text-transform": "none" },
+  underline: { "text-decoration": "underline" },
+  "line-through": { "text-decoration": "line-through" },
+  "no-underline": { "text-decoration": "none" },
+  truncate: {
+    overflow: "hidden",
+    "text-overflow": "ellipsis",
+    "white-space": "nowrap",
+  },
+  "break-words": { "overflow-wrap": "break-word" },
+  "break-all": { "word-break": "break-all" },
+  "border-collapse": { "border-collapse": "collapse" },
+  "border-separate": { "border-collapse": "separate" },
+  "table-auto": { "table-layout": "auto" },
+  "table-fixed": { "table-layout": "fixed" },
+  "flex-row": { "flex-direction": "row" },
+  "flex-row-reverse": { "flex-direction": "row-reverse" },
+  "flex-col": { "flex-direction": "column" },
+  "flex-col-reverse": { "flex-direction": "column-reverse" },
+  "flex-wrap": { "flex-wrap": "wrap" },
+  "flex-wrap-reverse": { "flex-wrap": "wrap-reverse" },
+  "flex-nowrap": { "flex-wrap": "nowrap" },
+  "flex-1": { "flex-grow": "1", "flex-shrink": "1", "flex-basis": "0%" },
+  "flex-auto": { "flex-grow": "1", "flex-shrink": "1", "flex-basis": "auto" },
+  "flex-initial": {
+    "flex-grow": "0",
+    "flex-shrink": "1",
+    "flex-basis": "auto",
+  },
+  "flex-none": { "flex-grow": "0", "flex-shrink": "0", "flex-basis": "auto" },
+  grow: { "flex-grow": "1" },
+  "grow-0": { "flex-grow": "0" },
+  shrink: { "flex-shrink": "1" },
+  "shrink-0": { "flex-shrink": "0" },
+  "grid-flow-row": { "grid-auto-flow": "row" },
+  "grid-flow-col": { "grid-auto-flow": "column" },
+  "grid-flow-dense": { "grid-auto-flow": "dense" },
+  "cursor-pointer": { cursor: "pointer" },
+  "cursor-default": { cursor: "default" },
+  "select-none": { "user-select": "none" },
+  "pointer-events-none": { "pointer-events": "none" },
+  "object-cover": { "object-fit": "cover" },
+  "object-contain": { "object-fit": "contain" },
+  "sr-only": {
+    position: "absolute",
+    width: "1px",
+    height: "1px",
+    padding: "0px",
+    margin: "-1px",
+    overflow: "hidden",
+    clip: "rect(0, 0, 0, 0)",
+    "white-space": "nowrap",
+    "border-width": "0px",
+  },
+};
+
+const ALIGN = {
+  items: [
+    "align-items",
+    {
+      start: "flex-start",
+      end: "flex-end",
+      center: "center",
+      baseline: "baseline",
+      stretch: "stretch",
+    },
+  ],
+  justify: [
+    "justify-content",
+    {
+      start: "flex-start",
+      end: "flex-end",
+      center: "center",
+      between: "space-between",
+      around: "space-around",
+      evenly: "space-evenly",
+      stretch: "stretch",
+    },
+  ],
+  content: [
+    "align-content",
+    {
+      start: "flex-start",
+      end: "flex-end",
+      center: "center",
+      between: "space-between",
+      around: "space-around",
+      evenly: "space-evenly",
+      stretch: "stretch",
+    },
+  ],
+  self: [
+    "align-self",
+    {
+      auto: "auto",
+      start: "flex-start",
+      end: "flex-end",
+      center: "center",
+      stretch: "stretch",
+      baseline: "baseline",
+    },
+  ],
+  "place-items": [
+    "place-items",
+    { start: "start", end: "end", center: "center", stretch: "stretch" },
+  ],
+  align: [
+    "vertical-align",
+    {
+      baseline: "baseline",
+      top: "top",
+      middle: "middle",
+      bottom: "bottom",
+      "text-top": "text-top",
+      "text-bottom": "text-bottom",
+    },
+  ],
+  whitespace: [
+    "white-space",
+    {
+      normal: "normal",
+      nowrap: "nowrap",
+      pre: "pre",
+      "pre-line": "pre-line",
+      "pre-wrap": "pre-wrap",
+    },
+  ],
+  overflow: [
+    "overflow",
+    {
+      auto: "auto",
+      hidden: "hidden",
+      visible: "visible",
+      scroll: "scroll",
+      clip: "clip",
+    },
+  ],
+  "overflow-x": [
+    "overflow-x",
+    {
+      auto: "auto",
+      hidden: "hidden",
+      visible: "visible",
+      scroll: "scroll",
+      clip: "clip",
+    },
+  ],
+  "overflow-y": [
+    "overflow-y",
+    {
+      auto: "auto",
+      hidden: "hidden",
+      visible: "visible",
+      scroll: "scroll",
+      clip: "clip",
+    },
+  ],
+};
+
+const SIDES = {
+  "": ["top", "right", "bottom", "left"],
+  x: ["left", "right"],
+  y: ["top", "bottom"],
+  t: ["top"],
+  r: ["right"],
+  b: ["bottom"],
+  l: ["left"],
+  s: ["left"],
+  e: ["right"],
+};
+const CORNERS = {
+  "": ["top-left", "top-right", "bottom-right", "bottom-left"],
+  t: ["top-left", "top-right"],
+  r: ["top-right", "bottom-right"],
+  b: ["bottom-right", "bottom-left"],
+  l: ["top-left", "bottom-left"],
+  tl: ["top-left"],
+  tr: ["top-right"],
+  br: ["bottom-right"],
+  bl: ["bottom-left"],
+};
+
+// --- Value parsers -----------------------------------------------------------
+function trimNumber(n) {
+  return String(Number(n.toFixed(6)));
+}
+
+// `[13px]` → "13px", `[1fr_2fr]` → "1fr 2fr"
+function arbitrary(value) {
+  const m = value.match(/^\[(.+)\]$/);
+  return m ? m[1].replace(/_/g, " ") : null;
+}
+
+// Tailwind spacing scale: 4 → 1rem, px → 1px, 1/2 → 50%, [13px] → 13px
+function spacing(value, { fractions = false, keywords = {} } = {}) {
+  if (value in keywords) return keywords[value];
+  const arb = arbitrary(value);
+  if (arb) return arb;
+  if (value === "px") return "1px";
+  if (value === "0") return "0px";
+  if (/^\d+(\.5)?$/.test(value)) return `${trimNumber(Number(value) / 4)}rem`;
+  const frac = value.match(/^(\d+)\/(\d+)$/);
+  if (fractions && frac && Number(frac[2]) > 0) {
+    return `${trimNumber((Number(frac[1]) / Number(frac[2])) * 100)}%`;
+  }
+  return null;
+}
+
+function hexToRgb(hex) {
+  let h = hex.replace("#", "");
+  if (h.length === 3) h = h.replace(/./g, (c) => c + c);
+  const n = parseInt(h, 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+// Arbitrary values Tailwind reads as images: `[url(…)]`, gradients, and
+// anything with an `image:` type hint
+function isImage(value) {
+  return /^(image:|url\(|(repeating-)?(linear|radial|conic)-gradient\()/.test(
+    value
+  );
+}
+
+// `blue-500`, `blue-500/50`, `white`, `[#ff0000]` → CSS color
+function color(value) {
+  const [name, alpha] = value.split("/");
+  let css = null;
+  const arb = arbitrary(name);
+  if (arb) {
+    // Other type hints (`length:`, `position:` …) aren't colors either
+    const hinted = /^([a-z-]+):(?!\/\/)(.*)$/.exec(arb);
+    if (isImage(arb) || (hinted && hinted[1] !== "color")) return null;
+    css = hinted ? hinted[2] : arb;
+  } else if (NAMED_COLORS[name]) css = NAMED_COLORS[name];
+  else {
+    const m = name.match(/^([a-z]+)-(\d+)$/);
+    const shades = m && PALETTE[m[1]]?.split(" ");
+    const idx = m ? PALETTE_SHADES.indexOf(Number(m[2])) : -1;
+    if (shades && idx >= 0) css = `#${shades[idx]}`;
+  }
+  if (!css) return null;
+  if (alpha !== undefined) {
+    const a =
+      arbitrary(alpha) ?? (/^\d+$/.test(alpha) ? Number(alpha) / 100 : null);
+    if (a === null || !css.startsWith("#")) return null;
+    return `rgba(${hexToRgb(css).join(", ")}, ${a})`;
+  }
+  return css;
+}
+
+function looksLikeColor(value) {
+  return /^(#|rgb|hsl|color\(|var\(--color)/.test(value);
+}
+
+function sides(prefix, side, value) {
+  return Object.fromEntries(SIDES[side].map((s) => [`${prefix}-${s}`, value]));
+}
+
+// --- Utility → declarations --------------------------------------------------
+function utility(token) {
+  if (STATIC[token]) return STATIC[token];
+  if (DISPLAY[token]) return { display: DISPLAY[token] };
+
+  // Arbitrary property: [mask-type:luminance]
+  const prop = token.match(/^\[([a-z-]+):(.+)\]$/);
+  if (prop) return { [prop[1]]: prop[2].replace(/_/g, " ") };
+
+  const negative = token.startsWith("-");
+  const t = negative ? token.slice(1) : token;
+  const neg = (v) => (negative && v && v !== "0px" ? `-${v}` : v);
+
+  let m;
+  // Padding / margin
+  if ((m = t.match(/^(p|m)([xytrblse]?)-(.+)$/))) {
+    const v = spacing(m[3], { keywords: m[1] === "m" ? { auto: "auto" } : {} });
+    if (!v || (negative && m[1] === "p")) return null;
+    return sides(m[1] === "p" ? "padding" : "margin", m[2], neg(v));
+  }
+  // Gap (Webflow stores grid-row-gap / grid-column-gap)
+  if ((m = t.match(/^gap(-[xy])?-(.+)$/))) {
+    const v = spacing(m[2]);
+    if (!v) return null;
+    if (m[1] === "-x") return { "grid-column-gap": v };
+    if (m[1] === "-y") return { "grid-row-gap": v };
+    return { "grid-row-gap": v, "grid-column-gap": v };
+  }
+  // Sizing
+  if ((m = t.match(/^(w|h|size|min-w|min-h|max-h)-(.+)$/))) {
+    const keywords = {
+      auto: "auto",
+      full: "100%",
+      screen: m[1].endsWith("h") ? "100vh" : "100vw",
+      min: "min-content",
+      max: "max-content",
+      fit: "fit-content",
+      none: "none",
+    };
+    const v = spacing(m[2], { fractions: true, keywords });
+    if (!v) return null;
+    if (m[1] === "size") return { width: v, height: v };
+    const name =
+      { w: "width", h: "height" }[m[1]] ||
+      m[1].replace(/-w$/, "-width").replace(/-h$/, "-height");
+    return { [name]: v };
+  }
+  if ((m = t.match(/^max-w-(.+)$/))) {
+    const v =
+      MAX_WIDTHS[m[1]] ||
+      spacing(m[1], {
+        fractions: true,
+        keywords: {
+          full: "100%",
+          min: "min-content",
+          max: "max-content",
+          fit: "fit-content",
+        },
+      });
+    return v ? { "max-width": v } : null;
+  }
+  // Inset
+  if ((m = t.match(/^(inset|inset-x|inset-y|top|right|bottom|left)-(.+)$/))) {
+    const v = spacing(m[2], {
+      fractions: true,
+      keywords: { auto: "auto", full: "100%" },
+    });
+    if (!v) return null;
+    const targets =
+      m[1] === "inset"
+        ? SIDES[""]
+        : m[1] === "inset-x"
+        ? SIDES.x
+        : m[1] === "inset-y"
+        ? SIDES.y
+        : [m[1]];
+    return Object.fromEntries(targets.map((s) => [s, neg(v)]));
+  }
+  if ((m = t.match(/^z-(\d+|auto|\[.+\])$/))) {
+    return { "z-index": neg(arbitrary(m[1]) ?? m[1]) };
+  }
+  if ((m = t.match(/^order-(\d+|first|last|none)$/))) {
+    const v = { first: "-9999", last: "9999", none: "0" }[m[1]] ?? m[1];
+    return { order: neg(v) };
+  }
+  // Alignment-ish keyword families
+  for (const [prefix, [property, values]] of Object.entries(ALIGN)) {
+    if (t.startsWith(prefix + "-") && values[t.slice(prefix.length + 1)]) {
+      return { [property]: values[t.slice(prefix.length + 1)] };
+    }
+  }
+  // Grid
+  if ((m = t.match(/^grid-(cols|rows)-(.+)$/))) {
+    const v = /^\d+$/.test(m[2])
+      ? `repeat(${m[2]}, minmax(0, 1fr))`
+      : m[2] === "none"
+      ? "none"
+      : arbitrary(m[2]);
+    if (!v) return null;
+    return { [`grid-template-${m[1] === "cols" ? "columns" : "rows"}`]: v };
+  }
+  if ((m = t.match(/^(col|row)-span-(\d+|full)$/))) {
+    const axis = m[1] === "col" ? "column" : "row";
+    return m[2] === "full"
+      ? { [`grid-${axis}-start`]: "1", [`grid-${axis}-end`]: "-1" }
+      : {
+          [`grid-${axis}-start`]: `span ${m[2]}`,
+          [`grid-${axis}-end`]: `span ${m[2]}`,
+        };
+  }
+  if ((m = t.match(/^basis-(.+)$/))) {
+    const v = spacing(m[1], {
+      fractions: true,
+      keywords: { auto: "auto", full: "100%" },
+    });
+    return v ? { "flex-basis": v } : null;
+  }
+  // Typography
+  if ((m = t.match(/^text-(.+)$/))) {
+    if (FONT_SIZES[m[1]]) {
+      const [size, lh] = FONT_SIZES[m[1]];
+      return { "font-size": size, "line-height": lh };
+    }
+    const align = ["left", "center", "right", "justify", "start", "end"];
+    if (align.includes(m[1])) return { "text-align": m[1] };
+    const arb = arbitrary(m[1]);
+    if (arb && isImage(arb)) return null;
+    if (arb && !looksLikeColor(arb)) return { "font-size": arb };
+    const c = color(m[1]);
+    return c ? { color: c } : null;
+  }
+  if ((m = t.match(/^font-(.+)$/))) {
+    if (FONT_WEIGHTS[m[1]])
+      return { "font-weight": String(FONT_WEIGHTS[m[1]]) };
+    if (FONT_FAMILIES[m[1]]) return { "font-family": FONT_FAMILIES[m[1]] };
+    const arb = arbitrary(m[1]);
+    if (arb)
+      return /^\d+$/.test(arb)
+        ? { "font-weight": arb }
+        : { "font-family": arb };
+    return null;
+  }
+  if ((m = t.match(/^leading-(.+)$/))) {
+    const v = LINE_HEIGHTS[m[1]] || spacing(m[1]);
+    return v ? { "line-height": v } : null;
+  }
+  if ((m = t.match(/^tracking-(.+)$/))) {
+    const v = TRACKING[m[1]] || arbitrary(m[1]);
+    return v ? { "letter-spacing": neg(v) } : null;
+  }
+  // Backgrounds
+  if ((m = t.match(/^bg-(.+)$/))) {
+    const arb = arbitrary(m[1]);
+    if (arb && isImage(arb)) {
+      return { "background-image": arb.replace(/^image:/, "") };
+    }
+    const c = color(m[1]);
+    return c ? { "background-color": c } : null;
+  }
+  // Borders
+  if ((m = t.match(/^border(?:-([xytrblse]))?(?:-(.+))?$/))) {
+    const side = m[1] || "";
+    const value = m[2];
+    const arb = value === undefined ? null : arbitrary(value);
+    if (value === undefined || /^\d+$/.test(value) || /^\d/.test(arb || "")) {
+      const width = value === undefined ? "1px" : arb ?? `${value}px`;
+      return Object.fromEntries(
+        SIDES[side].flatMap((s) => [
+          [`border-${s}-style`, "solid"],
+          [`border-${s}-width`, width],
+        ])
+      );
+    }
+    const styles = ["solid", "dashed", "dotted", "double", "none"];
+    if (!side && styles.includes(value)) {
+      return Object.fromEntries(
+        SIDES[""].map((s) => [`border-${s}-style`, value])
+      );
+    }
+    const c = color(value);
+    if (!c) return null;
+    return Object.fromEntries(SIDES[side].map((s) => [`border-${s}-color`, c]));
+  }
+  if ((m = t.match(/^rounded(?:-(tl|tr|br|bl|t|r|b|l))?(?:-(.+))?$/))) {
+    const v = RADII[m[2] ?? ""] ?? arbitrary(m[2] ?? "");
+    if (!v) return null;
+    return Object.fromEntries(
+      CORNERS[m[1] || ""].map((c) => [`border-${c}-radius`, v])
+    );
+  }
+  // Effects
+  if ((m = t.match(/^opacity-(\d+|\[.+\])$/))) {
+    const arb = arbitrary(m[1]);
+    return { opacity: arb ?? trimNumber(Number(m[1]) / 100) };
+  }
+  if ((m = t.match(/^shadow(?:-(.+))?$/))) {
+    const v = SHADOWS[m[1] ?? ""] ?? arbitrary(m[1] ?? "");
+    return v ? { "box-shadow": v } : null;
+  }
+  // Transitions
+  if ((m = t.match(/^transition(?:-(.+))?$/))) {
+    const v = TRANSITION_PROPERTIES[m[1] ?? ""];
+    return v ? { "transition-property": v } : null;
+  }
+  if ((m = t.match(/^(duration|delay)-(\d+|\[.+\])$/))) {
+    return { [`transition-${m[1]}`]: arbitrary(m[2]) ?? `${m[2]}ms` };
+  }
+  if ((m = t.match(/^ease-(.+)$/))) {
+    const v = EASINGS[m[1]] || arbitrary(m[1]);
+    return v ? { "transition-timing-function": v } : null;
+  }
+  return null;
+}
+
+function toStyleLess(decls) {
+  return Object.entries(decls)
+    .map(([k, v]) => `${k}: ${v};`)
+    .join(" ");
+}
+
+/**
+ * The breakpoint prefix of a class token (`md` for `md:hover:px-4`), or
+ * null. Webflow reads these desktop-first (see BREAKPOINT_PREFIXES).
+ */
+export function breakpointPrefixOf(token) {
+  const parts = String(token || "")
+    .trim()
+    .split(/:(?![^[]*\])/);
+  parts.pop();
+  return parts.find((p) => BREAKPOINT_PREFIXES[p]) ?? null;
+}
+
+/**
+ * Translate one class token (e.g. `md:hover:bg-blue-500/50`).
+ * @returns {{ styleLess: string, variants: object, translated: boolean }}
+ */
+export function translateToken(token) {
+  // Prefix colons only; `[mask-type:luminance]` keeps its own
+  const parts = String(token || "")
+    .trim()
+    .split(/:(?![^[]*\])/);
+  const base = parts.pop().replace(/^!/, "");
+  let breakpoint = "main";
+  const states = [];
+  for (const p of parts) {
+    if (BREAKPOINT_PREFIXES[p]) breakpoint = BREAKPOINT_PREFIXES[p];
+    else if (STATE_PREFIXES[p]) states.push(STATE_PREFIXES[p]);
+    else return { styleLess: "", variants: {}, translated: false };
+  }
+  const decls = base ? utility(base) : null;
+  if (!decls) return { styleLess: "", variants: {}, translated: false };
+
+  const key = [breakpoint, ...states].join("_");
+  const styleLess = toStyleLess(decls);
+  return key === "main"
+    ? { styleLess, variants: {}, translated: true }
+    : { styleLess: "", variants: { [key]: { styleLess } }, translated: true };
+}
+
+/**
+ * Translate a whitespace-separated class string into one merged style.
+ * Tokens that produce no CSS are listed in `untranslated`.
+ */
+export function translateTailwind(className) {
+  const tokens = String(className || "")
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+  const main = {};
+  const variants = {};
+  const untranslated = [];
+  for (const token of tokens) {
+    const out = translateToken(token);
+    if (!out.translated) {
+      untranslated.push(token);
+      continue;
+    }
+    if (out.styleLess) main[token] = out.styleLess;
+    for (const [key, v] of Object.entries(out.variants)) {
+      variants[key] = {
+        styleLess: [variants[key]?.styleLess, v.styleLess]
+          .filter(Boolean)
+          .join(" "),
+      };
+    }
+  }
+  return {
+    styleLess: Object.values(main).join(" "),
+    variants,
+    untranslated,
+  };
+}
@@ -0,0 +1,81 @@
+import { describe, expect, it } from "vitest";
+import {
+  breakpointPrefixOf,
+  translateTailwind,
+  translateToken,
+} from "./tailwind.js";
+
+const css = (token) => translateToken(token).styleLess;
+
+describe("translateToken", () => {
+  it("translates spacing, colors and typography", () => {
+    expect(css("px-4")).toBe("padding-left: 1rem; padding-right: 1rem;");
+    expect(css("bg-blue-500/50")).toBe(
+      "background-color: rgba(59, 130, 246, 0.5);"
+    );
+    expect(css("font-semibold")).toBe("font-weight: 600;");
+    expect(css("text-[13px]")).toBe("font-size: 13px;");
+  });
+
+  it("routes arbitrary images to background-image", () => {
+    expect(css("bg-[url(/hero.png)]")).toBe(
+      "background-image: url(/hero.png);"
+    );
+    expect(css("bg-[linear-gradient(#fff,#000)]")).toBe(
+      "background-image: linear-gradient(#fff,#000);"
+    );
+    expect(css("bg-[image:var(--hero)]")).toBe(
+      "background-image: var(--hero);"
+    );
+    expect(css("bg-[#ff0000]")).toBe("background-color: #ff0000;");
+    expect(css("bg-[color:var(--brand)]")).toBe(
+      "background-color: var(--brand);"
+    );
+  });
+
+  it("never turns an image into a color or font size", () => {
+    for (const token of [
+      "text-[url(x)]",
+      "border-[url(x)]",
+      "bg-[length:2px]",
+    ]) {
+      expect(translateToken(token).styleLess).not.toMatch(/url|length/);
+    }
+    expect(translateToken("bg-[length:2px]").translated).toBe(false);
+  });
+
+  it("maps breakpoint prefixes desktop-first, with states", () => {
+    expect(translateToken("md:hover:bg-gray-50")).toEqual({
+      styleLess: "",
+      variants: { medium_hover: { styleLess: "background-color: #f9fafb;" } },
+      translated: true,
+    });
+    expect(Object.keys(translateToken("sm:p-2").variants)).toEqual(["small"]);
+    expect(translateToken("lg:p-2").styleLess).toBe(
+      "padding-top: 0.5rem; padding-right: 0.5rem; padding-bottom: 0.5rem; padding-left: 0.5rem;"
+    );
+  });
+
+  it("leaves unknown prefixes and utilities untranslated", () => {
+    expect(translateToken("print:p-2").translated).toBe(false);
+    expect(translateToken("table_cell").translated).toBe(false);
+  });
+});
+
+describe("translateTailwind", () => {
+  it("merges tokens and lists the untranslated ones", () => {
+    const out = translateTailwind("p-2 md:p-4 is-custom");
+    expect(out.styleLess).toContain("padding-top: 0.5rem;");
+    expect(out.variants.medium.styleLess).toContain("padding-top: 1rem;");
+    expect(out.untranslated).toEqual(["is-custom"]);
+  });
+});
+
+describe("breakpointPrefixOf", () => {
+  it("finds the breakpoint among the prefixes", () => {
+    expect(breakpointPrefixOf("md:hover:px-4")).toBe("md");
+    expect(breakpointPrefixOf("hover:px-4")).toBeNull();
+    expect(breakpointPrefixOf("[mask-type:luminance]")).toBeNull();
+    expect(breakpointPrefixOf("px-4")).toBeNull();
+  });
+});
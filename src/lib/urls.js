@@ -0,0 +1,23 @@
+// --- Link URLs -----------------------------------------------------------------
+// Links come from pasted HTML and from `[label](url)` cell text, and end up
+// in Webflow Link nodes and the preview. Only these are kept:
+//
+//   http:, https:, mailto:, tel:   absolute links
+//   #anchor                        in-page links
+//   /path, ./path, page.html, ?q   relative links (no scheme)
+//
+// Anything else (`javascript:`, `data:`, `vbscript:`, …) is dropped.
+
+const SAFE_SCHEMES = ["http", "https", "mailto", "tel"];
+
+/** `url` trimmed when its scheme is allowed, else null. */
+export function safeUrl(url) {
+  const value = String(url ?? "").trim();
+  if (!value) return null;
+  // Browsers ignore control characters and whitespace inside a scheme
+  // ("java\tscript:"), so check the scheme without them.
+  const compact = value.replace(/[\u0000- \u007f]/g, "");
+  const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(compact);
+  if (!scheme) return value;
+  return SAFE_SCHEMES.includes(scheme[1].toLowerCase()) ? value : null;
+}
@@ -0,0 +1,478 @@
+// --- XscpData import ----------------------------------------------------------
+// Reads a table copied *from* Webflow (or produced by buildXscpTable) back
+// into builder data + options. Everything that isn't regenerated — wrapper
+// nodes, sibling nodes, every style definition — is returned as `passthrough`
+// so a re-export keeps it (see the `passthrough` builder option).
+import { INTERACTIVE_CLASS } from "./interactivity.js";
+import { markerFor } from "./merges.js";
+import {
+  RESPONSIVE_CLASSES,
+  STACK_BREAKPOINTS,
+  withoutResponsiveClasses,
+} from "./responsive.js";
+import { STICKY_CLASSES, readStickyStyles } from "./sticky.js";
+import { attrOf, nodeText, spanOf, tagOf } from "./xscp.js";
+
+/** Accepts a JSON string, a parsed XscpData object or `{ payload }`. */
+export function parseXscp(json) {
+  if (!json) return null;
+  try {
+    const parsed = typeof json === "string" ? JSON.parse(json) : json;
+    const payload = parsed?.payload ?? null;
+    if (!payload || !Array.isArray(payload.nodes)) return null;
+    return { ...parsed, payload };
+  } catch {
+    return null;
+  }
+}
+
+// Cell content back to Markdown-lite (see rich-text.js): rich text nodes
+// become `**…**`, `_…_`, `[…](url)`, newlines and `- ` list lines; images
+// `![alt](src)` and generated icons `:name:`.
+function getTextFromNode(node, indexById) {
+  if (!node) return "";
+  if (node.text) return String(node.v ?? "");
+  if (node.type === "HtmlEmbed") {
+    const html = node.v ?? node.data?.embed?.meta?.html ?? "";
+    const icon = /\sdata-icon="([^"]+)"/.exec(html);
+    return icon ? `:${icon[1]}:` : "";
+  }
+  const tag = tagOf(node);
+  if (tag === "img") {
+    const xattr = node.data?.xattr || [];
+    const icon = xattr.find((a) => a.name === "data-icon")?.value;
+    if (icon) return `:${icon}:`;
+    const src = node.data?.attr?.src ?? attrOf(node, "src") ?? "";
+    const alt = node.data?.attr?.alt ?? attrOf(node, "alt") ?? "";
+    return src ? `![${alt}](${src})` : "";
+  }
+  const children = (node.children || [])
+    .map((id) => indexById.get(id))
+    .filter(Boolean);
+  if (tag === "ul" || tag === "ol") {
+    return children.map((li) => getTextFromNode(li, indexById)).join("\n");
+  }
+  // Lists are blocks: separate them from the text around them
+  const isList = (n) => ["ul", "ol"].includes(tagOf(n));
+  const inner = children
+    .map((child, i) => {
+      const text = getTextFromNode(child, indexById);
+      const prev = children[i - 1];
+      return prev && (isList(child) || isList(prev)) ? `\n${text}` : text;
+    })
+    .join("");
+  switch (tag) {
+    case "br":
+      return "\n";
+    case "li":
+      return `- ${inner}`;
+    case "strong":
+    case "b":
+      return inner ? `**${inner}**` : "";
+    case "em":
+    case "i":
+      return inner ? `_${inner}_` : "";
+    case "a": {
+      const url = node.data?.link?.url ?? attrOf(node, "href");
+      return url ? `[${inner}](${url})` : inner;
+    }
+    default:
+      return inner;
+  }
+}
+
+// A cell holding only an image without alt text is written as its bare URL
+function cellText(cell, indexById) {
+  const text = getTextFromNode(cell, indexById);
+  return text.replace(/^!\[\]\((\S+)\)$/, "$1");
+}
+
+// A section's <tr>s and their cells with grid positions (spans resolved)
+function layoutSection(section, childrenOf) {
+  const rows = childrenOf(section).filter((n) => tagOf(n) === "tr");
+  const taken = [];
+  const cells = [];
+  rows.forEach((tr, r) => {
+    taken[r] = taken[r] || [];
+    const cellNodes = childrenOf(tr).filter(
+      (n) => tagOf(n) === "td" || tagOf(n) === "th"
+    );
+    let c = 0;
+    for (const node of cellNodes) {
+      while (taken[r][c]) c++;
+      const colspan = spanOf(node, "colspan");
+      const rowspan = spanOf(node, "rowspan");
+      for (let dr = 0; dr < rowspan; dr++) {
+        taken[r + dr] = taken[r + dr] || [];
+        for (let dc = 0; dc < colspan; dc++) taken[r + dr][c + dc] = true;
+      }
+      cells.push({ node, row: r, column: c, colspan, rowspan });
+      c += colspan;
+    }
+  });
+  return { rows, cells };
+}
+
+/**
+ * Read the first <table> in a payload into rows. Header and footer rows are
+ * included in `rows` (head, body, foot order); colspan / rowspan are written
+ * back as `<<` / `^^` merge markers.
+ */
+export function readTableRows(payload) {
+  const nodes = payload?.nodes || [];
+  if (!nodes.length) return null;
+
+  const indexById = new Map();
+  nodes.forEach((n) => indexById.set(n._id, n));
+
+  // Find first <table> node
+  const tableNode = nodes.find((n) => tagOf(n) === "table");
+  if (!tableNode) return null;
+
+  const childrenOf = (node) =>
+    (node?.children || []).map((id) => indexById.get(id)).filter(Boolean);
+
+  // Find thead / tbody / tfoot children
+  const tableChildren = childrenOf(tableNode);
+  const thead = tableChildren.find((n) => tagOf(n) === "thead");
+  const tbody = tableChildren.find((n) => tagOf(n) === "tbody");
+  const tfoot = tableChildren.find((n) => tagOf(n) === "tfoot");
+
+  const readSectionRows = (section) => {
+    if (!section) return [];
+    const { rows, cells } = layoutSection(section, childrenOf);
+    const grid = [];
+    for (const { node, row, column, colspan, rowspan } of cells) {
+      for (let dr = 0; dr < rowspan; dr++) {
+        const cellsInRow = (grid[row + dr] = grid[row + dr] || []);
+        for (let dc = 0; dc < colspan; dc++) {
+          cellsInRow[column + dc] =
+            dr || dc ? markerFor(dr, dc) : cellText(node, indexById);
+        }
+      }
+    }
+    return Array.from({ length: rows.length }, (_, r) =>
+      Array.from(grid[r] || [], (v) => v ?? "")
+    );
+  };
+
+  const headRows = readSectionRows(thead);
+  const bodyRows = readSectionRows(tbody);
+  const footRows = readSectionRows(tfoot);
+
+  // Row headers: body rows start with a <th>
+  const firstBodyCell = childrenOf(childrenOf(tbody)[0])[0];
+
+  return {
+    rows: [...headRows, ...bodyRows, ...footRows],
+    headerRows: headRows.length,
+    footerRows: footRows.length,
+    rowHeaders: tagOf(firstBodyCell) === "th",
+  };
+}
+
+// Attributes the builder writes itself, per element
+const GENERATED_ROW_ATTRS = ["role", "data-wt-row"];
+const GENERATED_CELL_ATTRS = [
+  "role",
+  "colspan",
+  "rowspan",
+  "scope",
+  "data-field",
+  "data-label",
+  "data-wt-sort",
+  "data-wt-col",
+  "data-wt-value",
+];
+
+const shared = (lists) =>
+  lists.length ? lists.reduce((a, b) => a.filter((t) => b.includes(t))) : [];
+
+/**
+ * Per-row and per-cell classes and attributes as builder options. Classes on
+ * every row / cell become rowClass / cellClass; the rest become class rules
+ * (whole columns, odd / even body rows, else single rows and cells) so a
+ * re-export puts each class back where it was. `rows` / `cells` hold
+ * `{ section, row, column?, node, tokens }` with the node's class tokens.
+ */
+function rowAndCellOptions(rows, cells) {
+  const rowClass = shared(rows.map((e) => e.tokens));
+  const cellClass = shared(cells.map((e) => e.tokens));
+  rows.forEach(
+    (e) => (e.tokens = e.tokens.filter((t) => !rowClass.includes(t)))
+  );
+  cells.forEach(
+    (e) => (e.tokens = e.tokens.filter((t) => !cellClass.includes(t)))
+  );
+
+  const classRules = [];
+  // `&name` tokens are combo classes (see classIds in xscp.js)
+  const addRules = (rule, tokens) => {
+    const plain = tokens.filter((t) => !t.startsWith("&"));
+    const combo = tokens
+      .filter((t) => t.startsWith("&"))
+      .map((t) => t.slice(1));
+    if (plain.length) {
+      classRules.push({ ...rule, className: plain.join(" "), combo: false });
+    }
+    if (combo.length) {
+      classRules.push({ ...rule, className: combo.join(" "), combo: true });
+    }
+  };
+  const take = (entries, tokens) =>
+    entries.forEach(
+      (e) => (e.tokens = e.tokens.filter((t) => !tokens.includes(t)))
+    );
+
+  // A class on every cell that starts in a column (in all sections)
+  const columns = [...new Set(cells.map((e) => e.column))].sort(
+    (a, b) => a - b
+  );
+  for (const column of columns) {
+    const inColumn = cells.filter((e) => e.column === column);
+    const tokens = shared(inColumn.map((e) => e.tokens));
+    if (inColumn.length < 2 || !tokens.length) continue;
+    addRules({ target: "column", column: column + 1 }, tokens);
+    take(inColumn, tokens);
+  }
+
+  // A class on exactly the odd or even body rows
+  const body = rows.filter((e) => e.section === "tbody");
+  for (const [target, parity] of [
+    ["odd", 0],
+    ["even", 1],
+  ]) {
+    const picked = body.filter((e) => e.row % 2 === parity);
+    const others = body.filter((e) => e.row % 2 !== parity);
+    const tokens = shared(picked.map((e) => e.tokens)).filter(
+      (t) => !others.some((e) => e.tokens.includes(t))
+    );
+    if (body.length < 3 || !tokens.length) continue;
+    addRules({ target }, tokens);
+    take(picked, tokens);
+  }
+
+  for (const e of rows) {
+    addRules({ target: "row", section: e.section, row: e.row + 1 }, e.tokens);
+  }
+  for (const e of cells) {
+    addRules(
+      {
+        target: "cell",
+        section: e.section,
+        row: e.row + 1,
+        column: e.column + 1,
+      },
+      e.tokens
+    );
+  }
+
+  const extraAttributes = (entries, generated) =>
+    entries.flatMap(({ section, row, column, node }) =>
+      (node.data?.attributes || [])
+        .filter((a) => !generated.includes(a.name))
+        .map(({ name, value }) => ({
+          section,
+          row: row + 1,
+          ...(column !== undefined && { column: column + 1 }),
+          name,
+          value,
+        }))
+    );
+
+  return {
+    rowClass: rowClass.join(" "),
+    cellClass: cellClass.join(" "),
+    classRules,
+    rowAttributes: extraAttributes(rows, GENERATED_ROW_ATTRS),
+    cellAttributes: extraAttributes(cells, GENERATED_CELL_ATTRS),
+  };
+}
+
+/**
+ * Turn XscpData into `{ data, options, passthrough }` for the builder, or null
+ * when it contains no table.
+ */
+export function importXscp(json) {
+  const parsed = parseXscp(json);
+  if (!parsed) return null;
+  const { payload } = parsed;
+  const read = readTableRows(payload);
+  if (!read) return null;
+
+  const nodes = payload.nodes;
+  const styles = payload.styles || [];
+  const indexById = new Map(nodes.map((n) => [n._id, n]));
+  // Combo classes come back as `&name` tokens (see classIds in xscp.js)
+  const styleNameById = new Map(
+    styles.map((s) => [s._id, s.comb ? `&${s.name}` : s.name])
+  );
+  const childrenOf = (node) =>
+    (node?.children || []).map((id) => indexById.get(id)).filter(Boolean);
+  // Responsive and sticky classes come back as options
+  const sticky = Object.values(STICKY_CLASSES);
+  const classNames = (node) =>
+    withoutResponsiveClasses(
+      (node?.classes || [])
+        .map((id) => styleNameById.get(id))
+        .filter((name) => name && !sticky.includes(name))
+        .join(" ")
+    );
+  const hasClass = (node, name) =>
+    (node?.classes || []).some((id) => styleNameById.get(id) === name);
+
+  const table = nodes.find((n) => tagOf(n) === "table");
+  const sections = childrenOf(table);
+  const thead = sections.find((n) => tagOf(n) === "thead");
+  const tbody = sections.find((n) => tagOf(n) === "tbody");
+  const tfoot = sections.find((n) => tagOf(n) === "tfoot");
+  const caption = sections.find((n) => tagOf(n) === "caption");
+  const allCells = [thead, tbody, tfoot].flatMap((s) =>
+    childrenOf(s).flatMap((tr) => childrenOf(tr))
+  );
+  // Every row and cell with its section position and class tokens
+  const tokens = (node) => classNames(node).split(/\s+/).filter(Boolean);
+  const rowEntries = [];
+  const cellEntries = [];
+  for (const [section, node] of [
+    ["thead", thead],
+    ["tbody", tbody],
+    ["tfoot", tfoot],
+  ]) {
+    if (!node) continue;
+    const layout = layoutSection(node, childrenOf);
+    layout.rows.forEach((tr, row) =>
+      rowEntries.push({ section, row, node: tr, tokens: tokens(tr) })
+    );
+    for (const cell of layout.cells) {
+      cellEntries.push({
+        section,
+        row: cell.row,
+        column: cell.column,
+        node: cell.node,
+        tokens: tokens(cell.node),
+      });
+    }
+  }
+  const firstBodyCell = childrenOf(childrenOf(tbody)[0]).find(
+    (n) => tagOf(n) === "td"
+  );
+  const firstCell = firstBodyCell || allCells[0];
+  const firstHeadCell = childrenOf(childrenOf(thead)[0])[0];
+
+  // A generated responsive / interactive wrapper is regenerated with the
+  // table (its embeds included)
+  const parent = nodes.find((n) => (n.children || []).includes(table._id));
+  const stacked = hasClass(parent, RESPONSIVE_CLASSES.stackWrap);
+  const scrolled = hasClass(parent, RESPONSIVE_CLASSES.scroll);
+  const wrapper =
+    stacked ||
+    scrolled ||
+    hasClass(parent, INTERACTIVE_CLASS) ||
+    hasClass(parent, STICKY_CLASSES.wrap)
+      ? parent
+      : null;
+  const stackStyle = styles.find((s) => s.name === RESPONSIVE_CLASSES.stack);
+  const firstCells = [thead, tbody].map((s) => childrenOf(childrenOf(s)[0])[0]);
+
+  // Summary paragraph linked via aria-describedby
+  const summaryId = attrOf(table, "aria-describedby") || "";
+  const summaryNode = summaryId
+    ? nodes.find((n) => attrOf(n, "id") === summaryId)
+    : null;
+
+  const KNOWN_TABLE_ATTRS = [
+    "role",
+    "aria-describedby",
+    "data-wt-table",
+    "data-wt-search",
+    "data-wt-page-size",
+  ];
+  const interactive = attrOf(table, "data-wt-table") !== undefined;
+  const options = {
+    includeHead: !!thead && read.headerRows > 0,
+    includeFoot: !!tfoot && read.footerRows > 0,
+    headerRows: read.headerRows || 1,
+    footerRows: read.footerRows || 1,
+    useThInHead: firstHeadCell ? tagOf(firstHeadCell) === "th" : true,
+    addAriaRole: attrOf(table, "role") === "table",
+    rowHeaders: read.rowHeaders,
+    addScope: allCells.some((c) => attrOf(c, "scope")),
+    caption: caption ? nodeText(caption, indexById) : "",
+    summary: summaryNode ? nodeText(summaryNode, indexById) : "",
+    summaryId: summaryId || "table-summary",
+    useSpanFallback: tagOf(childrenOf(firstCell)[0]) === "span",
+    tableClass: classNames(table),
+    theadClass: classNames(thead),
+    tbodyClass: classNames(tbody),
+    tfootClass: classNames(tfoot),
+    // rowClass, cellClass, classRules, rowAttributes, cellAttributes
+    ...rowAndCellOptions(rowEntries, cellEntries),
+    tableAttributes: (table.data?.attributes || []).filter(
+      (a) => !KNOWN_TABLE_ATTRS.includes(a.name)
+    ),
+    // Wrappers are kept as passthrough nodes instead of being regenerated
+    wrapInSection: false,
+    // Imported CSS lives in the passthrough styles, not in editor overrides
+    classStyles: {},
+    responsive: stacked
+      ? "stack"
+      : scrolled
+      ? firstCells.some((c) => hasClass(c, RESPONSIVE_CLASSES.pin))
+        ? "pin"
+        : "scroll"
+      : "none",
+    stackBreakpoint:
+      STACK_BREAKPOINTS.map(([id]) => id).find(
+        (id) => stackStyle?.variants?.[id]
+      ) || "small",
+    stickyHeader: hasClass(thead, STICKY_CLASSES.head),
+    stickyColumn: firstCells.some((c) => hasClass(c, STICKY_CLASSES.column)),
+    ...readStickyStyles(styles),
+    interactive,
+    ...(interactive && {
+      sortable: allCells.some((c) => attrOf(c, "data-wt-sort") !== undefined),
+      searchable: attrOf(table, "data-wt-search") !== undefined,
+      pageSize: Number(attrOf(table, "data-wt-page-size")) || 0,
+    }),
+  };
+
+  // Everything outside the table subtree (minus the summary) is passed through
+  const tableSubtree = new Set();
+  const collect = (node) => {
+    if (!node || tableSubtree.has(node._id)) return;
+    tableSubtree.add(node._id);
+    childrenOf(node).forEach(collect);
+  };
+  collect(wrapper || table);
+  if (summaryNode) collect(summaryNode);
+  const rootId = (wrapper || table)._id;
+
+  const passthroughNodes = nodes
+    .filter((n) => !tableSubtree.has(n._id))
+    .map((n) => ({
+      ...n,
+      children: (n.children || []).filter(
+        (id) => id === rootId || !tableSubtree.has(id)
+      ),
+    }));
+
+  return {
+    data: read.rows.length ? read.rows : null,
+    options,
+    passthrough: {
+      tableId: rootId,
+      // Kept nodes that came before the table (see buildXscpTable)
+      index: nodes
+        .slice(
+          0,
+          nodes.findIndex((n) => n._id === rootId)
+        )
+        .filter((n) => !tableSubtree.has(n._id)).length,
+      nodes: passthroughNodes,
+      // Sticky styles are regenerated from stickyTop / maxHeight
+      styles: styles.filter((s) => !sticky.includes(s.name)),
+      assets: payload.assets || [],
+    },
+  };
+}
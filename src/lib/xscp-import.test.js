@@ -0,0 +1,147 @@
+import { describe, expect, it } from "vitest";
+import { buildXscpTable, makeDomNode, makeTextNode } from "./xscp.js";
+import { importXscp, parseXscp } from "./xscp-import.js";
+import { outline } from "../test/helpers.js";
+
+const DATA = [
+  ["Plan", "Price", "Seats"],
+  ["Basic", "9", "1"],
+  ["Team", "29", "5"],
+  ["Pro", "49", "10"],
+];
+
+// Build, import, rebuild: the rebuilt tree should match the original
+const roundTrip = (payload) => {
+  const imported = importXscp({ payload });
+  const rebuilt = buildXscpTable(
+    { ...imported.options, passthrough: imported.passthrough },
+    imported.data
+  );
+  return { imported, rebuilt };
+};
+
+const byTag = (payload, tag) =>
+  payload.nodes.filter((n) => n.data?.tag === tag);
+
+describe("parseXscp", () => {
+  it("accepts JSON strings, objects and rejects anything else", () => {
+    const { json } = buildXscpTable({}, DATA);
+    expect(parseXscp(json)?.payload.nodes.length).toBeGreaterThan(0);
+    expect(parseXscp(JSON.parse(json))?.type).toBe("@webflow/XscpData");
+    expect(parseXscp("not json")).toBeNull();
+    expect(parseXscp({ payload: {} })).toBeNull();
+  });
+});
+
+describe("importXscp", () => {
+  it("recovers rows and head / foot settings", () => {
+    const { payload } = buildXscpTable(
+      { includeFoot: true, headerRows: 1, caption: "Plans" },
+      DATA
+    );
+    const { data, options } = importXscp({ payload });
+    expect(data).toEqual(DATA);
+    expect(options).toMatchObject({
+      includeHead: true,
+      includeFoot: true,
+      headerRows: 1,
+      footerRows: 1,
+      caption: "Plans",
+    });
+  });
+
+  it("round-trips shared, column, zebra and single-cell classes", () => {
+    const options = {
+      rowClass: "table_row",
+      cellClass: "table_cell",
+      classRules: [
+        { target: "column", column: 2, className: "is-price", combo: true },
+        { target: "even", className: "is-striped" },
+        { target: "cell", row: 2, column: 3, className: "is-new" },
+        { target: "row", section: "thead", row: 1, className: "is-head" },
+      ],
+    };
+    const { payload } = buildXscpTable(options, DATA);
+    const { imported, rebuilt } = roundTrip(payload);
+    expect(imported.options.rowClass).toBe("table_row");
+    expect(imported.options.cellClass).toBe("table_cell");
+    expect(imported.options.classRules).toEqual([
+      { target: "column", column: 2, className: "is-price", combo: true },
+      { target: "even", className: "is-striped", combo: false },
+      {
+        target: "row",
+        section: "thead",
+        row: 1,
+        className: "is-head",
+        combo: false,
+      },
+      {
+        target: "cell",
+        section: "tbody",
+        row: 2,
+        column: 3,
+        className: "is-new",
+        combo: false,
+      },
+    ]);
+    expect(outline(rebuilt.payload)).toBe(outline(payload));
+  });
+
+  it("keeps per-row and per-cell attributes", () => {
+    const { payload } = buildXscpTable({}, DATA);
+    const [, , secondRow] = byTag(payload, "tr");
+    secondRow.data.attributes.push({ name: "data-plan", value: "team" });
+    const cell = byTag(payload, "td")[4];
+    cell.data.attributes.push({ name: "title", value: "Most popular" });
+
+    const { imported, rebuilt } = roundTrip(payload);
+    expect(imported.options.rowAttributes).toEqual([
+      { section: "tbody", row: 2, name: "data-plan", value: "team" },
+    ]);
+    expect(imported.options.cellAttributes).toEqual([
+      {
+        section: "tbody",
+        row: 2,
+        column: 2,
+        name: "title",
+        value: "Most popular",
+      },
+    ]);
+    expect(outline(rebuilt.payload)).toBe(outline(payload));
+  });
+
+  it("regenerates the sort attributes of an interactive table", () => {
+    const { payload } = buildXscpTable({ interactive: true }, DATA);
+    const { imported, rebuilt } = roundTrip(payload);
+    expect(imported.options.cellAttributes).toEqual([]);
+    const headers = byTag(rebuilt.payload, "th");
+    expect(headers).toHaveLength(3);
+    for (const th of headers) {
+      const names = th.data.attributes.map((a) => a.name);
+      expect(names.filter((n) => n === "data-wt-col")).toHaveLength(1);
+    }
+    expect(outline(rebuilt.payload)).toBe(outline(payload));
+  });
+
+  it("keeps a root-level table between its sibling roots", () => {
+    const { payload } = buildXscpTable({}, DATA);
+    const before = makeDomNode({ tag: "h2" });
+    const title = makeTextNode("Pricing");
+    before.children.push(title._id);
+    const after = makeDomNode({ tag: "p" });
+    payload.nodes = [before, title, ...payload.nodes, after];
+
+    const { imported, rebuilt } = roundTrip(payload);
+    expect(imported.passthrough.index).toBe(2);
+    const roots = outline(rebuilt.payload)
+      .split("\n")
+      .filter((line) => !line.startsWith(" "));
+    expect(roots).toEqual(["h2", "table[role=table]", "p"]);
+  });
+
+  it("returns null without a table", () => {
+    expect(
+      importXscp({ payload: { nodes: [makeDomNode({ tag: "div" })] } })
+    ).toBeNull();
+  });
+});
@@ -0,0 +1,927 @@
+// Pure XscpData (Webflow clipboard) builder. No React, no DOM — safe to import
+// from the UI, from Node scripts and from tests.
+
+import { MERGE_UP, computeSpans, isMergeMarker } from "./merges.js";
+import { cellRuleClasses, rowRuleClasses } from "./class-rules.js";
+import { CMS_CLASSES, cmsStyles, resolveCmsFields } from "./cms.js";
+import {
+  NUMERIC_TYPES,
+  formatCell,
+  resolveColumnFormats,
+} from "./column-types.js";
+import { isSvgMarkup, labelSvg, makeAsset, resolveIcons } from "./icons.js";
+import {
+  INTERACTIVE_CLASS,
+  interactiveEmbedHtml,
+  isSortHeader,
+  sortType,
+  sortValue,
+} from "./interactivity.js";
+import { findPreset } from "./presets.js";
+import {
+  RESPONSIVE_CLASSES,
+  columnLabels,
+  responsiveStyles,
+  stackLabelCss,
+} from "./responsive.js";
+import { hasRichText, parseRichText, plainText } from "./rich-text.js";
+import { STICKY_CLASSES, hasLengths, stickyStyles } from "./sticky.js";
+import {
+  ZEBRA_ROW_CLASS,
+  applyClassStyle,
+  hasZebra,
+  zebraOnRowClass,
+} from "./styles.js";
+import { translateToken, translateTailwind } from "./tailwind.js";
+
+// --- ID + Node helpers ------------------------------------------------------
+export function uid(prefix = "") {
+  return `${prefix}${Math.random().toString(36).slice(2, 10)}${Date.now()
+    .toString(36)
+    .slice(-4)}`;
+}
+
+export function makeDomNode({
+  tag,
+  type = "DOM",
+  classes = [],
+  attributes = [],
+  text = false,
+}) {
+  const id = uid("n_");
+  return {
+    _id: id,
+    type: type,
+    tag: "div",
+    classes,
+    children: [],
+    data: { tag, attributes, slot: "", text },
+  };
+}
+
+// --- Text node helper --------------------------------------------------------
+// Webflow text nodes are standalone objects with `{ text: true, v: string }`.
+// Parent element's `children` should include the text node's `_id`.
+export function makeTextNode(textValue) {
+  return {
+    _id: uid("t_"),
+    text: true,
+    v: String(textValue ?? ""),
+  };
+}
+
+// --- Rich text nodes ---------------------------------------------------------
+// Webflow's own element types (not `type: "DOM"`); the tag lives on the node.
+const RICH_ELEMENTS = {
+  strong: ["Strong", "strong"],
+  em: ["Emphasis", "em"],
+  link: ["Link", "a"],
+  br: ["LineBreak", "br"],
+  list: ["List", "ul"],
+  item: ["ListItem", "li"],
+};
+
+function makeRichNode(kind, data) {
+  const [type, tag] = RICH_ELEMENTS[kind];
+  return {
+    _id: uid("n_"),
+    type,
+    tag,
+    classes: [],
+    children: [],
+    ...(data ? { data } : {}),
+  };
+}
+
+// Raw HTML (an inline SVG, a <style> block) as a Webflow Embed element
+export function makeEmbedNode(html) {
+  return {
+    _id: uid("n_"),
+    type: "HtmlEmbed",
+    tag: "div",
+    classes: [],
+    children: [],
+    v: html,
+    data: {
+      embed: {
+        type: "html",
+        meta: {
+          html,
+          div: false,
+          iframe: false,
+          script: /<script[\s>]/i.test(html),
+          compilable: false,
+        },
+      },
+      insideRTE: false,
+    },
+  };
+}
+
+// Webflow Image element pointing at the payload asset `assetId`
+export function makeImageNode({ src, alt = "", assetId, icon }) {
+  return {
+    _id: uid("n_"),
+    type: "Image",
+    tag: "img",
+    classes: [],
+    children: [],
+    data: {
+      attr: { src, alt, loading: "lazy", width: "auto", height: "auto" },
+      img: { id: assetId },
+      srcsetDisabled: false,
+      sizes: [],
+      // Lets import turn the image back into `:name:`
+      xattr: icon ? [{ name: "data-icon", value: icon }] : [],
+    },
+  };
+}
+
+/**
+ * Turn Markdown-lite cell text (see rich-text.js) into nodes. Every node is
+ * passed to `push` (which must return it); returns the top-level ids.
+ * Options: `icons` (resolved icon map) and `assetFor(src)`, which returns the
+ * payload asset id for an image source.
+ */
+export function makeRichTextNodes(textValue, push, { icons, assetFor } = {}) {
+  const image = (src, alt, icon) =>
+    push(makeImageNode({ src, alt, assetId: assetFor?.(src), icon }))._id;
+  const build = (n) => {
+    if (n.type === "text") return push(makeTextNode(n.value))._id;
+    if (n.type === "image") return image(n.src, n.alt);
+    if (n.type === "icon") {
+      const { value, alt } = icons[n.name];
+      return isSvgMarkup(value)
+        ? push(makeEmbedNode(labelSvg(value, n.name, alt)))._id
+        : image(value, alt, n.name);
+    }
+    const el = push(
+      makeRichNode(
+        n.type === "list" ? "list" : n.type,
+        n.type === "link"
+          ? { button: false, block: "", link: { mode: "external", url: n.url } }
+          : undefined
+      )
+    );
+    if (n.type === "list") {
+      el.children = n.items.map((item) => {
+        const li = push(makeRichNode("item"));
+        li.children = item.map(build);
+        return li._id;
+      });
+    } else if (n.children) {
+      el.children = n.children.map(build);
+    }
+    return el._id;
+  };
+  return parseRichText(textValue, { icons }).map(build);
+}
+
+// --- Node inspection helpers -------------------------------------------------
+export function tagOf(node) {
+  return (node?.data?.tag || node?.tag || "").toLowerCase();
+}
+
+export function attrOf(node, name) {
+  return (node?.data?.attributes || []).find((a) => a.name === name)?.value;
+}
+
+// colspan / rowspan as a number (1 when absent)
+export function spanOf(node, name) {
+  const n = parseInt(attrOf(node, name) ?? "", 10);
+  return Number.isFinite(n) && n > 1 ? n : 1;
+}
+
+// All text below a node, concatenated
+export function nodeText(node, indexById) {
+  if (!node) return "";
+  if (node.text) return String(node.v ?? "");
+  return (node.children || [])
+    .map((id) => nodeText(indexById.get(id), indexById))
+    .join("");
+}
+
+// --- Tailwind → CSS mapping (see tailwind.js) --------------------------------
+// Main-breakpoint CSS only; use translateTailwind() for variants.
+export function tailwindToStyleLess(className) {
+  if (!className) return "";
+  return translateTailwind(className).styleLess;
+}
+
+// --- Styles -----------------------------------------------------------------
+// Returns the `_id` of the class named `name` in `styles`, appending a new
+// class entry (with CSS from `presetStyles` or the Tailwind translation) if
+// needed. Names that produce no CSS are pushed onto `untranslated`.
+//
+// With `comboOf` (a base class `_id`) the class is a Webflow combo class:
+// `comb: "&"`, listed in the base class's `children`.
+export function ensureStyle(
+  styles,
+  name,
+  { untranslated, comboOf, presetStyles } = {}
+) {
+  if (!name || !name.trim()) return null;
+  const base = comboOf ? styles.find((s) => s._id === comboOf) : null;
+  const existing = styles.find((s) =>
+    base
+      ? s.name === name && s.comb === "&" && base.children?.includes(s._id)
+      : s.name === name && !s.comb
+  );
+  if (existing) return existing._id;
+  const id = uid("cls_");
+  let styleLess = "";
+  let variants = {};
+  if (presetStyles?.[name]) {
+    styleLess = presetStyles[name].styleLess || "";
+    variants = presetStyles[name].variants || {};
+  } else {
+    const out = translateToken(name);
+    styleLess = out.styleLess;
+    variants = out.variants;
+    if (!out.translated) untranslated?.push(name);
+  }
+  styles.push({
+    _id: id,
+    fake: false,
+    type: "class",
+    name,
+    namespace: "",
+    comb: base ? "&" : "",
+    styleLess,
+    variants,
+    children: [],
+    createdBy: null,
+    origin: null,
+    selector: null,
+  });
+  if (base) base.children = [...(base.children || []), id];
+  return id;
+}
+
+// --- Table builder ----------------------------------------------------------
+export const DEFAULT_OPTIONS = {
+  cols: 3,
+  rows: 3,
+  includeHead: true,
+  includeFoot: false,
+  wrapInSection: false,
+  // Wrapper chain used by wrapInSection: a preset id or object (presets.js)
+  preset: "client-first",
+  tableClass: "",
+  theadClass: "",
+  tbodyClass: "",
+  tfootClass: "",
+  rowClass: "",
+  cellClass: "",
+  useThInHead: true,
+  addAriaRole: true,
+  headerRows: 1, // leading data rows that go into <thead> (when includeHead)
+  footerRows: 1, // trailing data rows that go into <tfoot> (when includeFoot)
+  useSpanFallback: false,
+  rowHeaders: false, // first cell of each body/foot row as <th scope="row">
+  addScope: true, // scope="col|colgroup|row|rowgroup" on every <th>
+  caption: "",
+  summary: "", // longer description, linked via aria-describedby
+  summaryId: "table-summary",
+  tableAttributes: [], // extra { name, value } attributes for <table>
+  // Extra attributes for single rows / cells, e.g. kept from an import:
+  // { section: "tbody", row: 1, column: 2, name, value } (1-based, rows
+  // counted within their section; rowAttributes have no column)
+  rowAttributes: [],
+  cellAttributes: [],
+  // Style editor overrides per class name and breakpoint (see styles.js)
+  classStyles: {},
+  // Extra classes for columns, odd/even/first/last rows, matching cells,
+  // single rows and cells (see class-rules.js)
+  classRules: [],
+  // Per-column types / formats, by column index (see column-types.js);
+  // columns without one are left as written
+  columnTypes: [],
+  locale: "en-US", // number / date formatting
+  currency: "USD", // for currency columns without their own
+  alignNumeric: false, // add numericClass to number/currency/percent cells
+  numericClass: "text-right",
+  // "none" | "scroll" | "stack" | "pin" (see responsive.js); stacked cards
+  // apply from `stackBreakpoint` ("medium" | "small" | "tiny") down
+  responsive: "none",
+  stackBreakpoint: "small",
+  // Body rows as a Webflow Collection List (see cms.js): `cmsFields` holds
+  // the field slug per column index; responsive modes don't apply
+  cms: false,
+  cmsFields: [],
+  cmsEmptyText: "No items found.",
+  // Sort / search / pagination script for the published table (see
+  // interactivity.js); `pageSize` 0 shows every row. Not for CMS tables.
+  interactive: false,
+  sortable: true,
+  searchable: true,
+  pageSize: 10,
+  // Sticky <thead> / first column and a max-height scroll wrapper (see
+  // sticky.js). Lengths by breakpoint: { main, medium, small, tiny }.
+  // Not for stacked cards or CMS tables.
+  stickyHeader: false,
+  stickyColumn: false,
+  stickyTop: { main: "0px" },
+  maxHeight: {},
+  // Extra / overriding `:name:` icons: [{ name, value, alt }] (see icons.js)
+  icons: [],
+  // Nodes/styles/assets kept from an imported payload (see xscp-import.js);
+  // the regenerated table replaces the node with id `passthrough.tableId`,
+  // after the first `passthrough.index` kept nodes.
+  passthrough: null,
+};
+
+// `rowAttributes` / `cellAttributes` entries for one row or cell
+function attributesAt(list, section, row, column) {
+  return (list || [])
+    .filter(
+      (a) =>
+        (a.section || "tbody") === section &&
+        Number(a.row) === row + 1 &&
+        (column === undefined || Number(a.column) === column + 1)
+    )
+    .map(({ name, value }) => ({ name, value: String(value ?? "") }));
+}
+
+// Older callers passed `hasHeaderRow: boolean` instead of a header row count
+function normalizeOptions(options) {
+  const merged = { ...DEFAULT_OPTIONS, ...options };
+  if (options.headerRows === undefined && options.hasHeaderRow !== undefined) {
+    merged.headerRows = options.hasHeaderRow ? 1 : 0;
+  }
+  merged.headerRows = Math.max(0, Math.floor(Number(merged.headerRows) || 0));
+  merged.footerRows = Math.max(0, Math.floor(Number(merged.footerRows) || 0));
+  return merged;
+}
+
+/**
+ * Split data rows into thead / tbody / tfoot. Header and footer rows only
+ * leave the body when their section is included; they never overlap.
+ */
+export function splitSections(data, options = {}) {
+  const { includeHead, includeFoot, headerRows, footerRows } =
+    normalizeOptions(options);
+  const rows = data || [];
+  const headCount = includeHead ? Math.min(headerRows, rows.length) : 0;
+  const footCount = includeFoot
+    ? Math.min(footerRows, rows.length - headCount)
+    : 0;
+  return {
+    head: rows.slice(0, headCount),
+    body: rows.slice(headCount, rows.length - footCount),
+    foot: rows.slice(rows.length - footCount),
+  };
+}
+
+/**
+ * Build a Webflow `@webflow/XscpData` table.
+ *
+ * `data` is a 2D array of cell strings (e.g. from `parseCSV`) or null for an
+ * empty `cols` × `rows` skeleton. When data is given its dimensions win.
+ *
+ * @returns {{ payload: object, meta: object, json: string,
+ *   untranslated: string[], columns: object[], fields: string[] }} —
+ *   `columns` are the resolved column formats (see column-types.js),
+ *   `fields` the CMS field slugs in `cms` mode (see cms.js)
+ */
+export function buildXscpTable(options = {}, data = null) {
+  const {
+    cols,
+    rows,
+    includeHead,
+    includeFoot,
+    wrapInSection,
+    tableClass,
+    theadClass,
+    tbodyClass,
+    tfootClass,
+    rowClass: rowClassOption,
+    cellClass,
+    useThInHead,
+    addAriaRole,
+    headerRows,
+    footerRows,
+    useSpanFallback,
+    rowHeaders,
+    addScope,
+    caption,
+    summary,
+    summaryId,
+    tableAttributes,
+    rowAttributes,
+    cellAttributes,
+    classStyles,
+    classRules,
+    preset: presetOption,
+    icons: customIcons,
+    columnTypes,
+    locale,
+    currency,
+    alignNumeric,
+    numericClass,
+    responsive,
+    stackBreakpoint,
+    cms,
+    cmsFields,
+    cmsEmptyText,
+    interactive: interactiveOption,
+    sortable: sortableOption,
+    searchable,
+    pageSize,
+    stickyHeader: stickyHeaderOption,
+    stickyColumn: stickyColumnOption,
+    stickyTop,
+    maxHeight,
+    passthrough,
+  } = normalizeOptions(options);
+
+  const effectiveCols = data ? Math.max(...data.map((r) => r.length)) : cols;
+
+  // Zebra stripes need a class on every row (see zebraOnRowClass)
+  const rowClass =
+    String(rowClassOption || "").trim() ||
+    (hasZebra(classStyles) ? ZEBRA_ROW_CLASS : "");
+  const overrides = zebraOnRowClass(
+    classStyles,
+    rowClass.split(/\s+/).find((name) => name && !name.startsWith("&"))
+  );
+
+  const nodes = [];
+  const push = (node) => {
+    nodes.push(node);
+    return node;
+  };
+
+  // Images and image icons share one asset per source
+  const icons = resolveIcons(customIcons);
+  const assets = passthrough?.assets ? [...passthrough.assets] : [];
+  const assetFor = (src) => {
+    let asset = assets.find((a) => a.cdnUrl === src);
+    if (!asset) {
+      asset = makeAsset(uid("asset_"), src);
+      assets.push(asset);
+    }
+    return asset._id;
+  };
+
+  // Imported styles come first so existing class definitions are reused
+  const styles = (passthrough?.styles || []).map((st) => ({ ...st }));
+  const untranslated = [];
+  const preset =
+    typeof presetOption === "object" && presetOption
+      ? presetOption
+      : findPreset(presetOption);
+  const mode = cms ? "none" : responsive || "none";
+  const stack = mode === "stack";
+  const pin = mode === "pin";
+  const interactive = interactiveOption && !cms;
+  const stickyHeader = stickyHeaderOption && !cms && !stack;
+  const stickyColumn = stickyColumnOption && !cms && !stack;
+  const scrollsY = !cms && !stack && hasLengths(maxHeight);
+  const stickyWrap = stickyColumn || scrollsY;
+  const R = RESPONSIVE_CLASSES;
+  const C = CMS_CLASSES;
+  const S = STICKY_CLASSES;
+  const presetStyles = {
+    ...(mode !== "none" ? responsiveStyles(stackBreakpoint) : {}),
+    ...stickyStyles({
+      stickyTop,
+      maxHeight,
+      scrollX: stickyColumn || mode !== "none",
+    }),
+    ...(cms ? cmsStyles(effectiveCols) : {}),
+    ...(interactive ? { [INTERACTIVE_CLASS]: { styleLess: "" } } : {}),
+    ...preset.styles,
+  };
+
+  // A token starting with `&` is a combo class on the element's first class
+  function classIds(list) {
+    const names = (list || []).flatMap((n) =>
+      n ? String(n).trim().split(/\s+/) : []
+    );
+    const ids = [];
+    let baseId = null;
+    for (const token of names.filter(Boolean)) {
+      const combo = token.startsWith("&");
+      const id = ensureStyle(styles, combo ? token.slice(1) : token, {
+        untranslated,
+        comboOf: combo ? baseId : null,
+        presetStyles,
+      });
+      if (!id) continue;
+      if (!combo && !baseId) baseId = id;
+      ids.push(id);
+    }
+    return ids;
+  }
+
+  // Text goes straight into the parent, or into a <span> with the fallback
+  // on. Markdown-lite markup becomes Strong / Emphasis / Link / … nodes.
+  const appendText = (parent, textValue) => {
+    const ids = hasRichText(textValue, { icons })
+      ? makeRichTextNodes(textValue, push, { icons, assetFor })
+      : [push(makeTextNode(textValue))._id];
+    if (useSpanFallback) {
+      const span = push(makeDomNode({ tag: "span" }));
+      span.children.push(...ids);
+      parent.children.push(span._id);
+    } else {
+      parent.children.push(...ids);
+    }
+  };
+
+  // A CMS table is a div grid, so it always needs its ARIA roles
+  const tableAttrs = [];
+  if (addAriaRole || cms) tableAttrs.push({ name: "role", value: "table" });
+  if (cms && caption) {
+    tableAttrs.push({
+      name: "aria-label",
+      value: plainText(caption, { icons }),
+    });
+  }
+  if (summary) tableAttrs.push({ name: "aria-describedby", value: summaryId });
+  if (interactive) {
+    tableAttrs.push({ name: "data-wt-table", value: "" });
+    if (searchable) tableAttrs.push({ name: "data-wt-search", value: "" });
+    const size = Math.max(0, Math.floor(Number(pageSize) || 0));
+    if (size) {
+      tableAttrs.push({ name: "data-wt-page-size", value: String(size) });
+    }
+  }
+  tableAttrs.push(...(tableAttributes || []));
+
+  const table = push(
+    makeDomNode({
+      tag: cms ? "div" : "table",
+      classes: classIds([tableClass, stack && R.stack, cms && C.table]),
+      attributes: tableAttrs,
+    })
+  );
+
+  // Source rows per section (null = empty skeleton cells)
+  const skeleton = (n) => Array.from({ length: n }, () => null);
+  const sections = data
+    ? splitSections(data, options)
+    : {
+        head: skeleton(includeHead ? headerRows : 0),
+        body: skeleton(rows),
+        foot: skeleton(includeFoot ? footerRows : 0),
+      };
+
+  // Column types (and the types the body values suggest); thead cells are
+  // never formatted
+  const columns = data
+    ? resolveColumnFormats(sections.body, columnTypes, {
+        locale,
+        width: effectiveCols,
+      })
+    : [];
+  const isNumeric = (c) => NUMERIC_TYPES.includes(columns[c]?.type);
+
+  // Stacked cards label each cell with its column header; CMS cells name
+  // the field they are bound to
+  const labels =
+    (stack || cms) && data
+      ? columnLabels(sections.head, effectiveCols, (v) =>
+          plainText(v, { icons })
+        )
+      : [];
+  const fields = cms ? resolveCmsFields(labels, effectiveCols, cmsFields) : [];
+
+  // Rows can only be reordered when no body cell spans several rows
+  const sortable =
+    interactive &&
+    sortableOption &&
+    !sections.body.some((r) =>
+      (r || []).some((v) => String(v ?? "").trim() === MERGE_UP)
+    );
+
+  const makeRow = (
+    sectionTag,
+    rowIndex,
+    sourceRow,
+    spanRow,
+    rowRules = [],
+    type
+  ) => {
+    const rowAttrs = [];
+    if (cms) rowAttrs.push({ name: "role", value: "row" });
+    if (interactive && sectionTag === "tbody") {
+      rowAttrs.push({ name: "data-wt-row", value: "" });
+    }
+    rowAttrs.push(...attributesAt(rowAttributes, sectionTag, rowIndex));
+    const tr = push(
+      makeDomNode({
+        tag: cms ? "div" : "tr",
+        type,
+        classes: classIds([
+          rowClass,
+          ...rowRules,
+          stack && sectionTag !== "thead" && R.stackRow,
+          cms && C.row,
+        ]),
+        attributes: rowAttrs,
+      })
+    );
+    const isHead = sectionTag === "thead";
+
+    for (let c = 0; c < effectiveCols; c++) {
+      // The CMS grid has no spans: covered cells stay as empty grid cells
+      const merge = cms ? null : spanRow?.[c];
+      if (merge?.covered) continue;
+
+      const isRowHeader = !isHead && rowHeaders && c === 0;
+      const cellTag = (isHead && useThInHead) || isRowHeader ? "th" : "td";
+
+      const attributes = [];
+      if (cms) {
+        const role = isHead
+          ? "columnheader"
+          : isRowHeader
+          ? "rowheader"
+          : "cell";
+        attributes.push({ name: "role", value: role });
+        if (sectionTag === "tbody") {
+          attributes.push({ name: "data-field", value: fields[c] });
+        }
+      }
+      if (merge?.colspan > 1) {
+        attributes.push({ name: "colspan", value: String(merge.colspan) });
+      }
+      if (merge?.rowspan > 1) {
+        attributes.push({ name: "rowspan", value: String(merge.rowspan) });
+      }
+      if (addScope && cellTag === "th" && !cms) {
+        const scope = isRowHeader
+          ? merge?.rowspan > 1
+            ? "rowgroup"
+            : "row"
+          : merge?.colspan > 1
+          ? "colgroup"
+          : "col";
+        attributes.push({ name: "scope", value: scope });
+      }
+      if (stack && cellTag === "td" && labels[c]) {
+        attributes.push({ name: "data-label", value: labels[c] });
+      }
+
+      let textValue = "";
+      if (data && sourceRow) {
+        textValue = sourceRow[c] ?? "";
+        if (isMergeMarker(textValue)) textValue = "";
+      }
+
+      if (
+        sortable &&
+        isHead &&
+        cellTag === "th" &&
+        isSortHeader(rowIndex, merge, sections.head.length)
+      ) {
+        attributes.push(
+          { name: "data-wt-sort", value: sortType(columns[c]) },
+          { name: "data-wt-col", value: String(c) }
+        );
+      }
+      if (sortable && sectionTag === "tbody") {
+        const key = sortValue(textValue, columns[c], locale);
+        if (key !== null)
+          attributes.push({ name: "data-wt-value", value: key });
+      }
+
+      attributes.push(...attributesAt(cellAttributes, sectionTag, rowIndex, c));
+
+      const cellRules = cellRuleClasses(classRules, {
+        row: rowIndex,
+        column: c,
+        text: textValue,
+        section: sectionTag,
+      });
+      const alignClass = alignNumeric && isNumeric(c) ? numericClass : "";
+      const cell = push(
+        makeDomNode({
+          tag: cms ? "div" : cellTag,
+          classes: classIds([
+            cellClass,
+            alignClass,
+            ...cellRules,
+            pin && c === 0 && R.pin,
+            stickyColumn && c === 0 && S.column,
+            stack && !isHead && R.stackCell,
+            cms && C.cell,
+          ]),
+          attributes,
+        })
+      );
+
+      if (data) {
+        appendText(
+          cell,
+          isHead
+            ? textValue
+            : formatCell(textValue, columns[c], { locale, currency })
+        );
+      }
+
+      tr.children.push(cell._id);
+    }
+    return tr;
+  };
+
+  // Collection List Wrapper > List > one Item (the row template, with the
+  // first body row as sample text) + Empty State
+  const makeCmsList = (sectionRows) => {
+    const wrapper = push(makeDomNode({ tag: "div", type: "DynamoWrapper" }));
+    const list = push(
+      makeDomNode({
+        tag: "div",
+        type: "DynamoList",
+        classes: classIds([tbodyClass, C.list]),
+        attributes: [{ name: "role", value: "rowgroup" }],
+      })
+    );
+    const item = makeRow("tbody", 0, sectionRows[0], null, [], "DynamoItem");
+    list.children.push(item._id);
+    const empty = push(
+      makeDomNode({
+        tag: "div",
+        type: "DynamoEmpty",
+        classes: classIds([C.empty]),
+      })
+    );
+    appendText(empty, cmsEmptyText);
+    wrapper.children.push(list._id, empty._id);
+    return wrapper;
+  };
+
+  // Merges never cross section boundaries, so spans are resolved per section
+  const makeSection = (sectionTag, className, sectionRows) => {
+    if (cms && sectionTag === "tbody") return makeCmsList(sectionRows);
+    const section = push(
+      makeDomNode({
+        tag: cms ? "div" : sectionTag,
+        classes: classIds([
+          className,
+          stack && (sectionTag === "thead" ? R.stackHead : R.stackGroup),
+          cms && sectionTag === "thead" && C.head,
+          stickyHeader && sectionTag === "thead" && S.head,
+        ]),
+        attributes: cms ? [{ name: "role", value: "rowgroup" }] : [],
+      })
+    );
+    const spans = data ? computeSpans(sectionRows.map((r) => r || [])) : [];
+    sectionRows.forEach((sourceRow, r) => {
+      const rowRules = rowRuleClasses(
+        classRules,
+        r,
+        sectionRows.length,
+        sectionTag
+      );
+      const tr = makeRow(sectionTag, r, sourceRow, spans[r], rowRules);
+      section.children.push(tr._id);
+    });
+    return section;
+  };
+
+  const thead = sections.head.length
+    ? makeSection("thead", theadClass, sections.head)
+    : null;
+  const tbody = makeSection("tbody", tbodyClass, sections.body);
+  const tfoot = sections.foot.length
+    ? makeSection("tfoot", tfootClass, sections.foot)
+    : null;
+
+  if (caption) {
+    // The CMS grid is labelled by aria-label; its caption is only visual
+    const captionNode = push(
+      makeDomNode({
+        tag: cms ? "div" : "caption",
+        attributes: cms ? [{ name: "aria-hidden", value: "true" }] : [],
+      })
+    );
+    appendText(captionNode, caption);
+    table.children.push(captionNode._id);
+  }
+  if (thead) table.children.push(thead._id);
+  table.children.push(tbody._id);
+  if (tfoot) table.children.push(tfoot._id);
+
+  // The table, or the responsive / sticky / interactive wrapper around it.
+  // The script puts its search box and page controls around `data-wt-wrap`.
+  let tableRoot = table;
+  if (mode !== "none" || interactive || stickyWrap) {
+    const baseClass = stack
+      ? R.stackWrap
+      : mode !== "none"
+      ? R.scroll
+      : stickyWrap
+      ? null
+      : INTERACTIVE_CLASS;
+    tableRoot = push(
+      makeDomNode({
+        tag: "div",
+        classes: classIds([baseClass, stickyWrap && S.wrap]),
+        attributes: interactive ? [{ name: "data-wt-wrap", value: "" }] : [],
+      })
+    );
+    if (stack) {
+      tableRoot.children.push(
+        push(makeEmbedNode(stackLabelCss(stackBreakpoint)))._id
+      );
+    }
+    tableRoot.children.push(table._id);
+    if (interactive) {
+      tableRoot.children.push(push(makeEmbedNode(interactiveEmbedHtml()))._id);
+    }
+  }
+
+  // Top of the generated tree (the section wrapper when wrapping)
+  let rootNode = tableRoot;
+
+  // The summary sits right after the table (a sibling root when unwrapped)
+  let summaryNode = null;
+  if (summary) {
+    summaryNode = push(
+      makeDomNode({
+        tag: "p",
+        attributes: [{ name: "id", value: summaryId }],
+      })
+    );
+    appendText(summaryNode, summary);
+  }
+
+  if (wrapInSection) {
+    // Nest the wrapper chain; the innermost wrapper holds table + summary
+    let parent = null;
+    for (const wrapper of preset.wrappers) {
+      const node = push(
+        makeDomNode({
+          tag: wrapper.tag || "div",
+          type: wrapper.type,
+          classes: classIds([wrapper.className]),
+        })
+      );
+      if (parent) parent.children.push(node._id);
+      else rootNode = node;
+      parent = node;
+    }
+    parent.children.push(tableRoot._id);
+    if (summaryNode) parent.children.push(summaryNode._id);
+  }
+
+  if (passthrough) {
+    // Put the new tree where the imported table was
+    const kept = passthrough.nodes.map((n) => {
+      const children = n.children || [];
+      if (!children.includes(passthrough.tableId)) return { ...n };
+      return {
+        ...n,
+        children: children.flatMap((id) =>
+          id !== passthrough.tableId
+            ? [id]
+            : summaryNode && rootNode === tableRoot
+            ? [tableRoot._id, summaryNode._id]
+            : [rootNode._id]
+        ),
+      };
+    });
+    // A root-level table goes back between the same sibling roots
+    const at = Math.min(passthrough.index ?? kept.length, kept.length);
+    nodes.unshift(...kept.slice(0, at));
+    nodes.push(...kept.slice(at));
+  }
+
+  const payload = {
+    nodes,
+    styles: styles.map((st) => applyClassStyle(st, overrides[st.name])),
+    assets,
+    ix1: [],
+    ix2: { interactions: [], events: [], actionLists: [] },
+  };
+  const meta = {
+    droppedLinks: 0,
+    dynBindRemovedCount: 0,
+    dynListBindRemovedCount: 0,
+    paginationRemovedCount: 0,
+    universalBindingsRemovedCount: 0,
+    unlinkedSymbolCount: 0,
+    KbdComponentsRemovedCount: 0,
+  };
+
+  const json = JSON.stringify(
+    { type: "@webflow/XscpData", payload, meta },
+    null,
+    2
+  );
+  // Classes styled in the editor aren't empty any more
+  return {
+    payload,
+    meta,
+    json,
+    untranslated: untranslated.filter((name) => !overrides[name]),
+    columns,
+    fields,
+  };
+}
+
+export { parseCSV, stringifyCSV } from "./csv.js";
+export { MERGE_LEFT, MERGE_UP, computeSpans } from "./merges.js";
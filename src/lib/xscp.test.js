@@ -0,0 +1,160 @@
+import { describe, expect, it } from "vitest";
+import { buildXscpTable, splitSections } from "./xscp.js";
+import { outline, stableIds } from "../test/helpers.js";
+
+const DATA = [
+  ["Plan", "Price", "Seats"],
+  ["Basic", "9", "1"],
+  ["Team", "29", "5"],
+  ["Total", "38", "6"],
+];
+
+describe("buildXscpTable", () => {
+  // Every combination of head / foot / section wrapper / span fallback
+  const flags = [false, true];
+  for (const includeHead of flags) {
+    for (const includeFoot of flags) {
+      for (const wrapInSection of flags) {
+        for (const useSpanFallback of flags) {
+          const options = {
+            includeHead,
+            includeFoot,
+            wrapInSection,
+            useSpanFallback,
+          };
+          it(`matches the snapshot for ${JSON.stringify(options)}`, () => {
+            const { payload } = buildXscpTable(options, DATA);
+            expect(outline(payload)).toMatchSnapshot();
+          });
+        }
+      }
+    }
+  }
+
+  it("matches the full payload snapshot for the defaults", () => {
+    const { payload, meta } = buildXscpTable({}, DATA);
+    expect(stableIds({ payload, meta })).toMatchSnapshot();
+  });
+
+  it("builds an empty cols × rows skeleton without data", () => {
+    const { payload } = buildXscpTable({ cols: 2, rows: 2 });
+    const tags = payload.nodes.map((n) => n.data?.tag);
+    expect(tags.filter((t) => t === "td")).toHaveLength(4);
+    expect(tags.filter((t) => t === "th")).toHaveLength(2);
+  });
+
+  it("returns JSON that parses to the clipboard payload", () => {
+    const built = buildXscpTable({}, DATA);
+    const parsed = JSON.parse(built.json);
+    expect(parsed.type).toBe("@webflow/XscpData");
+    expect(parsed.payload.nodes).toHaveLength(built.payload.nodes.length);
+  });
+
+  it("accepts the legacy hasHeaderRow flag", () => {
+    const { payload } = buildXscpTable({ hasHeaderRow: false }, DATA);
+    expect(payload.nodes.some((n) => n.data?.tag === "thead")).toBe(false);
+  });
+});
+
+describe("splitSections", () => {
+  it("moves header and footer rows out of the body", () => {
+    const sections = splitSections(DATA, {
+      includeHead: true,
+      includeFoot: true,
+    });
+    expect(sections.head).toEqual([DATA[0]]);
+    expect(sections.body).toEqual(DATA.slice(1, 3));
+    expect(sections.foot).toEqual([DATA[3]]);
+  });
+});
+
+describe("header and footer rows", () => {
+  const rowsIn = (payload, section) => {
+    const byId = new Map(payload.nodes.map((n) => [n._id, n]));
+    const node = payload.nodes.find((n) => n.data?.tag === section);
+    return (node?.children || []).map((id) => byId.get(id));
+  };
+
+  it("puts the leading and trailing data rows in thead / tfoot", () => {
+    const { payload } = buildXscpTable(
+      { includeFoot: true, headerRows: 2, footerRows: 1 },
+      DATA
+    );
+    expect(rowsIn(payload, "thead")).toHaveLength(2);
+    expect(rowsIn(payload, "tbody")).toHaveLength(1);
+    expect(rowsIn(payload, "tfoot")).toHaveLength(1);
+  });
+
+  it("never repeats the header text in the footer", () => {
+    const { payload } = buildXscpTable({ includeFoot: true }, DATA);
+    const texts = payload.nodes.filter((n) => n.text).map((n) => n.v);
+    expect(texts.filter((v) => v === "Plan")).toHaveLength(1);
+    expect(texts).toContain("Total");
+  });
+
+  it("keeps head and foot from overlapping", () => {
+    const sections = splitSections(DATA.slice(0, 2), {
+      includeHead: true,
+      includeFoot: true,
+      headerRows: 2,
+      footerRows: 2,
+    });
+    expect(sections.head).toHaveLength(2);
+    expect(sections.body).toHaveLength(0);
+    expect(sections.foot).toHaveLength(0);
+  });
+
+  it("leaves the rows in the body when a section is off", () => {
+    const sections = splitSections(DATA, {
+      includeHead: false,
+      includeFoot: false,
+      headerRows: 2,
+    });
+    expect(sections.body).toEqual(DATA);
+  });
+});
+
+describe("accessibility attributes", () => {
+  const attrs = (node) =>
+    Object.fromEntries(
+      (node.data?.attributes || []).map((a) => [a.name, a.value])
+    );
+  const nodesByTag = (payload, tag) =>
+    payload.nodes.filter((n) => n.data?.tag === tag);
+
+  it("scopes header cells by column and body row headers by row", () => {
+    const { payload } = buildXscpTable({ rowHeaders: true }, DATA);
+    const ths = nodesByTag(payload, "th").map((n) => attrs(n).scope);
+    expect(ths).toEqual(["col", "col", "col", "row", "row", "row"]);
+    expect(nodesByTag(payload, "td")).toHaveLength(6);
+  });
+
+  it("uses colgroup / rowgroup for merged header cells", () => {
+    const { payload } = buildXscpTable({ rowHeaders: true }, [
+      ["Plan", "Price", "<<"],
+      ["A", "1", "2"],
+      ["^^", "3", "4"],
+    ]);
+    const scopes = nodesByTag(payload, "th").map((n) => attrs(n).scope);
+    expect(scopes).toEqual(["col", "colgroup", "rowgroup"]);
+  });
+
+  it("leaves scope out when addScope is off", () => {
+    const { payload } = buildXscpTable({ addScope: false }, DATA);
+    expect(nodesByTag(payload, "th").some((n) => attrs(n).scope)).toBe(false);
+  });
+
+  it("emits a caption and links the summary with aria-describedby", () => {
+    const { payload } = buildXscpTable(
+      { caption: "Plans", summary: "Prices per month", summaryId: "plans" },
+      DATA
+    );
+    const [table] = nodesByTag(payload, "table");
+    const [caption] = nodesByTag(payload, "caption");
+    expect(table.children[0]).toBe(caption._id);
+    expect(attrs(table)["aria-describedby"]).toBe("plans");
+    const [summary] = nodesByTag(payload, "p");
+    expect(attrs(summary).id).toBe("plans");
+    expect(outline(payload)).toContain('"Prices per month"');
+  });
+});
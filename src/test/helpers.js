@@ -0,0 +1,49 @@
+// Shared helpers for the Vitest suites. Node and style ids are random (see
+// uid in lib/xscp.js), so snapshots go through stableIds / outline.
+
+/** The value with every generated id replaced by `<prefix><n>`, in order. */
+export function stableIds(value) {
+  const ids = new Map();
+  const json = JSON.stringify(value, null, 2).replace(
+    /"((?:n_|t_|cls_|asset_)[a-z0-9]{8,})"/g,
+    (_, id) => {
+      if (!ids.has(id)) ids.set(id, `${id.split("_")[0]}_${ids.size + 1}`);
+      return JSON.stringify(ids.get(id));
+    }
+  );
+  return JSON.parse(json);
+}
+
+/**
+ * The node tree as indented lines: `tag.class[attr=value]`, text nodes in
+ * quotes, other node types in angle brackets.
+ */
+export function outline(payload) {
+  const byId = new Map(payload.nodes.map((n) => [n._id, n]));
+  const styleName = new Map(
+    (payload.styles || []).map((s) => [s._id, s.name])
+  );
+  const childIds = new Set(payload.nodes.flatMap((n) => n.children || []));
+  const lines = [];
+  const walk = (node, depth) => {
+    const pad = "  ".repeat(depth);
+    if (node.text) {
+      lines.push(`${pad}"${node.v}"`);
+      return;
+    }
+    const tag = node.data?.tag || node.tag;
+    const type = node.type && node.type !== "DOM" ? `<${node.type}>` : "";
+    const classes = (node.classes || [])
+      .map((id) => `.${styleName.get(id)}`)
+      .join("");
+    const attrs = (node.data?.attributes || [])
+      .map((a) => (a.value === "" ? `[${a.name}]` : `[${a.name}=${a.value}]`))
+      .join("");
+    lines.push(`${pad}${type}${tag}${classes}${attrs}`);
+    (node.children || []).forEach((id) => walk(byId.get(id), depth + 1));
+  };
+  payload.nodes
+    .filter((n) => !childIds.has(n._id))
+    .forEach((root) => walk(root, 0));
+  return lines.join("\n");
+}